@@ -2,6 +2,18 @@
 import youTubeApiClient from '../libs/api-client.js';
 import dataProcessor from '../libs/data-processor.js';
 import contextUtils from '../libs/context-utils.js';
+import historyStore from '../libs/history-store.js';
+import authManager from '../libs/auth-manager.js';
+import analyticsClient from '../libs/analytics-client.js';
+import tracker from '../libs/tracker.js';
+import viralDetector from '../libs/viral-detector.js';
+import commentHarvester from '../libs/comment-harvester.js';
+import channelComparator from '../libs/channel-comparator.js';
+import urlResolver from '../libs/url-resolver.js';
+import keywordResearcher from '../libs/keyword-researcher.js';
+import trendingArchive from '../libs/trending-archive.js';
+import trendingComparator from '../libs/trending-comparator.js';
+import i18n from '../libs/i18n.js';
 
 // Define initialization states
 const INIT_STATE = {
@@ -11,6 +23,54 @@ const INIT_STATE = {
   FAILED: 'FAILED', // Initialization failed
 };
 
+// Message types that can be handled without a YouTube API key
+const KEYLESS_MESSAGE_TYPES = new Set([
+  'SAVE_API_KEYS',
+  'CLEAR_CACHE',
+  'GET_CACHE_STATS',
+  'GET_QUOTA_STATUS',
+  'GET_API_KEY_STATUS',
+  'SIGN_IN',
+  'SIGN_OUT',
+  'GET_AUTH_STATUS',
+  'GET_CHANNEL_ANALYTICS',
+  'GET_WATCHLIST',
+  'WATCHLIST_REMOVE',
+  'GET_SNAPSHOT_HISTORY',
+  'GET_COMMENT_CORPUS',
+  'GET_COMMENT_HARVESTS',
+  'DELETE_COMMENT_CORPUS',
+  'GET_COMPARISON_SETS',
+  'SAVE_COMPARISON_SET',
+  'DELETE_COMPARISON_SET',
+  'PARSE_YOUTUBE_URL',
+  'GET_UI_MESSAGES',
+  'GET_KEYWORD_LISTS',
+  'ADD_TO_KEYWORD_LIST',
+  'REMOVE_FROM_KEYWORD_LIST',
+  'DELETE_KEYWORD_LIST',
+  'GET_ARCHIVED_CHARTS',
+  'ARCHIVE_CHART_REMOVE',
+  'GET_TRENDING_CHART_DATES',
+  'GET_TRENDING_CHART',
+  'GET_TRENDING_MOVEMENT',
+]);
+
+// Default number of recent uploads crawled for channel analysis (2 quota units per 50 videos)
+const CHANNEL_UPLOADS_LIMIT = 200;
+
+// Playlists are crawled in full: YouTube caps them at 5000 items (2 quota units per 50 videos)
+const PLAYLIST_ITEMS_LIMIT = 5000;
+
+// GET_PLAYLIST_DATA only loads the first page of a playlist; ANALYZE_PLAYLIST crawls the rest
+const PLAYLIST_PAGE_SIZE = 50;
+
+// Comments fetched for sentiment and topic analysis when the video has no harvested corpus
+const COMMENT_SAMPLE_SIZE = 100;
+
+// Comment threads harvested automatically when a video is analyzed with comment collection enabled
+const AUTO_HARVEST_THREADS = 500;
+
 class BackgroundController {
   constructor() {
     this.initState = INIT_STATE.PENDING;
@@ -39,6 +99,10 @@ class BackgroundController {
           throw new Error("Extension context is invalid at initialization time.");
         }
         await youTubeApiClient.init();
+        await tracker.init();
+        await trendingArchive.init();
+        await dataProcessor.init();
+        i18n.watchLanguage();
         this.initState = INIT_STATE.SUCCESS;
         console.log("Background: Initialization successful.");
         this.processMessageQueue();
@@ -63,6 +127,9 @@ class BackgroundController {
       return true; // Required to indicate async response
     });
 
+    // Periodic watchlist refresh and trending chart capture; alarms wake the service worker if it was suspended
+    chrome.alarms.onAlarm.addListener(alarm => this.handleAlarm(alarm));
+
     // Optional: Listen for when the extension is installed or updated
     chrome.runtime.onInstalled.addListener(details => {
       console.log(`Extension installed or updated. Reason: ${details.reason}`);
@@ -70,6 +137,33 @@ class BackgroundController {
     });
   }
 
+  /**
+   * Handles chrome.alarms events once initialization has completed.
+   * @param {chrome.alarms.Alarm} alarm - The alarm that fired.
+   */
+  async handleAlarm(alarm) {
+    const isTrackerAlarm = tracker.isTrackerAlarm(alarm);
+    if (!isTrackerAlarm && !trendingArchive.isArchiveAlarm(alarm)) {
+      return;
+    }
+
+    await this.initialize();
+    if (this.initState !== INIT_STATE.SUCCESS || !youTubeApiClient.hasApiKey()) {
+      console.warn(`Background: Skipping ${alarm.name}, extension not ready or API key missing.`);
+      return;
+    }
+
+    try {
+      if (isTrackerAlarm) {
+        await tracker.refreshWatchlist();
+      } else {
+        await trendingArchive.captureCharts();
+      }
+    } catch (error) {
+      console.error(`Background: Scheduled ${alarm.name} failed:`, error);
+    }
+  }
+
   /**
    * Processes the message queue.
    * If an error is provided, it rejects all queued messages.
@@ -91,10 +185,10 @@ class BackgroundController {
    * Handles all incoming messages.
    */
   async handleMessage(request, sender, sendResponse) {
-    // If the API key is being saved, we need to re-initialize.
+    // If the API keys are being saved, we need to re-initialize.
     // This is a special case that bypasses the queue.
-    if (request.type === 'SAVE_API_KEY') {
-      console.log("Background: Received SAVE_API_KEY request. Re-initializing...");
+    if (request.type === 'SAVE_API_KEYS') {
+      console.log("Background: Received SAVE_API_KEYS request. Re-initializing...");
       this.initState = INIT_STATE.PENDING; // Reset state
       this.routeMessage(request, sender, sendResponse);
       this.initialize(); // Trigger re-initialization
@@ -125,36 +219,109 @@ class BackgroundController {
     console.log("Background: Routing message:", request.type, "from", sender.tab ? sender.tab.url : "extension");
 
     // Ensure API key exists for most requests
-    if (request.type !== 'SAVE_API_KEY' && !youTubeApiClient.apiKey) {
-        sendResponse({ success: false, error: "YouTube API Key is not set. Please set it in the extension options." });
+    if (!KEYLESS_MESSAGE_TYPES.has(request.type) && !youTubeApiClient.hasApiKey()) {
+        const keyError = i18n.error('errorApiKeyMissing');
+        sendResponse({ success: false, error: keyError.message, errorRef: keyError.ref });
         return;
     }
 
     try {
       let responseData;
       switch (request.type) {
+        case 'PARSE_YOUTUBE_URL':
+          responseData = urlResolver.parse(request.url);
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'GET_UI_MESSAGES':
+          // Content scripts can't read the message catalogs, so the background hands them the one for the display language
+          await i18n.init();
+          sendResponse({ success: true, data: { language: i18n.language, messages: i18n.messages || {} } });
+          break;
+
         case 'GET_CHANNEL_DATA':
-          responseData = await youTubeApiClient.getChannelData(request.channelId);
+          responseData = await youTubeApiClient.getChannelData(await urlResolver.resolveChannelId(request.channelId));
+          await this.recordHistory(() => historyStore.saveChannelSnapshot(responseData));
           sendResponse({ success: true, data: responseData });
           break;
 
         case 'GET_VIDEO_DATA':
-          responseData = await youTubeApiClient.getVideoData(request.videoId);
+          responseData = await youTubeApiClient.getVideoData(urlResolver.resolveVideoId(request.videoId));
           sendResponse({ success: true, data: responseData });
           break;
 
         case 'GET_TRENDING_VIDEOS':
-          responseData = await youTubeApiClient.getTrendingVideos(request.regionCode, request.category);
+          responseData = await youTubeApiClient.getTrendingVideos(request.regionCode, request.category, {
+            maxResults: request.maxResults,
+            onProgress: this.createProgressReporter(request),
+          });
+          await this.recordHistory(() => historyStore.saveTrendingSnapshot(responseData, request.regionCode, request.category));
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'COMPARE_TRENDING_REGIONS':
+          responseData = await trendingComparator.compareRegions(request.regionCodes, {
+            category: request.category,
+            onProgress: this.createProgressReporter(request),
+          });
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'GET_I18N_REGIONS':
+          responseData = await youTubeApiClient.getI18nRegions(request.hl);
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'GET_I18N_LANGUAGES':
+          responseData = await youTubeApiClient.getI18nLanguages(request.hl);
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'GET_VIDEO_CATEGORIES':
+          responseData = await youTubeApiClient.getVideoCategories(request.regionCode, request.hl);
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'GET_ARCHIVED_CHARTS':
+          responseData = await trendingArchive.getArchivedCharts();
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'ARCHIVE_CHART_ADD':
+          responseData = await trendingArchive.addChart(request.regionCode, request.category);
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'ARCHIVE_CHART_REMOVE':
+          await trendingArchive.removeChart(request.regionCode, request.category);
+          sendResponse({ success: true });
+          break;
+
+        case 'GET_TRENDING_CHART_DATES':
+          responseData = await trendingArchive.getChartDates(request.regionCode, request.category);
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'GET_TRENDING_CHART':
+          responseData = await trendingArchive.getChart(request.regionCode, request.category, request.snapshotId);
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'GET_TRENDING_MOVEMENT':
+          responseData = await trendingArchive.getMovement(request.regionCode, request.category, request.videoIds || []);
           sendResponse({ success: true, data: responseData });
           break;
 
         case 'GET_VIDEO_COMMENTS':
-            responseData = await youTubeApiClient.getVideoComments(request.videoId, request.maxResults);
+            responseData = await youTubeApiClient.getVideoComments(request.videoId, request.maxResults, {
+              onProgress: this.createProgressReporter(request),
+            });
             sendResponse({ success: true, data: responseData });
             break;
 
         case 'ANALYZE_VIDEO_DATA':
-            const videoData = await youTubeApiClient.getVideoData(request.videoId);
+            const videoId = urlResolver.resolveVideoId(request.videoId);
+            const videoData = await youTubeApiClient.getVideoData(videoId);
             if (!videoData) throw new Error("Video data not found for analysis.");
             
             const analysis = {
@@ -162,24 +329,232 @@ class BackgroundController {
                 kpis: dataProcessor.calculateVideoKPIs(videoData),
                 tagAnalysis: dataProcessor.analyzeVideoTags(videoData),
                 titleAnalysis: dataProcessor.analyzeTitleEffectiveness(videoData.snippet.title),
-                descriptionAnalysis: dataProcessor.analyzeDescriptionEffectiveness(videoData.snippet.description)
+                descriptionAnalysis: dataProcessor.analyzeDescriptionEffectiveness(videoData.snippet.description),
+                viralAnalysis: await this.detectViralSafely(videoId),
+                // Automatic analyses and users who turned comment collection off don't spend quota on comments;
+                // the panel loads them on demand through ANALYZE_COMMENTS
+                commentAnalysis: !request.automatic && await commentHarvester.isEnabled()
+                    ? await this.analyzeCommentsSafely(videoId, videoData.snippet.channelId)
+                    : null
             };
+            await this.recordHistory(() => historyStore.saveVideoAnalysis(analysis));
             sendResponse({ success: true, data: analysis });
+            // Automatic in-page analyses don't trigger a full comment harvest, which costs several quota units
+            if (!request.automatic) {
+              this.harvestCommentsInBackground(videoId);
+            }
             break;
 
-        case 'SAVE_API_KEY':
-          await youTubeApiClient.setApiKey(request.apiKey);
-          await chrome.storage.sync.set({ youtubeApiKey: request.apiKey });
-          youTubeApiClient.clearCache();
-          console.log("Background: API Key saved and updated.");
+        case 'ANALYZE_CHANNEL_DATA':
+            const channelId = await urlResolver.resolveChannelId(request.channelId);
+            const channelData = await youTubeApiClient.getChannelData(channelId);
+            const uploads = await youTubeApiClient.getRecentUploads(channelId, request.maxVideos || CHANNEL_UPLOADS_LIMIT);
+            const channelAnalysis = {
+                rawData: channelData,
+                kpis: dataProcessor.calculateChannelKPIs(channelData, uploads)
+            };
+            await this.recordHistory(() => historyStore.saveChannelSnapshot(channelData, channelAnalysis.kpis));
+            sendResponse({ success: true, data: channelAnalysis });
+            break;
+
+        case 'GET_PLAYLIST_DATA':
+          responseData = await this.fetchPlaylist(request, Math.min(request.maxResults || PLAYLIST_PAGE_SIZE, PLAYLIST_PAGE_SIZE));
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'ANALYZE_PLAYLIST':
+          const { playlist: playlistData, videos: playlistVideos } = await this.fetchPlaylist(request, request.maxResults || PLAYLIST_ITEMS_LIMIT);
+          const playlistAnalysis = {
+            rawData: playlistData,
+            kpis: dataProcessor.calculatePlaylistKPIs(playlistData, playlistVideos)
+          };
+          sendResponse({ success: true, data: playlistAnalysis });
+          break;
+
+        case 'COMPARE_CHANNELS':
+          responseData = await channelComparator.compareChannels(request.channels, {
+            maxVideos: request.maxVideos,
+            onProgress: this.createProgressReporter(request),
+          });
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'GET_COMPARISON_SETS':
+          responseData = await channelComparator.getSets();
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'SAVE_COMPARISON_SET':
+          responseData = await channelComparator.saveSet(request.set);
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'DELETE_COMPARISON_SET':
+          await channelComparator.deleteSet(request.id);
+          sendResponse({ success: true });
+          break;
+
+        case 'RESEARCH_KEYWORD':
+          responseData = await keywordResearcher.research(request.keyword, {
+            maxResults: request.maxResults,
+            onProgress: this.createProgressReporter(request),
+          });
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'GET_KEYWORD_LISTS':
+          responseData = await keywordResearcher.getLists();
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'ADD_TO_KEYWORD_LIST':
+          responseData = await keywordResearcher.addToList(request.name, request.entry);
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'REMOVE_FROM_KEYWORD_LIST':
+          await keywordResearcher.removeFromList(request.id, request.keyword);
+          sendResponse({ success: true });
+          break;
+
+        case 'DELETE_KEYWORD_LIST':
+          await keywordResearcher.deleteList(request.id);
+          sendResponse({ success: true });
+          break;
+
+        case 'HARVEST_COMMENTS':
+          responseData = await commentHarvester.harvest(request.videoId, {
+            maxThreads: request.maxThreads,
+            order: request.order,
+            searchTerms: request.searchTerms,
+            includeReplies: request.includeReplies,
+            onProgress: this.createProgressReporter(request),
+          });
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'GET_COMMENT_CORPUS':
+          responseData = await commentHarvester.getCorpus(request.videoId, { includeReplies: request.includeReplies });
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'GET_COMMENT_HARVESTS':
+          responseData = await commentHarvester.getHarvestRecords();
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'DELETE_COMMENT_CORPUS':
+          await commentHarvester.deleteCorpus(request.videoId);
+          sendResponse({ success: true });
+          break;
+
+        case 'ANALYZE_COMMENT_SENTIMENT':
+          responseData = await dataProcessor.analyzeCommentSentiment(await this.getCommentsForAnalysis(request.videoId));
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'ANALYZE_COMMENTS':
+          responseData = dataProcessor.analyzeComments(await this.getCommentsForAnalysis(request.videoId), {
+            channelId: request.channelId,
+            maxTopics: request.maxTopics,
+            maxQuestions: request.maxQuestions,
+          });
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'DETECT_VIRAL_VIDEO':
+          responseData = await viralDetector.detectViralVideo(request.videoId);
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'SCORE_VIRAL_VIDEOS':
+          responseData = await viralDetector.scoreVideos(request.videoIds);
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'GET_VIDEO_METRICS_BATCH':
+          responseData = await viralDetector.getVideoMetrics(request.videoIds);
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'SAVE_API_KEYS':
+          youTubeApiClient.setApiKeys(request.apiKeys);
+          await chrome.storage.sync.set({ youtubeApiKeys: request.apiKeys });
+          await youTubeApiClient.clearCache();
+          console.log("Background: API keys saved and updated.");
           sendResponse({ success: true });
           break;
 
         case 'CLEAR_CACHE':
-          youTubeApiClient.clearCache();
+          await youTubeApiClient.clearCache();
+          sendResponse({ success: true });
+          break;
+
+        case 'GET_CACHE_STATS':
+          responseData = await youTubeApiClient.getCacheStats();
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'GET_QUOTA_STATUS':
+          responseData = await youTubeApiClient.getQuotaStatus();
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'GET_API_KEY_STATUS':
+          responseData = await youTubeApiClient.getApiKeyStatus();
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'SIGN_IN':
+          responseData = await authManager.signIn();
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'SIGN_OUT':
+          await authManager.signOut();
           sendResponse({ success: true });
           break;
 
+        case 'GET_AUTH_STATUS':
+          responseData = await authManager.getStatus();
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'WATCHLIST_ADD':
+          responseData = await tracker.addToWatchlist(request.targetType, request.targetType === 'channel'
+            ? await urlResolver.resolveChannelId(request.targetId)
+            : urlResolver.resolveVideoId(request.targetId));
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'WATCHLIST_REMOVE':
+          await tracker.removeFromWatchlist(request.targetType, request.targetId, { deleteHistory: request.deleteHistory });
+          sendResponse({ success: true });
+          break;
+
+        case 'GET_WATCHLIST':
+          responseData = await tracker.getWatchlist();
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'REFRESH_WATCHLIST':
+          responseData = await tracker.refreshWatchlist();
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'GET_SNAPSHOT_HISTORY':
+          responseData = await tracker.getSnapshotHistory(request.targetType, request.targetId, { from: request.from });
+          sendResponse({ success: true, data: responseData });
+          break;
+
+        case 'GET_CHANNEL_ANALYTICS':
+          responseData = await analyticsClient.getChannelAnalytics(request.channelId, {
+            startDate: request.startDate,
+            endDate: request.endDate,
+          });
+          sendResponse({ success: true, data: responseData });
+          break;
+
         default:
           console.warn("Unknown message type:", request.type);
           sendResponse({ success: false, error: "Unknown message type" });
@@ -187,7 +562,118 @@ class BackgroundController {
       }
     } catch (error) {
       console.error(`Background: Error handling message '${request.type}':`, error);
-      sendResponse({ success: false, error: error.message || "An unknown error occurred." });
+      // errorRef lets each page show errors from the libs in its own display language
+      sendResponse({ success: false, error: error.message || "An unknown error occurred.", errorRef: error.ref || null });
+    }
+  }
+
+  /**
+   * Creates a pagination progress callback that broadcasts PAGINATION_PROGRESS messages to extension pages.
+   * Only requests carrying a progressId get progress updates, so the sender can match them to its request.
+   * @param {Object} request - The incoming message.
+   * @returns {Function|null} The progress callback, or null if the sender did not ask for progress.
+   */
+  createProgressReporter(request) {
+    if (!request.progressId) {
+      return null;
+    }
+    return progress => {
+      chrome.runtime.sendMessage({ type: 'PAGINATION_PROGRESS', progressId: request.progressId, ...progress })
+        .catch(() => {
+          // The page that asked for progress may have been closed
+        });
+    };
+  }
+
+  /**
+   * Scores a video for the analysis view.
+   * Scoring needs extra requests for the channel baseline, so a failure here is logged
+   * and leaves the rest of the analysis intact.
+   * @param {string} videoId - The video to score.
+   * @returns {Promise<Object|null>} The viral score, or null if it could not be computed.
+   */
+  async detectViralSafely(videoId) {
+    try {
+      return await viralDetector.detectViralVideo(videoId);
+    } catch (error) {
+      console.error("Background: Viral scoring failed:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Loads a playlist's metadata and its videos in playlist order.
+   * @param {Object} request - A message with a playlistId (ID or link) and optional progress reporting.
+   * @param {number} maxResults - The maximum number of videos to load.
+   * @returns {Promise<Object>} { playlist, videos }
+   */
+  async fetchPlaylist(request, maxResults) {
+    const playlistId = urlResolver.resolvePlaylistId(request.playlistId);
+    return {
+      playlist: await youTubeApiClient.getPlaylistData(playlistId),
+      videos: await youTubeApiClient.getPlaylistVideosInOrder(playlistId, maxResults, {
+        onProgress: this.createProgressReporter(request),
+      })
+    };
+  }
+
+  /**
+   * Returns the comments to run sentiment and topic analysis on.
+   * Uses the harvested corpus when there is one, otherwise fetches the top comments.
+   * @param {string} videoId - The video whose comments are analyzed.
+   * @returns {Promise<Object[]>} Comments with a `text` field.
+   */
+  async getCommentsForAnalysis(videoId) {
+    const corpus = await commentHarvester.getCorpus(videoId);
+    if (corpus.comments.length > 0) {
+      return corpus.comments;
+    }
+    return youTubeApiClient.getVideoComments(videoId, COMMENT_SAMPLE_SIZE);
+  }
+
+  /**
+   * Extracts comment topics and open questions for the analysis view.
+   * Comments may be disabled or the quota exhausted, so a failure here is logged
+   * and leaves the rest of the analysis intact.
+   * @param {string} videoId - The video whose comments are analyzed.
+   * @param {string} channelId - The video's channel, used to tell which questions the creator answered.
+   * @returns {Promise<Object|null>} The comment analysis, or null if it could not be computed.
+   */
+  async analyzeCommentsSafely(videoId, channelId) {
+    try {
+      return dataProcessor.analyzeComments(await this.getCommentsForAnalysis(videoId), { channelId });
+    } catch (error) {
+      console.error("Background: Comment analysis failed:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Harvests a video's comments after it has been analyzed, if comment collection is enabled.
+   * Videos harvested recently are skipped, and so is everything while low-priority quota is paused.
+   * Runs after the response has been sent; failures are only logged.
+   * @param {string} videoId - The analyzed video.
+   */
+  async harvestCommentsInBackground(videoId) {
+    try {
+      if (await commentHarvester.shouldAutoHarvest(videoId)) {
+        await commentHarvester.harvest(videoId, { maxThreads: AUTO_HARVEST_THREADS });
+      }
+    } catch (error) {
+      console.error("Background: Comment harvest failed:", error);
+    }
+  }
+
+  /**
+   * Persists a result to the analysis history.
+   * Storage failures are logged but never fail the request that produced the data.
+   * @param {Function} saveFn - Function returning the history store write promise.
+   */
+  async recordHistory(saveFn) {
+    try {
+      await saveFn();
+    } catch (error) {
+      console.error("Background: Failed to record analysis history:", error);
     }
   }
 }
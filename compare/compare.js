@@ -0,0 +1,504 @@
+// compare/compare.js
+import chartUtils from '../libs/chart-utils.js';
+import i18n from '../libs/i18n.js';
+
+const MIN_CHANNELS = 2;
+const MAX_CHANNELS = 10;
+
+// 图表中频道名称的最大显示长度
+const CHART_LABEL_LENGTH = 10;
+
+// KPI表格的行：labelKey 为显示名称的消息名称，value 从频道结果中取值，format 为显示格式
+const KPI_ROWS = [
+    { labelKey: 'statSubscribers', value: kpis => kpis.subscriberCount, format: 'number' },
+    { labelKey: 'statTotalViews', value: kpis => kpis.viewCount, format: 'number' },
+    { labelKey: 'statVideoCount', value: kpis => kpis.videoCount, format: 'number' },
+    { labelKey: 'statVideosPerMonth', value: kpis => kpis.videosPerMonth, format: 'decimal' },
+    { labelKey: 'compareKpiUploadInterval', value: kpis => kpis.uploadStats && kpis.uploadStats.medianDaysBetweenUploads, format: 'decimal', lowerIsBetter: true },
+    { labelKey: 'compareKpiSinceLastUpload', value: kpis => kpis.uploadStats && kpis.uploadStats.daysSinceLastUpload, format: 'number', lowerIsBetter: true },
+    { labelKey: 'statMedianViews', value: kpis => kpis.uploadStats && kpis.uploadStats.medianViews, format: 'number' },
+    { labelKey: 'statAverageViews', value: kpis => kpis.uploadStats && kpis.uploadStats.averageViews, format: 'number' },
+    { labelKey: 'statLikeRate', value: kpis => kpis.uploadStats && kpis.uploadStats.likeRate, format: 'percent' },
+    { labelKey: 'compareKpiCommentRate', value: kpis => kpis.uploadStats && kpis.uploadStats.commentRate, format: 'percent' },
+    { labelKey: 'statEngagementRate', value: kpis => kpis.uploadStats && kpis.uploadStats.engagementRate, format: 'percent' },
+    { labelKey: 'compareKpiViewsPerSubscriber', value: kpis => kpis.viewsPerSubscriber, format: 'decimal' },
+    { labelKey: 'statChannelScore', value: kpis => kpis.channelScore, format: 'number' },
+    { labelKey: 'statAnalyzedVideos', value: kpis => kpis.uploadStats && kpis.uploadStats.analyzedCount, format: 'number', neutral: true }
+];
+
+/**
+ * CompareController类管理频道比较页面：频道输入、比较结果（KPI表格、分组柱状图、热门视频）和比较组的保存与加载。
+ */
+class CompareController {
+    constructor() {
+        this.elements = {
+            channelInputs: document.getElementById('channelInputs'),
+            addChannelButton: document.getElementById('addChannelButton'),
+            compareButton: document.getElementById('compareButton'),
+            compareStatus: document.getElementById('compareStatus'),
+            setNameInput: document.getElementById('setNameInput'),
+            saveSetButton: document.getElementById('saveSetButton'),
+            setStatus: document.getElementById('setStatus'),
+            savedSets: document.getElementById('savedSets'),
+            resultSection: document.getElementById('resultSection'),
+            kpiTable: document.getElementById('kpiTable'),
+            chartSection: document.getElementById('chartSection'),
+            compareCharts: document.getElementById('compareCharts'),
+            topVideosSection: document.getElementById('topVideosSection'),
+            topVideos: document.getElementById('topVideos')
+        };
+        this.sets = [];
+        this.activeSetId = null; // 当前加载的比较组，保存时更新该组
+        this.result = null; // 最近一次比较结果
+        this.progressId = null;
+
+        this.init();
+    }
+
+    /**
+     * 初始化：绑定事件、创建输入框并加载已保存的比较组。
+     */
+    async init() {
+        this.elements.addChannelButton.addEventListener('click', () => this.addChannelInput(''));
+        this.elements.compareButton.addEventListener('click', () => this.compare());
+        this.elements.saveSetButton.addEventListener('click', () => this.saveSet());
+        chrome.runtime.onMessage.addListener(message => this.handleProgressMessage(message));
+
+        this.setChannelInputs([]);
+        await this.loadSets();
+    }
+
+    /**
+     * 发送消息到后台脚本，失败时抛出错误。
+     * @param {Object} message - 消息对象
+     * @returns {Promise<any>} - 响应数据
+     */
+    async sendMessage(message) {
+        const response = await chrome.runtime.sendMessage(message);
+        if (!response || !response.success) {
+            throw new Error(i18n.describeError(response));
+        }
+        return response.data;
+    }
+
+    /**
+     * 更新状态消息显示。
+     * @param {string} message - 要显示的消息
+     * @param {string} type - 消息类型 ('loading', 'success', 'error')
+     * @param {HTMLElement} targetElement - 要更新的DOM元素
+     */
+    updateStatus(message, type, targetElement) {
+        targetElement.textContent = message;
+        targetElement.className = `status-message ${type}-message`;
+    }
+
+    /**
+     * 显示比较进度（按已完成的频道数）。
+     * @param {Object} message - 后台发送的 PAGINATION_PROGRESS 消息
+     */
+    handleProgressMessage(message) {
+        if (!message || message.type !== 'PAGINATION_PROGRESS' || message.progressId !== this.progressId) {
+            return;
+        }
+        this.updateStatus(i18n.t('compareProgress', message.loaded, message.total), 'loading', this.elements.compareStatus);
+    }
+
+    /**
+     * 用给定的频道重建输入框，至少保留两个。
+     * @param {string[]} values - 频道输入
+     */
+    setChannelInputs(values) {
+        this.elements.channelInputs.innerHTML = '';
+        const padded = [...values];
+        while (padded.length < MIN_CHANNELS) {
+            padded.push('');
+        }
+        padded.slice(0, MAX_CHANNELS).forEach(value => this.addChannelInput(value));
+    }
+
+    /**
+     * 添加一个频道输入框。
+     * @param {string} value - 初始值
+     */
+    addChannelInput(value) {
+        const container = this.elements.channelInputs;
+        if (container.children.length >= MAX_CHANNELS) {
+            this.updateStatus(i18n.t('compareMaxChannels', MAX_CHANNELS), 'error', this.elements.compareStatus);
+            return;
+        }
+
+        const row = document.createElement('div');
+        row.className = 'channel-input-row';
+        row.innerHTML = `
+            <input type="text" class="form-input" data-i18n-placeholder="compareChannelPlaceholder">
+            <button class="btn btn-secondary btn-small" data-i18n="compareRemoveButton"></button>
+        `;
+        i18n.localizePage(row);
+        const input = row.querySelector('input');
+        input.value = value;
+        input.addEventListener('keydown', event => {
+            if (event.key === 'Enter') this.compare();
+        });
+        row.querySelector('button').addEventListener('click', () => {
+            if (container.children.length > MIN_CHANNELS) {
+                row.remove();
+                this.elements.addChannelButton.disabled = false;
+            } else {
+                input.value = '';
+            }
+        });
+        container.appendChild(row);
+        this.elements.addChannelButton.disabled = container.children.length >= MAX_CHANNELS;
+    }
+
+    /**
+     * 获取输入框中的频道（去掉空白项）。
+     * @returns {string[]}
+     */
+    getChannelInputs() {
+        return [...this.elements.channelInputs.querySelectorAll('input')]
+            .map(input => input.value.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * 比较输入的频道并显示结果。
+     */
+    async compare() {
+        if (this.progressId) return;
+        const channels = this.getChannelInputs();
+        if (channels.length < MIN_CHANNELS) {
+            this.updateStatus(i18n.t('compareMinChannels', MIN_CHANNELS), 'error', this.elements.compareStatus);
+            return;
+        }
+
+        this.progressId = `compare-${Date.now()}`;
+        this.updateStatus(i18n.t('compareComparing'), 'loading', this.elements.compareStatus);
+        this.elements.compareButton.disabled = true;
+        try {
+            this.result = await this.sendMessage({ type: 'COMPARE_CHANNELS', channels, progressId: this.progressId });
+            const failed = this.result.errors
+                .map(item => i18n.t('compareChannelError', item.input, i18n.translate(item.error)))
+                .join(i18n.t('listSeparator'));
+            this.updateStatus(
+                failed
+                    ? i18n.t('compareComparedPartial', this.result.channels.length, failed)
+                    : i18n.t('compareCompared', this.result.channels.length),
+                failed ? 'error' : 'success',
+                this.elements.compareStatus
+            );
+            this.renderResult(this.result);
+        } catch (error) {
+            console.error("Compare: Error comparing channels:", error);
+            this.updateStatus(i18n.t('compareFailed', error.message), 'error', this.elements.compareStatus);
+        } finally {
+            this.progressId = null;
+            this.elements.compareButton.disabled = false;
+        }
+    }
+
+    /**
+     * 显示比较结果。
+     * @param {Object} result - COMPARE_CHANNELS 返回的数据
+     */
+    renderResult(result) {
+        this.renderKpiTable(result.channels);
+        this.renderCharts(result.channels);
+        this.renderTopVideos(result.channels);
+        this.elements.resultSection.hidden = false;
+        this.elements.chartSection.hidden = false;
+        this.elements.topVideosSection.hidden = false;
+    }
+
+    /**
+     * 显示KPI对比表格：每列一个频道，每行一个指标，并标出每行的最佳值。
+     * @param {Object[]} channels - 比较结果中的频道
+     */
+    renderKpiTable(channels) {
+        const table = document.createElement('table');
+        table.className = 'kpi-table';
+        const headerRow = table.createTHead().insertRow();
+        headerRow.appendChild(document.createElement('th'));
+        channels.forEach(channel => {
+            const th = document.createElement('th');
+            th.textContent = channel.title;
+            th.title = channel.title;
+            headerRow.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        KPI_ROWS.forEach(row => {
+            const values = channels.map(channel => {
+                const value = row.value(channel.kpis);
+                return typeof value === 'number' ? value : null;
+            });
+            const available = values.filter(value => value !== null);
+            const best = row.neutral || available.length < 2
+                ? null
+                : (row.lowerIsBetter ? Math.min(...available) : Math.max(...available));
+
+            const tr = body.insertRow();
+            tr.insertCell().textContent = i18n.t(row.labelKey);
+            values.forEach(value => {
+                const cell = tr.insertCell();
+                cell.textContent = this.formatValue(value, row.format);
+                if (value !== null && value === best) {
+                    cell.classList.add('best');
+                }
+            });
+        });
+
+        this.elements.kpiTable.innerHTML = '';
+        this.elements.kpiTable.appendChild(table);
+    }
+
+    /**
+     * 绘制分组柱状图：每组一个指标，每个频道一种颜色。
+     * @param {Object[]} channels - 比较结果中的频道
+     */
+    renderCharts(channels) {
+        const container = this.elements.compareCharts;
+        container.innerHTML = '';
+
+        const names = channels.map(channel => this.truncate(channel.title, CHART_LABEL_LENGTH));
+        const stats = channels.map(channel => channel.kpis.uploadStats || {});
+        const width = Math.min(1000, Math.max(480, channels.length * 90));
+
+        chartUtils.createBarChart({
+            title: i18n.t('compareChartViewsPerVideo'),
+            labels: [i18n.t('compareChartMedian'), i18n.t('compareChartAverage')],
+            datasets: channels.map((channel, index) => ({
+                label: names[index],
+                data: [stats[index].medianViews || 0, stats[index].averageViews || 0]
+            })),
+            width,
+            height: 320,
+            showValues: channels.length <= 4,
+            valueFormatter: value => this.formatCompact(value)
+        }, container);
+
+        chartUtils.createBarChart({
+            title: i18n.t('compareChartEngagement'),
+            labels: [i18n.t('statLikeRate'), i18n.t('compareKpiCommentRate'), i18n.t('statEngagementRate')],
+            datasets: channels.map((channel, index) => ({
+                label: names[index],
+                data: [stats[index].likeRate || 0, stats[index].commentRate || 0, stats[index].engagementRate || 0]
+            })),
+            width,
+            height: 320,
+            showValues: channels.length <= 4,
+            valueFormatter: value => i18n.formatNumber(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+        }, container);
+
+        chartUtils.createBarChart({
+            title: i18n.t('statSubscribers'),
+            labels: names,
+            data: channels.map(channel => channel.kpis.subscriberCount),
+            width,
+            height: 320,
+            valueFormatter: value => this.formatCompact(value)
+        }, container);
+
+        chartUtils.createBarChart({
+            title: i18n.t('compareChartUploadsPerMonth'),
+            labels: names,
+            data: channels.map(channel => channel.kpis.videosPerMonth),
+            width,
+            height: 320,
+            valueFormatter: value => i18n.formatNumber(value, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+        }, container);
+    }
+
+    /**
+     * 显示每个频道观看量最高的视频。
+     * @param {Object[]} channels - 比较结果中的频道
+     */
+    renderTopVideos(channels) {
+        const container = this.elements.topVideos;
+        container.innerHTML = '';
+        channels.forEach(channel => {
+            const block = document.createElement('div');
+            block.className = 'top-videos-channel';
+            const heading = document.createElement('h3');
+            heading.textContent = channel.title;
+            block.appendChild(heading);
+
+            const videos = channel.kpis.uploadStats ? channel.kpis.uploadStats.bestPerformers : [];
+            if (videos.length === 0) {
+                const placeholder = document.createElement('p');
+                placeholder.className = 'placeholder';
+                placeholder.textContent = i18n.t('compareNoUploads');
+                block.appendChild(placeholder);
+            } else {
+                const list = document.createElement('ol');
+                videos.forEach(video => {
+                    const item = document.createElement('li');
+                    const link = document.createElement('a');
+                    link.href = `https://www.youtube.com/watch?v=${video.id}`;
+                    link.target = '_blank';
+                    link.rel = 'noopener';
+                    link.textContent = video.title;
+                    const meta = document.createElement('span');
+                    meta.className = 'top-video-meta';
+                    meta.textContent = i18n.t('compareTopVideoMeta',
+                        video.viewCount,
+                        video.viewsVsMedian !== null ? video.viewsVsMedian : '-',
+                        i18n.formatDate(video.publishedAt));
+                    item.appendChild(link);
+                    item.appendChild(meta);
+                    list.appendChild(item);
+                });
+                block.appendChild(list);
+            }
+            container.appendChild(block);
+        });
+    }
+
+    /**
+     * 加载并显示已保存的比较组。
+     */
+    async loadSets() {
+        try {
+            this.sets = await this.sendMessage({ type: 'GET_COMPARISON_SETS' });
+            this.renderSets();
+        } catch (error) {
+            console.error("Compare: Error loading comparison sets:", error);
+            this.updateStatus(i18n.t('compareLoadSetsFailed', error.message), 'error', this.elements.setStatus);
+        }
+    }
+
+    /**
+     * 显示已保存的比较组。
+     */
+    renderSets() {
+        const container = this.elements.savedSets;
+        container.innerHTML = '';
+        if (this.sets.length === 0) {
+            container.innerHTML = '<p class="placeholder" data-i18n="compareNoSets"></p>';
+            i18n.localizePage(container);
+            return;
+        }
+
+        this.sets.forEach(set => {
+            const row = document.createElement('div');
+            row.className = 'saved-set';
+            row.innerHTML = `
+                <div class="saved-set-info">
+                    <div class="saved-set-name"></div>
+                    <div class="saved-set-meta"></div>
+                </div>
+                <button class="btn btn-secondary btn-small" data-action="load" data-i18n="compareLoadSetButton"></button>
+                <button class="btn btn-secondary btn-small" data-action="delete" data-i18n="compareDeleteButton"></button>
+            `;
+            i18n.localizePage(row);
+            row.querySelector('.saved-set-name').textContent = set.name;
+            row.querySelector('.saved-set-meta').textContent =
+                i18n.t('compareSetMeta', set.channels.length, set.channels.map(channel => channel.title || channel.input).join(i18n.t('listSeparator')));
+            row.querySelector('[data-action="load"]').addEventListener('click', () => this.loadSet(set));
+            row.querySelector('[data-action="delete"]').addEventListener('click', () => this.deleteSet(set));
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * 保存当前输入的频道为比较组。已比较过的频道会一并保存频道ID和名称，下次加载时无需重新查找。
+     */
+    async saveSet() {
+        const inputs = this.getChannelInputs();
+        const compared = this.result ? this.result.channels : [];
+        const channels = inputs.map(input => {
+            const match = compared.find(channel => channel.input === input || channel.channelId === input);
+            return match ? { input, channelId: match.channelId, title: match.title } : { input };
+        });
+
+        const name = this.elements.setNameInput.value.trim();
+        const activeSet = this.sets.find(set => set.id === this.activeSetId);
+        try {
+            const saved = await this.sendMessage({
+                type: 'SAVE_COMPARISON_SET',
+                set: {
+                    // 名称未修改时覆盖当前加载的比较组，否则另存为新组
+                    id: activeSet && activeSet.name === name ? activeSet.id : null,
+                    name,
+                    channels
+                }
+            });
+            this.activeSetId = saved.id;
+            this.updateStatus(i18n.t('compareSetSaved', saved.name), 'success', this.elements.setStatus);
+            await this.loadSets();
+        } catch (error) {
+            console.error("Compare: Error saving comparison set:", error);
+            this.updateStatus(i18n.t('compareSaveFailed', error.message), 'error', this.elements.setStatus);
+        }
+    }
+
+    /**
+     * 加载比较组并立即比较。已知频道ID时使用ID，避免再次消耗配额查找handle。
+     * @param {Object} set - 比较组
+     */
+    loadSet(set) {
+        this.activeSetId = set.id;
+        this.elements.setNameInput.value = set.name;
+        this.setChannelInputs(set.channels.map(channel => channel.channelId || channel.input));
+        this.updateStatus('', '', this.elements.setStatus);
+        this.compare();
+    }
+
+    /**
+     * 删除比较组。
+     * @param {Object} set - 比较组
+     */
+    async deleteSet(set) {
+        try {
+            await this.sendMessage({ type: 'DELETE_COMPARISON_SET', id: set.id });
+            if (this.activeSetId === set.id) {
+                this.activeSetId = null;
+            }
+            await this.loadSets();
+        } catch (error) {
+            console.error("Compare: Error deleting comparison set:", error);
+            this.updateStatus(i18n.t('compareDeleteFailed', error.message), 'error', this.elements.setStatus);
+        }
+    }
+
+    /**
+     * 按格式显示KPI值。
+     * @param {number|null} value - 数值
+     * @param {string} format - 'number'、'decimal' 或 'percent'
+     * @returns {string}
+     */
+    formatValue(value, format) {
+        if (value === null) return '-';
+        if (format === 'percent') return `${i18n.formatNumber(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}%`;
+        if (format === 'decimal') return i18n.formatNumber(value, { maximumFractionDigits: 2 });
+        return i18n.formatNumber(Math.round(value));
+    }
+
+    /**
+     * 截断过长的文本，用于图表标签。
+     * @param {string} text - 文本
+     * @param {number} maxLength - 最大长度
+     * @returns {string}
+     */
+    truncate(text, maxLength) {
+        return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+    }
+
+    /**
+     * 将数值格式化为紧凑形式，用于图表刻度。
+     * @param {number} value - 数值
+     * @returns {string} - 例如 '1.2M'
+     */
+    formatCompact(value) {
+        const abs = Math.abs(value);
+        if (abs >= 1000000) return `${(value / 1000000).toFixed(1)}M`;
+        if (abs >= 1000) return `${(value / 1000).toFixed(1)}K`;
+        return `${Math.round(value)}`;
+    }
+}
+
+// 加载界面语言并翻译静态文字后实例化CompareController，启动频道比较页面逻辑
+i18n.init().then(() => {
+    i18n.localizePage();
+    new CompareController();
+});
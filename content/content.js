@@ -2,6 +2,53 @@
 
 console.log("YouTube Analyzer Content Script: Version 6.1 Loaded! (Enhanced Analysis Capabilities and Resizing)"); // 更新版本信息
 
+const ANALYZE_BUTTON_ID = 'youtube-analyzer-button';
+const SCORE_BADGE_ID = 'youtube-analyzer-badge';
+const PLAYLIST_BUTTON_ID = 'youtube-analyzer-playlist-button';
+
+// Where the analyze button goes on each page type, in order of preference (YouTube ships several layouts)
+const WATCH_BUTTON_ANCHORS = ['ytd-watch-metadata #title', '#above-the-fold #title', '#info-contents h1'];
+const SHORTS_BUTTON_ANCHORS = ['ytd-reel-video-renderer[is-active] #actions', 'ytd-shorts #actions'];
+const PLAYLIST_BUTTON_ANCHORS = ['ytd-playlist-header-renderer .metadata-action-bar', 'yt-page-header-renderer yt-dynamic-text-view-model', 'ytd-playlist-sidebar-primary-info-renderer #title'];
+const CHANNEL_BUTTON_ANCHORS = ['yt-page-header-renderer yt-dynamic-text-view-model', '#channel-header #inner-header-container #buttons', '#channel-header #channel-name'];
+
+// How long to wait for YouTube to render the anchor element after a navigation
+const ANCHOR_TIMEOUT_MS = 10000;
+const ANCHOR_POLL_INTERVAL_MS = 500;
+
+// Delay before the MutationObserver fallback handles a URL change, giving yt-navigate-finish time to fire
+const NAVIGATION_FALLBACK_DELAY_MS = 1000;
+
+// Automatic analysis waits until the user has stayed on a watch page this long, so skipping through videos costs nothing
+const AUTO_ANALYZE_DELAY_MS = 2000;
+
+// Video analyses are reused for this long when the user comes back to a video, and at most this many are kept
+const ANALYSIS_CACHE_TTL_MS = 10 * 60 * 1000;
+const ANALYSIS_CACHE_MAX_ENTRIES = 30;
+
+// Video cards on the home feed, search results and channel Videos tabs, and the thumbnail link inside each card
+const GRID_ITEM_SELECTOR = 'ytd-rich-item-renderer, ytd-video-renderer, ytd-grid-video-renderer';
+const GRID_THUMBNAIL_SELECTOR = 'a#thumbnail[href], a[href*="/watch?v="], a[href^="/shorts/"]';
+const GRID_OVERLAY_CLASS = 'youtube-analyzer-grid-overlay';
+
+// Grid scans run at most this often while YouTube is rendering; visible videos are collected for
+// GRID_BATCH_DELAY_MS and requested in batches of GRID_BATCH_SIZE (the videos.list limit)
+const GRID_SCAN_INTERVAL_MS = 300;
+const GRID_BATCH_DELAY_MS = 500;
+const GRID_BATCH_SIZE = 50;
+const GRID_METRICS_MAX_ENTRIES = 2000;
+
+/**
+ * Formats a count compactly for the grid overlays, e.g. 1234 -> '1.2K', 2500000 -> '2.5M'.
+ * @param {number} value - The count.
+ * @returns {string}
+ */
+function formatCompactNumber(value) {
+    if (value >= 1000000) return `${(value / 1000000).toFixed(1)}M`;
+    if (value >= 1000) return `${(value / 1000).toFixed(1)}K`;
+    return `${value}`;
+}
+
 /**
  * ContentScriptManager class is responsible for injecting UI elements onto YouTube pages,
  * observing DOM changes, and communicating with the background script to fetch data.
@@ -10,6 +57,27 @@ class ContentScriptManager {
     constructor() {
         this.analysisIframe = null; // Reference to the iframe element
         this.observer = null; // Reference to the MutationObserver
+        this.iframeReady = false; // Whether the iframe has loaded and can receive messages
+        this.pendingIframeMessages = []; // Messages posted before the iframe finished loading
+        this.pageTarget = null; // The urlResolver.parse result for the current page (video, playlist or channel)
+        this.navigationId = 0; // Incremented on every navigation so stale async work can be discarded
+        this.navigationFallbackTimer = null;
+        this.injectingButton = false;
+        this.autoAnalyze = true; // Mirrors the autoAnalyze setting, which defaults to on
+        this.autoAnalyzeTimer = null;
+        this.analysisCache = new Map(); // videoId -> { promise, timestamp }
+        this.badgeAnalysis = null; // Analysis shown in the score badge for the current page
+        this.gridOverlays = true; // Mirrors the gridOverlays setting, which defaults to on
+        this.messages = null; // Message catalog for the display language, see loadMessages
+        this.language = undefined; // Display language of the catalog, used to format dates in messages
+        this.messagesLoaded = null;
+        this.gridObserver = null; // IntersectionObserver for video cards that haven't been requested yet
+        this.gridItemVideoIds = new WeakMap(); // card element -> videoId it was last scanned with (YouTube recycles cards)
+        this.gridMetrics = new Map(); // videoId -> metrics, or null while requested or when unavailable
+        this.pendingGridIds = new Set(); // Visible videos waiting for the next batch
+        this.gridScanTimer = null;
+        this.gridBatchTimer = null;
+        this.handleNavigationBound = this.handleNavigation.bind(this);
 
         // Bind the message handler once for adding/removing the listener
         this.handleIframeMessageBound = this.handleIframeMessage.bind(this);
@@ -35,12 +103,119 @@ class ContentScriptManager {
         try {
             this.injectAnalysisIframe(); // Inject the iframe
             this.observeUrlChanges();    // Observe DOM changes to detect URL changes (for YouTube SPA)
+            this.loadMessages();         // Load the in-page strings in the display language
+            this.watchSettings();        // Follow the autoAnalyze, gridOverlays and language settings
+            this.setupGridOverlays();    // Annotate video cards as they scroll into view
             this.addButtonsToPage();     // Attempt to inject buttons on the current page load
         } catch (e) {
             console.error("Content Script: Error during init():", e);
         }
     }
 
+    /**
+     * Loads the autoAnalyze and gridOverlays settings and keeps them in sync with the options page.
+     * Turning a setting off removes its badges right away; turning it on annotates the current page.
+     */
+    watchSettings() {
+        this.settingsLoaded = chrome.storage.sync.get(['autoAnalyze', 'gridOverlays']).then(settings => {
+            this.autoAnalyze = settings.autoAnalyze !== undefined ? settings.autoAnalyze : true;
+            this.gridOverlays = settings.gridOverlays !== undefined ? settings.gridOverlays : true;
+        }).catch(e => {
+            console.warn("Content Script: Failed to load settings, keeping defaults:", e);
+        });
+
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== 'sync') return;
+            if (changes.language) {
+                this.loadMessages();
+            }
+            if (changes.gridOverlays) {
+                this.gridOverlays = changes.gridOverlays.newValue !== undefined ? changes.gridOverlays.newValue : true;
+                this.resetGridOverlays();
+            }
+            if (!changes.autoAnalyze) return;
+            this.autoAnalyze = changes.autoAnalyze.newValue !== undefined ? changes.autoAnalyze.newValue : true;
+            if (!this.autoAnalyze) {
+                clearTimeout(this.autoAnalyzeTimer);
+                this.badgeAnalysis = null;
+                this.removeScoreBadge();
+            } else if (this.pageTarget) {
+                this.scheduleAutoAnalysis(this.pageTarget, this.navigationId);
+            }
+        });
+    }
+
+    /**
+     * Loads the message catalog for the display language from the background.
+     * chrome.i18n only follows the browser language, so it is just the fallback until the catalog arrives.
+     * @returns {Promise<void>}
+     */
+    loadMessages() {
+        this.messagesLoaded = chrome.runtime.sendMessage({ type: 'GET_UI_MESSAGES' }).then(response => {
+            if (response && response.success) {
+                this.messages = response.data.messages;
+                this.language = response.data.language;
+            }
+        }).catch(e => {
+            console.warn("Content Script: Failed to load messages, falling back to chrome.i18n:", e);
+        });
+        return this.messagesLoaded;
+    }
+
+    /**
+     * Returns an in-page string in the display language, with $1 to $9 replaced by the params.
+     * @param {string} key - The message name in _locales.
+     * @param {...*} params - The substitutions.
+     * @returns {string} The message, or the key if there is none.
+     */
+    t(key, ...params) {
+        const entry = this.messages && this.messages[key];
+        if (!entry) {
+            return chrome.i18n.getMessage(key, params.map(String)) || key;
+        }
+        return entry.message.replace(/\$(\d|\$)/g, (match, index) => {
+            if (index === '$') return '$';
+            const value = params[index - 1];
+            return value === undefined || value === null ? '' : String(value);
+        });
+    }
+
+    /**
+     * Turns a { key, params } message reference from the background into text, like i18n.translate in the extension pages.
+     * @param {Object|string} ref - The message reference, or plain text.
+     * @returns {string} The message in the display language.
+     */
+    translate(ref) {
+        if (ref === null || ref === undefined) {
+            return '';
+        }
+        if (typeof ref !== 'object') {
+            return String(ref);
+        }
+        const params = (ref.params || []).map(param => {
+            if (Array.isArray(param)) {
+                return param.map(item => this.translate(item)).join(this.t('listSeparator'));
+            }
+            if (param && typeof param === 'object') {
+                return param.dateTime !== undefined ? new Date(param.dateTime).toLocaleString(this.language) : this.translate(param);
+            }
+            return param;
+        });
+        return this.t(ref.key, ...params);
+    }
+
+    /**
+     * Returns the error text of a failed background response, translated when it carries a message reference.
+     * @param {Object} [response] - The { success: false, error, errorRef } response.
+     * @returns {string} The error in the display language.
+     */
+    describeError(response) {
+        if (response && response.errorRef) {
+            return this.translate(response.errorRef);
+        }
+        return response && response.error ? response.error : this.t('errorUnknown');
+    }
+
     /**
      * Handles messages from the iframe, e.g., panel close requests, resize requests.
      * This function needs to be very robust to context invalidation.
@@ -145,6 +320,8 @@ class ContentScriptManager {
                     // Optionally, send an acknowledgment back to the iframe
                     this.sendDataToIframe({ type: 'RESIZE_PANEL_ACK', newHeight: clampedHeight });
                 }
+            } else if (type === 'LOAD_COMMENT_ANALYSIS') {
+                this.loadCommentAnalysis(event.data.videoId, event.data.channelId);
             }
         } catch (e) {
             // Master error handler - catches any unexpected errors, including context invalidation
@@ -212,6 +389,8 @@ class ContentScriptManager {
 
             iframe.onload = () => {
                 console.log("Content Script: Analysis iframe loaded.");
+                this.iframeReady = true;
+                this.flushPendingIframeMessages();
                 // Initial resize request after iframe content loads
                 if (this.analysisIframe && this.analysisIframe.contentWindow) {
                     this.analysisIframe.contentWindow.postMessage({ type: 'INITIAL_RESIZE_REQUEST' }, chrome.runtime.getURL(''));
@@ -246,9 +425,694 @@ class ContentScriptManager {
         }
     };
 
+    /**
+     * Asks the background script what the current page URL points to. Parsing is local and costs no quota;
+     * @handle and custom channel URLs are only resolved to a channel ID when the page is actually analyzed.
+     * @returns {Promise<Object|null>} { type: 'video', videoId, playlistId }, { type: 'playlist', playlistId } or { type: 'channel', channel },
+     *                                 or null if the page is none of these.
+     */
+    async parsePageTarget() {
+        if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.id) {
+            console.warn("Content Script: Cannot parse page URL: Extension context is invalid.");
+            return null;
+        }
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'PARSE_YOUTUBE_URL', url: location.href });
+            return response && response.success ? response.data : null;
+        } catch (e) {
+            console.error("Content Script: Error parsing page URL:", e);
+            return null;
+        }
+    }
+
     /**
      * Uses MutationObserver to watch for body DOM changes to detect URL changes.
      */
     observeUrlChanges() {
         let lastUrl = location.href;
-        // Disconnect
\ No newline at end of file
+        // Disconnect any previous observer so re-initialization doesn't stack observers
+        if (this.observer) {
+            this.observer.disconnect();
+        }
+
+        // YouTube fires yt-navigate-finish after each SPA navigation has rendered the new page
+        document.removeEventListener('yt-navigate-finish', this.handleNavigationBound);
+        document.addEventListener('yt-navigate-finish', this.handleNavigationBound);
+
+        this.observer = new MutationObserver(() => {
+            // Fallback for navigations that don't fire the event. The URL changes before the new page renders,
+            // so wait a moment; yt-navigate-finish usually arrives first and handleNavigation ignores repeats.
+            if (location.href !== lastUrl) {
+                lastUrl = location.href;
+                clearTimeout(this.navigationFallbackTimer);
+                this.navigationFallbackTimer = setTimeout(this.handleNavigationBound, NAVIGATION_FALLBACK_DELAY_MS);
+                return;
+            }
+            this.scheduleGridScan();
+            // YouTube sometimes re-renders the title or header and drops the button with it
+            if (this.pageTarget && !this.injectingButton && !document.getElementById(ANALYZE_BUTTON_ID)) {
+                this.injectAnalyzeButton(this.pageTarget, this.navigationId);
+            }
+        });
+        this.observer.observe(document.body, { childList: true, subtree: true });
+        console.log("Content Script: Observing URL changes.");
+    }
+
+    /**
+     * Handles an SPA navigation: hides the panel of the previous page and injects the button for the new one.
+     */
+    handleNavigation() {
+        if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.id) {
+            console.warn("Content Script: Context invalidated during navigation. Disconnecting observers.");
+            this.teardown();
+            return;
+        }
+        if (this.lastNavigatedUrl === location.href) {
+            return;
+        }
+        this.lastNavigatedUrl = location.href;
+        console.log("Content Script: Navigated to", location.href);
+        this.hideAnalysisIframe();
+        this.addButtonsToPage();
+    }
+
+    /**
+     * Removes listeners and observers once the extension context is gone.
+     */
+    teardown() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        clearTimeout(this.navigationFallbackTimer);
+        clearTimeout(this.autoAnalyzeTimer);
+        clearTimeout(this.gridScanTimer);
+        clearTimeout(this.gridBatchTimer);
+        if (this.gridObserver) {
+            this.gridObserver.disconnect();
+            this.gridObserver = null;
+        }
+        this.pageTarget = null;
+        document.removeEventListener('yt-navigate-finish', this.handleNavigationBound);
+        window.removeEventListener('message', this.handleIframeMessageBound);
+        this.removeAnalyzeButton();
+    }
+
+    /**
+     * Creates the IntersectionObserver that requests metrics for video cards once they are about to scroll into view.
+     */
+    setupGridOverlays() {
+        if (this.gridObserver) {
+            this.gridObserver.disconnect();
+        }
+        this.gridObserver = new IntersectionObserver(entries => this.handleGridIntersection(entries), { rootMargin: '200px 0px' });
+        this.scheduleGridScan();
+    }
+
+    /**
+     * Scans for new video cards shortly after DOM changes. Throttled rather than debounced,
+     * since YouTube keeps mutating the page while a video plays.
+     */
+    scheduleGridScan() {
+        if (this.gridScanTimer || !this.gridObserver) return;
+        this.gridScanTimer = setTimeout(async () => {
+            await this.settingsLoaded;
+            this.gridScanTimer = null;
+            if (this.gridOverlays) {
+                this.scanGridItems();
+            }
+        }, GRID_SCAN_INTERVAL_MS);
+    }
+
+    /**
+     * Starts observing video cards that are new or that YouTube has reused for a different video.
+     */
+    scanGridItems() {
+        document.querySelectorAll(GRID_ITEM_SELECTOR).forEach(item => {
+            const videoId = this.getGridItemVideoId(item);
+            if (!videoId || this.gridItemVideoIds.get(item) === videoId) return;
+
+            this.gridItemVideoIds.set(item, videoId);
+            this.removeGridOverlay(item);
+            // Observing an element that is already observed is a no-op; the callback reads the current ID
+            this.gridObserver.observe(item);
+        });
+    }
+
+    /**
+     * Reads the video ID from a card's thumbnail link (/watch?v=ID or /shorts/ID).
+     * @param {Element} item - The video card.
+     * @returns {string|null} The video ID, or null for cards without a video (e.g. ads, mixes).
+     */
+    getGridItemVideoId(item) {
+        const link = item.querySelector(GRID_THUMBNAIL_SELECTOR);
+        if (!link) return null;
+        try {
+            const url = new URL(link.getAttribute('href'), location.origin);
+            const videoId = url.pathname === '/watch' ? url.searchParams.get('v') : url.pathname.split('/')[2];
+            return videoId && /^[\w-]{11}$/.test(videoId) ? videoId : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Queues cards that became visible for the next metrics batch, or renders metrics that are already known.
+     * @param {IntersectionObserverEntry[]} entries - Observer entries.
+     */
+    handleGridIntersection(entries) {
+        if (!this.gridOverlays) return;
+        for (const entry of entries) {
+            if (!entry.isIntersecting) continue;
+            this.gridObserver.unobserve(entry.target);
+
+            const videoId = this.gridItemVideoIds.get(entry.target);
+            if (!this.gridMetrics.has(videoId)) {
+                this.pendingGridIds.add(videoId);
+            } else if (this.gridMetrics.get(videoId)) {
+                this.renderGridOverlay(entry.target, this.gridMetrics.get(videoId));
+            }
+        }
+
+        if (this.pendingGridIds.size > 0 && !this.gridBatchTimer) {
+            this.gridBatchTimer = setTimeout(() => this.flushGridBatch(), GRID_BATCH_DELAY_MS);
+        }
+    }
+
+    /**
+     * Requests metrics for the queued videos, GRID_BATCH_SIZE at a time, and renders them on every matching card.
+     * Videos whose request failed are not retried until the page is reloaded, so a missing API key or
+     * exhausted quota doesn't turn scrolling into a stream of failing requests.
+     */
+    async flushGridBatch() {
+        this.gridBatchTimer = null;
+        while (this.pendingGridIds.size > 0) {
+            if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.id) {
+                this.teardown();
+                return;
+            }
+
+            const batch = [...this.pendingGridIds].slice(0, GRID_BATCH_SIZE);
+            batch.forEach(videoId => {
+                this.pendingGridIds.delete(videoId);
+                this.gridMetrics.set(videoId, null);
+            });
+
+            try {
+                const response = await chrome.runtime.sendMessage({ type: 'GET_VIDEO_METRICS_BATCH', videoIds: batch });
+                if (!response || !response.success) {
+                    console.warn("Content Script: Grid metrics request failed:", response && response.error);
+                    continue;
+                }
+                response.data.forEach(metrics => this.gridMetrics.set(metrics.videoId, metrics));
+                this.renderGridOverlays(new Set(batch));
+            } catch (e) {
+                console.warn("Content Script: Grid metrics request failed:", e.message);
+            }
+        }
+
+        // Map keeps insertion order, so the oldest entries come first
+        while (this.gridMetrics.size > GRID_METRICS_MAX_ENTRIES) {
+            this.gridMetrics.delete(this.gridMetrics.keys().next().value);
+        }
+    }
+
+    /**
+     * Renders overlays on all cards currently showing one of the given videos.
+     * @param {Set<string>} videoIds - Videos whose metrics just arrived.
+     */
+    renderGridOverlays(videoIds) {
+        if (!this.gridOverlays) return;
+        document.querySelectorAll(GRID_ITEM_SELECTOR).forEach(item => {
+            const videoId = this.gridItemVideoIds.get(item);
+            if (videoIds.has(videoId) && this.gridMetrics.get(videoId)) {
+                this.renderGridOverlay(item, this.gridMetrics.get(videoId));
+            }
+        });
+    }
+
+    /**
+     * Draws the metrics overlay in the top-left corner of a card's thumbnail: views/day, like rate
+     * and, when the video has at least twice the channel's average views, an outlier badge.
+     * @param {Element} item - The video card.
+     * @param {Object} metrics - A GET_VIDEO_METRICS_BATCH result.
+     */
+    renderGridOverlay(item, metrics) {
+        const link = item.querySelector(GRID_THUMBNAIL_SELECTOR);
+        if (!link) return;
+        this.removeGridOverlay(item);
+
+        const overlay = document.createElement('div');
+        overlay.className = GRID_OVERLAY_CLASS;
+        overlay.style.cssText = `
+            position: absolute;
+            top: 4px;
+            left: 4px;
+            z-index: 10;
+            display: flex;
+            gap: 4px;
+            pointer-events: none;
+            font-family: Roboto, Arial, sans-serif;
+            font-size: 12px;
+            font-weight: 500;
+            line-height: 18px;
+        `;
+
+        const addChip = (text, background) => {
+            const chip = document.createElement('span');
+            chip.textContent = text;
+            chip.style.cssText = `padding: 0 6px; border-radius: 4px; color: #fff; background-color: ${background};`;
+            overlay.appendChild(chip);
+        };
+        addChip(this.t('contentViewsPerDay', formatCompactNumber(metrics.viewsPerDay)), 'rgba(0, 0, 0, 0.75)');
+        if (metrics.likeRate !== null) {
+            addChip(`👍 ${metrics.likeRate}%`, 'rgba(0, 0, 0, 0.75)');
+        }
+        if (metrics.isOutlier) {
+            addChip(`${metrics.outlierMultiple.toFixed(1)}×`, '#cc0000');
+        }
+
+        if (getComputedStyle(link).position === 'static') {
+            link.style.position = 'relative';
+        }
+        link.appendChild(overlay);
+    }
+
+    /**
+     * Removes the metrics overlay from a card.
+     * @param {Element} item - The video card.
+     */
+    removeGridOverlay(item) {
+        const existing = item.querySelector(`.${GRID_OVERLAY_CLASS}`);
+        if (existing) {
+            existing.remove();
+        }
+    }
+
+    /**
+     * Applies a change of the gridOverlays setting: removes all overlays, and rescans the page if it was turned on.
+     */
+    resetGridOverlays() {
+        document.querySelectorAll(`.${GRID_OVERLAY_CLASS}`).forEach(overlay => overlay.remove());
+        this.gridItemVideoIds = new WeakMap();
+        // A fresh observer reports cards that are already visible, which an existing one would not do again
+        this.setupGridOverlays();
+    }
+
+    /**
+     * Injects the "Analyze" button on watch, Shorts, channel and playlist pages.
+     * The button is placed next to the video title, channel name or playlist title once YouTube has rendered it,
+     * and falls back to a floating button if no anchor appears in time.
+     */
+    async addButtonsToPage() {
+        const navigationId = ++this.navigationId;
+        this.lastNavigatedUrl = location.href;
+        this.pageTarget = null;
+        this.badgeAnalysis = null;
+        clearTimeout(this.autoAnalyzeTimer);
+        this.removeAnalyzeButton();
+
+        const target = await this.parsePageTarget();
+        if (navigationId !== this.navigationId) return; // Navigated again while parsing
+        this.pageTarget = target;
+        if (target) {
+            this.scheduleAutoAnalysis(target, navigationId);
+            await this.injectAnalyzeButton(target, navigationId);
+        }
+    }
+
+    /**
+     * Analyzes a watch page automatically once the user has stayed on it for a moment, if autoAnalyze is on.
+     * Shorts and channel pages are only analyzed on request, since swiping through Shorts would burn quota.
+     * @param {Object} target - The parsed page target.
+     * @param {number} navigationId - The navigation the analysis belongs to.
+     */
+    async scheduleAutoAnalysis(target, navigationId) {
+        clearTimeout(this.autoAnalyzeTimer);
+        await this.settingsLoaded;
+        if (!this.autoAnalyze || target.type !== 'video' || location.pathname !== '/watch' || navigationId !== this.navigationId) {
+            return;
+        }
+
+        this.autoAnalyzeTimer = setTimeout(async () => {
+            try {
+                const analysis = await this.getVideoAnalysis(target.videoId, { automatic: true });
+                if (navigationId !== this.navigationId || !this.autoAnalyze) return;
+                this.badgeAnalysis = analysis;
+                this.renderScoreBadge(analysis);
+            } catch (e) {
+                // Missing API key, exhausted quota and the like: stay quiet, the analyze button still reports errors
+                console.warn("Content Script: Automatic analysis failed:", e.message);
+            }
+        }, AUTO_ANALYZE_DELAY_MS);
+    }
+
+    /**
+     * Returns the analysis for a video, reusing a recent or in-flight request for the same video.
+     * @param {string} videoId - The video to analyze.
+     * @param {Object} [options] - Request options.
+     * @param {boolean} [options.automatic] - Whether the analysis was started by autoAnalyze rather than the user.
+     * @returns {Promise<Object>} The ANALYZE_VIDEO_DATA result.
+     */
+    getVideoAnalysis(videoId, { automatic = false } = {}) {
+        const cached = this.analysisCache.get(videoId);
+        if (cached && Date.now() - cached.timestamp < ANALYSIS_CACHE_TTL_MS) {
+            return cached.promise;
+        }
+
+        const promise = chrome.runtime.sendMessage({ type: 'ANALYZE_VIDEO_DATA', videoId, automatic }).then(response => {
+            if (!response || !response.success) {
+                throw new Error(this.describeError(response));
+            }
+            return response.data;
+        });
+        // Failed analyses are not cached, so the next attempt asks again
+        promise.catch(() => {
+            if (this.analysisCache.get(videoId) && this.analysisCache.get(videoId).promise === promise) {
+                this.analysisCache.delete(videoId);
+            }
+        });
+
+        this.analysisCache.delete(videoId);
+        this.analysisCache.set(videoId, { promise, timestamp: Date.now() });
+        if (this.analysisCache.size > ANALYSIS_CACHE_MAX_ENTRIES) {
+            // Map keeps insertion order, so the first key is the oldest entry
+            this.analysisCache.delete(this.analysisCache.keys().next().value);
+        }
+        return promise;
+    }
+
+    /**
+     * Shows the compact score badge next to the analyze button: performance score, like rate and outlier multiple.
+     * Clicking the badge opens the full analysis panel with the same data.
+     * @param {Object} analysis - The ANALYZE_VIDEO_DATA result.
+     */
+    renderScoreBadge(analysis) {
+        const button = document.getElementById(ANALYZE_BUTTON_ID);
+        if (!button || !analysis || !analysis.kpis) return;
+        this.removeScoreBadge();
+
+        const { performanceScore, likeViewRatio } = analysis.kpis;
+        const outlierMultiple = analysis.viralAnalysis ? analysis.viralAnalysis.outlierMultiple : null;
+        const multipleText = outlierMultiple !== null ? outlierMultiple.toFixed(1) : null;
+        let color = '#909090';
+        if (performanceScore >= 70) color = '#27ae60';
+        else if (performanceScore >= 40) color = '#f39c12';
+
+        const badge = document.createElement('span');
+        badge.id = SCORE_BADGE_ID;
+        badge.textContent = this.t('contentScoreBadge', performanceScore, likeViewRatio, multipleText !== null ? `${multipleText}×` : '-');
+        badge.title = outlierMultiple !== null
+            ? this.t('contentScoreBadgeTitle', performanceScore, likeViewRatio, multipleText)
+            : this.t('contentScoreBadgeTitleNoMultiple', performanceScore, likeViewRatio);
+        badge.style.cssText = `
+            display: inline-block;
+            margin-left: 8px;
+            padding: 5px 10px;
+            border: 1px solid ${color};
+            border-radius: 14px;
+            color: ${color};
+            background-color: #fff;
+            font-size: 13px;
+            font-weight: 500;
+            cursor: pointer;
+            vertical-align: middle;
+            white-space: nowrap;
+        `;
+        badge.addEventListener('click', event => {
+            event.preventDefault();
+            event.stopPropagation();
+            this.showAnalysisIframe();
+            this.sendDataToIframe({ type: 'ENHANCED_VIDEO_DATA', data: analysis });
+        });
+        button.insertAdjacentElement('afterend', badge);
+    }
+
+    /**
+     * Removes the score badge.
+     */
+    removeScoreBadge() {
+        const existing = document.getElementById(SCORE_BADGE_ID);
+        if (existing) {
+            existing.remove();
+        }
+    }
+
+    /**
+     * Creates the analyze button for the current page and places it once its anchor has rendered.
+     * @param {Object} target - The parsed page target.
+     * @param {number} navigationId - The navigation the button belongs to; the button is dropped if the user navigates away first.
+     */
+    async injectAnalyzeButton(target, navigationId) {
+        this.injectingButton = true;
+        try {
+            await this.placeAnalyzeButton(target, navigationId);
+        } finally {
+            this.injectingButton = false;
+        }
+    }
+
+    /**
+     * Waits for the anchor element and inserts the button, or floats it if no anchor appears.
+     * @param {Object} target - The parsed page target.
+     * @param {number} navigationId - The navigation the button belongs to.
+     */
+    async placeAnalyzeButton(target, navigationId) {
+        const isShorts = location.pathname.startsWith('/shorts/');
+        let selectors = isShorts ? SHORTS_BUTTON_ANCHORS : WATCH_BUTTON_ANCHORS;
+        if (target.type === 'channel') selectors = CHANNEL_BUTTON_ANCHORS;
+        if (target.type === 'playlist') selectors = PLAYLIST_BUTTON_ANCHORS;
+        const anchor = await this.waitForElement(selectors, ANCHOR_TIMEOUT_MS);
+        await this.messagesLoaded;
+        if (navigationId !== this.navigationId || document.getElementById(ANALYZE_BUTTON_ID)) return;
+
+        const labels = {
+            video: this.t('contentAnalyzeVideo'),
+            channel: this.t('contentAnalyzeChannel'),
+            playlist: this.t('contentAnalyzePlaylist')
+        };
+        const button = this.createAnalyzeButton(ANALYZE_BUTTON_ID, labels[target.type], () => this.analyzeCurrentPage());
+        this.insertAnalyzeButton(button, anchor, 0);
+
+        // A video playing from a playlist also gets a button for the playlist itself
+        if (target.type === 'video' && target.playlistId) {
+            const playlistButton = this.createAnalyzeButton(PLAYLIST_BUTTON_ID, labels.playlist,
+                () => this.analyzeCurrentPage({ type: 'playlist', playlistId: target.playlistId }));
+            this.insertAnalyzeButton(playlistButton, anchor, 1);
+        }
+        if (this.badgeAnalysis) {
+            this.renderScoreBadge(this.badgeAnalysis);
+        }
+        console.log(`Content Script: Analyze button added for ${target.type} page.`);
+    }
+
+    /**
+     * Creates an in-page analyze button.
+     * @param {string} id - The element ID.
+     * @param {string} label - The button text.
+     * @param {Function} onClick - Called when the button is clicked.
+     * @returns {HTMLButtonElement}
+     */
+    createAnalyzeButton(id, label, onClick) {
+        const button = document.createElement('button');
+        button.id = id;
+        button.type = 'button';
+        button.textContent = label;
+        button.style.cssText = `
+            margin: 0 0 0 12px;
+            padding: 6px 14px;
+            border: none;
+            border-radius: 18px;
+            background-color: #065fd4;
+            color: #fff;
+            font-size: 14px;
+            font-weight: 500;
+            cursor: pointer;
+            vertical-align: middle;
+            white-space: nowrap;
+        `;
+        button.addEventListener('click', event => {
+            event.preventDefault();
+            event.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+
+    /**
+     * Appends a button to the anchor, or floats it in the bottom-right corner if no anchor was found.
+     * @param {HTMLButtonElement} button - The button.
+     * @param {Element|null} anchor - The anchor element.
+     * @param {number} stackIndex - Position in the floating stack, so several floating buttons don't overlap.
+     */
+    insertAnalyzeButton(button, anchor, stackIndex) {
+        if (anchor) {
+            anchor.appendChild(button);
+            return;
+        }
+        // The page layout didn't match any known anchor, so float the button instead
+        button.style.cssText += `
+            position: fixed !important;
+            right: 20px !important;
+            bottom: ${20 + stackIndex * 44}px !important;
+            z-index: 2147483646 !important;
+            box-shadow: 0 2px 8px rgba(0,0,0,0.3) !important;
+        `;
+        document.body.appendChild(button);
+    }
+
+    /**
+     * Removes the analyze buttons left over from the previous page.
+     */
+    removeAnalyzeButton() {
+        [ANALYZE_BUTTON_ID, PLAYLIST_BUTTON_ID].forEach(id => {
+            const existing = document.getElementById(id);
+            if (existing) {
+                existing.remove();
+            }
+        });
+        this.removeScoreBadge();
+    }
+
+    /**
+     * Waits for the first element matching any of the selectors.
+     * @param {string[]} selectors - Candidate selectors, in order of preference.
+     * @param {number} timeout - Maximum time to wait in milliseconds.
+     * @returns {Promise<Element|null>} The element, or null if none appeared in time.
+     */
+    waitForElement(selectors, timeout) {
+        const find = () => {
+            for (const selector of selectors) {
+                const element = document.querySelector(selector);
+                if (element) return element;
+            }
+            return null;
+        };
+
+        return new Promise(resolve => {
+            const found = find();
+            if (found) {
+                resolve(found);
+                return;
+            }
+            const startedAt = Date.now();
+            const timer = setInterval(() => {
+                const element = find();
+                if (element || Date.now() - startedAt >= timeout) {
+                    clearInterval(timer);
+                    resolve(element);
+                }
+            }, ANCHOR_POLL_INTERVAL_MS);
+        });
+    }
+
+    /**
+     * Requests the analysis for the current page from the background script and shows it in the panel.
+     * @param {Object} [target] - What to analyze; defaults to the page target (e.g. the playlist button passes the playlist).
+     */
+    async analyzeCurrentPage(target = this.pageTarget) {
+        if (!target) return;
+
+        if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.id) {
+            console.warn("Content Script: Cannot analyze page: Extension context is invalid.");
+            this.teardown();
+            return;
+        }
+
+        const navigationId = this.navigationId;
+        const loadingMessages = {
+            video: 'contentAnalyzingVideo',
+            channel: 'contentAnalyzingChannel',
+            playlist: 'contentAnalyzingPlaylist'
+        };
+        this.showAnalysisIframe();
+        this.sendDataToIframe({ type: 'LOADING', message: this.t(loadingMessages[target.type]) });
+
+        try {
+            if (target.type === 'video') {
+                const analysis = await this.getVideoAnalysis(target.videoId);
+                if (navigationId !== this.navigationId) return; // The user navigated away while waiting
+                this.sendDataToIframe({ type: 'ENHANCED_VIDEO_DATA', data: analysis });
+                return;
+            }
+
+            // Channel pages send the page URL so the background can resolve @handle and custom URLs
+            const isPlaylist = target.type === 'playlist';
+            const response = await chrome.runtime.sendMessage(isPlaylist
+                ? { type: 'ANALYZE_PLAYLIST', playlistId: target.playlistId }
+                : { type: 'ANALYZE_CHANNEL_DATA', channelId: location.href });
+            if (navigationId !== this.navigationId) return;
+
+            if (response && response.success) {
+                this.sendDataToIframe({ type: isPlaylist ? 'ENHANCED_PLAYLIST_DATA' : 'ENHANCED_CHANNEL_DATA', data: response.data });
+            } else {
+                const error = this.describeError(response);
+                this.sendDataToIframe({ type: 'ERROR', message: this.t('contentAnalysisFailed', error) });
+            }
+        } catch (e) {
+            console.error("Content Script: Error requesting analysis:", e);
+            if (navigationId !== this.navigationId) return;
+            const message = e.message && e.message.includes('Extension context invalidated')
+                ? this.t('contentContextInvalidated')
+                : this.t('contentAnalysisFailed', e.message);
+            this.sendDataToIframe({ type: 'ERROR', message });
+        }
+    }
+
+    /**
+     * Analyzes a video's comments on request from the panel, which shows the result in its comments tab.
+     * The result is also stored on the cached analysis so reopening the panel doesn't load the comments again.
+     * @param {string} videoId - The video whose comments are analyzed.
+     * @param {string} channelId - The video's channel, used to tell which questions the creator answered.
+     */
+    async loadCommentAnalysis(videoId, channelId) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'ANALYZE_COMMENTS', videoId, channelId });
+            if (!response || !response.success) {
+                throw new Error(this.describeError(response));
+            }
+
+            const cached = this.analysisCache.get(videoId);
+            if (cached) {
+                cached.promise.then(analysis => { analysis.commentAnalysis = response.data; }, () => {});
+            }
+            this.sendDataToIframe({ type: 'COMMENT_ANALYSIS_DATA', data: response.data });
+        } catch (e) {
+            console.error("Content Script: Error loading comment analysis:", e);
+            this.sendDataToIframe({ type: 'COMMENT_ANALYSIS_ERROR', message: e.message });
+        }
+    }
+
+    /**
+     * Posts a message to the analysis panel iframe. Messages sent before the iframe has loaded are queued.
+     * @param {Object} message - Message with a type and optional data/message fields.
+     */
+    sendDataToIframe(message) {
+        if (!this.analysisIframe) {
+            this.injectAnalysisIframe();
+        }
+        if (!this.analysisIframe || !this.iframeReady || !this.analysisIframe.contentWindow) {
+            this.pendingIframeMessages.push(message);
+            return;
+        }
+        try {
+            this.analysisIframe.contentWindow.postMessage(message, chrome.runtime.getURL(''));
+        } catch (e) {
+            console.error("Content Script: Failed to post message to iframe (context issue?):", e);
+        }
+    }
+
+    /**
+     * Delivers messages queued while the iframe was loading.
+     */
+    flushPendingIframeMessages() {
+        const pending = this.pendingIframeMessages;
+        this.pendingIframeMessages = [];
+        pending.forEach(message => this.sendDataToIframe(message));
+    }
+}
+
+// Instantiate once per page; YouTube navigations are SPA transitions and don't reload the content script
+if (!window.youtubeAnalyzerContentScript) {
+    window.youtubeAnalyzerContentScript = new ContentScriptManager();
+}
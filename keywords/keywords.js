@@ -0,0 +1,458 @@
+// keywords/keywords.js
+import exportUtils from '../libs/export-utils.js';
+import i18n from '../libs/i18n.js';
+
+// 导出格式：文件扩展名 -> MIME类型
+const EXPORT_MIME_TYPES = {
+    csv: 'text/csv;charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * KeywordsController类管理关键词研究页面：研究关键词并显示竞争度、需求、新鲜度、相关关键词和搜索结果，
+ * 以及关键词列表的保存、移除和导出。
+ */
+class KeywordsController {
+    constructor() {
+        this.elements = {
+            keywordInput: document.getElementById('keywordInput'),
+            researchButton: document.getElementById('researchButton'),
+            researchStatus: document.getElementById('researchStatus'),
+            summarySection: document.getElementById('summarySection'),
+            summaryTitle: document.getElementById('summaryTitle'),
+            metricCards: document.getElementById('metricCards'),
+            listNameInput: document.getElementById('listNameInput'),
+            listNames: document.getElementById('listNames'),
+            addToListButton: document.getElementById('addToListButton'),
+            listStatus: document.getElementById('listStatus'),
+            relatedSection: document.getElementById('relatedSection'),
+            relatedKeywords: document.getElementById('relatedKeywords'),
+            resultsSection: document.getElementById('resultsSection'),
+            resultsTable: document.getElementById('resultsTable'),
+            savedListsStatus: document.getElementById('savedListsStatus'),
+            keywordLists: document.getElementById('keywordLists')
+        };
+        this.lists = [];
+        this.result = null; // 最近一次研究结果
+        this.progressId = null;
+
+        this.init();
+    }
+
+    /**
+     * 初始化：绑定事件并加载已保存的关键词列表。
+     */
+    async init() {
+        this.elements.researchButton.addEventListener('click', () => this.research());
+        this.elements.keywordInput.addEventListener('keydown', event => {
+            if (event.key === 'Enter') this.research();
+        });
+        this.elements.addToListButton.addEventListener('click', () => this.addToList());
+        chrome.runtime.onMessage.addListener(message => this.handleProgressMessage(message));
+
+        await this.loadLists();
+    }
+
+    /**
+     * 发送消息到后台脚本，失败时抛出错误。
+     * @param {Object} message - 消息对象
+     * @returns {Promise<any>} - 响应数据
+     */
+    async sendMessage(message) {
+        const response = await chrome.runtime.sendMessage(message);
+        if (!response || !response.success) {
+            throw new Error(i18n.describeError(response));
+        }
+        return response.data;
+    }
+
+    /**
+     * 更新状态消息显示。
+     * @param {string} message - 要显示的消息
+     * @param {string} type - 消息类型 ('loading', 'success', 'error')
+     * @param {HTMLElement} targetElement - 要更新的DOM元素
+     */
+    updateStatus(message, type, targetElement) {
+        targetElement.textContent = message;
+        targetElement.className = `status-message ${type}-message`;
+    }
+
+    /**
+     * 显示搜索进度。
+     * @param {Object} message - 后台发送的 PAGINATION_PROGRESS 消息
+     */
+    handleProgressMessage(message) {
+        if (!message || message.type !== 'PAGINATION_PROGRESS' || message.progressId !== this.progressId) {
+            return;
+        }
+        const status = message.done ? i18n.t('keywordsFetchingStats') : i18n.t('keywordsSearchProgress', message.loaded);
+        this.updateStatus(status, 'loading', this.elements.researchStatus);
+    }
+
+    /**
+     * 研究输入的关键词并显示结果。
+     * @param {string} [keyword] - 要研究的关键词，默认使用输入框中的值
+     */
+    async research(keyword) {
+        if (this.progressId) return;
+        if (keyword !== undefined) {
+            this.elements.keywordInput.value = keyword;
+        }
+        const seed = this.elements.keywordInput.value.trim();
+        if (!seed) {
+            this.updateStatus(i18n.t('keywordsEnterKeyword'), 'error', this.elements.researchStatus);
+            return;
+        }
+
+        this.progressId = `keyword-${Date.now()}`;
+        this.updateStatus(i18n.t('keywordsSearching'), 'loading', this.elements.researchStatus);
+        this.elements.researchButton.disabled = true;
+        try {
+            this.result = await this.sendMessage({ type: 'RESEARCH_KEYWORD', keyword: seed, progressId: this.progressId });
+            this.updateStatus(i18n.t('keywordsAnalyzed', this.result.videos.length), 'success', this.elements.researchStatus);
+            this.renderResult(this.result);
+        } catch (error) {
+            console.error("Keywords: Error researching keyword:", error);
+            this.updateStatus(i18n.t('keywordsResearchFailed', error.message), 'error', this.elements.researchStatus);
+        } finally {
+            this.progressId = null;
+            this.elements.researchButton.disabled = false;
+        }
+    }
+
+    /**
+     * 显示研究结果。
+     * @param {Object} result - RESEARCH_KEYWORD 返回的数据
+     */
+    renderResult(result) {
+        this.elements.summaryTitle.textContent = i18n.t('keywordsSummaryFor', result.keyword);
+        this.renderMetricCards(result);
+        this.renderRelatedKeywords(result.relatedKeywords);
+        this.renderResultsTable(result.videos);
+        this.updateStatus('', '', this.elements.listStatus);
+        this.elements.summarySection.hidden = false;
+        this.elements.relatedSection.hidden = false;
+        this.elements.resultsSection.hidden = false;
+    }
+
+    /**
+     * 显示竞争度、需求和新鲜度三项指标。
+     * @param {Object} result - 研究结果
+     */
+    renderMetricCards(result) {
+        const { competition, demand, freshness } = result;
+        const cards = [
+            {
+                label: i18n.t('keywordsCompetition'),
+                value: this.formatNumber(competition.medianSubscribers),
+                detail: i18n.t('keywordsCompetitionDetail', competition.channelCount)
+            },
+            {
+                label: i18n.t('keywordsDemand'),
+                value: this.formatNumber(demand.medianViewsPerDay),
+                detail: i18n.t('keywordsDemandDetail', this.formatNumber(demand.totalViewsPerDay))
+            },
+            {
+                label: i18n.t('keywordsFreshness'),
+                value: this.formatNumber(freshness.medianAgeDays),
+                detail: i18n.t('keywordsFreshnessDetail', freshness.recentShare)
+            }
+        ];
+
+        const container = this.elements.metricCards;
+        container.innerHTML = '';
+        cards.forEach(card => {
+            const element = document.createElement('div');
+            element.className = 'metric-card';
+            element.innerHTML = `
+                <div class="metric-label"></div>
+                <div class="metric-value"></div>
+                <div class="metric-detail"></div>
+            `;
+            element.querySelector('.metric-label').textContent = card.label;
+            element.querySelector('.metric-value').textContent = card.value;
+            element.querySelector('.metric-detail').textContent = card.detail;
+            container.appendChild(element);
+        });
+    }
+
+    /**
+     * 显示相关关键词，点击后研究该关键词。
+     * @param {Object[]} keywords - [{ term, videoCount, source }]
+     */
+    renderRelatedKeywords(keywords) {
+        const container = this.elements.relatedKeywords;
+        container.innerHTML = '';
+        if (keywords.length === 0) {
+            container.innerHTML = '<p class="placeholder" data-i18n="keywordsNoRelated"></p>';
+            i18n.localizePage(container);
+            return;
+        }
+
+        keywords.forEach(keyword => {
+            const chip = document.createElement('button');
+            chip.className = `keyword-chip${keyword.source === 'tag' ? ' from-tag' : ''}`;
+            chip.title = i18n.t(keyword.source === 'tag' ? 'keywordsRelatedTag' : 'keywordsRelatedTitleWord', keyword.videoCount);
+            chip.textContent = keyword.term;
+            const count = document.createElement('span');
+            count.className = 'chip-count';
+            count.textContent = keyword.videoCount;
+            chip.appendChild(count);
+            chip.addEventListener('click', () => this.research(keyword.term));
+            container.appendChild(chip);
+        });
+    }
+
+    /**
+     * 显示搜索结果表格。
+     * @param {Object[]} videos - 研究结果中的视频，按搜索排名排列
+     */
+    renderResultsTable(videos) {
+        const table = document.createElement('table');
+        table.className = 'data-table';
+        const headerRow = table.createTHead().insertRow();
+        [
+            'keywordsColumnRank',
+            'keywordsColumnTitle',
+            'keywordsColumnChannel',
+            'keywordsColumnSubscribers',
+            'keywordsColumnViews',
+            'keywordsColumnViewsPerDay',
+            'keywordsColumnAgeDays'
+        ].forEach(key => {
+            const th = document.createElement('th');
+            th.textContent = i18n.t(key);
+            headerRow.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        videos.forEach(video => {
+            const row = body.insertRow();
+            row.insertCell().textContent = video.rank;
+
+            const titleCell = row.insertCell();
+            titleCell.className = 'title-cell';
+            const link = document.createElement('a');
+            link.href = `https://www.youtube.com/watch?v=${video.videoId}`;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.textContent = video.title;
+            link.title = video.title;
+            titleCell.appendChild(link);
+
+            row.insertCell().textContent = video.channelTitle;
+            row.insertCell().textContent = this.formatNumber(video.subscriberCount);
+            row.insertCell().textContent = this.formatNumber(video.viewCount);
+            row.insertCell().textContent = this.formatNumber(video.viewsPerDay);
+            row.insertCell().textContent = this.formatNumber(video.ageDays);
+        });
+
+        this.elements.resultsTable.innerHTML = '';
+        this.elements.resultsTable.appendChild(table);
+    }
+
+    /**
+     * 加载并显示已保存的关键词列表。
+     */
+    async loadLists() {
+        try {
+            this.lists = await this.sendMessage({ type: 'GET_KEYWORD_LISTS' });
+            this.renderLists();
+        } catch (error) {
+            console.error("Keywords: Error loading keyword lists:", error);
+            this.updateStatus(i18n.t('keywordsLoadListsFailed', error.message), 'error', this.elements.savedListsStatus);
+        }
+    }
+
+    /**
+     * 显示关键词列表，并更新“添加到列表”的名称候选。
+     */
+    renderLists() {
+        this.elements.listNames.innerHTML = '';
+        this.lists.forEach(list => {
+            const option = document.createElement('option');
+            option.value = list.name;
+            this.elements.listNames.appendChild(option);
+        });
+
+        const container = this.elements.keywordLists;
+        container.innerHTML = '';
+        if (this.lists.length === 0) {
+            container.innerHTML = '<p class="placeholder" data-i18n="keywordsNoLists"></p>';
+            i18n.localizePage(container);
+            return;
+        }
+
+        this.lists.forEach(list => {
+            const block = document.createElement('div');
+            block.className = 'keyword-list';
+            block.innerHTML = `
+                <div class="keyword-list-header">
+                    <div class="keyword-list-name"><span class="list-name"></span><span class="keyword-list-meta"></span></div>
+                    <button class="btn btn-secondary btn-small" data-action="csv" data-i18n="keywordsExportCsvButton"></button>
+                    <button class="btn btn-secondary btn-small" data-action="xlsx" data-i18n="keywordsExportXlsxButton"></button>
+                    <button class="btn btn-secondary btn-small" data-action="delete" data-i18n="keywordsDeleteButton"></button>
+                </div>
+            `;
+            i18n.localizePage(block);
+            block.querySelector('.list-name').textContent = list.name;
+            block.querySelector('.keyword-list-meta').textContent =
+                i18n.t('keywordsListMeta', list.keywords.length, i18n.formatDateTime(list.updatedAt));
+            block.querySelector('[data-action="csv"]').addEventListener('click', () => this.exportList(list, 'csv'));
+            block.querySelector('[data-action="xlsx"]').addEventListener('click', () => this.exportList(list, 'xlsx'));
+            block.querySelector('[data-action="delete"]').addEventListener('click', () => this.deleteList(list));
+            if (list.keywords.length > 0) {
+                block.appendChild(this.createListTable(list));
+            }
+            container.appendChild(block);
+        });
+    }
+
+    /**
+     * 创建关键词列表的表格。点击关键词重新研究，指标会在再次添加到列表时更新。
+     * @param {Object} list - 关键词列表
+     * @returns {HTMLElement}
+     */
+    createListTable(list) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'table-scroll';
+        const table = document.createElement('table');
+        table.className = 'data-table';
+        const headerRow = table.createTHead().insertRow();
+        [
+            'keywordsColumnKeyword',
+            'keywordsColumnMedianSubscribers',
+            'keywordsColumnMedianViewsPerDay',
+            'keywordsColumnMedianAgeDays',
+            'keywordsColumnRecentShare',
+            'keywordsColumnResearchedAt',
+            null
+        ].forEach(key => {
+            const th = document.createElement('th');
+            th.textContent = key ? i18n.t(key) : '';
+            headerRow.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        list.keywords.forEach(item => {
+            const row = body.insertRow();
+            const keywordButton = document.createElement('button');
+            keywordButton.className = 'link-button';
+            keywordButton.textContent = item.keyword;
+            keywordButton.addEventListener('click', () => this.research(item.keyword));
+            row.insertCell().appendChild(keywordButton);
+
+            row.insertCell().textContent = this.formatNumber(item.competition && item.competition.medianSubscribers);
+            row.insertCell().textContent = this.formatNumber(item.demand && item.demand.medianViewsPerDay);
+            row.insertCell().textContent = this.formatNumber(item.freshness && item.freshness.medianAgeDays);
+            row.insertCell().textContent = item.freshness ? `${i18n.formatNumber(item.freshness.recentShare)}%` : '-';
+            row.insertCell().textContent = item.researchedAt ? i18n.formatDate(item.researchedAt) : '-';
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'btn btn-secondary btn-small';
+            removeButton.textContent = i18n.t('keywordsRemoveButton');
+            removeButton.addEventListener('click', () => this.removeFromList(list, item.keyword));
+            row.insertCell().appendChild(removeButton);
+        });
+
+        wrapper.appendChild(table);
+        return wrapper;
+    }
+
+    /**
+     * 将当前研究的关键词及其指标加入列表，列表不存在时新建。
+     */
+    async addToList() {
+        if (!this.result) return;
+        const { keyword, competition, demand, freshness, researchedAt } = this.result;
+        try {
+            const saved = await this.sendMessage({
+                type: 'ADD_TO_KEYWORD_LIST',
+                name: this.elements.listNameInput.value,
+                entry: { keyword, competition, demand, freshness, researchedAt }
+            });
+            this.updateStatus(i18n.t('keywordsAddedToList', keyword, saved.name), 'success', this.elements.listStatus);
+            await this.loadLists();
+        } catch (error) {
+            console.error("Keywords: Error adding keyword to list:", error);
+            this.updateStatus(i18n.t('keywordsAddFailed', error.message), 'error', this.elements.listStatus);
+        }
+    }
+
+    /**
+     * 从列表中移除关键词。
+     * @param {Object} list - 关键词列表
+     * @param {string} keyword - 关键词
+     */
+    async removeFromList(list, keyword) {
+        try {
+            await this.sendMessage({ type: 'REMOVE_FROM_KEYWORD_LIST', id: list.id, keyword });
+            await this.loadLists();
+        } catch (error) {
+            console.error("Keywords: Error removing keyword:", error);
+            this.updateStatus(i18n.t('keywordsRemoveFailed', error.message), 'error', this.elements.savedListsStatus);
+        }
+    }
+
+    /**
+     * 删除关键词列表。
+     * @param {Object} list - 关键词列表
+     */
+    async deleteList(list) {
+        try {
+            await this.sendMessage({ type: 'DELETE_KEYWORD_LIST', id: list.id });
+            await this.loadLists();
+        } catch (error) {
+            console.error("Keywords: Error deleting keyword list:", error);
+            this.updateStatus(i18n.t('keywordsDeleteFailed', error.message), 'error', this.elements.savedListsStatus);
+        }
+    }
+
+    /**
+     * 导出关键词列表。
+     * @param {Object} list - 关键词列表
+     * @param {string} format - 'csv' 或 'xlsx'
+     */
+    async exportList(list, format) {
+        if (list.keywords.length === 0) {
+            this.updateStatus(i18n.t('keywordsListEmpty', list.name), 'error', this.elements.savedListsStatus);
+            return;
+        }
+
+        const rows = exportUtils.buildKeywordRows([list]);
+        const columns = exportUtils.getColumns('keywords');
+        const content = format === 'csv'
+            ? exportUtils.toCSV(rows, columns)
+            : exportUtils.toXLSX(rows, columns, 'Keywords');
+        const url = URL.createObjectURL(new Blob([content], { type: EXPORT_MIME_TYPES[format] }));
+
+        chrome.downloads.download({
+            url: url,
+            filename: `youtube_analyzer_keywords_${Date.now()}.${format}`,
+            saveAs: true
+        }, () => {
+            if (chrome.runtime.lastError) {
+                console.error("Keywords: Download failed:", chrome.runtime.lastError);
+                this.updateStatus(i18n.t('keywordsExportFailed'), 'error', this.elements.savedListsStatus);
+            } else {
+                this.updateStatus(i18n.t('keywordsExportStarted', list.name), 'success', this.elements.savedListsStatus);
+            }
+            URL.revokeObjectURL(url);
+        });
+    }
+
+    /**
+     * 格式化数值，缺失时显示 '-'。
+     * @param {number|null|undefined} value - 数值
+     * @returns {string}
+     */
+    formatNumber(value) {
+        return typeof value === 'number' ? i18n.formatNumber(Math.round(value)) : '-';
+    }
+}
+
+// 加载界面语言并翻译静态文字后实例化KeywordsController，启动关键词研究页面逻辑
+i18n.init().then(() => {
+    i18n.localizePage();
+    new KeywordsController();
+});
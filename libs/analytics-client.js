@@ -0,0 +1,138 @@
+/**
+ * YouTube Analytics Client
+ * 封装YouTube Analytics API（youtubeAnalytics/v2 reports）的查询，
+ * 为已登录的频道所有者提供观看时长、订阅变化、流量来源和地理分布等数据。
+ * 需要OAuth授权，不消耗YouTube Data API的配额。
+ */
+
+import authManager from './auth-manager.js';
+
+const REPORTS_URL = 'https://youtubeanalytics.googleapis.com/v2/reports';
+
+const DEFAULT_RANGE_DAYS = 28;
+
+// 概览指标
+const SUMMARY_METRICS = [
+    'views',
+    'estimatedMinutesWatched',
+    'averageViewDuration',
+    'averageViewPercentage',
+    'subscribersGained',
+    'subscribersLost'
+];
+
+class YouTubeAnalyticsClient {
+    /**
+     * 将日期格式化为API要求的 YYYY-MM-DD。
+     * @param {Date} date - 日期
+     * @returns {string} - 格式化后的日期
+     */
+    formatDate(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * 获取默认的查询时间范围（最近28天，截至昨天，因为当天数据尚未完整）。
+     * @returns {Object} - { startDate, endDate }
+     */
+    getDefaultRange() {
+        const end = new Date(Date.now() - 24 * 3600 * 1000);
+        const start = new Date(end.getTime() - (DEFAULT_RANGE_DAYS - 1) * 24 * 3600 * 1000);
+        return { startDate: this.formatDate(start), endDate: this.formatDate(end) };
+    }
+
+    /**
+     * 查询一个报告。
+     * @param {Object} params - 报告参数（ids, startDate, endDate, metrics, dimensions, filters, sort, maxResults）
+     * @returns {Promise<Object[]>} - 报告行，每行是以列名为键的对象
+     */
+    async query(params) {
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([name, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                query.set(name, Array.isArray(value) ? value.join(',') : value);
+            }
+        });
+
+        console.log("Analytics Client: Querying report:", params.dimensions || 'totals');
+        const data = await authManager.authorizedFetch(`${REPORTS_URL}?${query.toString()}`);
+        return this.toRows(data);
+    }
+
+    /**
+     * 将报告响应（columnHeaders + rows 二维数组）转换为对象数组。
+     * @param {Object} data - API响应
+     * @returns {Object[]} - 报告行
+     */
+    toRows(data) {
+        const headers = (data.columnHeaders || []).map(header => header.name);
+        return (data.rows || []).map(row => {
+            const record = {};
+            headers.forEach((name, index) => {
+                record[name] = row[index];
+            });
+            return record;
+        });
+    }
+
+    /**
+     * 获取频道的分析报告：概览、每日趋势、流量来源、地理分布和观众特征。
+     * @param {string} channelId - 频道ID（必须属于已登录的账号）
+     * @param {Object} [range] - 时间范围 { startDate, endDate }，默认最近28天
+     * @returns {Promise<Object>} - 分析报告
+     */
+    async getChannelAnalytics(channelId, range = {}) {
+        await authManager.assertOwnsChannel(channelId);
+
+        const defaults = this.getDefaultRange();
+        const base = {
+            ids: `channel==${channelId}`,
+            startDate: range.startDate || defaults.startDate,
+            endDate: range.endDate || defaults.endDate
+        };
+
+        const [totals, daily, trafficSources, geography, demographics] = await Promise.all([
+            this.query({ ...base, metrics: SUMMARY_METRICS }),
+            this.query({ ...base, metrics: SUMMARY_METRICS, dimensions: 'day', sort: 'day' }),
+            this.query({
+                ...base,
+                metrics: ['views', 'estimatedMinutesWatched'],
+                dimensions: 'insightTrafficSourceType',
+                sort: '-views'
+            }),
+            this.query({
+                ...base,
+                metrics: ['views', 'estimatedMinutesWatched', 'averageViewDuration'],
+                dimensions: 'country',
+                sort: '-views',
+                maxResults: 25
+            }),
+            this.query({
+                ...base,
+                metrics: ['viewerPercentage'],
+                dimensions: ['ageGroup', 'gender'],
+                sort: ['gender', 'ageGroup']
+            })
+        ]);
+
+        const summary = totals[0] || {};
+        return {
+            channelId,
+            startDate: base.startDate,
+            endDate: base.endDate,
+            totals: {
+                ...summary,
+                watchTimeHours: summary.estimatedMinutesWatched ? parseFloat((summary.estimatedMinutesWatched / 60).toFixed(1)) : 0,
+                netSubscribers: (summary.subscribersGained || 0) - (summary.subscribersLost || 0)
+            },
+            daily,
+            trafficSources,
+            geography,
+            demographics
+        };
+    }
+}
+
+// 导出单例实例
+const analyticsClient = new YouTubeAnalyticsClient();
+export default analyticsClient;
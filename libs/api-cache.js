@@ -0,0 +1,312 @@
+/**
+ * API Cache
+ * 两级API响应缓存：内存层 + IndexedDB持久层。
+ * Service Worker休眠后内存层会丢失，持久层保证缓存在重启后依然可用。
+ * 支持按接口配置的TTL、过期后短时间内返回旧数据并在后台刷新（stale-while-revalidate）、
+ * 以及按最近访问时间（LRU）淘汰以控制总字节数。
+ */
+
+import database from './database.js';
+
+const STORE_NAME = 'apiCache';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// 各接口的缓存策略：ttl 为新鲜期，staleTtl 为过期后仍可先返回旧数据的时长
+const ENDPOINT_POLICIES = {
+    videoCategories: { ttl: 7 * DAY, staleTtl: 30 * DAY },
+    i18nRegions: { ttl: 7 * DAY, staleTtl: 30 * DAY },
+    i18nLanguages: { ttl: 7 * DAY, staleTtl: 30 * DAY },
+    channels: { ttl: 6 * HOUR, staleTtl: DAY },
+    playlists: { ttl: 6 * HOUR, staleTtl: DAY },
+    playlistItems: { ttl: HOUR, staleTtl: 6 * HOUR },
+    search: { ttl: HOUR, staleTtl: 6 * HOUR },
+    commentThreads: { ttl: 30 * MINUTE, staleTtl: 2 * HOUR },
+    comments: { ttl: 30 * MINUTE, staleTtl: 2 * HOUR },
+    videos: { ttl: 10 * MINUTE, staleTtl: HOUR }
+};
+
+// 统计数据写回 chrome.storage.local 的延迟
+const STATS_PERSIST_DELAY = 2000;
+
+class ApiCache {
+    constructor() {
+        this.memory = new Map(); // 内存层：key -> 缓存条目
+        this.MAX_MEMORY_ENTRIES = 200;
+        this.maxBytes = 20 * 1024 * 1024; // 默认20MB
+        this.estimatedBytes = null; // 持久层字节数估算（覆盖写入时会偏大，只用于决定是否需要精确扫描）
+        this.stats = { hits: 0, staleHits: 0, misses: 0, evictions: 0 };
+        this.statsLoaded = false;
+        this.statsTimer = null;
+    }
+
+    /**
+     * 设置持久层的字节预算。
+     * @param {number} megabytes - 预算（MB）
+     */
+    setMaxSize(megabytes) {
+        const value = parseFloat(megabytes);
+        if (value > 0) {
+            this.maxBytes = Math.round(value * 1024 * 1024);
+        }
+    }
+
+    /**
+     * 获取接口的缓存策略。
+     * @param {string} endpoint - API端点
+     * @param {number} defaultTtlHours - 用户设置的缓存时间（小时），用于未单独配置的接口；0表示不缓存
+     * @returns {Object|null} - { ttl, staleTtl }，不缓存时返回 null
+     */
+    getPolicy(endpoint, defaultTtlHours) {
+        if (!(defaultTtlHours > 0)) {
+            return null;
+        }
+        if (ENDPOINT_POLICIES[endpoint]) {
+            return ENDPOINT_POLICIES[endpoint];
+        }
+        const ttl = defaultTtlHours * HOUR;
+        return { ttl, staleTtl: ttl };
+    }
+
+    /**
+     * 读取缓存条目。
+     * @param {string} key - 缓存键
+     * @param {Object} [options] - 读取选项
+     * @param {boolean} [options.allowExpired] - 是否返回已超过容忍期的条目（配额不足时降级使用）
+     * @returns {Promise<Object|null>} - { data, state: 'fresh'|'stale'|'expired' }，未命中时返回 null
+     */
+    async get(key, { allowExpired = false } = {}) {
+        await this.loadStats();
+        const now = Date.now();
+
+        let entry = this.memory.get(key);
+        if (!entry) {
+            try {
+                entry = await database.get(STORE_NAME, key);
+            } catch (error) {
+                console.error("API Cache: Error reading persistent cache:", error);
+                entry = null;
+            }
+        }
+
+        if (!entry || (now > entry.staleUntil && !allowExpired)) {
+            if (entry) {
+                this.delete(key);
+            }
+            this.recordStat('misses');
+            return null;
+        }
+
+        entry.lastAccess = now;
+        this.remember(key, entry);
+        this.touch(entry);
+
+        let state = 'fresh';
+        if (now > entry.staleUntil) {
+            state = 'expired';
+        } else if (now > entry.expiresAt) {
+            state = 'stale';
+        }
+        this.recordStat(state === 'fresh' ? 'hits' : 'staleHits');
+        return { data: entry.data, state };
+    }
+
+    /**
+     * 写入缓存条目，并在超出字节预算时淘汰最久未访问的条目。
+     * @param {string} key - 缓存键
+     * @param {string} endpoint - API端点
+     * @param {Object} data - 响应数据
+     * @param {Object} policy - 缓存策略 { ttl, staleTtl }
+     * @returns {Promise<void>}
+     */
+    async set(key, endpoint, data, policy) {
+        const now = Date.now();
+        const entry = {
+            key,
+            endpoint,
+            data,
+            storedAt: now,
+            lastAccess: now,
+            expiresAt: now + policy.ttl,
+            staleUntil: now + policy.ttl + policy.staleTtl,
+            size: new TextEncoder().encode(JSON.stringify(data)).length
+        };
+
+        this.remember(key, entry);
+
+        try {
+            await database.put(STORE_NAME, entry);
+            if (this.estimatedBytes !== null) {
+                this.estimatedBytes += entry.size;
+            }
+            await this.enforceBudget();
+        } catch (error) {
+            console.error("API Cache: Error writing persistent cache:", error);
+        }
+    }
+
+    /**
+     * 删除一个缓存条目。
+     * @param {string} key - 缓存键
+     */
+    async delete(key) {
+        this.memory.delete(key);
+        try {
+            await database.delete(STORE_NAME, key);
+        } catch (error) {
+            console.error("API Cache: Error deleting cache entry:", error);
+        }
+    }
+
+    /**
+     * 清空两级缓存并重置统计。
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.memory.clear();
+        this.stats = { hits: 0, staleHits: 0, misses: 0, evictions: 0 };
+        this.statsLoaded = true;
+        this.persistStats();
+        await database.clear(STORE_NAME);
+        this.estimatedBytes = 0;
+    }
+
+    /**
+     * 获取缓存统计信息，供选项页的缓存检查器显示。
+     * @returns {Promise<Object>} - 统计信息
+     */
+    async getStats() {
+        await this.loadStats();
+        const byEndpoint = {};
+        let entryCount = 0;
+        let totalBytes = 0;
+        let expiredCount = 0;
+        const now = Date.now();
+
+        await database.iterate(STORE_NAME, {}, entry => {
+            entryCount++;
+            totalBytes += entry.size || 0;
+            if (now > entry.expiresAt) expiredCount++;
+            if (!byEndpoint[entry.endpoint]) {
+                byEndpoint[entry.endpoint] = { count: 0, bytes: 0 };
+            }
+            byEndpoint[entry.endpoint].count++;
+            byEndpoint[entry.endpoint].bytes += entry.size || 0;
+        });
+        this.estimatedBytes = totalBytes;
+
+        const lookups = this.stats.hits + this.stats.staleHits + this.stats.misses;
+        return {
+            entryCount,
+            expiredCount,
+            totalBytes,
+            maxBytes: this.maxBytes,
+            byEndpoint,
+            ...this.stats,
+            hitRate: lookups > 0 ? parseFloat(((this.stats.hits + this.stats.staleHits) / lookups * 100).toFixed(1)) : 0
+        };
+    }
+
+    /**
+     * 将条目放入内存层，超出上限时移除最早放入的条目。
+     * @param {string} key - 缓存键
+     * @param {Object} entry - 缓存条目
+     */
+    remember(key, entry) {
+        this.memory.delete(key);
+        this.memory.set(key, entry);
+        if (this.memory.size > this.MAX_MEMORY_ENTRIES) {
+            const oldestKey = this.memory.keys().next().value;
+            this.memory.delete(oldestKey);
+        }
+    }
+
+    /**
+     * 更新持久层条目的最近访问时间（不阻塞读取）。
+     * @param {Object} entry - 缓存条目
+     */
+    touch(entry) {
+        database.put(STORE_NAME, entry).catch(error => {
+            console.warn("API Cache: Failed to update access time:", error);
+        });
+    }
+
+    /**
+     * 按最近访问时间淘汰条目，直到总字节数不超过预算。
+     * @returns {Promise<void>}
+     */
+    async enforceBudget() {
+        if (this.estimatedBytes !== null && this.estimatedBytes <= this.maxBytes) {
+            return;
+        }
+
+        const entries = [];
+        let totalBytes = 0;
+        await database.iterate(STORE_NAME, { indexName: 'lastAccess' }, entry => {
+            entries.push({ key: entry.key, size: entry.size || 0 });
+            totalBytes += entry.size || 0;
+        });
+
+        this.estimatedBytes = totalBytes;
+        if (totalBytes <= this.maxBytes) {
+            return;
+        }
+
+        // entries 已按 lastAccess 升序排列，从最久未访问的开始删除
+        for (const entry of entries) {
+            if (totalBytes <= this.maxBytes) break;
+            await this.delete(entry.key);
+            totalBytes -= entry.size;
+            this.recordStat('evictions');
+        }
+        this.estimatedBytes = totalBytes;
+        console.log(`API Cache: Evicted entries to stay within ${this.maxBytes} bytes`);
+    }
+
+    /**
+     * 从 chrome.storage.local 加载持久化的统计数据（仅首次调用时）。
+     */
+    async loadStats() {
+        if (this.statsLoaded) return;
+        this.statsLoaded = true;
+        try {
+            const result = await chrome.storage.local.get('apiCacheStats');
+            if (result.apiCacheStats) {
+                // 合并加载前已经产生的计数
+                Object.keys(this.stats).forEach(name => {
+                    this.stats[name] += result.apiCacheStats[name] || 0;
+                });
+            }
+        } catch (error) {
+            console.warn("API Cache: Failed to load stats:", error);
+        }
+    }
+
+    /**
+     * 记录一次统计事件，并延迟写回存储。
+     * @param {string} name - 统计项名称
+     */
+    recordStat(name) {
+        this.stats[name]++;
+        if (this.statsTimer) return;
+        this.statsTimer = setTimeout(() => {
+            this.statsTimer = null;
+            this.persistStats();
+        }, STATS_PERSIST_DELAY);
+    }
+
+    /**
+     * 立即写回统计数据。
+     */
+    persistStats() {
+        chrome.storage.local.set({ apiCacheStats: { ...this.stats } }).catch(error => {
+            console.warn("API Cache: Failed to persist stats:", error);
+        });
+    }
+}
+
+// 导出单例实例
+const apiCache = new ApiCache();
+export default apiCache;
@@ -3,22 +3,48 @@
  * 封装与YouTube Data API的所有交互逻辑，提供统一的接口。
  */
 
+import apiCache from './api-cache.js';
+import quotaManager from './quota-manager.js';
+import apiKeyManager from './key-manager.js';
+import i18n from './i18n.js';
+
+// 各列表接口单页最多返回的条目数
+const PAGE_SIZES = {
+    commentThreads: 100,
+    comments: 100
+};
+const DEFAULT_PAGE_SIZE = 50;
+
+// mostPopular 榜单最多提供200个视频
+const MAX_CHART_RESULTS = 200;
+
+// 类别、地区和语言名称默认使用的语言（hl 参数），与设置中的默认界面语言一致
+const DEFAULT_DISPLAY_LANGUAGE = 'zh-CN';
+
 class YouTubeApiClient {
     constructor() {
-        this.apiKey = null;
-        this.cache = {};
+        this.cacheTimeHours = 1; // 未单独配置缓存策略的接口使用的缓存时间
+        this.displayLanguage = DEFAULT_DISPLAY_LANGUAGE; // 本地化名称使用的语言，对应设置中的 language
+        this.pendingRequests = new Map(); // 进行中的请求，用于合并相同请求
+        this.storageListenerAdded = false;
         this.BASE_URL = 'https://www.googleapis.com/youtube/v3';
     }
 
     /**
-     * 初始化API客户端，加载API密钥。
+     * 初始化API客户端，加载API密钥列表。
      * @returns {Promise<void>}
      */
     async init() {
         try {
-            const result = await chrome.storage.sync.get('youtubeApiKey');
-            this.apiKey = result.youtubeApiKey || null;
-            console.log("API Client: Initialized with API key:", this.apiKey ? "****** (masked)" : "None");
+            await apiKeyManager.loadKeys();
+            const result = await chrome.storage.sync.get(['cacheTime', 'cacheMaxSize', 'dailyQuotaBudget', 'language']);
+            this.applyCacheSettings(result);
+            this.displayLanguage = result.language || DEFAULT_DISPLAY_LANGUAGE;
+            if (result.dailyQuotaBudget !== undefined) {
+                quotaManager.setDailyBudget(result.dailyQuotaBudget);
+            }
+            this.watchSettings();
+            console.log("API Client: Initialized with API keys:", apiKeyManager.hasKeys() ? "****** (masked)" : "None");
         } catch (error) {
             console.error("API Client: Error initializing:", error);
             throw error;
@@ -26,31 +52,110 @@ class YouTubeApiClient {
     }
 
     /**
-     * 设置API密钥。
-     * @param {string} apiKey - YouTube Data API密钥
+     * 应用缓存相关设置。
+     * @param {Object} settings - 包含 cacheTime（小时）和 cacheMaxSize（MB）的设置对象
+     */
+    applyCacheSettings(settings) {
+        if (settings.cacheTime !== undefined) {
+            this.cacheTimeHours = parseFloat(settings.cacheTime) || 0;
+        }
+        if (settings.cacheMaxSize !== undefined) {
+            apiCache.setMaxSize(settings.cacheMaxSize);
+        }
+    }
+
+    /**
+     * 监听缓存、配额预算、语言和API密钥设置的变化，避免每次请求都读取存储。
+     */
+    watchSettings() {
+        if (this.storageListenerAdded) return;
+        this.storageListenerAdded = true;
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== 'sync') return;
+            const updated = {};
+            if (changes.cacheTime) updated.cacheTime = changes.cacheTime.newValue;
+            if (changes.cacheMaxSize) updated.cacheMaxSize = changes.cacheMaxSize.newValue;
+            if (Object.keys(updated).length > 0) {
+                this.applyCacheSettings(updated);
+                console.log("API Client: Cache settings updated");
+            }
+            if (changes.youtubeApiKeys) {
+                this.setApiKeys(changes.youtubeApiKeys.newValue);
+            }
+            if (changes.dailyQuotaBudget) {
+                quotaManager.setDailyBudget(changes.dailyQuotaBudget.newValue);
+                console.log("API Client: Daily quota budget updated");
+            }
+            if (changes.language) {
+                this.displayLanguage = changes.language.newValue || DEFAULT_DISPLAY_LANGUAGE;
+            }
+        });
+    }
+
+    /**
+     * 设置API密钥列表。
+     * @param {Object[]} apiKeys - 密钥列表 [{ id, label, key }]
+     */
+    setApiKeys(apiKeys) {
+        apiKeyManager.setKeys(apiKeys);
+        console.log("API Client: API keys updated");
+    }
+
+    /**
+     * 是否配置了API密钥。
+     * @returns {boolean}
      */
-    setApiKey(apiKey) {
-        this.apiKey = apiKey;
-        console.log("API Client: API key updated");
+    hasApiKey() {
+        return apiKeyManager.hasKeys();
     }
 
     /**
-     * 清除缓存。
+     * 获取所有API密钥的状态和今日用量。
+     * @returns {Promise<Object[]>} - 密钥状态列表
      */
-    clearCache() {
-        this.cache = {};
+    async getApiKeyStatus() {
+        return apiKeyManager.getKeyStatus();
+    }
+
+    /**
+     * 清除缓存（内存层和持久层）。
+     * @returns {Promise<void>}
+     */
+    async clearCache() {
+        await apiCache.clear();
         console.log("API Client: Cache cleared");
     }
 
     /**
-     * 执行API请求，支持缓存。
+     * 获取缓存统计信息。
+     * @returns {Promise<Object>} - 缓存统计
+     */
+    async getCacheStats() {
+        return apiCache.getStats();
+    }
+
+    /**
+     * 获取今日配额使用状态。
+     * @returns {Promise<Object>} - 配额状态
+     */
+    async getQuotaStatus() {
+        return quotaManager.getStatus();
+    }
+
+    /**
+     * 执行API请求，支持缓存和配额预算检查。
+     * 新鲜的缓存直接返回；过期但仍在容忍期内的缓存先返回，同时在后台刷新。
+     * 预算不足时不再发起网络请求，只要有缓存（即使已超过容忍期）就降级返回缓存，否则拒绝请求。
      * @param {string} endpoint - API端点，例如 'videos', 'channels'
      * @param {Object} params - 请求参数
+     * @param {Object} [options] - 请求选项
+     * @param {string} [options.priority] - 'high' 或 'low'，默认按接口判断（评论、搜索为低优先级）
+     * @param {boolean} [options.forceRefresh] - 是否跳过缓存读取，直接请求最新数据（结果仍会写入缓存）
      * @returns {Promise<Object>} - API响应数据
      */
-    async request(endpoint, params = {}) {
-        if (!this.apiKey) {
-            throw new Error("YouTube API Key is not set. Please set it in the extension options.");
+    async request(endpoint, params = {}, { priority = null, forceRefresh = false } = {}) {
+        if (!apiKeyManager.hasKeys()) {
+            throw i18n.error('errorApiKeyMissing');
         }
 
         // 构建完整的URL（不包括API密钥）
@@ -59,41 +164,163 @@ class YouTubeApiClient {
         
         // 构建用于缓存的键（包含所有参数但不包括API密钥）
         const cacheKey = url;
+        const policy = apiCache.getPolicy(endpoint, this.cacheTimeHours);
+        const budget = await quotaManager.checkBudget(endpoint, priority);
 
-        // 检查缓存是否有效
-        const result = await chrome.storage.sync.get('cacheTime');
-        const cacheTimeMs = (parseInt(result.cacheTime) || 0) * 3600000;
+        if (policy && (!forceRefresh || !budget.allowed)) {
+            const cached = await apiCache.get(cacheKey, { allowExpired: !budget.allowed });
+            if (cached && cached.state === 'fresh') {
+                console.log("API Client: Using cached data for:", endpoint);
+                return cached.data;
+            }
+            if (cached && !budget.allowed) {
+                console.warn("API Client: Quota budget limited, serving cached data for:", endpoint);
+                return cached.data;
+            }
+            if (cached && cached.state === 'stale') {
+                console.log("API Client: Using stale cached data and revalidating:", endpoint);
+                this.fetchAndCache(endpoint, url, cacheKey, policy).catch(error => {
+                    console.warn("API Client: Background revalidation failed:", error);
+                });
+                return cached.data;
+            }
+        }
 
-        if (cacheTimeMs > 0 && this.cache[cacheKey] && (Date.now() - this.cache[cacheKey].timestamp < cacheTimeMs)) {
-            console.log("API Client: Using cached data for:", endpoint);
-            return this.cache[cacheKey].data;
+        if (!budget.allowed) {
+            await quotaManager.recordRefusal();
+            console.warn("API Client: Request refused by quota budget:", endpoint);
+            throw i18n.error(budget.reason.key, ...budget.reason.params);
         }
 
-        // 构建带API密钥的完整URL
-        const fullUrl = `${url}&key=${this.apiKey}`;
+        return this.fetchAndCache(endpoint, url, cacheKey, policy);
+    }
 
-        try {
-            console.log("API Client: Fetching data from:", endpoint);
-            const response = await fetch(fullUrl);
-            
-            if (!response.ok) {
-                const errorData = await response.json();
-                console.error("API Client: Request failed:", errorData);
-                throw new Error(errorData.error ? errorData.error.message : `API request failed with status: ${response.status}`);
+    /**
+     * 从API获取数据并写入缓存。相同URL的并发请求会被合并为一次网络请求。
+     * 当前密钥配额用尽或失效时，将其标记为冷却中并使用下一个可用密钥重试。
+     * @param {string} endpoint - API端点
+     * @param {string} url - 不含API密钥的请求URL
+     * @param {string} cacheKey - 缓存键
+     * @param {Object|null} policy - 缓存策略，null表示不缓存
+     * @returns {Promise<Object>} - API响应数据
+     */
+    fetchAndCache(endpoint, url, cacheKey, policy) {
+        if (this.pendingRequests.has(cacheKey)) {
+            return this.pendingRequests.get(cacheKey);
+        }
+
+        const requestPromise = (async () => {
+            try {
+                let keyEntry = apiKeyManager.getActiveKey();
+                while (keyEntry) {
+                    // 构建带API密钥的完整URL
+                    const fullUrl = `${url}&key=${keyEntry.key}`;
+
+                    console.log("API Client: Fetching data from:", endpoint);
+                    const response = await fetch(fullUrl);
+                    // 无论成功与否，发出的请求都会消耗配额
+                    await quotaManager.recordUsage(endpoint, keyEntry.id);
+
+                    if (response.ok) {
+                        const data = await response.json();
+
+                        // 缓存结果（如果启用缓存）
+                        if (policy) {
+                            await apiCache.set(cacheKey, endpoint, data, policy);
+                        }
+
+                        return data;
+                    }
+
+                    const errorData = await response.json();
+                    const reason = this.getErrorReason(errorData);
+                    if (!apiKeyManager.shouldRotate(reason)) {
+                        console.error("API Client: Request failed:", errorData);
+                        throw new Error(errorData.error ? errorData.error.message : `API request failed with status: ${response.status}`);
+                    }
+
+                    apiKeyManager.markCoolingDown(keyEntry.id, reason);
+                    keyEntry = apiKeyManager.getActiveKey();
+                }
+
+                const recovery = apiKeyManager.getEarliestRecovery();
+                throw recovery
+                    ? i18n.error('errorAllKeysExhausted', { dateTime: recovery })
+                    : i18n.error('errorApiKeyMissing');
+            } catch (error) {
+                console.error("API Client: Fetch error:", error);
+                throw error;
+            } finally {
+                this.pendingRequests.delete(cacheKey);
             }
-            
-            const data = await response.json();
-            
-            // 缓存结果（如果启用缓存）
-            if (cacheTimeMs > 0) {
-                this.cache[cacheKey] = { data, timestamp: Date.now() };
+        })();
+
+        this.pendingRequests.set(cacheKey, requestPromise);
+        return requestPromise;
+    }
+
+    /**
+     * 从API错误响应中提取错误原因。
+     * @param {Object} errorData - API错误响应
+     * @returns {string|null} - 错误原因，例如 'quotaExceeded'
+     */
+    getErrorReason(errorData) {
+        const errors = errorData && errorData.error && errorData.error.errors;
+        return errors && errors.length > 0 ? errors[0].reason : null;
+    }
+
+    /**
+     * 按 nextPageToken 逐页请求列表接口，逐条产出结果。每页都通过 request 发出，因此同样使用缓存和配额检查。
+     * 调用方停止迭代后不会再请求后续页面。
+     * @param {string} endpoint - API端点，例如 'videos', 'commentThreads', 'search'
+     * @param {Object} params - 请求参数（不含 maxResults 和 pageToken）
+     * @param {Object} [options] - 分页选项，其余字段作为请求选项传给 request
+     * @param {number} [options.maxItems] - 最多产出的条目数，默认不限
+     * @param {Function} [options.onProgress] - 每页加载后调用，参数为 { endpoint, loaded, limit, totalResults, done }
+     * @returns {AsyncGenerator<Object>} - 列表条目
+     */
+    async *paginate(endpoint, params = {}, { maxItems = Infinity, onProgress = null, ...requestOptions } = {}) {
+        const pageSize = PAGE_SIZES[endpoint] || DEFAULT_PAGE_SIZE;
+        let loaded = 0;
+        let pageToken = null;
+
+        do {
+            const pageParams = { ...params, maxResults: Math.min(pageSize, maxItems - loaded) };
+            if (pageToken) {
+                pageParams.pageToken = pageToken;
             }
-            
-            return data;
-        } catch (error) {
-            console.error("API Client: Fetch error:", error);
-            throw error;
+            const data = await this.request(endpoint, pageParams, requestOptions);
+            const items = (data.items || []).slice(0, maxItems - loaded);
+            loaded += items.length;
+            pageToken = data.nextPageToken || null;
+
+            if (onProgress) {
+                onProgress({
+                    endpoint,
+                    loaded,
+                    limit: Number.isFinite(maxItems) ? maxItems : null,
+                    totalResults: data.pageInfo ? data.pageInfo.totalResults : null,
+                    done: !pageToken || loaded >= maxItems
+                });
+            }
+
+            yield* items;
+        } while (pageToken && loaded < maxItems);
+    }
+
+    /**
+     * 读取 paginate 的全部结果。
+     * @param {string} endpoint - API端点
+     * @param {Object} params - 请求参数
+     * @param {Object} [options] - 分页选项，同 paginate
+     * @returns {Promise<Object[]>} - 列表条目
+     */
+    async paginateAll(endpoint, params = {}, options = {}) {
+        const items = [];
+        for await (const item of this.paginate(endpoint, params, options)) {
+            items.push(item);
         }
+        return items;
     }
 
     /**
@@ -111,7 +338,7 @@ class YouTubeApiClient {
         if (data.items && data.items.length > 0) {
             return data.items[0];
         }
-        throw new Error("Channel not found or no data available.");
+        throw i18n.error('errorChannelNotFound');
     }
 
     /**
@@ -129,21 +356,179 @@ class YouTubeApiClient {
         if (data.items && data.items.length > 0) {
             return data.items[0];
         }
-        throw new Error("Video not found or no data available.");
+        throw i18n.error('errorVideoNotFound');
+    }
+
+    /**
+     * 批量获取视频数据。每次请求最多50个ID，超出时分批请求。
+     * @param {string[]} videoIds - 视频ID列表
+     * @param {Object} [options] - 请求选项，同 request
+     * @returns {Promise<Object[]>} - 视频数据列表（不存在的视频会被忽略）
+     */
+    async getVideosByIds(videoIds, options = {}) {
+        const items = [];
+        for (let i = 0; i < videoIds.length; i += 50) {
+            const data = await this.request('videos', {
+                part: 'snippet,statistics',
+                id: videoIds.slice(i, i + 50).join(',')
+            }, options);
+            items.push(...(data.items || []));
+        }
+        return items;
+    }
+
+    /**
+     * 批量获取频道数据。每次请求最多50个ID，超出时分批请求。
+     * @param {string[]} channelIds - 频道ID列表
+     * @param {Object} [options] - 请求选项，同 request
+     * @returns {Promise<Object[]>} - 频道数据列表（不存在的频道会被忽略）
+     */
+    async getChannelsByIds(channelIds, options = {}) {
+        const items = [];
+        for (let i = 0; i < channelIds.length; i += 50) {
+            const data = await this.request('channels', {
+                part: 'snippet,statistics,contentDetails',
+                id: channelIds.slice(i, i + 50).join(',')
+            }, options);
+            items.push(...(data.items || []));
+        }
+        return items;
+    }
+
+    /**
+     * 通过 @handle 查找频道ID（channels.list 的 forHandle 参数，消耗1单位配额）。
+     * @param {string} handle - 频道handle，可以带或不带 @
+     * @returns {Promise<string|null>} - 频道ID，找不到时返回 null
+     */
+    async getChannelIdByHandle(handle) {
+        const data = await this.request('channels', {
+            part: 'id',
+            forHandle: handle.startsWith('@') ? handle : `@${handle}`
+        });
+        return data.items && data.items.length > 0 ? data.items[0].id : null;
+    }
+
+    /**
+     * 通过旧版用户名（/user/ 链接）查找频道ID（channels.list 的 forUsername 参数，消耗1单位配额）。
+     * @param {string} username - 用户名
+     * @returns {Promise<string|null>} - 频道ID，找不到时返回 null
+     */
+    async getChannelIdByUsername(username) {
+        const data = await this.request('channels', {
+            part: 'id',
+            forUsername: username
+        });
+        return data.items && data.items.length > 0 ? data.items[0].id : null;
+    }
+
+    /**
+     * 获取频道的上传播放列表ID（contentDetails.relatedPlaylists.uploads）。
+     * @param {string} channelId - 频道ID
+     * @param {Object} [options] - 请求选项，同 request
+     * @returns {Promise<string>} - 上传播放列表ID
+     */
+    async getUploadsPlaylistId(channelId, options = {}) {
+        const channels = await this.getChannelsByIds([channelId], options);
+        if (channels.length === 0 || !channels[0].contentDetails) {
+            throw i18n.error('errorChannelNotFound');
+        }
+        return channels[0].contentDetails.relatedPlaylists.uploads;
+    }
+
+    /**
+     * 获取播放列表信息（标题、所属频道、视频数量等）。
+     * @param {string} playlistId - 播放列表ID
+     * @returns {Promise<Object>} - 播放列表数据
+     */
+    async getPlaylistData(playlistId) {
+        console.log("API Client: Fetching playlist data for ID:", playlistId);
+        const data = await this.request('playlists', {
+            part: 'snippet,contentDetails',
+            id: playlistId
+        });
+
+        if (data.items && data.items.length > 0) {
+            return data.items[0];
+        }
+        throw i18n.error('errorPlaylistNotFound');
+    }
+
+    /**
+     * 获取播放列表中的视频ID，按 pageToken 逐页请求。
+     * @param {string} playlistId - 播放列表ID
+     * @param {number} maxResults - 最多返回的视频数量
+     * @param {Object} [options] - 请求选项，同 request
+     * @returns {Promise<string[]>} - 视频ID列表，按播放列表顺序（上传列表为最新在前）
+     */
+    async getPlaylistVideoIds(playlistId, maxResults = 50, options = {}) {
+        const items = await this.paginateAll('playlistItems', {
+            part: 'contentDetails',
+            playlistId: playlistId
+        }, { ...options, maxItems: maxResults });
+        return items.map(item => item.contentDetails.videoId);
+    }
+
+    /**
+     * 获取播放列表中的视频（含统计数据）。
+     * @param {string} playlistId - 播放列表ID
+     * @param {number} maxResults - 最多返回的视频数量
+     * @param {Object} [options] - 请求选项，同 request
+     * @returns {Promise<Object[]>} - 视频数据列表
+     */
+    async getPlaylistVideos(playlistId, maxResults = 50, options = {}) {
+        const videoIds = await this.getPlaylistVideoIds(playlistId, maxResults, options);
+        if (videoIds.length === 0) {
+            return [];
+        }
+        return this.getVideosByIds(videoIds, options);
+    }
+
+    /**
+     * 获取播放列表中的视频（含统计数据），按播放列表顺序排列。
+     * 已删除或设为私享的视频不会出现在结果中。
+     * @param {string} playlistId - 播放列表ID
+     * @param {number} maxResults - 最多返回的视频数量
+     * @param {Object} [options] - 请求选项，同 paginate
+     * @returns {Promise<Object[]>} - 视频数据列表，每项附带 position（在播放列表中的序号，从1开始）
+     */
+    async getPlaylistVideosInOrder(playlistId, maxResults = 50, options = {}) {
+        const videoIds = await this.getPlaylistVideoIds(playlistId, maxResults, options);
+        const videos = videoIds.length > 0 ? await this.getVideosByIds(videoIds) : [];
+        const videosById = new Map(videos.map(video => [video.id, video]));
+        return videoIds
+            .map((videoId, index) => videosById.has(videoId) ? { ...videosById.get(videoId), position: index + 1 } : null)
+            .filter(Boolean);
+    }
+
+    /**
+     * 获取频道最近上传的视频（通过频道的上传播放列表）。
+     * 每50个视频消耗2单位配额（播放列表一页 + 视频统计一批）。
+     * @param {string} channelId - 频道ID
+     * @param {number} maxResults - 最多返回的视频数量
+     * @param {Object} [options] - 请求选项，同 request
+     * @returns {Promise<Object[]>} - 视频数据列表，最新在前
+     */
+    async getRecentUploads(channelId, maxResults = 50, options = {}) {
+        console.log(`API Client: Fetching up to ${maxResults} uploads for channel ID:`, channelId);
+        const playlistId = await this.getUploadsPlaylistId(channelId, options);
+        return this.getPlaylistVideos(playlistId, maxResults, options);
     }
 
     /**
      * 获取趋势视频列表。
      * @param {string} regionCode - 地区代码，例如 'US', 'GB'
      * @param {string} category - 视频类别ID，例如 '10' (Music)
+     * @param {Object} [options] - 分页选项
+     * @param {number} [options.maxResults] - 获取的视频数量，最多200
+     * @param {Function} [options.onProgress] - 加载进度回调，同 paginate
+     * @param {boolean} [options.forceRefresh] - 是否跳过缓存，获取最新榜单
      * @returns {Promise<Object[]>} - 趋势视频列表
      */
-    async getTrendingVideos(regionCode = 'US', category = '') {
+    async getTrendingVideos(regionCode = 'US', category = '', { maxResults = 20, onProgress = null, forceRefresh = false } = {}) {
         console.log(`API Client: Fetching trending videos for region: ${regionCode}, category: ${category}`);
         const params = {
             part: 'snippet,statistics',
             chart: 'mostPopular',
-            maxResults: 20,
             regionCode: regionCode
         };
         
@@ -152,87 +537,170 @@ class YouTubeApiClient {
             params.videoCategoryId = category;
         }
         
-        const data = await this.request('videos', params);
+        const items = await this.paginateAll('videos', params, {
+            maxItems: Math.min(MAX_CHART_RESULTS, maxResults),
+            onProgress,
+            forceRefresh
+        });
         
-        if (data.items && data.items.length > 0) {
-            return data.items;
+        if (items.length > 0) {
+            return items;
         }
-        throw new Error("No trending videos found.");
+        throw i18n.error('errorNoTrendingVideos');
     }
 
     /**
-     * 获取视频评论。
+     * 获取视频评论。超过100条时自动翻页。
      * @param {string} videoId - 视频ID
      * @param {number} maxResults - 最大返回结果数量
+     * @param {Object} [options] - 分页选项
+     * @param {Function} [options.onProgress] - 加载进度回调，同 paginate
      * @returns {Promise<Object[]>} - 评论数据
      */
-    async getVideoComments(videoId, maxResults = 20) {
+    async getVideoComments(videoId, maxResults = 20, { onProgress = null } = {}) {
         console.log("API Client: Fetching comments for video ID:", videoId);
-        const data = await this.request('commentThreads', {
+        const items = await this.paginateAll('commentThreads', {
             part: 'snippet',
-            videoId: videoId,
-            maxResults: maxResults
-        });
+            videoId: videoId
+        }, { maxItems: maxResults, onProgress });
         
-        if (data.items) {
-            return data.items.map(item => ({
-                author: item.snippet.topLevelComment.snippet.authorDisplayName,
-                text: item.snippet.topLevelComment.snippet.textDisplay,
-                likeCount: item.snippet.topLevelComment.snippet.likeCount,
-                publishedAt: item.snippet.topLevelComment.snippet.publishedAt
-            }));
+        return items.map(item => ({
+            id: item.snippet.topLevelComment.id,
+            author: item.snippet.topLevelComment.snippet.authorDisplayName,
+            authorChannelId: item.snippet.topLevelComment.snippet.authorChannelId
+                ? item.snippet.topLevelComment.snippet.authorChannelId.value
+                : null,
+            text: item.snippet.topLevelComment.snippet.textDisplay,
+            likeCount: item.snippet.topLevelComment.snippet.likeCount,
+            totalReplyCount: item.snippet.totalReplyCount,
+            publishedAt: item.snippet.topLevelComment.snippet.publishedAt,
+            updatedAt: item.snippet.topLevelComment.snippet.updatedAt
+        }));
+    }
+
+    /**
+     * 逐条获取视频的评论线程（纯文本），每个线程包含顶级评论和最多5条回复。
+     * @param {string} videoId - 视频ID
+     * @param {Object} [options] - 选项
+     * @param {string} [options.order] - 'relevance' 或 'time'
+     * @param {string} [options.searchTerms] - 只返回包含该关键词的评论
+     * @param {number} [options.maxItems] - 最多返回的线程数量
+     * @param {Function} [options.onProgress] - 加载进度回调，同 paginate
+     * @returns {AsyncGenerator<Object>} - 评论线程（commentThread 资源）
+     */
+    paginateCommentThreads(videoId, { order = 'relevance', searchTerms = '', maxItems = Infinity, onProgress = null } = {}) {
+        const params = {
+            part: 'snippet,replies',
+            videoId: videoId,
+            order: order,
+            textFormat: 'plainText'
+        };
+        if (searchTerms) {
+            params.searchTerms = searchTerms;
         }
-        return [];
+        return this.paginate('commentThreads', params, { maxItems, onProgress });
     }
 
     /**
-     * 获取视频类别列表。
+     * 获取评论的全部回复（纯文本）。
+     * @param {string} parentId - 顶级评论ID
+     * @param {number} maxResults - 最多返回的回复数量
+     * @returns {Promise<Object[]>} - 回复列表（comment 资源）
+     */
+    async getCommentReplies(parentId, maxResults = 500) {
+        return this.paginateAll('comments', {
+            part: 'snippet',
+            parentId: parentId,
+            textFormat: 'plainText'
+        }, { maxItems: maxResults });
+    }
+
+    /**
+     * 获取地区的视频类别列表。类别名称按 hl 本地化；assignable 为 false 的类别不能用于上传视频，
+     * 在 mostPopular 榜单中通常没有结果。
      * @param {string} regionCode - 地区代码，例如 'US', 'GB'
-     * @returns {Promise<Object[]>} - 视频类别列表
+     * @param {string} [hl] - 类别名称使用的语言，默认跟随语言设置
+     * @returns {Promise<Object[]>} - 视频类别列表 [{ id, title, assignable }]
      */
-    async getVideoCategories(regionCode = 'US') {
-        console.log("API Client: Fetching video categories for region:", regionCode);
+    async getVideoCategories(regionCode = 'US', hl = this.displayLanguage) {
+        console.log(`API Client: Fetching video categories for region: ${regionCode}, hl: ${hl}`);
         const data = await this.request('videoCategories', {
             part: 'snippet',
-            regionCode: regionCode
+            regionCode: regionCode,
+            hl: hl
         });
         
         if (data.items) {
             return data.items.map(item => ({
                 id: item.id,
-                title: item.snippet.title
+                title: item.snippet.title,
+                assignable: item.snippet.assignable !== false
             }));
         }
         return [];
     }
 
     /**
-     * 搜索YouTube内容。
+     * 获取YouTube支持的地区列表。
+     * @param {string} [hl] - 地区名称使用的语言，例如 'zh-CN', 'en'，默认跟随语言设置
+     * @returns {Promise<Object[]>} - 地区列表 [{ id, name }]，id 为地区代码
+     */
+    async getI18nRegions(hl = this.displayLanguage) {
+        console.log("API Client: Fetching i18n regions, hl:", hl);
+        const data = await this.request('i18nRegions', {
+            part: 'snippet',
+            hl: hl
+        });
+
+        return (data.items || []).map(item => ({
+            id: item.snippet.gl,
+            name: item.snippet.name
+        }));
+    }
+
+    /**
+     * 获取YouTube支持的界面语言列表。
+     * @param {string} [hl] - 语言名称使用的语言，默认跟随语言设置
+     * @returns {Promise<Object[]>} - 语言列表 [{ id, name }]，id 为语言代码（即 hl 的取值）
+     */
+    async getI18nLanguages(hl = this.displayLanguage) {
+        console.log("API Client: Fetching i18n languages, hl:", hl);
+        const data = await this.request('i18nLanguages', {
+            part: 'snippet',
+            hl: hl
+        });
+
+        return (data.items || []).map(item => ({
+            id: item.snippet.hl,
+            name: item.snippet.name
+        }));
+    }
+
+    /**
+     * 搜索YouTube内容。超过50条时自动翻页，注意每页搜索消耗100单位配额。
      * @param {string} query - 搜索关键词
      * @param {string} type - 内容类型 ('video', 'channel', 'playlist')
      * @param {number} maxResults - 最大返回结果数量
+     * @param {Object} [options] - 分页选项
+     * @param {Function} [options.onProgress] - 加载进度回调，同 paginate
      * @returns {Promise<Object[]>} - 搜索结果
      */
-    async searchContent(query, type = 'video', maxResults = 20) {
+    async searchContent(query, type = 'video', maxResults = 20, { onProgress = null } = {}) {
         console.log(`API Client: Searching for "${query}" with type "${type}"`);
-        const data = await this.request('search', {
+        const items = await this.paginateAll('search', {
             part: 'snippet',
             q: query,
-            type: type,
-            maxResults: maxResults
-        });
+            type: type
+        }, { maxItems: maxResults, onProgress });
         
-        if (data.items) {
-            return data.items.map(item => ({
-                id: type === 'video' ? item.id.videoId : (type === 'channel' ? item.id.channelId : item.id.playlistId),
-                title: item.snippet.title,
-                description: item.snippet.description,
-                thumbnailUrl: item.snippet.thumbnails.medium ? item.snippet.thumbnails.medium.url : null,
-                channelTitle: item.snippet.channelTitle,
-                publishedAt: item.snippet.publishedAt
-            }));
-        }
-        return [];
+        return items.map(item => ({
+            id: type === 'video' ? item.id.videoId : (type === 'channel' ? item.id.channelId : item.id.playlistId),
+            title: item.snippet.title,
+            description: item.snippet.description,
+            thumbnailUrl: item.snippet.thumbnails.medium ? item.snippet.thumbnails.medium.url : null,
+            channelTitle: item.snippet.channelTitle,
+            publishedAt: item.snippet.publishedAt
+        }));
     }
 }
 
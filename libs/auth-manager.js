@@ -0,0 +1,270 @@
+/**
+ * Auth Manager
+ * 通过 chrome.identity 完成Google账号的OAuth 2.0登录，为YouTube Analytics API等需要授权的接口提供访问令牌。
+ * 优先使用 getAuthToken（Chrome内置账号），不可用时（例如其他Chromium浏览器）回退到 launchWebAuthFlow。
+ */
+
+import i18n from './i18n.js';
+
+const SCOPES = [
+    'https://www.googleapis.com/auth/youtube.readonly',
+    'https://www.googleapis.com/auth/yt-analytics.readonly'
+];
+
+const AUTH_URL = 'https://accounts.google.com/o/oauth2/v2/auth';
+const REVOKE_URL = 'https://oauth2.googleapis.com/revoke';
+const CHANNELS_URL = 'https://www.googleapis.com/youtube/v3/channels';
+
+// 令牌在到期前这么长时间内视为已过期，避免请求途中失效
+const TOKEN_EXPIRY_MARGIN = 60 * 1000;
+
+class AuthManager {
+    constructor() {
+        this.token = null; // { accessToken, expiresAt, method }
+    }
+
+    /**
+     * 获取用于 launchWebAuthFlow 的OAuth客户端ID。
+     * 选项页中填写的客户端ID（Web应用类型）优先，其次使用 manifest 中的 oauth2.client_id。
+     * @returns {Promise<string|null>} - 客户端ID
+     */
+    async getWebClientId() {
+        const result = await chrome.storage.sync.get('oauthClientId');
+        if (result.oauthClientId) {
+            return result.oauthClientId;
+        }
+        const manifest = chrome.runtime.getManifest();
+        return manifest.oauth2 ? manifest.oauth2.client_id : null;
+    }
+
+    /**
+     * 加载缓存的令牌。令牌保存在 chrome.storage.session 中，Service Worker重启后仍可使用，浏览器关闭后清除。
+     * @returns {Promise<Object|null>} - 令牌信息
+     */
+    async loadToken() {
+        if (this.token) {
+            return this.token;
+        }
+        try {
+            const result = await chrome.storage.session.get('authToken');
+            this.token = result.authToken || null;
+        } catch (error) {
+            console.warn("Auth Manager: Failed to load cached token:", error);
+        }
+        return this.token;
+    }
+
+    /**
+     * 保存令牌。
+     * @param {Object|null} token - 令牌信息
+     */
+    async saveToken(token) {
+        this.token = token;
+        try {
+            if (token) {
+                await chrome.storage.session.set({ authToken: token });
+            } else {
+                await chrome.storage.session.remove('authToken');
+            }
+        } catch (error) {
+            console.warn("Auth Manager: Failed to cache token:", error);
+        }
+    }
+
+    /**
+     * 获取访问令牌。
+     * @param {boolean} interactive - 是否允许弹出登录/授权界面
+     * @returns {Promise<string>} - 访问令牌
+     */
+    async getAccessToken(interactive = false) {
+        const cached = await this.loadToken();
+        if (cached && (!cached.expiresAt || cached.expiresAt - TOKEN_EXPIRY_MARGIN > Date.now())) {
+            return cached.accessToken;
+        }
+
+        let token = null;
+        try {
+            token = await this.getTokenFromIdentity(interactive);
+        } catch (error) {
+            console.warn("Auth Manager: getAuthToken unavailable, falling back to web auth flow:", error.message);
+        }
+
+        if (!token) {
+            token = await this.getTokenFromWebAuthFlow(interactive);
+        }
+
+        await this.saveToken(token);
+        return token.accessToken;
+    }
+
+    /**
+     * 使用 chrome.identity.getAuthToken 获取令牌。Chrome会自行缓存和刷新该令牌。
+     * @param {boolean} interactive - 是否允许弹出授权界面
+     * @returns {Promise<Object>} - 令牌信息
+     */
+    async getTokenFromIdentity(interactive) {
+        if (!chrome.identity.getAuthToken) {
+            throw new Error("chrome.identity.getAuthToken is not supported in this browser.");
+        }
+        const result = await chrome.identity.getAuthToken({ interactive, scopes: SCOPES });
+        // 旧版本Chrome直接返回字符串，新版本返回 { token, grantedScopes }
+        const accessToken = typeof result === 'string' ? result : result && result.token;
+        if (!accessToken) {
+            throw new Error("No token returned by chrome.identity.getAuthToken.");
+        }
+        return { accessToken, expiresAt: null, method: 'identity' };
+    }
+
+    /**
+     * 使用 chrome.identity.launchWebAuthFlow（OAuth隐式授权）获取令牌。
+     * @param {boolean} interactive - 是否允许弹出登录窗口
+     * @returns {Promise<Object>} - 令牌信息
+     */
+    async getTokenFromWebAuthFlow(interactive) {
+        const clientId = await this.getWebClientId();
+        if (!clientId || clientId.startsWith('YOUR_')) {
+            throw i18n.error('errorOAuthClientIdMissing');
+        }
+
+        const params = new URLSearchParams({
+            client_id: clientId,
+            response_type: 'token',
+            redirect_uri: chrome.identity.getRedirectURL(),
+            scope: SCOPES.join(' '),
+            include_granted_scopes: 'true'
+        });
+        if (!interactive) {
+            params.set('prompt', 'none');
+        }
+
+        const responseUrl = await chrome.identity.launchWebAuthFlow({
+            url: `${AUTH_URL}?${params.toString()}`,
+            interactive
+        });
+        if (!responseUrl) {
+            throw i18n.error('errorSignInCancelled');
+        }
+
+        const fragment = new URLSearchParams(new URL(responseUrl).hash.slice(1));
+        if (fragment.get('error')) {
+            throw i18n.error('errorAuthorizationFailed', fragment.get('error'));
+        }
+
+        const accessToken = fragment.get('access_token');
+        if (!accessToken) {
+            throw i18n.error('errorNoAccessToken');
+        }
+        const expiresIn = parseInt(fragment.get('expires_in'), 10) || 3600;
+        return { accessToken, expiresAt: Date.now() + expiresIn * 1000, method: 'webAuthFlow' };
+    }
+
+    /**
+     * 使当前令牌失效（例如接口返回401时），下次请求时重新获取。
+     * @returns {Promise<void>}
+     */
+    async invalidateToken() {
+        const token = await this.loadToken();
+        if (token && token.method === 'identity' && chrome.identity.removeCachedAuthToken) {
+            await chrome.identity.removeCachedAuthToken({ token: token.accessToken });
+        }
+        await this.saveToken(null);
+    }
+
+    /**
+     * 发送带授权头的请求。令牌失效（401）时重新获取令牌并重试一次。
+     * @param {string} url - 请求URL
+     * @returns {Promise<Object>} - 响应数据
+     */
+    async authorizedFetch(url) {
+        for (let attempt = 0; attempt < 2; attempt++) {
+            const accessToken = await this.getAccessToken(false);
+            const response = await fetch(url, {
+                headers: { Authorization: `Bearer ${accessToken}` }
+            });
+
+            if (response.status === 401 && attempt === 0) {
+                console.log("Auth Manager: Access token rejected, refreshing");
+                await this.invalidateToken();
+                continue;
+            }
+
+            const data = await response.json();
+            if (!response.ok) {
+                console.error("Auth Manager: Authorized request failed:", data);
+                throw new Error(data.error ? data.error.message : `Request failed with status: ${response.status}`);
+            }
+            return data;
+        }
+        throw i18n.error('errorSignInExpired');
+    }
+
+    /**
+     * 交互式登录，并读取当前账号拥有的频道列表。
+     * @returns {Promise<Object>} - 登录状态
+     */
+    async signIn() {
+        await this.getAccessToken(true);
+
+        const data = await this.authorizedFetch(`${CHANNELS_URL}?part=snippet&mine=true`);
+        const channels = (data.items || []).map(item => ({
+            id: item.id,
+            title: item.snippet.title,
+            thumbnail: item.snippet.thumbnails && item.snippet.thumbnails.default ? item.snippet.thumbnails.default.url : ''
+        }));
+
+        await chrome.storage.local.set({ authAccount: { channels, signedInAt: Date.now() } });
+        console.log(`Auth Manager: Signed in with ${channels.length} owned channel(s)`);
+        return this.getStatus();
+    }
+
+    /**
+     * 退出登录：撤销令牌并清除本地保存的账号信息。
+     * @returns {Promise<void>}
+     */
+    async signOut() {
+        const token = await this.loadToken();
+        if (token) {
+            try {
+                await fetch(`${REVOKE_URL}?token=${encodeURIComponent(token.accessToken)}`, { method: 'POST' });
+            } catch (error) {
+                console.warn("Auth Manager: Failed to revoke token:", error);
+            }
+        }
+        await this.invalidateToken();
+        await chrome.storage.local.remove('authAccount');
+        console.log("Auth Manager: Signed out");
+    }
+
+    /**
+     * 获取登录状态。
+     * @returns {Promise<Object>} - { signedIn, channels, signedInAt }
+     */
+    async getStatus() {
+        const result = await chrome.storage.local.get('authAccount');
+        const account = result.authAccount;
+        return {
+            signedIn: !!account,
+            channels: account ? account.channels : [],
+            signedInAt: account ? account.signedInAt : null
+        };
+    }
+
+    /**
+     * 确认频道属于已登录的账号。
+     * @param {string} channelId - 频道ID
+     * @returns {Promise<void>}
+     */
+    async assertOwnsChannel(channelId) {
+        const status = await this.getStatus();
+        if (!status.signedIn) {
+            throw i18n.error('errorSignInRequired');
+        }
+        if (!status.channels.some(channel => channel.id === channelId)) {
+            throw i18n.error('errorAnalyticsNotOwner');
+        }
+    }
+}
+
+// 导出单例实例
+const authManager = new AuthManager();
+export default authManager;
@@ -0,0 +1,148 @@
+/**
+ * Channel Comparator
+ * 并排比较2到10个频道：解析频道输入，获取频道统计和最近上传的视频，计算各频道的KPI；
+ * 并管理保存在 chrome.storage.local 中的比较组，便于重复使用。
+ */
+
+import youTubeApiClient from './api-client.js';
+import dataProcessor from './data-processor.js';
+import urlResolver from './url-resolver.js';
+import i18n from './i18n.js';
+
+const MIN_CHANNELS = 2;
+const MAX_CHANNELS = 10;
+
+// 每个频道默认分析的最近上传数量（每50个视频消耗2单位配额）
+const COMPARE_UPLOADS_LIMIT = 50;
+
+// chrome.storage.local 中保存比较组的键名
+const STORAGE_KEY = 'comparisonSets';
+
+class ChannelComparator {
+    /**
+     * 比较多个频道。单个频道解析或获取失败时记录错误（消息引用或错误文字）并继续比较其他频道。
+     * @param {string[]} inputs - 频道链接、@handle 或频道ID
+     * @param {Object} [options] - 比较选项
+     * @param {number} [options.maxVideos] - 每个频道分析的最近上传数量
+     * @param {Function} [options.onProgress] - 进度回调，参数为 { loaded, total }，按完成的频道数计算
+     * @returns {Promise<Object>} - { channels: [{ channelId, input, title, thumbnail, kpis }], errors: [{ input, error }], comparedAt }
+     */
+    async compareChannels(inputs, { maxVideos = COMPARE_UPLOADS_LIMIT, onProgress = null } = {}) {
+        const uniqueInputs = [...new Set((inputs || []).map(input => String(input).trim()).filter(Boolean))];
+        if (uniqueInputs.length < MIN_CHANNELS || uniqueInputs.length > MAX_CHANNELS) {
+            throw i18n.error('errorChannelCount', MIN_CHANNELS, MAX_CHANNELS);
+        }
+
+        const errors = [];
+        const resolved = [];
+        for (const input of uniqueInputs) {
+            try {
+                const channelId = await urlResolver.resolveChannelId(input);
+                // 不同写法指向同一频道时只比较一次
+                if (!resolved.some(item => item.channelId === channelId)) {
+                    resolved.push({ input, channelId });
+                }
+            } catch (error) {
+                errors.push({ input, error: error.ref || error.message });
+            }
+        }
+
+        const channelItems = await youTubeApiClient.getChannelsByIds(resolved.map(item => item.channelId));
+        const channels = [];
+        let loaded = 0;
+        for (const { input, channelId } of resolved) {
+            const channelData = channelItems.find(item => item.id === channelId);
+            try {
+                if (!channelData) {
+                    throw i18n.error('errorChannelNotFound');
+                }
+                const uploads = await youTubeApiClient.getRecentUploads(channelId, maxVideos);
+                const thumbnails = channelData.snippet.thumbnails || {};
+                channels.push({
+                    channelId,
+                    input,
+                    title: channelData.snippet.title,
+                    thumbnail: (thumbnails.default || thumbnails.medium || {}).url || null,
+                    kpis: dataProcessor.calculateChannelKPIs(channelData, uploads)
+                });
+            } catch (error) {
+                console.warn("Channel Comparator: Failed to load channel:", channelId, error);
+                errors.push({ input, error: error.ref || error.message });
+            }
+            loaded++;
+            if (onProgress) {
+                onProgress({ loaded, total: resolved.length });
+            }
+        }
+
+        if (channels.length < MIN_CHANNELS) {
+            const details = errors.map(item => i18n.message('errorItemFailed', item.input, item.error));
+            throw details.length > 0
+                ? i18n.error('errorChannelsInsufficientDetails', MIN_CHANNELS, details)
+                : i18n.error('errorChannelsInsufficient', MIN_CHANNELS);
+        }
+
+        return { channels, errors, comparedAt: new Date().toISOString() };
+    }
+
+    /**
+     * 获取已保存的比较组，最近更新的在前。
+     * @returns {Promise<Object[]>} - [{ id, name, channels: [{ input, channelId, title }], createdAt, updatedAt }]
+     */
+    async getSets() {
+        const result = await chrome.storage.local.get(STORAGE_KEY);
+        return (result[STORAGE_KEY] || []).sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * 保存比较组。提供已有的 id 时更新该组，否则新建。
+     * @param {Object} set - 比较组 { id, name, channels }
+     * @returns {Promise<Object>} - 保存后的比较组
+     */
+    async saveSet({ id = null, name, channels }) {
+        const trimmedName = String(name || '').trim();
+        if (!trimmedName) {
+            throw i18n.error('errorSetNameRequired');
+        }
+        const members = (channels || [])
+            .filter(channel => channel && (channel.input || channel.channelId))
+            .slice(0, MAX_CHANNELS)
+            .map(channel => ({
+                input: channel.input || channel.channelId,
+                channelId: channel.channelId || null,
+                title: channel.title || null
+            }));
+        if (members.length < MIN_CHANNELS) {
+            throw i18n.error('errorSetTooFewChannels', MIN_CHANNELS);
+        }
+
+        const sets = await this.getSets();
+        const now = Date.now();
+        const existing = id ? sets.find(item => item.id === id) : null;
+        const saved = {
+            id: existing ? existing.id : `set-${now}-${Math.random().toString(36).slice(2, 8)}`,
+            name: trimmedName,
+            channels: members,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+        await chrome.storage.local.set({
+            [STORAGE_KEY]: [saved, ...sets.filter(item => item.id !== saved.id)]
+        });
+        return saved;
+    }
+
+    /**
+     * 删除比较组。
+     * @param {string} id - 比较组ID
+     * @returns {Promise<void>}
+     */
+    async deleteSet(id) {
+        const sets = await this.getSets();
+        await chrome.storage.local.set({ [STORAGE_KEY]: sets.filter(item => item.id !== id) });
+    }
+}
+
+// 导出单例实例
+const channelComparator = new ChannelComparator();
+export default channelComparator;
@@ -5,6 +5,7 @@
  */
 
 import dataProcessor from './data-processor.js';
+import i18n from './i18n.js';
 
 class ChartUtils {
     constructor() {
@@ -42,25 +43,30 @@ class ChartUtils {
     }
 
     /**
-     * 绘制条形图。
+     * 绘制条形图。传入 datasets 时绘制分组条形图：每个标签为一组，组内每个数据集一根条形，按数据集着色并显示图例。
      * @param {Object} config - 图表配置
+     * @param {number[]} [config.data] - 单组数据，与 labels 一一对应
+     * @param {Object[]} [config.datasets] - 分组数据 [{ label, data }]，每个 data 与 labels 一一对应
      * @param {HTMLElement} container - 容器元素
      * @returns {HTMLCanvasElement} - 图表Canvas元素
      */
     createBarChart(config, container) {
         const {
             data,
+            datasets,
             labels,
             title = '',
             width = 400,
             height = 300,
             colors = this.defaultColors,
             showValues = true,
-            showLegend = false,
+            showLegend = Boolean(datasets),
             valueFormatter = (value) => value.toString()
         } = config;
         
-        if (!data || !labels || data.length !== labels.length) {
+        const grouped = Array.isArray(datasets);
+        const series = grouped ? datasets : [{ label: title, data }];
+        if (!labels || series.length === 0 || series.some(dataset => !dataset.data || dataset.data.length !== labels.length)) {
             console.error('Chart Utils: Invalid data for bar chart');
             return null;
         }
@@ -89,12 +95,13 @@ class ChartUtils {
         }
         
         // 计算最大值确定Y轴刻度
-        const maxValue = Math.max(...data) * 1.1; // 增加10%的空间
+        const maxValue = Math.max(...series.map(dataset => Math.max(...dataset.data))) * 1.1 || 1; // 增加10%的空间
         
-        // 计算条形宽度和间距
-        const barCount = data.length;
-        const barWidth = chartWidth / barCount * 0.7;
-        const barSpacing = chartWidth / barCount * 0.3;
+        // 计算每组的宽度和组内条形宽度（条形占70%，间距占30%）
+        const groupCount = labels.length;
+        const groupWidth = chartWidth / groupCount;
+        const barWidth = groupWidth * 0.7 / series.length;
+        const barSpacing = groupWidth * 0.3;
         
         // 绘制Y轴
         ctx.beginPath();
@@ -121,7 +128,7 @@ class ChartUtils {
             ctx.stroke();
             
             // 绘制刻度值
-            ctx.fillText(Math.round(value).toLocaleString(), margin.left - 10, y + 4);
+            ctx.fillText(i18n.formatNumber(Math.round(value)), margin.left - 10, y + 4);
             
             // 绘制网格线
             ctx.beginPath();
@@ -132,22 +139,26 @@ class ChartUtils {
         }
         
         // 绘制条形
-        for (let i = 0; i < barCount; i++) {
-            const value = data[i];
-            const x = margin.left + (i * (chartWidth / barCount)) + (barSpacing / 2);
-            const barHeight = (value / maxValue) * chartHeight;
-            const y = height - margin.bottom - barHeight;
-            
-            // 绘制条形
-            ctx.fillStyle = colors[i % colors.length];
-            ctx.fillRect(x, y, barWidth, barHeight);
+        for (let i = 0; i < groupCount; i++) {
+            const groupX = margin.left + (i * groupWidth) + (barSpacing / 2);
             
-            // 绘制数值
-            if (showValues) {
-                ctx.font = '12px Arial';
-                ctx.textAlign = 'center';
-                ctx.fillStyle = '#333';
-                ctx.fillText(valueFormatter(value), x + barWidth / 2, y - 5);
+            for (let d = 0; d < series.length; d++) {
+                const value = series[d].data[i];
+                const x = groupX + d * barWidth;
+                const barHeight = (value / maxValue) * chartHeight;
+                const y = height - margin.bottom - barHeight;
+                
+                // 单组数据按条形着色，分组数据按数据集着色
+                ctx.fillStyle = colors[(grouped ? d : i) % colors.length];
+                ctx.fillRect(x, y, barWidth, barHeight);
+                
+                // 绘制数值
+                if (showValues) {
+                    ctx.font = grouped ? '10px Arial' : '12px Arial';
+                    ctx.textAlign = 'center';
+                    ctx.fillStyle = '#333';
+                    ctx.fillText(valueFormatter(value), x + barWidth / 2, y - 5);
+                }
             }
             
             // 绘制X轴标签
@@ -157,24 +168,26 @@ class ChartUtils {
             
             // 标签旋转处理
             const label = labels[i];
+            const labelX = groupX + (barWidth * series.length) / 2;
             if (label.length > 10) {
                 ctx.save();
-                ctx.translate(x + barWidth / 2, height - margin.bottom + 15);
+                ctx.translate(labelX, height - margin.bottom + 15);
                 ctx.rotate(Math.PI / 6); // 30度角
                 ctx.fillText(label, 0, 0);
                 ctx.restore();
             } else {
-                ctx.fillText(label, x + barWidth / 2, height - margin.bottom + 15);
+                ctx.fillText(label, labelX, height - margin.bottom + 15);
             }
         }
         
-        // 绘制图例
-        if (showLegend && labels.length > 0) {
+        // 绘制图例（单组数据为各标签，分组数据为各数据集）
+        const legendLabels = grouped ? series.map(dataset => dataset.label) : labels;
+        if (showLegend && legendLabels.length > 0) {
             const legendX = margin.left;
             const legendY = height - 20;
-            const legendItemWidth = chartWidth / labels.length;
+            const legendItemWidth = chartWidth / legendLabels.length;
             
-            for (let i = 0; i < labels.length; i++) {
+            for (let i = 0; i < legendLabels.length; i++) {
                 const x = legendX + (i * legendItemWidth);
                 
                 // 绘制颜色方块
@@ -185,7 +198,7 @@ class ChartUtils {
                 ctx.font = '10px Arial';
                 ctx.textAlign = 'left';
                 ctx.fillStyle = '#666';
-                ctx.fillText(labels[i], x + 15, legendY + 8);
+                ctx.fillText(legendLabels[i], x + 15, legendY + 8);
             }
         }
         
@@ -534,7 +547,7 @@ class ChartUtils {
         // 处理数据
         const kpis = dataProcessor.calculateVideoKPIs(videoData);
         if (kpis.error) {
-            container.innerHTML = `<p class="error">${kpis.error}</p>`;
+            container.innerHTML = `<p class="error">${i18n.translate(kpis.error)}</p>`;
             return;
         }
         
@@ -553,7 +566,7 @@ class ChartUtils {
         
         // 添加标题
         const titleEl = document.createElement('h3');
-        titleEl.textContent = '视频性能分析';
+        titleEl.textContent = i18n.t('chartVideoPerformanceTitle');
         titleEl.style.cssText = `
             margin: 0 0 10px 0;
             color: #333;
@@ -585,12 +598,12 @@ class ChartUtils {
         
         // 添加关键指标
         const metrics = [
-            { label: '总观看量', value: kpis.viewCount.toLocaleString(), icon: '👁️' },
-            { label: '点赞数', value: kpis.likeCount.toLocaleString(), icon: '👍' },
-            { label: '点赞率', value: `${kpis.likeViewRatio}%`, icon: '📊' },
-            { label: '评论数', value: kpis.commentCount.toLocaleString(), icon: '💬' },
-            { label: '每日平均观看', value: kpis.dailyViewCount.toLocaleString(), icon: '📈' },
-            { label: '参与度', value: `${kpis.engagementRate}%`, icon: '🔄' }
+            { label: i18n.t('statTotalViews'), value: i18n.formatNumber(kpis.viewCount), icon: '👁️' },
+            { label: i18n.t('statLikes'), value: i18n.formatNumber(kpis.likeCount), icon: '👍' },
+            { label: i18n.t('statLikeRate'), value: `${i18n.formatNumber(kpis.likeViewRatio)}%`, icon: '📊' },
+            { label: i18n.t('statComments'), value: i18n.formatNumber(kpis.commentCount), icon: '💬' },
+            { label: i18n.t('statDailyViews'), value: i18n.formatNumber(kpis.dailyViewCount), icon: '📈' },
+            { label: i18n.t('statEngagement'), value: `${i18n.formatNumber(kpis.engagementRate)}%`, icon: '🔄' }
         ];
         
         metrics.forEach(metric => {
@@ -634,7 +647,7 @@ class ChartUtils {
         // 处理数据
         const kpis = dataProcessor.calculateChannelKPIs(channelData);
         if (kpis.error) {
-            container.innerHTML = `<p class="error">${kpis.error}</p>`;
+            container.innerHTML = `<p class="error">${i18n.translate(kpis.error)}</p>`;
             return;
         }
         
@@ -653,7 +666,7 @@ class ChartUtils {
         
         // 添加标题
         const titleEl = document.createElement('h3');
-        titleEl.textContent = '频道性能分析';
+        titleEl.textContent = i18n.t('chartChannelPerformanceTitle');
         titleEl.style.cssText = `
             margin: 0 0 10px 0;
             color: #333;
@@ -685,12 +698,12 @@ class ChartUtils {
         
         // 添加关键指标
         const metrics = [
-            { label: '订阅者数', value: kpis.subscriberCount.toLocaleString(), icon: '👥' },
-            { label: '总观看量', value: kpis.viewCount.toLocaleString(), icon: '👁️' },
-            { label: '视频数量', value: kpis.videoCount.toLocaleString(), icon: '🎬' },
-            { label: '每月订阅增长', value: kpis.monthlySubscriberGrowth.toLocaleString(), icon: '📈' },
-            { label: '每视频观看量', value: kpis.viewsPerVideo.toLocaleString(), icon: '🔄' },
-            { label: '每月视频产出', value: kpis.videosPerMonth.toFixed(1), icon: '📆' }
+            { label: i18n.t('statSubscribers'), value: i18n.formatNumber(kpis.subscriberCount), icon: '👥' },
+            { label: i18n.t('statTotalViews'), value: i18n.formatNumber(kpis.viewCount), icon: '👁️' },
+            { label: i18n.t('statVideoCount'), value: i18n.formatNumber(kpis.videoCount), icon: '🎬' },
+            { label: i18n.t('statMonthlySubscriberGrowth'), value: i18n.formatNumber(kpis.monthlySubscriberGrowth), icon: '📈' },
+            { label: i18n.t('statViewsPerVideo'), value: i18n.formatNumber(kpis.viewsPerVideo), icon: '🔄' },
+            { label: i18n.t('statVideosPerMonth'), value: i18n.formatNumber(kpis.videosPerMonth, { maximumFractionDigits: 1 }), icon: '📆' }
         ];
         
         metrics.forEach(metric => {
@@ -746,7 +759,7 @@ class ChartUtils {
         
         // 添加标题
         const titleEl = document.createElement('h3');
-        titleEl.textContent = '评论情感分析';
+        titleEl.textContent = i18n.t('chartSentimentTitle');
         titleEl.style.cssText = `
             margin: 0 0 10px 0;
             color: #333;
@@ -765,8 +778,8 @@ class ChartUtils {
                     sentimentData.sentimentDistribution.neutral,
                     sentimentData.sentimentDistribution.negative
                 ],
-                labels: ['积极', '中性', '消极'],
-                title: '评论情感分布',
+                labels: [i18n.t('sentimentLabelPositive'), i18n.t('sentimentLabelNeutral'), i18n.t('sentimentLabelNegative')],
+                title: i18n.t('chartSentimentDistributionTitle'),
                 width: 300,
                 height: 250,
                 colors: ['#34A853', '#FBBC05', '#EA4335']
@@ -780,18 +793,18 @@ class ChartUtils {
             `;
             
             scoreContainer.innerHTML = `
-                <div style="font-size: 14px; color: #666; margin-bottom: 5px;">整体情感评分</div>
+                <div style="font-size: 14px; color: #666; margin-bottom: 5px;">${i18n.t('chartOverallSentimentScore')}</div>
                 <div style="font-size: 24px; font-weight: bold; color: ${this.getSentimentColor(sentimentData.sentimentScore)};">
-                    ${sentimentData.sentimentScore.toFixed(1)}
+                    ${i18n.formatNumber(sentimentData.sentimentScore, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}
                 </div>
                 <div style="font-size: 13px; color: #666; margin-top: 5px;">
-                    ${sentimentData.sentimentAssessment}
+                    ${i18n.translate(sentimentData.sentimentAssessment)}
                 </div>
             `;
             
             distributionContainer.appendChild(scoreContainer);
         } else {
-            distributionContainer.innerHTML = `<p style="text-align: center; color: #666;">没有评论数据可供分析</p>`;
+            distributionContainer.innerHTML = `<p style="text-align: center; color: #666;">${i18n.t('chartNoCommentData')}</p>`;
         }
         
         sentimentEl.appendChild(distributionContainer);
@@ -866,7 +879,7 @@ class ChartUtils {
         // 绘制标签
         ctx.font = '14px Arial';
         ctx.fillStyle = '#666';
-        ctx.fillText('性能评分', centerX, centerY + 30);
+        ctx.fillText(i18n.t('chartPerformanceScore'), centerX, centerY + 30);
         
         return canvas;
     }
@@ -879,7 +892,7 @@ class ChartUtils {
     createTagCloud(tagAnalysisData, container) {
         if (!tagAnalysisData || !container || tagAnalysisData.error) {
             if (container) {
-                container.innerHTML = `<p class="error">${tagAnalysisData?.error || '无效的标签数据'}</p>`;
+                container.innerHTML = `<p class="error">${tagAnalysisData ? i18n.translate(tagAnalysisData.error) : i18n.t('chartInvalidTagData')}</p>`;
             }
             return;
         }
@@ -906,9 +919,9 @@ class ChartUtils {
             margin-bottom: 15px;
         `;
         titleEl.innerHTML = `
-            <h3 style="margin: 0 0 5px 0; color: #333; font-size: 18px;">标签分析</h3>
+            <h3 style="margin: 0 0 5px 0; color: #333; font-size: 18px;">${i18n.t('chartTagAnalysisTitle')}</h3>
             <div style="font-size: 13px; color: #666;">
-                ${tagAnalysisData.tagCount} 个标签 • 平均长度: ${tagAnalysisData.avgTagLength} 字符
+                ${i18n.t('chartTagSummary', tagAnalysisData.tagCount, tagAnalysisData.avgTagLength)}
             </div>
         `;
         cloudContainer.appendChild(titleEl);
@@ -925,7 +938,7 @@ class ChartUtils {
             font-size: 14px;
             color: #555;
         `;
-        assessmentEl.textContent = tagAnalysisData.tagQuantityAssessment;
+        assessmentEl.textContent = i18n.translate(tagAnalysisData.tagQuantityAssessment);
         cloudContainer.appendChild(assessmentEl);
         
         // 计算标签字体大小
@@ -968,7 +981,7 @@ class ChartUtils {
             `;
             
             const wordsTitleEl = document.createElement('h4');
-            wordsTitleEl.textContent = '最常用的关键词';
+            wordsTitleEl.textContent = i18n.t('chartMostFrequentWords');
             wordsTitleEl.style.cssText = `
                 margin: 0 0 10px 0;
                 color: #333;
@@ -1007,6 +1020,87 @@ class ChartUtils {
         // 添加到容器
         container.appendChild(cloudContainer);
     }
+
+    /**
+     * 创建热力表：行列交叉的单元格按数值深浅着色，适合显示矩阵数据（例如地区重合度、类别构成）。
+     * @param {Object} config - 表格配置
+     * @param {string[]} config.rowLabels - 行标签
+     * @param {string[]} config.columnLabels - 列标签
+     * @param {number[][]} config.data - 与行列对应的二维数据
+     * @param {string} [config.title] - 标题
+     * @param {string} [config.color] - 最大值单元格的颜色（十六进制）
+     * @param {number} [config.maxValue] - 颜色最深时对应的数值，默认取数据最大值
+     * @param {Function} [config.formatValue] - 单元格数值的格式化函数
+     * @param {HTMLElement} container - 容器元素
+     * @returns {HTMLTableElement} - 热力表元素
+     */
+    createHeatTable(config, container) {
+        const {
+            rowLabels,
+            columnLabels,
+            data,
+            title = '',
+            color = this.defaultColors[0],
+            formatValue = value => value
+        } = config;
+
+        if (!container) {
+            console.error('Container element is required');
+            return null;
+        }
+        if (!data || data.length === 0) {
+            container.innerHTML = `<p class="error">${i18n.t('chartInvalidData')}</p>`;
+            return null;
+        }
+
+        const maxValue = config.maxValue || Math.max(1, ...data.flat());
+        const red = parseInt(color.slice(1, 3), 16);
+        const green = parseInt(color.slice(3, 5), 16);
+        const blue = parseInt(color.slice(5, 7), 16);
+
+        const wrapper = document.createElement('div');
+        wrapper.style.cssText = 'overflow-x: auto; margin: 10px 0;';
+        if (title) {
+            const titleEl = document.createElement('h4');
+            titleEl.textContent = title;
+            titleEl.style.cssText = 'margin: 0 0 8px 0; color: #333; font-size: 14px;';
+            wrapper.appendChild(titleEl);
+        }
+
+        const table = document.createElement('table');
+        table.style.cssText = 'border-collapse: collapse; font-size: 12px; width: 100%;';
+        const cellStyle = 'padding: 4px 6px; border: 1px solid #fff; text-align: center; white-space: nowrap;';
+
+        const headerRow = table.createTHead().insertRow();
+        headerRow.appendChild(document.createElement('th'));
+        columnLabels.forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            th.style.cssText = `${cellStyle} color: #555; font-weight: 600;`;
+            headerRow.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        data.forEach((rowData, rowIndex) => {
+            const row = body.insertRow();
+            const th = document.createElement('th');
+            th.textContent = rowLabels[rowIndex];
+            th.style.cssText = `${cellStyle} text-align: left; color: #555; font-weight: 600;`;
+            row.appendChild(th);
+
+            rowData.forEach(value => {
+                const cell = row.insertCell();
+                const intensity = Math.min(1, Math.max(0, value / maxValue));
+                cell.textContent = formatValue(value);
+                // 颜色较深时使用白色文字保持可读性
+                cell.style.cssText = `${cellStyle} background-color: rgba(${red}, ${green}, ${blue}, ${(0.08 + intensity * 0.82).toFixed(2)}); color: ${intensity > 0.55 ? '#fff' : '#333'};`;
+            });
+        });
+
+        wrapper.appendChild(table);
+        container.appendChild(wrapper);
+        return table;
+    }
 }
 
 // 导出单例实例
@@ -0,0 +1,218 @@
+/**
+ * Comment Harvester
+ * 收集视频的评论线程和全部回复，保存到本地IndexedDB作为评论语料，
+ * 供情感、关键词和观众分析使用。只有在设置中开启“收集评论”后才会收集。
+ */
+
+import database from './database.js';
+import youTubeApiClient from './api-client.js';
+import quotaManager from './quota-manager.js';
+import i18n from './i18n.js';
+
+const STORE_NAME = 'comments';
+
+const COMMENT_ORDERS = ['relevance', 'time'];
+
+const DEFAULT_MAX_THREADS = 1000;
+const MAX_REPLIES_PER_THREAD = 500;
+
+// 累积到该数量后写入一次数据库并报告进度
+const SAVE_BATCH_SIZE = 200;
+
+// 自动收集：该时间内收集过的视频再次分析时不重新收集
+const AUTO_HARVEST_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+class CommentHarvester {
+    /**
+     * 是否开启了评论收集。
+     * @returns {Promise<boolean>}
+     */
+    async isEnabled() {
+        const result = await chrome.storage.sync.get('collectComments');
+        return result.collectComments === true;
+    }
+
+    /**
+     * 判断分析视频后是否应自动收集评论：需要开启评论收集，该视频近期没有收集过未经关键词筛选的语料，
+     * 且配额没有因接近预算而暂停低优先级请求。
+     * @param {string} videoId - 视频ID
+     * @returns {Promise<boolean>}
+     */
+    async shouldAutoHarvest(videoId) {
+        if (!(await this.isEnabled())) {
+            return false;
+        }
+        const record = (await this.getHarvestRecords())[videoId];
+        if (record && !record.searchTerms && Date.now() - record.harvestedAt < AUTO_HARVEST_MAX_AGE) {
+            return false;
+        }
+        const budget = await quotaManager.checkBudget('commentThreads', 'low');
+        return budget.allowed;
+    }
+
+    /**
+     * 将API返回的评论资源转换为语料记录。
+     * @param {Object} comment - comment 资源
+     * @param {Object} context - { videoId, parentId, totalReplyCount, harvestedAt }
+     * @returns {Object} - 语料记录
+     */
+    normalizeComment(comment, { videoId, parentId = null, totalReplyCount = 0, harvestedAt }) {
+        const snippet = comment.snippet;
+        return {
+            id: comment.id,
+            videoId,
+            parentId,
+            authorDisplayName: snippet.authorDisplayName,
+            authorChannelId: snippet.authorChannelId ? snippet.authorChannelId.value : null,
+            text: snippet.textDisplay,
+            likeCount: snippet.likeCount || 0,
+            totalReplyCount: parentId ? 0 : totalReplyCount,
+            publishedAt: snippet.publishedAt,
+            updatedAt: snippet.updatedAt,
+            harvestedAt
+        };
+    }
+
+    /**
+     * 收集视频的评论语料。评论线程自带最多5条回复，回复更多时再通过 comments.list 获取全部回复。
+     * 中途失败（例如配额不足）时保留已收集的部分，并在结果中标记为未完成。
+     * @param {string} videoId - 视频ID
+     * @param {Object} [options] - 收集选项
+     * @param {number} [options.maxThreads] - 最多收集的评论线程数
+     * @param {string} [options.order] - 'relevance' 或 'time'
+     * @param {string} [options.searchTerms] - 只收集包含该关键词的评论
+     * @param {boolean} [options.includeReplies] - 是否收集回复
+     * @param {Function} [options.onProgress] - 进度回调，参数为 { videoId, threads, replies, limit }
+     * @returns {Promise<Object>} - 收集记录 { videoId, threads, replies, order, searchTerms, harvestedAt, complete, error }
+     */
+    async harvest(videoId, {
+        maxThreads = DEFAULT_MAX_THREADS,
+        order = 'relevance',
+        searchTerms = '',
+        includeReplies = true,
+        onProgress = null
+    } = {}) {
+        if (!(await this.isEnabled())) {
+            throw i18n.error('errorCommentCollectionDisabled');
+        }
+        if (!COMMENT_ORDERS.includes(order)) {
+            throw new Error(`Unsupported comment order: ${order}`);
+        }
+
+        const harvestedAt = Date.now();
+        const summary = { videoId, threads: 0, replies: 0, order, searchTerms, harvestedAt, complete: true, error: null };
+        let batch = [];
+
+        const flush = async () => {
+            if (batch.length > 0) {
+                await database.putAll(STORE_NAME, batch);
+                batch = [];
+            }
+            if (onProgress) {
+                onProgress({ videoId, threads: summary.threads, replies: summary.replies, limit: maxThreads });
+            }
+        };
+
+        try {
+            const threads = youTubeApiClient.paginateCommentThreads(videoId, { order, searchTerms, maxItems: maxThreads });
+            for await (const thread of threads) {
+                const topLevel = thread.snippet.topLevelComment;
+                const totalReplyCount = thread.snippet.totalReplyCount || 0;
+                batch.push(this.normalizeComment(topLevel, { videoId, totalReplyCount, harvestedAt }));
+                summary.threads++;
+
+                if (includeReplies && totalReplyCount > 0) {
+                    const included = thread.replies ? thread.replies.comments : [];
+                    const replies = included.length >= totalReplyCount
+                        ? included
+                        : await youTubeApiClient.getCommentReplies(topLevel.id, MAX_REPLIES_PER_THREAD);
+                    replies.forEach(reply => {
+                        batch.push(this.normalizeComment(reply, { videoId, parentId: topLevel.id, harvestedAt }));
+                    });
+                    summary.replies += replies.length;
+                }
+
+                if (batch.length >= SAVE_BATCH_SIZE) {
+                    await flush();
+                }
+            }
+        } catch (error) {
+            if (summary.threads === 0) {
+                throw error;
+            }
+            console.warn(`Comment Harvester: Harvest of ${videoId} stopped early:`, error);
+            summary.complete = false;
+            summary.error = error.ref || error.message;
+        }
+
+        await flush();
+        await this.saveHarvestRecord(summary);
+        console.log(`Comment Harvester: Harvested ${summary.threads} threads and ${summary.replies} replies for ${videoId}`);
+        return summary;
+    }
+
+    /**
+     * 获取所有视频的收集记录。
+     * @returns {Promise<Object>} - { videoId: 收集记录 }
+     */
+    async getHarvestRecords() {
+        const result = await chrome.storage.local.get('commentHarvests');
+        return result.commentHarvests || {};
+    }
+
+    /**
+     * 保存视频的收集记录。
+     * @param {Object} record - 收集记录
+     * @returns {Promise<void>}
+     */
+    async saveHarvestRecord(record) {
+        const records = await this.getHarvestRecords();
+        records[record.videoId] = record;
+        await chrome.storage.local.set({ commentHarvests: records });
+    }
+
+    /**
+     * 获取视频的本地评论语料。
+     * @param {string} videoId - 视频ID
+     * @param {Object} [options] - 选项
+     * @param {boolean} [options.includeReplies] - 是否包含回复
+     * @returns {Promise<Object>} - { videoId, harvest, comments }，comments 按发布时间升序
+     */
+    async getCorpus(videoId, { includeReplies = true } = {}) {
+        const comments = await database.getAll(STORE_NAME, 'videoId', videoId);
+        const records = await this.getHarvestRecords();
+        return {
+            videoId,
+            harvest: records[videoId] || null,
+            comments: comments
+                .filter(comment => includeReplies || !comment.parentId)
+                .sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt))
+        };
+    }
+
+    /**
+     * 删除评论语料。不指定视频时删除全部语料。
+     * @param {string} [videoId] - 视频ID
+     * @returns {Promise<void>}
+     */
+    async deleteCorpus(videoId = null) {
+        if (!videoId) {
+            await database.clear(STORE_NAME);
+            await chrome.storage.local.remove('commentHarvests');
+            console.log("Comment Harvester: Cleared all comment corpora");
+            return;
+        }
+
+        await database.iterate(STORE_NAME, { indexName: 'videoId', query: videoId, mode: 'readwrite' }, (value, cursor) => {
+            cursor.delete();
+        });
+        const records = await this.getHarvestRecords();
+        delete records[videoId];
+        await chrome.storage.local.set({ commentHarvests: records });
+        console.log(`Comment Harvester: Deleted comment corpus for ${videoId}`);
+    }
+}
+
+// 导出单例实例
+const commentHarvester = new CommentHarvester();
+export default commentHarvester;
@@ -1,29 +1,89 @@
 /**
  * Data Processor
- * 提供YouTube数据分析处理功能，包括统计分析、标签分析、评论情感分析等。
+ * 提供YouTube数据分析处理功能，包括统计分析、标签分析、评论情感分析、评论话题和提问分析等。
  */
 
 import youTubeApiClient from './api-client.js';
+import sentimentAnalyzer from './sentiment/sentiment-analyzer.js';
+import customLexicon from './sentiment/custom-lexicon.js';
+import tokenizer from './sentiment/tokenizer.js';
+import i18n from './i18n.js';
+
+// 评论关键词提取忽略的英文常用词
+const ENGLISH_STOPWORDS = new Set([
+    'the', 'and', 'for', 'are', 'but', 'not', 'you', 'your', 'all', 'any', 'can', 'had', 'her', 'was', 'one',
+    'our', 'out', 'has', 'have', 'his', 'how', 'its', 'who', 'why', 'what', 'when', 'where', 'which', 'this',
+    'that', 'these', 'those', 'with', 'from', 'they', 'them', 'their', 'there', 'then', 'than', 'been', 'were',
+    'will', 'would', 'could', 'should', 'just', 'like', 'about', 'into', 'also', 'some', 'more', 'most', 'very',
+    'much', 'only', 'over', 'such', 'even', 'ever', 'here', 'does', 'did', 'doing', 'done', 'make', 'made',
+    'know', 'think', 'really', 'still', 'because', 'being', 'after', 'before', 'other', 'each', 'same', 'get',
+    'got', 'him', 'she', 'let', 'too', 'may', 'might', 'now', 'off', 'own', 'see', 'say', 'said', 'way', 'well',
+    'yes', 'yeah', 'lol', 'video', 'videos', "i'm", "it's", "don't", "that's", "you're", "can't"
+]);
+
+// 含有这些字的中文n-gram不作为关键词（助词、代词、常见虚词）
+const CHINESE_STOP_CHARS = new Set([...'的了是我你他她它们这那就都也在有和与吗呢吧啊呀哦嗯个一不没很还又被把让给着过到说要会能可以么什哈啦']);
+
+// 疑问句的开头（英文按单词匹配，大小写不敏感）
+const QUESTION_PREFIXES = ['how', 'what', 'why', 'where', 'when', 'which', '怎么', '为什么', '如何', '请问', '哪'];
+
+// 描述的推荐长度（字符）
+const RECOMMENDED_DESCRIPTION_LENGTH = [1000, 2000];
+
+// 中文关键词候选的n-gram长度范围
+const MIN_CHINESE_GRAM = 2;
+const MAX_CHINESE_GRAM = 4;
+
+// 关键词至少出现在多少条评论中
+const MIN_TERM_DOCUMENTS = 2;
+
+// 较长的n-gram覆盖较短n-gram出现次数的比例达到该值时，去掉较短的（例如“背景音乐”覆盖“背景”和“景音”）
+const SUBSTRING_COVERAGE = 0.8;
+
+// 用于聚类话题的候选关键词数量
+const TOPIC_SEED_TERMS = 30;
+
+// 两个关键词的评论重合度达到该值时归为同一话题
+const TOPIC_MERGE_OVERLAP = 0.6;
+
+// 分词时不合并汉字，由关键词提取自行生成n-gram
+const CHARACTER_DICTIONARY = { has: () => false, maxLength: 1 };
 
 class DataProcessor {
     constructor() {
-        // 初始化情感分析词典（简单示例）
-        this.sentimentDictionary = {
-            positive: [
-                '喜欢', '赞', '支持', '好看', '精彩', '棒', '帅', '厉害', '感谢', '谢谢', 
-                '爱', '漂亮', '优秀', '完美', '推荐', '好', '牛', '震撼', '赞赏', '学习',
-                'love', 'like', 'good', 'great', 'excellent', 'amazing', 'awesome', 
-                'beautiful', 'best', 'thanks', 'thank', 'cool', 'nice', 'perfect', 
-                'recommend', 'helpful', 'impressive', 'wonderful', 'enjoy', 'enjoyed'
-            ],
-            negative: [
-                '差', '烂', '不好', '讨厌', '难看', '垃圾', '失望', '无聊', '浪费', '糟糕',
-                '弱', '坑', '骗', '假', '水', '敷衍', '难受', '辣眼睛', '花里胡哨', '太长',
-                'bad', 'worst', 'terrible', 'horrible', 'boring', 'waste', 'poor', 
-                'disappointed', 'disappointing', 'hate', 'awful', 'dislike', 'useless',
-                'stupid', 'sucks', 'fake', 'clickbait', 'misleading', 'annoying', 'ugly'
-            ]
-        };
+        this.storageListenerAdded = false;
+    }
+
+    /**
+     * 初始化：加载用户自定义情感词典并监听其变化。
+     * @returns {Promise<void>}
+     */
+    async init() {
+        this.applyCustomLexicon(await customLexicon.load());
+        this.watchSettings();
+    }
+
+    /**
+     * 监听自定义情感词典的变化（选项页保存或其他设备同步）。
+     */
+    watchSettings() {
+        if (this.storageListenerAdded) return;
+        this.storageListenerAdded = true;
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            const lexicon = customLexicon.getChangedLexicon(changes, areaName);
+            if (lexicon) {
+                this.applyCustomLexicon(lexicon);
+            }
+        });
+    }
+
+    /**
+     * 将自定义词典注册到情感分析器，覆盖内置词典中的同名词。
+     * @param {Object} lexicon - 自定义词典 { positive, negative, neutral }
+     */
+    applyCustomLexicon(lexicon) {
+        sentimentAnalyzer.registerLexicon(customLexicon.toAnalyzerLexicon(lexicon));
+        console.log(`Data Processor: Custom lexicon applied (${customLexicon.countWords(lexicon)} words)`);
     }
 
     /**
@@ -34,7 +94,7 @@ class DataProcessor {
     calculateVideoKPIs(videoData) {
         if (!videoData || !videoData.statistics) {
             return {
-                error: "无效的视频数据"
+                error: i18n.message('analysisErrorInvalidVideo')
             };
         }
 
@@ -105,13 +165,16 @@ class DataProcessor {
 
     /**
      * 计算频道的关键绩效指标（KPI）。
+     * 提供频道上传视频时，上传频率按实际发布时间计算，并附带观看量分布和表现最好/最差的视频；
+     * 否则按频道创建以来的总数估算。
      * @param {Object} channelData - 频道数据对象
+     * @param {Object[]} [uploads] - 频道最近上传的视频（含 snippet 和 statistics）
      * @returns {Object} - 包含KPI的对象
      */
-    calculateChannelKPIs(channelData) {
+    calculateChannelKPIs(channelData, uploads = []) {
         if (!channelData || !channelData.statistics) {
             return {
-                error: "无效的频道数据"
+                error: i18n.message('analysisErrorInvalidChannel')
             };
         }
 
@@ -141,8 +204,15 @@ class DataProcessor {
         const monthlyViewGrowth = monthsSinceCreated > 0 ? viewCount / monthsSinceCreated : viewCount;
         const yearlyViewGrowth = yearsSinceCreated > 0 ? viewCount / yearsSinceCreated : viewCount;
 
-        const videosPerMonth = monthsSinceCreated > 0 ? videoCount / monthsSinceCreated : videoCount;
-        const videosPerYear = yearsSinceCreated > 0 ? videoCount / yearsSinceCreated : videoCount;
+        let videosPerMonth = monthsSinceCreated > 0 ? videoCount / monthsSinceCreated : videoCount;
+        let videosPerYear = yearsSinceCreated > 0 ? videoCount / yearsSinceCreated : videoCount;
+
+        // 有上传记录时使用实际的上传频率
+        const uploadStats = this.analyzeUploads(uploads);
+        if (uploadStats && uploadStats.uploadsPerMonth !== null) {
+            videosPerMonth = uploadStats.uploadsPerMonth;
+            videosPerYear = uploadStats.uploadsPerMonth * 12;
+        }
 
         // 创建频道健康分数（满分100）
         let channelScore = 0;
@@ -199,7 +269,245 @@ class DataProcessor {
             yearlyViewGrowth: parseFloat(yearlyViewGrowth.toFixed(2)),
             videosPerMonth: parseFloat(videosPerMonth.toFixed(2)),
             videosPerYear: parseFloat(videosPerYear.toFixed(2)),
-            channelScore: Math.min(100, Math.round(channelScore))
+            channelScore: Math.min(100, Math.round(channelScore)),
+            uploadStats
+        };
+    }
+
+    /**
+     * 计算已排序数组的百分位数（线性插值）。
+     * @param {number[]} sortedValues - 升序排列的数值
+     * @param {number} percentile - 百分位（0-100）
+     * @returns {number}
+     */
+    getPercentile(sortedValues, percentile) {
+        if (sortedValues.length === 0) return 0;
+        const position = (sortedValues.length - 1) * percentile / 100;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+    }
+
+    /**
+     * 分析频道上传的视频：上传频率、观看量中位数和分布、互动率、表现最好和最差的视频。
+     * 上传频率按最早一个分析视频到现在的时间计算，因此长时间停更的频道频率会下降。
+     * 最差视频只在发布满7天的视频中选取，避免新视频因观看量尚未积累而上榜。
+     * @param {Object[]} uploads - 上传的视频列表
+     * @returns {Object|null} - 上传统计，没有可用视频时返回 null
+     */
+    analyzeUploads(uploads) {
+        const videos = (uploads || []).filter(video => video && video.snippet && video.statistics);
+        if (videos.length === 0) {
+            return null;
+        }
+
+        const DAY = 1000 * 60 * 60 * 24;
+        const now = Date.now();
+
+        // 上传频率
+        const publishTimes = videos.map(video => new Date(video.snippet.publishedAt).getTime()).sort((a, b) => a - b);
+        const firstPublished = publishTimes[0];
+        const lastPublished = publishTimes[publishTimes.length - 1];
+        const intervals = [];
+        for (let i = 1; i < publishTimes.length; i++) {
+            intervals.push((publishTimes[i] - publishTimes[i - 1]) / DAY);
+        }
+        const spanDays = (now - firstPublished) / DAY;
+        const uploadsPerMonth = videos.length >= 2 && spanDays > 0 ? videos.length / spanDays * 30 : null;
+
+        // 观看量分布
+        const summaries = videos.map(video => ({
+            id: video.id,
+            title: video.snippet.title,
+            publishedAt: video.snippet.publishedAt,
+            viewCount: parseInt(video.statistics.viewCount) || 0,
+            likeCount: parseInt(video.statistics.likeCount) || 0,
+            commentCount: parseInt(video.statistics.commentCount) || 0
+        }));
+        const views = summaries.map(video => video.viewCount).sort((a, b) => a - b);
+        const medianViews = this.getPercentile(views, 50);
+        const averageViews = views.reduce((sum, value) => sum + value, 0) / views.length;
+
+        // 互动率：所有分析视频的点赞和评论总数占总观看量的百分比（与单个视频的 engagementRate 定义一致）
+        const totals = summaries.reduce((sum, video) => ({
+            views: sum.views + video.viewCount,
+            likes: sum.likes + video.likeCount,
+            comments: sum.comments + video.commentCount
+        }), { views: 0, likes: 0, comments: 0 });
+        const toRate = count => totals.views > 0 ? parseFloat((count / totals.views * 100).toFixed(2)) : 0;
+
+        const viewDistribution = [
+            { label: '<1K', min: 0, max: 1000 },
+            { label: '1K-10K', min: 1000, max: 10000 },
+            { label: '10K-100K', min: 10000, max: 100000 },
+            { label: '100K-1M', min: 100000, max: 1000000 },
+            { label: '≥1M', min: 1000000, max: Infinity }
+        ].map(bucket => ({
+            label: bucket.label,
+            count: views.filter(value => value >= bucket.min && value < bucket.max).length
+        }));
+
+        // 表现最好和最差的视频
+        summaries.forEach(video => {
+            video.viewsVsMedian = medianViews > 0 ? parseFloat((video.viewCount / medianViews).toFixed(2)) : null;
+        });
+        const byViews = [...summaries].sort((a, b) => b.viewCount - a.viewCount);
+        const matured = byViews.filter(video => now - new Date(video.publishedAt).getTime() >= 7 * DAY);
+
+        return {
+            analyzedCount: videos.length,
+            firstPublishedAt: new Date(firstPublished).toISOString(),
+            lastPublishedAt: new Date(lastPublished).toISOString(),
+            daysSinceLastUpload: Math.floor((now - lastPublished) / DAY),
+            uploadsPerMonth: uploadsPerMonth !== null ? parseFloat(uploadsPerMonth.toFixed(2)) : null,
+            medianDaysBetweenUploads: intervals.length > 0
+                ? parseFloat(this.getPercentile(intervals.sort((a, b) => a - b), 50).toFixed(2))
+                : null,
+            medianViews: Math.round(medianViews),
+            averageViews: Math.round(averageViews),
+            likeRate: toRate(totals.likes),
+            commentRate: toRate(totals.comments),
+            engagementRate: toRate(totals.likes + totals.comments),
+            viewPercentiles: {
+                p10: Math.round(this.getPercentile(views, 10)),
+                p25: Math.round(this.getPercentile(views, 25)),
+                p50: Math.round(medianViews),
+                p75: Math.round(this.getPercentile(views, 75)),
+                p90: Math.round(this.getPercentile(views, 90))
+            },
+            viewDistribution,
+            bestPerformers: byViews.slice(0, 5),
+            worstPerformers: (matured.length > 0 ? matured : byViews).slice(-5).reverse()
+        };
+    }
+
+    /**
+     * 计算播放列表的KPI：总观看量和中位数、按播放顺序的观看衰减，以及表现最好的视频。
+     * 观看衰减以第一个视频的观看量为基准（留存率 = 该视频观看量 / 第一个视频观看量），
+     * 适用于系列课程、连载等按顺序观看的播放列表；新加入的视频观看量仍在积累，留存率会偏低。
+     * @param {Object} playlistData - 播放列表数据对象
+     * @param {Object[]} videos - 播放列表中的视频（含 snippet、statistics 和 position），按播放顺序排列
+     * @returns {Object} - 包含KPI的对象
+     */
+    calculatePlaylistKPIs(playlistData, videos) {
+        const summaries = (videos || [])
+            .filter(video => video && video.snippet && video.statistics)
+            .map((video, index) => ({
+                id: video.id,
+                position: video.position || index + 1,
+                title: video.snippet.title,
+                channelTitle: video.snippet.channelTitle,
+                publishedAt: video.snippet.publishedAt,
+                viewCount: parseInt(video.statistics.viewCount) || 0,
+                likeCount: parseInt(video.statistics.likeCount) || 0,
+                commentCount: parseInt(video.statistics.commentCount) || 0
+            }));
+        const itemCount = playlistData.contentDetails ? playlistData.contentDetails.itemCount : summaries.length;
+        if (summaries.length === 0) {
+            return { itemCount, analyzedCount: 0, unavailableCount: itemCount, totalViews: 0, medianViews: 0, averageViews: 0, engagementRate: 0, dropOff: null, bestPerformers: [] };
+        }
+
+        const views = summaries.map(video => video.viewCount).sort((a, b) => a - b);
+        const totalViews = views.reduce((sum, value) => sum + value, 0);
+        const medianViews = this.getPercentile(views, 50);
+        const totalInteractions = summaries.reduce((sum, video) => sum + video.likeCount + video.commentCount, 0);
+
+        summaries.forEach(video => {
+            video.viewsVsMedian = medianViews > 0 ? parseFloat((video.viewCount / medianViews).toFixed(2)) : null;
+        });
+
+        // 观看衰减：每个视频相对第一个视频的留存率，以及相邻视频之间留存率的中位数
+        const firstViews = summaries[0].viewCount;
+        const toRetention = count => firstViews > 0 ? parseFloat((count / firstViews * 100).toFixed(1)) : null;
+        const stepRetentions = [];
+        for (let i = 1; i < summaries.length; i++) {
+            if (summaries[i - 1].viewCount > 0) {
+                stepRetentions.push(summaries[i].viewCount / summaries[i - 1].viewCount * 100);
+            }
+        }
+        const halfLife = firstViews > 0 ? summaries.find(video => video.viewCount < firstViews / 2) : null;
+
+        return {
+            itemCount,
+            analyzedCount: summaries.length,
+            unavailableCount: Math.max(0, itemCount - summaries.length),
+            totalViews,
+            medianViews: Math.round(medianViews),
+            averageViews: Math.round(totalViews / summaries.length),
+            engagementRate: totalViews > 0 ? parseFloat((totalInteractions / totalViews * 100).toFixed(2)) : 0,
+            dropOff: summaries.length >= 2 ? {
+                series: summaries.map(video => ({
+                    position: video.position,
+                    id: video.id,
+                    title: video.title,
+                    viewCount: video.viewCount,
+                    retention: toRetention(video.viewCount)
+                })),
+                secondRetention: toRetention(summaries[1].viewCount),
+                lastRetention: toRetention(summaries[summaries.length - 1].viewCount),
+                medianStepRetention: stepRetentions.length > 0
+                    ? parseFloat(this.getPercentile(stepRetentions.sort((a, b) => a - b), 50).toFixed(1))
+                    : null,
+                halfLifePosition: halfLife ? halfLife.position : null
+            } : null,
+            bestPerformers: [...summaries].sort((a, b) => b.viewCount - a.viewCount).slice(0, 5)
+        };
+    }
+
+    /**
+     * 根据按时间排序的统计快照计算各指标的增长速度和加速度。
+     * 速度为相邻两个快照之间每小时的增量；加速度为相邻两段速度之差除以两段中点之间的小时数。
+     * @param {Object[]} snapshots - 快照列表 [{ timestamp, stats }]，按时间升序
+     * @param {string[]} fields - 要计算的统计字段，例如 ['viewCount', 'likeCount']
+     * @returns {Object} - { points, latest }，points 与快照一一对应，第一个快照没有速度，前两个快照没有加速度
+     */
+    calculateGrowthMetrics(snapshots, fields) {
+        const HOUR = 1000 * 60 * 60;
+        const points = [];
+
+        for (let i = 0; i < snapshots.length; i++) {
+            const current = snapshots[i];
+            const point = {
+                timestamp: current.timestamp,
+                values: {},
+                velocity: null,
+                acceleration: null
+            };
+            fields.forEach(field => {
+                point.values[field] = current.stats[field] || 0;
+            });
+
+            const previous = points[i - 1];
+            const hours = previous ? (current.timestamp - previous.timestamp) / HOUR : 0;
+            if (previous && hours > 0) {
+                point.velocity = {};
+                fields.forEach(field => {
+                    point.velocity[field] = parseFloat(((point.values[field] - previous.values[field]) / hours).toFixed(2));
+                });
+
+                // 速度代表一段时间的平均值，用两段中点之间的时间差计算加速度
+                const beforePrevious = points[i - 2];
+                if (previous.velocity && beforePrevious) {
+                    const midpointHours = (current.timestamp - beforePrevious.timestamp) / 2 / HOUR;
+                    point.acceleration = {};
+                    fields.forEach(field => {
+                        point.acceleration[field] = parseFloat(((point.velocity[field] - previous.velocity[field]) / midpointHours).toFixed(4));
+                    });
+                }
+            }
+
+            points.push(point);
+        }
+
+        const latest = points.length > 0 ? points[points.length - 1] : null;
+        return {
+            points,
+            latest: latest ? {
+                timestamp: latest.timestamp,
+                values: latest.values,
+                velocity: latest.velocity,
+                acceleration: latest.acceleration
+            } : null
         };
     }
 
@@ -211,7 +519,7 @@ class DataProcessor {
     analyzeVideoTags(videoData) {
         if (!videoData || !videoData.snippet || !videoData.snippet.tags || videoData.snippet.tags.length === 0) {
             return {
-                error: "无标签数据",
+                error: i18n.message('analysisErrorNoTags'),
                 tagCount: 0,
                 tags: [],
                 mostFrequentWords: []
@@ -247,25 +555,25 @@ class DataProcessor {
         const avgTagLength = tagLengths.reduce((sum, length) => sum + length, 0) / tagCount;
         
         // 分析标签数量的充分性（基于YouTube最佳实践）
-        let tagQuantityAssessment = "";
+        let tagQuantityAssessment;
         if (tagCount >= 15) {
-            tagQuantityAssessment = "优秀 - 使用了充分的标签数量";
+            tagQuantityAssessment = i18n.message('tagQuantityExcellent');
         } else if (tagCount >= 10) {
-            tagQuantityAssessment = "良好 - 标签数量合理";
+            tagQuantityAssessment = i18n.message('tagQuantityGood');
         } else if (tagCount >= 5) {
-            tagQuantityAssessment = "一般 - 可以添加更多标签";
+            tagQuantityAssessment = i18n.message('tagQuantityFair');
         } else {
-            tagQuantityAssessment = "不足 - 标签数量太少，建议增加";
+            tagQuantityAssessment = i18n.message('tagQuantityPoor');
         }
         
         // 分析标签长度的合理性
-        let tagLengthAssessment = "";
+        let tagLengthAssessment;
         if (avgTagLength > 20) {
-            tagLengthAssessment = "标签平均长度较长，可能包含详细的关键词短语";
+            tagLengthAssessment = i18n.message('tagLengthLong');
         } else if (avgTagLength > 10) {
-            tagLengthAssessment = "标签平均长度适中，平衡了具体性和简洁性";
+            tagLengthAssessment = i18n.message('tagLengthMedium');
         } else {
-            tagLengthAssessment = "标签平均长度较短，可能不够具体";
+            tagLengthAssessment = i18n.message('tagLengthShort');
         }
 
         return {
@@ -321,7 +629,7 @@ class DataProcessor {
     async analyzeCommentSentiment(comments) {
         if (!comments || !Array.isArray(comments) || comments.length === 0) {
             return {
-                error: "无评论数据",
+                error: i18n.message('analysisErrorNoComments'),
                 sentimentScore: 0,
                 sentimentDistribution: {
                     positive: 0,
@@ -340,43 +648,22 @@ class DataProcessor {
         const analyzedComments = comments.map(comment => {
             if (!comment.text) return null;
             
-            const text = comment.text.toLowerCase();
-            let positiveScore = 0;
-            let negativeScore = 0;
-            
-            // 检查积极词汇
-            this.sentimentDictionary.positive.forEach(word => {
-                if (text.includes(word.toLowerCase())) {
-                    positiveScore += 1;
-                }
-            });
-            
-            // 检查消极词汇
-            this.sentimentDictionary.negative.forEach(word => {
-                if (text.includes(word.toLowerCase())) {
-                    negativeScore += 1;
-                }
-            });
-            
-            // 确定整体情感
-            let sentiment;
-            if (positiveScore > negativeScore) {
-                sentiment = 'positive';
+            const result = sentimentAnalyzer.analyze(comment.text);
+            if (result.label === 'positive') {
                 positiveCount++;
-            } else if (negativeScore > positiveScore) {
-                sentiment = 'negative';
+            } else if (result.label === 'negative') {
                 negativeCount++;
             } else {
-                sentiment = 'neutral';
                 neutralCount++;
             }
             
             return {
                 ...comment,
-                sentiment,
-                positiveScore,
-                negativeScore,
-                overallScore: positiveScore - negativeScore
+                sentiment: result.label,
+                language: result.language,
+                positiveScore: result.positive,
+                negativeScore: result.negative,
+                overallScore: result.score
             };
         }).filter(Boolean);
         
@@ -416,20 +703,278 @@ class DataProcessor {
     /**
      * 获取情感评估描述。
      * @param {number} score - 情感分数 (-100 到 100)
-     * @returns {string} - 情感评估描述
+     * @returns {Object} - 情感评估描述的消息引用
      */
     getSentimentAssessment(score) {
-        if (score >= 80) return "极其积极 - 观众反应非常热烈";
-        if (score >= 60) return "非常积极 - 观众反应热情";
-        if (score >= 40) return "相当积极 - 观众普遍喜欢";
-        if (score >= 20) return "较为积极 - 观众反应良好";
-        if (score >= 10) return "略微积极 - 观众稍有好感";
-        if (score > -10) return "中性 - 观众反应平淡";
-        if (score > -20) return "略微消极 - 观众略有不满";
-        if (score > -40) return "较为消极 - 观众有明显不满";
-        if (score > -60) return "相当消极 - 观众普遍不满";
-        if (score > -80) return "非常消极 - 观众反应强烈不满";
-        return "极其消极 - 观众反应极度负面";
+        if (score >= 80) return i18n.message('sentimentExtremelyPositive');
+        if (score >= 60) return i18n.message('sentimentVeryPositive');
+        if (score >= 40) return i18n.message('sentimentQuitePositive');
+        if (score >= 20) return i18n.message('sentimentPositive');
+        if (score >= 10) return i18n.message('sentimentSlightlyPositive');
+        if (score > -10) return i18n.message('sentimentNeutral');
+        if (score > -20) return i18n.message('sentimentSlightlyNegative');
+        if (score > -40) return i18n.message('sentimentNegative');
+        if (score > -60) return i18n.message('sentimentQuiteNegative');
+        if (score > -80) return i18n.message('sentimentVeryNegative');
+        return i18n.message('sentimentExtremelyNegative');
+    }
+
+    /**
+     * 评论内容分析：用TF-IDF提取关键词，按关键词将评论聚类为话题，并找出未被回答的提问。
+     * 话题和提问都按点赞数排序。
+     * @param {Object[]} comments - 评论列表（顶级评论和回复，回复带 parentId）
+     * @param {Object} [options] - 选项
+     * @param {string} [options.channelId] - 视频所属频道ID，用于判断频道作者是否回复了提问
+     * @param {number} [options.maxTopics] - 最多返回的话题数
+     * @param {number} [options.maxQuestions] - 最多返回的提问数
+     * @returns {Object} - { commentCount, keywords, topics, questions }
+     */
+    analyzeComments(comments, { channelId = null, maxTopics = 8, maxQuestions = 10 } = {}) {
+        const documents = (comments || [])
+            .filter(comment => comment && comment.text)
+            .map(comment => ({ comment, termCounts: this.countCommentTerms(comment.text) }));
+
+        if (documents.length === 0) {
+            return {
+                error: i18n.message('analysisErrorNoComments'),
+                commentCount: 0,
+                keywords: [],
+                topics: [],
+                questions: { total: 0, unansweredCount: 0, items: [] }
+            };
+        }
+
+        const idf = this.calculateIdf(documents);
+        documents.forEach(document => {
+            const terms = Array.from(document.termCounts.entries()).filter(([term]) => idf.has(term));
+            const length = terms.reduce((sum, [, count]) => sum + count, 0);
+            document.weights = new Map(terms.map(([term, count]) => [term, count / length * idf.get(term)]));
+        });
+
+        const keywordScores = new Map();
+        documents.forEach(document => {
+            document.weights.forEach((weight, term) => {
+                keywordScores.set(term, (keywordScores.get(term) || 0) + weight);
+            });
+        });
+        const documentFrequency = term => documents.filter(document => document.weights.has(term)).length;
+        const keywords = Array.from(keywordScores.entries())
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 20)
+            .map(([term, score]) => ({ term, score: parseFloat(score.toFixed(3)), commentCount: documentFrequency(term) }));
+
+        return {
+            commentCount: documents.length,
+            keywords,
+            topics: this.clusterCommentTopics(documents, keywords, maxTopics),
+            questions: this.findCommentQuestions(comments, channelId, maxQuestions)
+        };
+    }
+
+    /**
+     * 统计一条评论中的候选关键词：英文按单词（去除常用词），中文按2到4字的n-gram。
+     * 情感词典中的词（如 "great"、"好听"）只表达态度，不作为话题关键词。
+     * @param {string} text - 评论文本
+     * @returns {Map<string, number>} - 关键词 -> 出现次数
+     */
+    countCommentTerms(text) {
+        const counts = new Map();
+        const add = term => counts.set(term, (counts.get(term) || 0) + 1);
+        let hanRun = [];
+        const flushHanRun = () => {
+            for (let n = MIN_CHINESE_GRAM; n <= MAX_CHINESE_GRAM; n++) {
+                for (let i = 0; i + n <= hanRun.length; i++) {
+                    const gram = hanRun.slice(i, i + n);
+                    const term = gram.join('');
+                    if (!gram.some(char => CHINESE_STOP_CHARS.has(char)) && !sentimentAnalyzer.isSentimentWord(term)) {
+                        add(term);
+                    }
+                }
+            }
+            hanRun = [];
+        };
+
+        tokenizer.tokenize(text, CHARACTER_DICTIONARY).forEach(token => {
+            if (token.type === 'han') {
+                hanRun.push(token.text);
+                return;
+            }
+            flushHanRun();
+            if (token.type === 'latin' && token.text.length >= 3 && !/^\d+$/.test(token.text)
+                && !ENGLISH_STOPWORDS.has(token.text) && !sentimentAnalyzer.isSentimentWord(token.text)) {
+                add(token.text);
+            }
+        });
+        flushHanRun();
+        return counts;
+    }
+
+    /**
+     * 计算关键词的逆文档频率。只保留出现在足够多评论中的关键词，
+     * 并去掉几乎总是作为更长关键词一部分出现的中文n-gram。
+     * @param {Object[]} documents - [{ termCounts }]
+     * @returns {Map<string, number>} - 关键词 -> IDF
+     */
+    calculateIdf(documents) {
+        const documentFrequency = new Map();
+        documents.forEach(document => {
+            document.termCounts.forEach((count, term) => {
+                documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+            });
+        });
+
+        const minDocuments = Math.min(MIN_TERM_DOCUMENTS, documents.length);
+        const candidates = Array.from(documentFrequency.entries())
+            .filter(([, frequency]) => frequency >= minDocuments)
+            .sort((a, b) => b[0].length - a[0].length);
+
+        const kept = [];
+        candidates.forEach(([term, frequency]) => {
+            const covered = kept.some(([longer, longerFrequency]) =>
+                longer.length > term.length && longer.includes(term) && longerFrequency >= frequency * SUBSTRING_COVERAGE);
+            if (!covered) {
+                kept.push([term, frequency]);
+            }
+        });
+
+        // 平滑的IDF，出现在所有评论中的词仍有少量权重
+        return new Map(kept.map(([term, frequency]) => [term, Math.log((1 + documents.length) / (1 + frequency)) + 1]));
+    }
+
+    /**
+     * 按关键词把评论聚类为话题：经常出现在同一批评论中的关键词合并为一个话题，
+     * 每条评论归入权重最高的话题。
+     * @param {Object[]} documents - [{ comment, weights }]
+     * @param {Object[]} keywords - 按分数排序的关键词
+     * @param {number} maxTopics - 最多返回的话题数
+     * @returns {Object[]} - 话题 [{ keywords, commentCount, likeCount, share, samples }]，按点赞数排序
+     */
+    clusterCommentTopics(documents, keywords, maxTopics) {
+        const seeds = keywords.slice(0, TOPIC_SEED_TERMS).map(keyword => ({
+            term: keyword.term,
+            documents: new Set(documents.filter(document => document.weights.has(keyword.term)))
+        }));
+
+        const clusters = [];
+        seeds.forEach(seed => {
+            const cluster = clusters.find(existing => existing.seeds.some(other => {
+                const overlap = [...seed.documents].filter(document => other.documents.has(document)).length;
+                return overlap / Math.min(seed.documents.size, other.documents.size) >= TOPIC_MERGE_OVERLAP;
+            }));
+            if (cluster) {
+                cluster.seeds.push(seed);
+            } else {
+                clusters.push({ seeds: [seed], members: [] });
+            }
+        });
+
+        documents.forEach(document => {
+            let best = null;
+            let bestWeight = 0;
+            clusters.forEach(cluster => {
+                const weight = cluster.seeds.reduce((sum, seed) => sum + (document.weights.get(seed.term) || 0), 0);
+                if (weight > bestWeight) {
+                    best = cluster;
+                    bestWeight = weight;
+                }
+            });
+            if (best) {
+                best.members.push(document.comment);
+            }
+        });
+
+        return clusters
+            .filter(cluster => cluster.members.length >= MIN_TERM_DOCUMENTS)
+            .map(cluster => {
+                const members = [...cluster.members].sort((a, b) => (b.likeCount || 0) - (a.likeCount || 0));
+                return {
+                    keywords: cluster.seeds.slice(0, 3).map(seed => seed.term),
+                    commentCount: members.length,
+                    likeCount: members.reduce((sum, comment) => sum + (comment.likeCount || 0), 0),
+                    share: parseFloat((members.length / documents.length * 100).toFixed(1)),
+                    samples: members.slice(0, 3).map(comment => this.summarizeComment(comment))
+                };
+            })
+            .sort((a, b) => b.likeCount - a.likeCount || b.commentCount - a.commentCount)
+            .slice(0, maxTopics);
+    }
+
+    /**
+     * 判断评论是否为提问：某一句以问号结尾，或以疑问词开头且不是感叹句。
+     * @param {string} text - 评论文本
+     * @returns {boolean}
+     */
+    isQuestion(text) {
+        const sentences = tokenizer.toPlainText(text)
+            .split(/(?<=[.!?。！？\n])/)
+            .map(sentence => sentence.trim())
+            .filter(Boolean);
+
+        return sentences.some(sentence => {
+            if (/[?？]$/.test(sentence)) return true;
+            if (/[!！]$/.test(sentence)) return false;
+            const lower = sentence.toLowerCase();
+            return QUESTION_PREFIXES.some(prefix => /^[a-z]/.test(prefix)
+                ? new RegExp(`^${prefix}\\b`).test(lower)
+                : lower.startsWith(prefix));
+        });
+    }
+
+    /**
+     * 找出顶级评论中的提问，并按点赞数列出未被回答的提问。
+     * 已收集回复时以频道作者是否回复为准（不知道频道ID时以是否有回复为准），
+     * 未收集回复时以评论的回复数为准。
+     * @param {Object[]} comments - 评论列表
+     * @param {string|null} channelId - 视频所属频道ID
+     * @param {number} maxQuestions - 最多返回的提问数
+     * @returns {Object} - { total, unansweredCount, items }
+     */
+    findCommentQuestions(comments, channelId, maxQuestions) {
+        const repliesByParent = new Map();
+        comments.filter(comment => comment.parentId).forEach(reply => {
+            if (!repliesByParent.has(reply.parentId)) {
+                repliesByParent.set(reply.parentId, []);
+            }
+            repliesByParent.get(reply.parentId).push(reply);
+        });
+
+        const questions = comments.filter(comment => comment.text
+            && !comment.parentId
+            && !(channelId && comment.authorChannelId === channelId)
+            && this.isQuestion(comment.text));
+
+        const unanswered = questions.filter(question => {
+            const replies = repliesByParent.get(question.id) || [];
+            if (replies.length > 0) {
+                return channelId ? !replies.some(reply => reply.authorChannelId === channelId) : false;
+            }
+            return !(question.totalReplyCount > 0);
+        });
+
+        return {
+            total: questions.length,
+            unansweredCount: unanswered.length,
+            items: unanswered
+                .sort((a, b) => (b.likeCount || 0) - (a.likeCount || 0))
+                .slice(0, maxQuestions)
+                .map(question => this.summarizeComment(question))
+        };
+    }
+
+    /**
+     * 生成用于展示的评论摘要（纯文本，过长时截断）。
+     * @param {Object} comment - 评论
+     * @returns {Object} - { id, author, text, likeCount, totalReplyCount }
+     */
+    summarizeComment(comment) {
+        const text = tokenizer.toPlainText(comment.text).trim();
+        return {
+            id: comment.id,
+            author: comment.author || comment.authorDisplayName || '',
+            text: text.length > 200 ? `${text.slice(0, 200)}…` : text,
+            likeCount: comment.likeCount || 0,
+            totalReplyCount: comment.totalReplyCount || 0
+        };
     }
 
     /**
@@ -440,7 +985,7 @@ class DataProcessor {
     analyzeTitleEffectiveness(title) {
         if (!title) {
             return {
-                error: "无标题数据"
+                error: i18n.message('analysisErrorNoTitle')
             };
         }
         
@@ -448,17 +993,17 @@ class DataProcessor {
         const wordCount = title.split(/\s+/).length;
         
         // 标题长度评估
-        let lengthAssessment = "";
+        let lengthAssessment;
         if (length > 100) {
-            lengthAssessment = "过长 - YouTube搜索结果中可能会被截断";
+            lengthAssessment = i18n.message('titleLengthTooLong');
         } else if (length > 70) {
-            lengthAssessment = "较长 - 在某些界面可能显示不完整";
+            lengthAssessment = i18n.message('titleLengthLong');
         } else if (length > 40) {
-            lengthAssessment = "适中 - 长度合理";
+            lengthAssessment = i18n.message('titleLengthGood');
         } else if (length > 20) {
-            lengthAssessment = "较短 - 可以适当增加信息量";
+            lengthAssessment = i18n.message('titleLengthShort');
         } else {
-            lengthAssessment = "过短 - 可能缺乏足够的关键词";
+            lengthAssessment = i18n.message('titleLengthTooShort');
         }
         
         // 检查是否包含常见的吸引注意力的词汇
@@ -517,7 +1062,7 @@ class DataProcessor {
     /**
      * 生成标题优化建议。
      * @param {string} title - 视频标题
-     * @returns {string[]} - 标题优化建议
+     * @returns {Object[]} - 标题优化建议的消息引用
      */
     generateTitleSuggestions(title) {
         const suggestions = [];
@@ -526,31 +1071,31 @@ class DataProcessor {
         
         // 长度建议
         if (length < 30) {
-            suggestions.push("标题较短，可以添加更多关键词以提高搜索发现率");
+            suggestions.push(i18n.message('titleSuggestionTooShort'));
         } else if (length > 100) {
-            suggestions.push("标题过长，可能在搜索结果中被截断，建议精简");
+            suggestions.push(i18n.message('titleSuggestionTooLong'));
         }
         
         // 关键词建议
         if (!(/\d/.test(title))) {
-            suggestions.push("考虑在标题中添加数字，如'5种方法'、'2023年最新'等");
+            suggestions.push(i18n.message('titleSuggestionNumbers'));
         }
         
         // 提问式标题建议
         if (!(title.includes('?') || title.includes('？'))) {
-            suggestions.push("考虑使用提问式标题，如'如何...?'、'为什么...?'等，以增加点击率");
+            suggestions.push(i18n.message('titleSuggestionQuestion'));
         }
         
         // 标题长度建议
         if (wordCount < 5) {
-            suggestions.push("标题词数较少，可以适当扩展以包含更多关键词");
+            suggestions.push(i18n.message('titleSuggestionFewWords'));
         } else if (wordCount > 15) {
-            suggestions.push("标题词数较多，可以考虑精简以增强可读性");
+            suggestions.push(i18n.message('titleSuggestionManyWords'));
         }
         
         // 如果没有发现问题，给出肯定评价
         if (suggestions.length === 0) {
-            suggestions.push("标题长度和结构良好，无明显改进建议");
+            suggestions.push(i18n.message('titleSuggestionNone'));
         }
         
         return suggestions;
@@ -564,9 +1109,9 @@ class DataProcessor {
     analyzeDescriptionEffectiveness(description) {
         if (!description) {
             return {
-                error: "无描述数据",
+                error: i18n.message('analysisErrorNoDescription'),
                 length: 0,
-                recommendedLength: "1000-2000字符",
+                recommendedLength: i18n.message('descriptionRecommendedLength', ...RECOMMENDED_DESCRIPTION_LENGTH),
                 containsLinks: false,
                 containsTimestamps: false,
                 descriptionScore: 0
@@ -619,24 +1164,24 @@ class DataProcessor {
         if (containsCTA) descriptionScore += 15;
         
         // 长度评估
-        let lengthAssessment = "";
+        let lengthAssessment;
         if (length > 3000) {
-            lengthAssessment = "过长 - 内容可能冗余";
+            lengthAssessment = i18n.message('descriptionLengthTooLong');
         } else if (length >= 1000 && length <= 2000) {
-            lengthAssessment = "理想 - 长度合适，有充分的SEO价值";
+            lengthAssessment = i18n.message('descriptionLengthIdeal');
         } else if (length >= 500 && length < 1000) {
-            lengthAssessment = "适中 - 长度合理";
+            lengthAssessment = i18n.message('descriptionLengthGood');
         } else if (length >= 200 && length < 500) {
-            lengthAssessment = "较短 - 可以添加更多内容";
+            lengthAssessment = i18n.message('descriptionLengthShort');
         } else {
-            lengthAssessment = "过短 - 建议大幅增加内容和关键词";
+            lengthAssessment = i18n.message('descriptionLengthTooShort');
         }
         
         return {
             length,
             paragraphCount,
             lengthAssessment,
-            recommendedLength: "1000-2000字符",
+            recommendedLength: i18n.message('descriptionRecommendedLength', ...RECOMMENDED_DESCRIPTION_LENGTH),
             containsLinks,
             containsTimestamps,
             containsHashtags,
@@ -653,41 +1198,41 @@ class DataProcessor {
      * @param {boolean} containsLinks - 是否包含链接
      * @param {boolean} containsTimestamps - 是否包含时间戳
      * @param {boolean} containsCTA - 是否包含行动号召
-     * @returns {string[]} - 描述优化建议
+     * @returns {Object[]} - 描述优化建议的消息引用
      */
     generateDescriptionSuggestions(description, length, containsLinks, containsTimestamps, containsCTA) {
         const suggestions = [];
         
         // 长度建议
         if (length < 500) {
-            suggestions.push("描述太短，建议扩展至少1000字符以提高SEO效果");
+            suggestions.push(i18n.message('descriptionSuggestionTooShort', RECOMMENDED_DESCRIPTION_LENGTH[0]));
         } else if (length > 3000) {
-            suggestions.push("描述可能过长，考虑精简并突出重点内容");
+            suggestions.push(i18n.message('descriptionSuggestionTooLong'));
         }
         
         // 链接建议
         if (!containsLinks) {
-            suggestions.push("建议添加相关链接，如社交媒体、网站或相关视频");
+            suggestions.push(i18n.message('descriptionSuggestionLinks'));
         }
         
         // 时间戳建议
         if (!containsTimestamps) {
-            suggestions.push("添加时间戳可以帮助观众快速导航到感兴趣的部分");
+            suggestions.push(i18n.message('descriptionSuggestionTimestamps'));
         }
         
         // 行动号召建议
         if (!containsCTA) {
-            suggestions.push("添加明确的行动号召，如'点赞订阅'、'开启通知'等");
+            suggestions.push(i18n.message('descriptionSuggestionCallToAction'));
         }
         
         // 段落格式建议
         if (description.split('\n\n').length < 3 && length > 500) {
-            suggestions.push("建议使用多个段落和空行来提高可读性");
+            suggestions.push(i18n.message('descriptionSuggestionParagraphs'));
         }
         
         // 如果没有发现问题，给出肯定评价
         if (suggestions.length === 0) {
-            suggestions.push("描述内容全面且结构良好，无明显改进建议");
+            suggestions.push(i18n.message('descriptionSuggestionNone'));
         }
         
         return suggestions;
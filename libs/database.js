@@ -0,0 +1,251 @@
+/**
+ * Database
+ * 封装扩展使用的IndexedDB数据库，统一管理数据库版本和对象仓库结构。
+ * Service Worker与扩展页面（选项页、弹出窗口）共享同一个数据库。
+ */
+
+const DB_NAME = 'youtube-analyzer';
+const DB_VERSION = 5;
+
+// 每个数据库版本对应的升级步骤，升级时按版本号顺序执行
+const MIGRATIONS = {
+    1: (db) => {
+        // 分析历史快照
+        const history = db.createObjectStore('analysisHistory', { keyPath: 'id', autoIncrement: true });
+        history.createIndex('type', 'type');
+        history.createIndex('targetId', 'targetId');
+        history.createIndex('timestamp', 'timestamp');
+    },
+    2: (db) => {
+        // 持久化的API响应缓存，按最近访问时间淘汰
+        const cache = db.createObjectStore('apiCache', { keyPath: 'key' });
+        cache.createIndex('lastAccess', 'lastAccess');
+        cache.createIndex('endpoint', 'endpoint');
+    },
+    3: (db) => {
+        // 追踪列表中视频和频道的统计快照，按对象和时间查询
+        const snapshots = db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true });
+        snapshots.createIndex('targetKey', 'targetKey');
+        snapshots.createIndex('targetKeyTimestamp', ['targetKey', 'timestamp']);
+    },
+    4: (db) => {
+        // 本地评论语料（顶级评论和回复），按视频和父评论查询
+        const comments = db.createObjectStore('comments', { keyPath: 'id' });
+        comments.createIndex('videoId', 'videoId');
+        comments.createIndex('parentId', 'parentId');
+    },
+    5: (db) => {
+        // 定时归档的趋势榜单，按榜单和时间查询，按时间清理过期记录
+        const charts = db.createObjectStore('trendingCharts', { keyPath: 'id', autoIncrement: true });
+        charts.createIndex('chartKeyTimestamp', ['chartKey', 'timestamp']);
+        charts.createIndex('timestamp', 'timestamp');
+    }
+};
+
+/**
+ * 将IDBRequest包装为Promise。
+ * @param {IDBRequest} request - IndexedDB请求
+ * @returns {Promise<any>} - 请求结果
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+class Database {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * 打开（必要时创建或升级）数据库。
+     * @returns {Promise<IDBDatabase>} - 数据库连接
+     */
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                console.log(`Database: Upgrading from version ${event.oldVersion} to ${DB_VERSION}`);
+                for (let version = event.oldVersion + 1; version <= DB_VERSION; version++) {
+                    if (MIGRATIONS[version]) {
+                        MIGRATIONS[version](db, request.transaction);
+                    }
+                }
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+                // 其他上下文升级数据库时关闭当前连接，下次访问时重新打开
+                db.onversionchange = () => {
+                    db.close();
+                    this.dbPromise = null;
+                };
+                resolve(db);
+            };
+
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * 在事务中执行操作。
+     * @param {string|string[]} storeNames - 对象仓库名称
+     * @param {string} mode - 'readonly' 或 'readwrite'
+     * @param {Function} callback - 接收事务对象，可返回一个值或Promise
+     * @returns {Promise<any>} - 事务完成后callback的返回值
+     */
+    async transaction(storeNames, mode, callback) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+
+            Promise.resolve(callback(tx))
+                .then(value => { result = value; })
+                .catch(error => {
+                    try {
+                        tx.abort();
+                    } catch (e) {
+                        // 事务可能已经结束
+                    }
+                    reject(error);
+                });
+        });
+    }
+
+    /**
+     * 写入（插入或更新）一条记录。
+     * @param {string} storeName - 对象仓库名称
+     * @param {Object} value - 记录
+     * @returns {Promise<any>} - 记录的主键
+     */
+    put(storeName, value) {
+        return this.transaction(storeName, 'readwrite', tx => promisifyRequest(tx.objectStore(storeName).put(value)));
+    }
+
+    /**
+     * 在同一个事务中批量写入（插入或更新）记录。
+     * @param {string} storeName - 对象仓库名称
+     * @param {Object[]} values - 记录列表
+     * @returns {Promise<void>}
+     */
+    putAll(storeName, values) {
+        return this.transaction(storeName, 'readwrite', tx => {
+            const store = tx.objectStore(storeName);
+            return Promise.all(values.map(value => promisifyRequest(store.put(value))));
+        });
+    }
+
+    /**
+     * 按主键读取一条记录。
+     * @param {string} storeName - 对象仓库名称
+     * @param {any} key - 主键
+     * @returns {Promise<Object|undefined>} - 记录
+     */
+    get(storeName, key) {
+        return this.transaction(storeName, 'readonly', tx => promisifyRequest(tx.objectStore(storeName).get(key)));
+    }
+
+    /**
+     * 读取所有记录，可选按索引和范围过滤。
+     * @param {string} storeName - 对象仓库名称
+     * @param {string} [indexName] - 索引名称
+     * @param {IDBKeyRange|any} [query] - 键范围或键值
+     * @returns {Promise<Object[]>} - 记录列表
+     */
+    getAll(storeName, indexName = null, query = null) {
+        return this.transaction(storeName, 'readonly', tx => {
+            const store = tx.objectStore(storeName);
+            const source = indexName ? store.index(indexName) : store;
+            return promisifyRequest(source.getAll(query));
+        });
+    }
+
+    /**
+     * 删除一条记录。
+     * @param {string} storeName - 对象仓库名称
+     * @param {any} key - 主键
+     * @returns {Promise<void>}
+     */
+    delete(storeName, key) {
+        return this.transaction(storeName, 'readwrite', tx => promisifyRequest(tx.objectStore(storeName).delete(key)));
+    }
+
+    /**
+     * 清空对象仓库。
+     * @param {string} storeName - 对象仓库名称
+     * @returns {Promise<void>}
+     */
+    clear(storeName) {
+        return this.transaction(storeName, 'readwrite', tx => promisifyRequest(tx.objectStore(storeName).clear()));
+    }
+
+    /**
+     * 使用游标遍历记录。callback 返回 false 时停止遍历。
+     * 在 readwrite 模式下可以通过 cursor.delete() / cursor.update() 修改记录。
+     * @param {string} storeName - 对象仓库名称
+     * @param {Object} options - 遍历选项
+     * @param {string} [options.indexName] - 索引名称
+     * @param {IDBKeyRange|any} [options.query] - 键范围或键值
+     * @param {string} [options.direction] - 'next' 或 'prev'
+     * @param {string} [options.mode] - 'readonly' 或 'readwrite'
+     * @param {Function} callback - 接收 (value, cursor)
+     * @returns {Promise<void>}
+     */
+    iterate(storeName, { indexName = null, query = null, direction = 'next', mode = 'readonly' } = {}, callback) {
+        return this.transaction(storeName, mode, tx => new Promise((resolve, reject) => {
+            const store = tx.objectStore(storeName);
+            const source = indexName ? store.index(indexName) : store;
+            const request = source.openCursor(query, direction);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+                if (callback(cursor.value, cursor) === false) {
+                    resolve();
+                    return;
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        }));
+    }
+
+    /**
+     * 统计记录数量。
+     * @param {string} storeName - 对象仓库名称
+     * @param {string} [indexName] - 索引名称
+     * @param {IDBKeyRange|any} [query] - 键范围或键值
+     * @returns {Promise<number>} - 记录数量
+     */
+    count(storeName, indexName = null, query = null) {
+        return this.transaction(storeName, 'readonly', tx => {
+            const store = tx.objectStore(storeName);
+            const source = indexName ? store.index(indexName) : store;
+            return promisifyRequest(source.count(query));
+        });
+    }
+}
+
+// 导出单例实例
+const database = new Database();
+export default database;
@@ -0,0 +1,424 @@
+/**
+ * Export Utilities
+ * 将分析历史和关键词列表转换为表格行，并序列化为CSV、JSON Lines或XLSX文件。
+ * XLSX使用最简的OOXML结构（单个工作表、内联字符串、未压缩ZIP），不依赖外部库。
+ */
+
+import dataProcessor from './data-processor.js';
+import i18n from './i18n.js';
+
+/**
+ * 视频导出列定义。
+ * labelKey 是表头的消息名称，导出时按界面语言转换为文字；getValue 接收标准化后的视频行（见 buildVideoRows）。
+ */
+const VIDEO_COLUMNS = [
+    { key: 'snapshotTime', labelKey: 'exportColumnSnapshotTime', getValue: row => new Date(row.timestamp).toISOString() },
+    { key: 'source', labelKey: 'exportColumnSource', getValue: row => row.source },
+    { key: 'videoId', labelKey: 'exportColumnVideoId', getValue: row => row.videoId },
+    { key: 'title', labelKey: 'exportColumnTitle', getValue: row => row.snippet.title || '' },
+    { key: 'channelTitle', labelKey: 'exportColumnChannel', getValue: row => row.snippet.channelTitle || '' },
+    { key: 'publishedAt', labelKey: 'exportColumnPublishedAt', getValue: row => row.snippet.publishedAt || '' },
+    { key: 'viewCount', labelKey: 'exportColumnViews', getValue: row => row.kpis.viewCount },
+    { key: 'likeCount', labelKey: 'exportColumnLikes', getValue: row => row.kpis.likeCount },
+    { key: 'commentCount', labelKey: 'exportColumnComments', getValue: row => row.kpis.commentCount },
+    { key: 'likeViewRatio', labelKey: 'exportColumnLikeViewRatio', getValue: row => row.kpis.likeViewRatio },
+    { key: 'engagementRate', labelKey: 'exportColumnEngagementRate', getValue: row => row.kpis.engagementRate },
+    { key: 'dailyViewCount', labelKey: 'exportColumnDailyViews', getValue: row => row.kpis.dailyViewCount },
+    { key: 'performanceScore', labelKey: 'exportColumnPerformanceScore', getValue: row => row.kpis.performanceScore },
+    { key: 'tagCount', labelKey: 'exportColumnTagCount', getValue: row => row.tagAnalysis.tagCount },
+    { key: 'tags', labelKey: 'exportColumnTags', getValue: row => (row.tagAnalysis.tags || []).join(' | ') },
+    { key: 'tagQuantityAssessment', labelKey: 'exportColumnTagAssessment', getValue: row => i18n.translate(row.tagAnalysis.tagQuantityAssessment) },
+    { key: 'titleScore', labelKey: 'exportColumnTitleScore', getValue: row => row.titleAnalysis.titleScore },
+    { key: 'descriptionScore', labelKey: 'exportColumnDescriptionScore', getValue: row => row.descriptionAnalysis.descriptionScore }
+];
+
+/**
+ * 频道导出列定义。
+ */
+const CHANNEL_COLUMNS = [
+    { key: 'snapshotTime', labelKey: 'exportColumnSnapshotTime', getValue: row => new Date(row.timestamp).toISOString() },
+    { key: 'channelId', labelKey: 'exportColumnChannelId', getValue: row => row.channelId },
+    { key: 'title', labelKey: 'exportColumnChannelName', getValue: row => row.title },
+    { key: 'subscriberCount', labelKey: 'exportColumnSubscribers', getValue: row => row.kpis.subscriberCount },
+    { key: 'viewCount', labelKey: 'exportColumnTotalViews', getValue: row => row.kpis.viewCount },
+    { key: 'videoCount', labelKey: 'exportColumnVideoCount', getValue: row => row.kpis.videoCount },
+    { key: 'viewsPerVideo', labelKey: 'exportColumnViewsPerVideo', getValue: row => row.kpis.viewsPerVideo },
+    { key: 'viewsPerSubscriber', labelKey: 'exportColumnViewsPerSubscriber', getValue: row => row.kpis.viewsPerSubscriber },
+    { key: 'monthlySubscriberGrowth', labelKey: 'exportColumnMonthlySubscriberGrowth', getValue: row => row.kpis.monthlySubscriberGrowth },
+    { key: 'videosPerMonth', labelKey: 'exportColumnVideosPerMonth', getValue: row => row.kpis.videosPerMonth },
+    { key: 'medianViews', labelKey: 'exportColumnMedianViews', getValue: row => row.kpis.uploadStats ? row.kpis.uploadStats.medianViews : '' },
+    { key: 'channelScore', labelKey: 'exportColumnChannelScore', getValue: row => row.kpis.channelScore }
+];
+
+/**
+ * 关键词列表导出列定义。
+ * getValue 接收关键词行（见 buildKeywordRows），未研究过的关键词指标为空。
+ */
+const KEYWORD_COLUMNS = [
+    { key: 'list', labelKey: 'exportColumnList', getValue: row => row.listName },
+    { key: 'keyword', labelKey: 'exportColumnKeyword', getValue: row => row.keyword },
+    { key: 'medianSubscribers', labelKey: 'exportColumnMedianSubscribers', getValue: row => row.competition.medianSubscribers },
+    { key: 'channelCount', labelKey: 'exportColumnChannelCount', getValue: row => row.competition.channelCount },
+    { key: 'medianViewsPerDay', labelKey: 'exportColumnMedianViewsPerDay', getValue: row => row.demand.medianViewsPerDay },
+    { key: 'totalViewsPerDay', labelKey: 'exportColumnTotalViewsPerDay', getValue: row => row.demand.totalViewsPerDay },
+    { key: 'medianAgeDays', labelKey: 'exportColumnMedianAgeDays', getValue: row => row.freshness.medianAgeDays },
+    { key: 'recentShare', labelKey: 'exportColumnRecentShare', getValue: row => row.freshness.recentShare },
+    { key: 'researchedAt', labelKey: 'exportColumnResearchedAt', getValue: row => row.researchedAt || '' }
+];
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+class ExportUtils {
+    constructor() {
+        this.VIDEO_COLUMNS = VIDEO_COLUMNS;
+        this.CHANNEL_COLUMNS = CHANNEL_COLUMNS;
+    }
+
+    /**
+     * 获取某类数据集的列定义。
+     * @param {string} dataset - 'videos'、'channels' 或 'keywords'
+     * @returns {Object[]} - 列定义
+     */
+    getColumns(dataset) {
+        if (dataset === 'keywords') return KEYWORD_COLUMNS;
+        return dataset === 'channels' ? CHANNEL_COLUMNS : VIDEO_COLUMNS;
+    }
+
+    /**
+     * 获取列的表头文字（按界面语言）。
+     * @param {Object} column - 列定义
+     * @returns {string} - 表头文字
+     */
+    getColumnLabel(column) {
+        return i18n.t(column.labelKey);
+    }
+
+    /**
+     * 将关键词列表展开为关键词行，每个关键词一行。
+     * @param {Object[]} lists - 关键词列表
+     * @returns {Object[]} - 关键词行
+     */
+    buildKeywordRows(lists) {
+        return lists.flatMap(list => list.keywords.map(item => ({
+            listName: list.name,
+            keyword: item.keyword,
+            competition: item.competition || {},
+            demand: item.demand || {},
+            freshness: item.freshness || {},
+            researchedAt: item.researchedAt
+        })));
+    }
+
+    /**
+     * 将历史记录展开为视频行。
+     * 视频分析记录各生成一行；趋势榜单记录中的每个视频各生成一行。
+     * 缺失的标签/标题/描述分析会根据原始数据重新计算。
+     * @param {Object[]} records - 历史记录
+     * @returns {Object[]} - 标准化的视频行
+     */
+    buildVideoRows(records) {
+        const rows = [];
+        records.forEach(record => {
+            if (record.type === 'video' && record.rawData) {
+                rows.push(this.normalizeVideoRow(record.rawData, record.timestamp, 'video', record.analysis || {}));
+            } else if (record.type === 'trending' && Array.isArray(record.rawData)) {
+                record.rawData.forEach(video => {
+                    rows.push(this.normalizeVideoRow(video, record.timestamp, `trending:${record.targetId}`, {}));
+                });
+            }
+        });
+        return rows;
+    }
+
+    /**
+     * 生成单个视频行。
+     * @param {Object} video - 视频原始数据
+     * @param {number} timestamp - 快照时间
+     * @param {string} source - 数据来源
+     * @param {Object} analysis - 已有的分析结果
+     * @returns {Object} - 视频行
+     */
+    normalizeVideoRow(video, timestamp, source, analysis) {
+        const snippet = video.snippet || {};
+        return {
+            timestamp,
+            source,
+            videoId: video.id,
+            snippet,
+            kpis: dataProcessor.calculateVideoKPIs(video),
+            tagAnalysis: analysis.tagAnalysis || dataProcessor.analyzeVideoTags(video),
+            titleAnalysis: analysis.titleAnalysis || dataProcessor.analyzeTitleEffectiveness(snippet.title),
+            descriptionAnalysis: analysis.descriptionAnalysis || dataProcessor.analyzeDescriptionEffectiveness(snippet.description)
+        };
+    }
+
+    /**
+     * 将历史记录展开为频道行。
+     * @param {Object[]} records - 历史记录
+     * @returns {Object[]} - 频道行
+     */
+    buildChannelRows(records) {
+        return records
+            .filter(record => record.type === 'channel')
+            .map(record => ({
+                timestamp: record.timestamp,
+                channelId: record.targetId,
+                title: record.title,
+                kpis: record.kpis || {}
+            }));
+    }
+
+    /**
+     * 根据列定义提取单元格值。
+     * @param {Object[]} rows - 数据行
+     * @param {Object[]} columns - 列定义
+     * @returns {Array[]} - 二维数组（不含表头）
+     */
+    toMatrix(rows, columns) {
+        return rows.map(row => columns.map(column => {
+            try {
+                const value = column.getValue(row);
+                return value === undefined || value === null ? '' : value;
+            } catch (e) {
+                return '';
+            }
+        }));
+    }
+
+    /**
+     * 生成CSV文本，带UTF-8 BOM以便Excel正确识别中文。
+     * @param {Object[]} rows - 数据行
+     * @param {Object[]} columns - 列定义
+     * @returns {string} - CSV文本
+     */
+    toCSV(rows, columns) {
+        const escapeCell = (value) => {
+            const text = String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [columns.map(column => escapeCell(this.getColumnLabel(column))).join(',')];
+        this.toMatrix(rows, columns).forEach(cells => {
+            lines.push(cells.map(escapeCell).join(','));
+        });
+        return '\uFEFF' + lines.join('\r\n');
+    }
+
+    /**
+     * 生成JSON Lines文本，每行一个对象，键为列key。
+     * @param {Object[]} rows - 数据行
+     * @param {Object[]} columns - 列定义
+     * @returns {string} - JSONL文本
+     */
+    toJSONL(rows, columns) {
+        return this.toMatrix(rows, columns)
+            .map(cells => {
+                const entry = {};
+                columns.forEach((column, index) => { entry[column.key] = cells[index]; });
+                return JSON.stringify(entry);
+            })
+            .join('\n');
+    }
+
+    /**
+     * 生成XLSX文件内容（单个工作表）。
+     * @param {Object[]} rows - 数据行
+     * @param {Object[]} columns - 列定义
+     * @param {string} sheetName - 工作表名称
+     * @returns {Uint8Array} - XLSX文件字节
+     */
+    toXLSX(rows, columns, sheetName = 'Sheet1') {
+        const matrix = [columns.map(column => this.getColumnLabel(column)), ...this.toMatrix(rows, columns)];
+
+        const sheetRows = matrix.map((cells, rowIndex) => {
+            const rowNumber = rowIndex + 1;
+            const cellsXml = cells.map((value, columnIndex) => {
+                const ref = `${this.columnLetter(columnIndex)}${rowNumber}`;
+                if (typeof value === 'number' && isFinite(value)) {
+                    return `<c r="${ref}"><v>${value}</v></c>`;
+                }
+                return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${this.escapeXml(value)}</t></is></c>`;
+            }).join('');
+            return `<row r="${rowNumber}">${cellsXml}</row>`;
+        }).join('');
+
+        const safeSheetName = this.escapeXml(String(sheetName).replace(/[\\/?*[\]:]/g, ' ').slice(0, 31));
+
+        const files = [
+            {
+                name: '[Content_Types].xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                    `<sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets>` +
+                    '</workbook>'
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/worksheets/sheet1.xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                    `<sheetData>${sheetRows}</sheetData>` +
+                    '</worksheet>'
+            }
+        ];
+
+        return this.createZip(files);
+    }
+
+    /**
+     * 将列序号转换为Excel列字母（0 -> A, 26 -> AA）。
+     * @param {number} index - 列序号
+     * @returns {string} - 列字母
+     */
+    columnLetter(index) {
+        let letters = '';
+        let n = index + 1;
+        while (n > 0) {
+            const remainder = (n - 1) % 26;
+            letters = String.fromCharCode(65 + remainder) + letters;
+            n = Math.floor((n - 1) / 26);
+        }
+        return letters;
+    }
+
+    /**
+     * 转义XML特殊字符，并移除XML不允许的控制字符。
+     * @param {any} value - 原始值
+     * @returns {string} - 转义后的文本
+     */
+    escapeXml(value) {
+        return String(value)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * 计算CRC32校验值。
+     * @param {Uint8Array} bytes - 数据
+     * @returns {number} - CRC32
+     */
+    crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * 创建未压缩（STORE）的ZIP文件。
+     * @param {Object[]} files - 文件列表 { name, content }
+     * @returns {Uint8Array} - ZIP文件字节
+     */
+    createZip(files) {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        // DOS格式的修改时间
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        files.forEach(file => {
+            const nameBytes = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = this.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8文件名
+            local.setUint16(8, 0, true); // STORE
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            local.setUint16(28, 0, true);
+            localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            central.setUint16(30, 0, true);
+            central.setUint16(32, 0, true);
+            central.setUint16(34, 0, true);
+            central.setUint16(36, 0, true);
+            central.setUint32(38, 0, true);
+            central.setUint32(42, offset, true);
+            centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+            offset += 30 + nameBytes.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const totalLength = parts.reduce((sum, part) => sum + part.length, 0);
+        const zip = new Uint8Array(totalLength);
+        let position = 0;
+        parts.forEach(part => {
+            zip.set(part, position);
+            position += part.length;
+        });
+        return zip;
+    }
+}
+
+// 导出单例实例
+const exportUtils = new ExportUtils();
+export default exportUtils;
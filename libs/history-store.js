@@ -0,0 +1,143 @@
+/**
+ * History Store
+ * 持久化保存每次分析的结果快照（视频分析、频道数据、趋势榜单），供导出和历史回顾使用。
+ */
+
+import database from './database.js';
+import dataProcessor from './data-processor.js';
+
+const STORE_NAME = 'analysisHistory';
+
+// 快照记录的结构版本，结构变化时递增，便于导出数据的使用方做兼容处理
+// 版本2：分析结果中的评估和建议改为消息引用 { key, params }
+const SCHEMA_VERSION = 2;
+
+class HistoryStore {
+    /**
+     * 写入一条快照记录。
+     * @param {string} type - 快照类型 ('video', 'channel', 'trending')
+     * @param {string} targetId - 快照对象ID（视频ID、频道ID或榜单标识）
+     * @param {Object} fields - 其余字段（title, kpis, analysis, rawData 等）
+     * @returns {Promise<number>} - 新记录的ID
+     */
+    async addSnapshot(type, targetId, fields) {
+        const record = {
+            schemaVersion: SCHEMA_VERSION,
+            type,
+            targetId,
+            timestamp: Date.now(),
+            ...fields
+        };
+        return database.put(STORE_NAME, record);
+    }
+
+    /**
+     * 保存视频分析结果。
+     * @param {Object} analysis - ANALYZE_VIDEO_DATA 的分析结果
+     * @returns {Promise<number>} - 新记录的ID
+     */
+    async saveVideoAnalysis(analysis) {
+        const { rawData, kpis, ...details } = analysis;
+        return this.addSnapshot('video', rawData.id, {
+            title: rawData.snippet ? rawData.snippet.title : '',
+            kpis,
+            analysis: details,
+            rawData
+        });
+    }
+
+    /**
+     * 保存频道数据快照。
+     * @param {Object} channelData - 频道数据
+     * @param {Object} [kpis] - 已计算的频道KPI（例如包含上传统计），默认根据频道数据计算
+     * @returns {Promise<number>} - 新记录的ID
+     */
+    async saveChannelSnapshot(channelData, kpis = dataProcessor.calculateChannelKPIs(channelData)) {
+        return this.addSnapshot('channel', channelData.id, {
+            title: channelData.snippet ? channelData.snippet.title : '',
+            kpis,
+            rawData: channelData
+        });
+    }
+
+    /**
+     * 保存趋势榜单快照，榜单中每个视频的KPI按排名保存。
+     * @param {Object[]} videos - 趋势视频列表
+     * @param {string} regionCode - 地区代码
+     * @param {string} category - 视频类别ID（空字符串表示所有类别）
+     * @returns {Promise<number>} - 新记录的ID
+     */
+    async saveTrendingSnapshot(videos, regionCode, category = '') {
+        return this.addSnapshot('trending', `${regionCode}:${category || 'all'}`, {
+            title: `${regionCode} ${category || 'all'}`,
+            regionCode,
+            category,
+            kpis: videos.map((video, index) => ({
+                videoId: video.id,
+                rank: index + 1,
+                title: video.snippet ? video.snippet.title : '',
+                ...dataProcessor.calculateVideoKPIs(video)
+            })),
+            rawData: videos
+        });
+    }
+
+    /**
+     * 查询历史记录，按时间升序返回。
+     * @param {Object} [filter] - 过滤条件
+     * @param {string} [filter.type] - 快照类型
+     * @param {number} [filter.from] - 起始时间戳（包含）
+     * @param {number} [filter.to] - 结束时间戳（包含）
+     * @returns {Promise<Object[]>} - 快照记录列表
+     */
+    async getHistory({ type = null, from = null, to = null } = {}) {
+        let range = null;
+        if (from !== null && to !== null) {
+            range = IDBKeyRange.bound(from, to);
+        } else if (from !== null) {
+            range = IDBKeyRange.lowerBound(from);
+        } else if (to !== null) {
+            range = IDBKeyRange.upperBound(to);
+        }
+
+        const records = await database.getAll(STORE_NAME, 'timestamp', range);
+        return type ? records.filter(record => record.type === type) : records;
+    }
+
+    /**
+     * 统计历史记录数量。
+     * @returns {Promise<number>} - 记录数量
+     */
+    async count() {
+        return database.count(STORE_NAME);
+    }
+
+    /**
+     * 清除所有历史记录。
+     * @returns {Promise<void>}
+     */
+    async clearHistory() {
+        await database.clear(STORE_NAME);
+        console.log("History Store: History cleared");
+    }
+
+    /**
+     * 生成历史导出数据。
+     * @param {Object} [filter] - 过滤条件，同 getHistory
+     * @returns {Promise<Object>} - 导出对象
+     */
+    async exportHistory(filter = {}) {
+        const records = await this.getHistory(filter);
+        return {
+            format: 'youtube-analyzer-history',
+            schemaVersion: SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            recordCount: records.length,
+            records
+        };
+    }
+}
+
+// 导出单例实例
+const historyStore = new HistoryStore();
+export default historyStore;
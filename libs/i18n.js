@@ -0,0 +1,215 @@
+/**
+ * I18n
+ * 界面文字的国际化：文字保存在 _locales 的消息目录中，按设置中的 language 加载对应的目录
+ * （未设置时跟随浏览器语言），数字和日期也按该语言格式化。
+ * chrome.i18n 只能使用浏览器语言，因此消息目录由扩展自行加载，目录中缺少的消息再回退到 chrome.i18n。
+ * 数据处理模块返回的评估和建议是消息引用 { key, params }，由界面通过 translate 转换为文字；
+ * 后台模块抛出的错误通过 error 创建，带有消息引用，界面通过 describeError 按自己的语言显示。
+ */
+
+// 设置中的语言代码 -> _locales 目录名
+const LOCALE_DIRECTORIES = {
+    'zh-CN': 'zh_CN',
+    'en': 'en'
+};
+
+const DEFAULT_LANGUAGE = 'zh-CN';
+
+class I18n {
+    constructor() {
+        this.language = DEFAULT_LANGUAGE;
+        this.messages = null;
+        this.initPromise = null;
+        this.storageListenerAdded = false;
+    }
+
+    /**
+     * 读取语言设置并加载对应的消息目录。多次调用只加载一次。
+     * @returns {Promise<void>}
+     */
+    init() {
+        if (this.initPromise) {
+            return this.initPromise;
+        }
+
+        this.initPromise = (async () => {
+            const result = await chrome.storage.sync.get('language');
+            this.language = this.resolveLanguage(result.language || chrome.i18n.getUILanguage());
+            try {
+                const response = await fetch(chrome.runtime.getURL(`_locales/${LOCALE_DIRECTORIES[this.language]}/messages.json`));
+                this.messages = await response.json();
+            } catch (error) {
+                console.error("I18n: Failed to load message catalog, falling back to chrome.i18n:", error);
+                this.messages = null;
+            }
+        })();
+
+        return this.initPromise;
+    }
+
+    /**
+     * 语言设置变化时丢弃已加载的消息目录，下次调用 init 时按新语言重新加载。
+     * 用于常驻的后台；页面重新打开后才切换语言。
+     */
+    watchLanguage() {
+        if (this.storageListenerAdded) return;
+        this.storageListenerAdded = true;
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'sync' && changes.language) {
+                this.initPromise = null;
+            }
+        });
+    }
+
+    /**
+     * 将语言代码映射到扩展支持的语言，中文变体使用简体中文，其他语言使用英文。
+     * @param {string} language - 语言代码，例如 'zh-CN', 'zh-TW', 'en-US'
+     * @returns {string} - 支持的语言代码
+     */
+    resolveLanguage(language) {
+        if (LOCALE_DIRECTORIES[language]) {
+            return language;
+        }
+        return String(language || '').toLowerCase().startsWith('zh') ? 'zh-CN' : 'en';
+    }
+
+    /**
+     * 获取消息文字。消息中的 $1 到 $9 依次替换为参数，数字参数按当前语言格式化。
+     * @param {string} key - 消息名称
+     * @param {...any} params - 替换参数
+     * @returns {string} - 消息文字，找不到时返回消息名称
+     */
+    t(key, ...params) {
+        const entry = this.messages && this.messages[key];
+        const message = entry ? entry.message : chrome.i18n.getMessage(key);
+        if (!message) {
+            console.warn(`I18n: Missing message "${key}"`);
+            return key;
+        }
+        return message.replace(/\$(\d|\$)/g, (match, index) => {
+            if (index === '$') return '$';
+            const value = params[index - 1];
+            if (value === undefined || value === null) return '';
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    }
+
+    /**
+     * 生成消息引用。分析结果中的评估和建议以消息引用返回，保存到历史记录后也按查看时的界面语言显示。
+     * @param {string} key - 消息名称
+     * @param {...any} params - 消息参数
+     * @returns {Object} - { key, params }
+     */
+    message(key, ...params) {
+        return { key, params };
+    }
+
+    /**
+     * 将消息引用转换为文字。参数本身也可以是消息引用；数组参数逐项转换后用列表分隔符连接，
+     * { dateTime } 参数按当前语言格式化为日期和时间；普通字符串原样返回。
+     * @param {Object|string} ref - 消息引用 { key, params } 或字符串
+     * @returns {string}
+     */
+    translate(ref) {
+        if (ref === null || ref === undefined) {
+            return '';
+        }
+        if (typeof ref !== 'object') {
+            return String(ref);
+        }
+        const params = (ref.params || []).map(param => {
+            if (Array.isArray(param)) {
+                return param.map(item => this.translate(item)).join(this.t('listSeparator'));
+            }
+            if (param && typeof param === 'object') {
+                return param.dateTime !== undefined ? this.formatDateTime(param.dateTime) : this.translate(param);
+            }
+            return param;
+        });
+        return this.t(ref.key, ...params);
+    }
+
+    /**
+     * 创建带消息引用的错误。message 是当前语言的文字，供日志使用；
+     * ref 随后台的错误响应返回（errorRef），界面按显示语言翻译。
+     * @param {string} key - 消息名称
+     * @param {...any} params - 消息参数，规则同 translate
+     * @returns {Error}
+     */
+    error(key, ...params) {
+        const ref = this.message(key, ...params);
+        const error = new Error(this.translate(ref));
+        error.ref = ref;
+        return error;
+    }
+
+    /**
+     * 获取错误的显示文字：有消息引用时按当前语言翻译，否则使用原始错误消息。
+     * @param {Object|Error} error - 后台的错误响应 { error, errorRef }，或 Error
+     * @returns {string}
+     */
+    describeError(error) {
+        if (!error) {
+            return this.t('errorUnknown');
+        }
+        const ref = error.errorRef || error.ref;
+        if (ref) {
+            return this.translate(ref);
+        }
+        return (typeof error.error === 'string' && error.error) || error.message || this.t('errorUnknown');
+    }
+
+    /**
+     * 按当前语言格式化数字。
+     * @param {number} value - 数字
+     * @param {Object} [options] - Intl.NumberFormat 选项
+     * @returns {string}
+     */
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.language, options).format(value);
+    }
+
+    /**
+     * 按当前语言格式化日期。
+     * @param {Date|number|string} value - 日期
+     * @param {Object} [options] - Intl.DateTimeFormat 选项
+     * @returns {string}
+     */
+    formatDate(value, options = {}) {
+        return new Date(value).toLocaleDateString(this.language, options);
+    }
+
+    /**
+     * 按当前语言格式化日期和时间。
+     * @param {Date|number|string} value - 日期
+     * @returns {string}
+     */
+    formatDateTime(value) {
+        return new Date(value).toLocaleString(this.language);
+    }
+
+    /**
+     * 翻译页面中的静态文字：data-i18n 设置文字内容（data-i18n-args 为逗号分隔的消息参数），
+     * data-i18n-title 和 data-i18n-placeholder 设置对应属性。
+     * @param {ParentNode} [root] - 要翻译的根节点，默认整个文档
+     */
+    localizePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const params = element.dataset.i18nArgs ? element.dataset.i18nArgs.split(',') : [];
+            element.textContent = this.t(element.dataset.i18n, ...params);
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = this.t(element.dataset.i18nTitle);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+        if (root === document) {
+            document.documentElement.lang = this.language;
+        }
+    }
+}
+
+// 导出单例实例
+const i18n = new I18n();
+export default i18n;
@@ -0,0 +1,206 @@
+/**
+ * API Key Manager
+ * 管理多个YouTube Data API密钥：加载与迁移旧的单密钥设置、选择当前可用的密钥，
+ * 以及在密钥配额用尽或失效时将其标记为冷却中并切换到下一个可用密钥。
+ */
+
+import quotaManager from './quota-manager.js';
+
+// 出现这些错误原因时切换到下一个密钥
+const ROTATION_REASONS = new Set(['quotaExceeded', 'dailyLimitExceeded', 'keyInvalid']);
+
+class ApiKeyManager {
+    constructor() {
+        this.keys = []; // [{ id, label, key }]
+        this.states = {}; // keyId -> { cooldownUntil, reason }
+        this.activeKeyId = null;
+        this.statesLoaded = false;
+    }
+
+    /**
+     * 生成密钥记录的ID。
+     * @returns {string} - 唯一ID
+     */
+    createKeyId() {
+        return `key-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * 从存储加载密钥列表。旧版本只保存了单个 youtubeApiKey，首次加载时迁移为列表。
+     * 迁移的密钥没有名称，选项页按显示语言显示默认名称。
+     * @returns {Promise<Object[]>} - 密钥列表
+     */
+    async loadKeys() {
+        const result = await chrome.storage.sync.get(['youtubeApiKeys', 'youtubeApiKey']);
+        let keys = Array.isArray(result.youtubeApiKeys) ? result.youtubeApiKeys : null;
+
+        if (!keys) {
+            keys = result.youtubeApiKey
+                ? [{ id: this.createKeyId(), label: '', key: result.youtubeApiKey }]
+                : [];
+            await chrome.storage.sync.set({ youtubeApiKeys: keys });
+            await chrome.storage.sync.remove('youtubeApiKey');
+            if (keys.length > 0) {
+                console.log("API Key Manager: Migrated single API key to key list");
+            }
+        }
+
+        await this.loadStates();
+        this.setKeys(keys);
+        return this.keys;
+    }
+
+    /**
+     * 从 chrome.storage.local 加载密钥冷却状态（仅首次调用时）。
+     */
+    async loadStates() {
+        if (this.statesLoaded) return;
+        this.statesLoaded = true;
+        try {
+            const result = await chrome.storage.local.get('apiKeyStates');
+            this.states = result.apiKeyStates || {};
+        } catch (error) {
+            console.warn("API Key Manager: Failed to load key states:", error);
+        }
+    }
+
+    /**
+     * 写回密钥冷却状态。
+     */
+    saveStates() {
+        chrome.storage.local.set({ apiKeyStates: this.states }).catch(error => {
+            console.warn("API Key Manager: Failed to save key states:", error);
+        });
+    }
+
+    /**
+     * 设置密钥列表，移除已删除或已更换密钥的冷却状态。
+     * @param {Object[]} keys - 密钥列表 [{ id, label, key }]
+     */
+    setKeys(keys) {
+        const previous = new Map(this.keys.map(entry => [entry.id, entry.key]));
+        this.keys = (keys || []).filter(entry => entry && entry.key);
+
+        let statesChanged = false;
+        Object.keys(this.states).forEach(id => {
+            const entry = this.keys.find(item => item.id === id);
+            const replaced = entry && previous.has(id) && previous.get(id) !== entry.key;
+            if (!entry || replaced) {
+                delete this.states[id];
+                statesChanged = true;
+            }
+        });
+        if (statesChanged) {
+            this.saveStates();
+        }
+
+        if (!this.keys.some(entry => entry.id === this.activeKeyId)) {
+            this.activeKeyId = null;
+        }
+        console.log(`API Key Manager: ${this.keys.length} API key(s) configured`);
+    }
+
+    /**
+     * 是否配置了至少一个密钥。
+     * @returns {boolean}
+     */
+    hasKeys() {
+        return this.keys.length > 0;
+    }
+
+    /**
+     * 判断密钥当前是否可用（不在冷却期内）。
+     * @param {string} keyId - 密钥ID
+     * @returns {boolean}
+     */
+    isHealthy(keyId) {
+        const state = this.states[keyId];
+        return !state || Date.now() >= state.cooldownUntil;
+    }
+
+    /**
+     * 获取当前使用的密钥。当前密钥冷却中时按列表顺序切换到下一个可用密钥。
+     * @returns {Object|null} - { id, label, key }，没有可用密钥时返回 null
+     */
+    getActiveKey() {
+        if (this.keys.length === 0) {
+            return null;
+        }
+
+        const startIndex = Math.max(0, this.keys.findIndex(entry => entry.id === this.activeKeyId));
+        for (let offset = 0; offset < this.keys.length; offset++) {
+            const entry = this.keys[(startIndex + offset) % this.keys.length];
+            if (this.isHealthy(entry.id)) {
+                if (entry.id !== this.activeKeyId) {
+                    console.log(`API Key Manager: Using API key "${entry.label || entry.id}"`);
+                    this.activeKeyId = entry.id;
+                }
+                return entry;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 判断API错误原因是否需要切换密钥。
+     * @param {string} reason - API错误原因（error.errors[0].reason）
+     * @returns {boolean}
+     */
+    shouldRotate(reason) {
+        return ROTATION_REASONS.has(reason);
+    }
+
+    /**
+     * 将密钥标记为冷却中，直到下一次配额重置（太平洋时间午夜）。
+     * @param {string} keyId - 密钥ID
+     * @param {string} reason - 错误原因
+     */
+    markCoolingDown(keyId, reason) {
+        const entry = this.keys.find(item => item.id === keyId);
+        this.states[keyId] = {
+            cooldownUntil: quotaManager.getNextResetTime(),
+            reason
+        };
+        this.saveStates();
+        console.warn(`API Key Manager: API key "${entry ? entry.label || entry.id : keyId}" cooling down (${reason})`);
+    }
+
+    /**
+     * 获取最早恢复可用的时间。
+     * @returns {number|null} - 时间戳，没有冷却中的密钥时返回 null
+     */
+    getEarliestRecovery() {
+        const times = this.keys
+            .map(entry => this.states[entry.id])
+            .filter(state => state && state.cooldownUntil > Date.now())
+            .map(state => state.cooldownUntil);
+        return times.length > 0 ? Math.min(...times) : null;
+    }
+
+    /**
+     * 获取所有密钥的状态和今日用量，供选项页显示。密钥本身只返回掩码。
+     * @returns {Promise<Object[]>} - 密钥状态列表
+     */
+    async getKeyStatus() {
+        await this.loadStates();
+        const quota = await quotaManager.getStatus();
+        return this.keys.map(entry => {
+            const state = this.states[entry.id];
+            const coolingDown = !this.isHealthy(entry.id);
+            return {
+                id: entry.id,
+                label: entry.label,
+                maskedKey: entry.key.length > 8 ? `${entry.key.slice(0, 4)}…${entry.key.slice(-4)}` : '****',
+                active: entry.id === this.activeKeyId,
+                coolingDown,
+                cooldownUntil: coolingDown ? state.cooldownUntil : null,
+                reason: coolingDown ? state.reason : null,
+                usage: quota.byKey[entry.id] || { calls: 0, units: 0 }
+            };
+        });
+    }
+}
+
+// 导出单例实例
+const apiKeyManager = new ApiKeyManager();
+export default apiKeyManager;
@@ -0,0 +1,256 @@
+/**
+ * Keyword Researcher
+ * 关键词研究：获取关键词的热门搜索结果并补全统计数据，计算竞争度（排名频道订阅数中位数）、
+ * 需求（结果视频的日均观看量）和新鲜度（结果视频的发布时长），并从结果的标签和标题中提取相关关键词；
+ * 另外管理保存在 chrome.storage.local 中的关键词列表。
+ */
+
+import youTubeApiClient from './api-client.js';
+import dataProcessor from './data-processor.js';
+import i18n from './i18n.js';
+
+// 默认分析的搜索结果数量（一页，search.list 消耗100单位配额）
+const KEYWORD_SEARCH_RESULTS = 50;
+
+// 相关关键词至少出现在多少个结果视频中，以及最多返回的数量
+const MIN_RELATED_VIDEOS = 2;
+const MAX_RELATED_KEYWORDS = 30;
+
+// 较长的标题n-gram覆盖较短n-gram出现次数的比例达到该值时，去掉较短的（例如“咖啡拉花”覆盖“拉花”和“啡拉”）
+const SUBSTRING_COVERAGE = 0.8;
+
+// 新鲜度中“近期”结果的发布天数
+const RECENT_DAYS = 30;
+
+// chrome.storage.local 中保存关键词列表的键名
+const STORAGE_KEY = 'keywordLists';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class KeywordResearcher {
+    /**
+     * 计算中位数。
+     * @param {number[]} values - 数值列表
+     * @returns {number|null} - 中位数，列表为空时返回 null
+     */
+    median(values) {
+        if (values.length === 0) {
+            return null;
+        }
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    }
+
+    /**
+     * 研究关键词。
+     * @param {string} keyword - 种子关键词
+     * @param {Object} [options] - 研究选项
+     * @param {number} [options.maxResults] - 分析的搜索结果数量
+     * @param {Function} [options.onProgress] - 搜索进度回调，同 paginate
+     * @returns {Promise<Object>} - { keyword, competition, demand, freshness, videos, relatedKeywords, researchedAt }
+     */
+    async research(keyword, { maxResults = KEYWORD_SEARCH_RESULTS, onProgress = null } = {}) {
+        const seed = String(keyword || '').trim();
+        if (!seed) {
+            throw i18n.error('errorKeywordRequired');
+        }
+
+        const results = await youTubeApiClient.searchContent(seed, 'video', maxResults, { onProgress });
+        const videoIds = results.map(result => result.id).filter(Boolean);
+        if (videoIds.length === 0) {
+            throw i18n.error('errorKeywordNoResults', seed);
+        }
+
+        const videoItems = await youTubeApiClient.getVideosByIds(videoIds);
+        const channelItems = await youTubeApiClient.getChannelsByIds([...new Set(videoItems.map(video => video.snippet.channelId))]);
+        const subscribersByChannel = new Map(channelItems
+            .filter(channel => !channel.statistics.hiddenSubscriberCount)
+            .map(channel => [channel.id, parseInt(channel.statistics.subscriberCount) || 0]));
+
+        // 按搜索排名排列，搜索结果中已删除的视频会被 videos.list 忽略
+        const now = Date.now();
+        const videos = videoIds
+            .map(id => videoItems.find(video => video.id === id))
+            .filter(Boolean)
+            .map((video, index) => {
+                const viewCount = parseInt(video.statistics.viewCount) || 0;
+                const ageDays = Math.max(1, (now - new Date(video.snippet.publishedAt).getTime()) / DAY);
+                return {
+                    rank: index + 1,
+                    videoId: video.id,
+                    title: video.snippet.title,
+                    channelId: video.snippet.channelId,
+                    channelTitle: video.snippet.channelTitle,
+                    publishedAt: video.snippet.publishedAt,
+                    subscriberCount: subscribersByChannel.has(video.snippet.channelId) ? subscribersByChannel.get(video.snippet.channelId) : null,
+                    viewCount,
+                    viewsPerDay: Math.round(viewCount / ageDays),
+                    ageDays: Math.floor(ageDays),
+                    tags: video.snippet.tags || []
+                };
+            });
+
+        const rankingChannels = [...new Set(videos.map(video => video.channelId))]
+            .filter(channelId => subscribersByChannel.has(channelId));
+        const ages = videos.map(video => video.ageDays);
+
+        return {
+            keyword: seed,
+            competition: {
+                medianSubscribers: this.median(rankingChannels.map(channelId => subscribersByChannel.get(channelId))),
+                channelCount: new Set(videos.map(video => video.channelId)).size
+            },
+            demand: {
+                medianViewsPerDay: this.median(videos.map(video => video.viewsPerDay)),
+                totalViewsPerDay: videos.reduce((sum, video) => sum + video.viewsPerDay, 0)
+            },
+            freshness: {
+                medianAgeDays: this.median(ages),
+                recentShare: videos.length > 0
+                    ? parseFloat((ages.filter(age => age <= RECENT_DAYS).length / videos.length * 100).toFixed(1))
+                    : 0
+            },
+            videos: videos.map(({ tags, ...video }) => video),
+            relatedKeywords: this.extractRelatedKeywords(seed, videos),
+            researchedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * 从结果视频的标签和标题中提取相关关键词，按出现在多少个视频中排序。
+     * 标题按评论关键词的规则切分（英文单词、中文2-4字n-gram），种子关键词本身及其组成部分不计入。
+     * @param {string} seed - 种子关键词
+     * @param {Object[]} videos - 结果视频，包含 title 和 tags
+     * @returns {Object[]} - [{ term, videoCount, source: 'tag' | 'title' }]
+     */
+    extractRelatedKeywords(seed, videos) {
+        const normalizedSeed = seed.toLowerCase();
+        const seedTerms = new Set(dataProcessor.countCommentTerms(seed).keys());
+        const isSeedTerm = term => term === normalizedSeed || seedTerms.has(term) || normalizedSeed.includes(term);
+
+        const tagCounts = new Map();
+        const titleCounts = new Map();
+        videos.forEach(video => {
+            new Set(video.tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))
+                .forEach(tag => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1));
+            dataProcessor.countCommentTerms(video.title)
+                .forEach((count, term) => titleCounts.set(term, (titleCounts.get(term) || 0) + 1));
+        });
+
+        const related = new Map();
+        const collect = (counts, source) => counts.forEach((videoCount, term) => {
+            if (videoCount < MIN_RELATED_VIDEOS || isSeedTerm(term)) return;
+            // 同一词既是标签又出现在标题中时，保留出现次数较多的来源
+            if (!related.has(term) || related.get(term).videoCount < videoCount) {
+                related.set(term, { term, videoCount, source });
+            }
+        });
+        collect(tagCounts, 'tag');
+        collect(this.dropCoveredTerms(titleCounts), 'title');
+
+        return Array.from(related.values())
+            .sort((a, b) => b.videoCount - a.videoCount || a.term.localeCompare(b.term))
+            .slice(0, MAX_RELATED_KEYWORDS);
+    }
+
+    /**
+     * 去掉几乎总是作为更长的词一部分出现的标题词，只保留最长的完整写法。
+     * @param {Map<string, number>} counts - 标题词 -> 出现的视频数
+     * @returns {Map<string, number>}
+     */
+    dropCoveredTerms(counts) {
+        const kept = [];
+        Array.from(counts.entries())
+            .filter(([, videoCount]) => videoCount >= MIN_RELATED_VIDEOS)
+            .sort((a, b) => b[0].length - a[0].length)
+            .forEach(([term, videoCount]) => {
+                const covered = kept.some(([longer, longerCount]) =>
+                    longer.length > term.length && longer.includes(term) && longerCount >= videoCount * SUBSTRING_COVERAGE);
+                if (!covered) {
+                    kept.push([term, videoCount]);
+                }
+            });
+        return new Map(kept);
+    }
+
+    /**
+     * 获取已保存的关键词列表，最近更新的在前。
+     * @returns {Promise<Object[]>} - [{ id, name, keywords: [{ keyword, competition, demand, freshness, researchedAt }], createdAt, updatedAt }]
+     */
+    async getLists() {
+        const result = await chrome.storage.local.get(STORAGE_KEY);
+        return (result[STORAGE_KEY] || []).sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * 将关键词及其研究指标加入列表。列表按名称查找（不区分大小写），不存在时新建；
+     * 列表中已有该关键词时用新的指标替换。
+     * @param {string} name - 列表名称
+     * @param {Object} entry - 关键词条目 { keyword, competition, demand, freshness, researchedAt }，只有 keyword 时指标为空
+     * @returns {Promise<Object>} - 保存后的列表
+     */
+    async addToList(name, entry) {
+        const trimmedName = String(name || '').trim();
+        if (!trimmedName) {
+            throw i18n.error('errorListNameRequired');
+        }
+        const keyword = String(entry && entry.keyword || '').trim();
+        if (!keyword) {
+            throw i18n.error('errorKeywordRequired');
+        }
+
+        const lists = await this.getLists();
+        const now = Date.now();
+        const existing = lists.find(list => list.name.toLowerCase() === trimmedName.toLowerCase());
+        const item = {
+            keyword,
+            competition: entry.competition || null,
+            demand: entry.demand || null,
+            freshness: entry.freshness || null,
+            researchedAt: entry.researchedAt || null
+        };
+        const saved = {
+            id: existing ? existing.id : `keywords-${now}-${Math.random().toString(36).slice(2, 8)}`,
+            name: existing ? existing.name : trimmedName,
+            keywords: [item, ...(existing ? existing.keywords.filter(other => other.keyword.toLowerCase() !== keyword.toLowerCase()) : [])],
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+        await chrome.storage.local.set({
+            [STORAGE_KEY]: [saved, ...lists.filter(list => list.id !== saved.id)]
+        });
+        return saved;
+    }
+
+    /**
+     * 从列表中移除关键词。
+     * @param {string} id - 列表ID
+     * @param {string} keyword - 关键词
+     * @returns {Promise<void>}
+     */
+    async removeFromList(id, keyword) {
+        const lists = await this.getLists();
+        const list = lists.find(item => item.id === id);
+        if (!list) {
+            throw i18n.error('errorKeywordListNotFound');
+        }
+        list.keywords = list.keywords.filter(item => item.keyword !== keyword);
+        list.updatedAt = Date.now();
+        await chrome.storage.local.set({ [STORAGE_KEY]: lists });
+    }
+
+    /**
+     * 删除关键词列表。
+     * @param {string} id - 列表ID
+     * @returns {Promise<void>}
+     */
+    async deleteList(id) {
+        const lists = await this.getLists();
+        await chrome.storage.local.set({ [STORAGE_KEY]: lists.filter(list => list.id !== id) });
+    }
+}
+
+// 导出单例实例
+const keywordResearcher = new KeywordResearcher();
+export default keywordResearcher;
@@ -0,0 +1,263 @@
+/**
+ * Quota Manager
+ * 记录YouTube Data API的配额消耗（单位），按太平洋时间午夜重置，
+ * 并在接近每日预算时拒绝低优先级调用（评论、搜索）。
+ */
+
+import i18n from './i18n.js';
+
+// 各接口每次调用消耗的配额单位（参见YouTube Data API配额说明）
+const ENDPOINT_COSTS = {
+    search: 100,
+    videos: 1,
+    channels: 1,
+    commentThreads: 1,
+    comments: 1,
+    playlists: 1,
+    playlistItems: 1,
+    videoCategories: 1,
+    i18nRegions: 1,
+    i18nLanguages: 1
+};
+
+// 低优先级接口：预算紧张时优先被限制
+const LOW_PRIORITY_ENDPOINTS = new Set(['search', 'commentThreads', 'comments']);
+
+const DEFAULT_DAILY_BUDGET = 10000;
+
+// 已用配额达到预算的该比例后，低优先级调用将只使用缓存
+const LOW_PRIORITY_THRESHOLD = 0.9;
+
+// YouTube配额按太平洋时间午夜重置
+const QUOTA_TIME_ZONE = 'America/Los_Angeles';
+
+class QuotaManager {
+    constructor() {
+        this.ledger = null;
+        this.dailyBudget = DEFAULT_DAILY_BUDGET;
+        this.saveChain = Promise.resolve();
+        this.formatter = new Intl.DateTimeFormat('en-CA', {
+            timeZone: QUOTA_TIME_ZONE,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23'
+        });
+    }
+
+    /**
+     * 获取某一时刻在太平洋时区的日期时间组成部分。
+     * @param {number} timestamp - 时间戳
+     * @returns {Object} - { year, month, day, hour, minute, second }
+     */
+    getPacificParts(timestamp) {
+        const parts = {};
+        this.formatter.formatToParts(new Date(timestamp)).forEach(part => {
+            if (part.type !== 'literal') {
+                parts[part.type] = parseInt(part.value, 10);
+            }
+        });
+        return parts;
+    }
+
+    /**
+     * 获取配额日（太平洋时间日期）。
+     * @param {number} [timestamp] - 时间戳，默认当前时间
+     * @returns {string} - 'YYYY-MM-DD'
+     */
+    getQuotaDay(timestamp = Date.now()) {
+        const { year, month, day } = this.getPacificParts(timestamp);
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    /**
+     * 计算下一次配额重置（太平洋时间午夜）的时间戳。
+     * @param {number} [timestamp] - 时间戳，默认当前时间
+     * @returns {number} - 下次重置的时间戳
+     */
+    getNextResetTime(timestamp = Date.now()) {
+        const { hour, minute, second } = this.getPacificParts(timestamp);
+        const elapsedToday = ((hour * 60 + minute) * 60 + second) * 1000 + (timestamp % 1000);
+        let reset = timestamp - elapsedToday + 24 * 3600 * 1000;
+
+        // 夏令时切换当天一天不是24小时，按重置时刻的实际钟点修正一次
+        const check = this.getPacificParts(reset);
+        if (check.hour !== 0) {
+            reset += (check.hour >= 12 ? 24 - check.hour : -check.hour) * 3600 * 1000;
+        }
+        return reset;
+    }
+
+    /**
+     * 设置每日配额预算。
+     * @param {number} budget - 每日预算（单位）
+     */
+    setDailyBudget(budget) {
+        const value = parseInt(budget, 10);
+        this.dailyBudget = value > 0 ? value : DEFAULT_DAILY_BUDGET;
+    }
+
+    /**
+     * 获取接口单次调用的配额消耗。
+     * @param {string} endpoint - API端点
+     * @returns {number} - 配额单位
+     */
+    getCost(endpoint) {
+        return ENDPOINT_COSTS[endpoint] || 1;
+    }
+
+    /**
+     * 判断接口是否为低优先级。
+     * @param {string} endpoint - API端点
+     * @returns {boolean}
+     */
+    isLowPriority(endpoint) {
+        return LOW_PRIORITY_ENDPOINTS.has(endpoint);
+    }
+
+    /**
+     * 创建空账本。
+     * @param {string} day - 配额日
+     * @returns {Object} - 账本
+     */
+    createLedger(day) {
+        return { day, used: 0, calls: 0, refused: 0, byEndpoint: {}, byKey: {} };
+    }
+
+    /**
+     * 加载当天的账本；跨过太平洋时间午夜后自动重置。
+     * @returns {Promise<Object>} - 账本
+     */
+    async loadLedger() {
+        const today = this.getQuotaDay();
+        if (this.ledger && this.ledger.day === today) {
+            return this.ledger;
+        }
+
+        if (!this.ledger) {
+            try {
+                const result = await chrome.storage.local.get('quotaLedger');
+                this.ledger = result.quotaLedger || null;
+            } catch (error) {
+                console.warn("Quota Manager: Failed to load ledger:", error);
+            }
+        }
+
+        if (!this.ledger || this.ledger.day !== today) {
+            console.log(`Quota Manager: Starting new quota day ${today}`);
+            this.ledger = this.createLedger(today);
+            this.saveLedger();
+        }
+        return this.ledger;
+    }
+
+    /**
+     * 按顺序写回账本，避免并发写入互相覆盖。
+     */
+    saveLedger() {
+        const snapshot = JSON.parse(JSON.stringify(this.ledger));
+        this.saveChain = this.saveChain
+            .then(() => chrome.storage.local.set({ quotaLedger: snapshot }))
+            .catch(error => console.warn("Quota Manager: Failed to save ledger:", error));
+        return this.saveChain;
+    }
+
+    /**
+     * 检查本次调用是否在预算之内。
+     * @param {string} endpoint - API端点
+     * @param {string} [priority] - 'high' 或 'low'，默认根据接口判断
+     * @returns {Promise<Object>} - { allowed, cost, reason }，reason 是拒绝原因的消息引用
+     */
+    async checkBudget(endpoint, priority = null) {
+        const ledger = await this.loadLedger();
+        const cost = this.getCost(endpoint);
+        const isLow = priority ? priority === 'low' : this.isLowPriority(endpoint);
+        const projected = ledger.used + cost;
+
+        if (projected > this.dailyBudget) {
+            return {
+                allowed: false,
+                cost,
+                reason: i18n.message('errorQuotaExhausted', ledger.used, this.dailyBudget)
+            };
+        }
+
+        if (isLow && projected > this.dailyBudget * LOW_PRIORITY_THRESHOLD) {
+            return {
+                allowed: false,
+                cost,
+                reason: i18n.message('errorQuotaLowPriorityPaused', ledger.used, this.dailyBudget)
+            };
+        }
+
+        return { allowed: true, cost, reason: null };
+    }
+
+    /**
+     * 记录一次实际发出的API调用。
+     * @param {string} endpoint - API端点
+     * @param {string} [keyId] - 发出请求所用的API密钥ID
+     * @returns {Promise<void>}
+     */
+    async recordUsage(endpoint, keyId = null) {
+        const ledger = await this.loadLedger();
+        const cost = this.getCost(endpoint);
+        ledger.used += cost;
+        ledger.calls += 1;
+        if (!ledger.byEndpoint[endpoint]) {
+            ledger.byEndpoint[endpoint] = { calls: 0, units: 0 };
+        }
+        ledger.byEndpoint[endpoint].calls += 1;
+        ledger.byEndpoint[endpoint].units += cost;
+        if (keyId) {
+            if (!ledger.byKey) {
+                ledger.byKey = {};
+            }
+            if (!ledger.byKey[keyId]) {
+                ledger.byKey[keyId] = { calls: 0, units: 0 };
+            }
+            ledger.byKey[keyId].calls += 1;
+            ledger.byKey[keyId].units += cost;
+        }
+        await this.saveLedger();
+    }
+
+    /**
+     * 记录一次因预算不足被拒绝的调用。
+     * @returns {Promise<void>}
+     */
+    async recordRefusal() {
+        const ledger = await this.loadLedger();
+        ledger.refused += 1;
+        await this.saveLedger();
+    }
+
+    /**
+     * 获取当天的配额使用状态。
+     * @returns {Promise<Object>} - 配额状态
+     */
+    async getStatus() {
+        const ledger = await this.loadLedger();
+        const remaining = Math.max(0, this.dailyBudget - ledger.used);
+        return {
+            day: ledger.day,
+            used: ledger.used,
+            calls: ledger.calls,
+            refused: ledger.refused,
+            budget: this.dailyBudget,
+            remaining,
+            percentUsed: parseFloat(Math.min(100, ledger.used / this.dailyBudget * 100).toFixed(1)),
+            lowPriorityLimited: ledger.used >= this.dailyBudget * LOW_PRIORITY_THRESHOLD,
+            byEndpoint: ledger.byEndpoint,
+            byKey: ledger.byKey || {},
+            resetsAt: this.getNextResetTime()
+        };
+    }
+}
+
+// 导出单例实例
+const quotaManager = new QuotaManager();
+export default quotaManager;
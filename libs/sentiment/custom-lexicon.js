@@ -0,0 +1,306 @@
+/**
+ * Custom Lexicon
+ * 用户自定义的情感词典：积极词、消极词（带权重）和中性词，保存在 chrome.storage.sync 中以便多设备同步。
+ * 中性词会覆盖内置词典中的分值，用于排除在特定领域没有情感倾向的词（例如烹饪频道的 "fire"）。
+ * 提供与词条列表、JSON和CSV之间的转换，供选项页编辑、导入和导出。
+ */
+
+import i18n from '../i18n.js';
+
+// chrome.storage.sync 中的键名
+const STORAGE_KEY = 'customLexicon';
+
+// 注册到情感分析器时使用的词典名称（在内置词典之后注册，因此会覆盖内置分值）
+const LEXICON_LANGUAGE = 'custom';
+
+// 权重范围，与内置词典的 -3 到 3 一致
+const MIN_WEIGHT = 0.1;
+const MAX_WEIGHT = 3;
+const DEFAULT_WEIGHT = 1;
+
+const POLARITIES = ['positive', 'negative', 'neutral'];
+
+// 分词器按单个词匹配词典，包含空白的短语（例如 "waste of time"）永远不会命中，因此不接受
+const PHRASE_PATTERN = /\s/;
+
+// CSV导入时可识别的情感倾向写法
+const POLARITY_ALIASES = {
+    positive: 'positive', pos: 'positive', '+': 'positive', 积极: 'positive', 正面: 'positive',
+    negative: 'negative', neg: 'negative', '-': 'negative', 消极: 'negative', 负面: 'negative',
+    neutral: 'neutral', '0': 'neutral', 中性: 'neutral'
+};
+
+class CustomLexicon {
+    /**
+     * 创建空词典。
+     * @returns {Object} - { positive: {}, negative: {}, neutral: [] }
+     */
+    createEmpty() {
+        return { positive: {}, negative: {}, neutral: [] };
+    }
+
+    /**
+     * 判断词语是否为包含空白的多词短语。
+     * @param {string} word - 词语
+     * @returns {boolean}
+     */
+    isPhrase(word) {
+        return PHRASE_PATTERN.test(String(word || '').trim());
+    }
+
+    /**
+     * 找出词条列表中不被接受的多词短语。
+     * @param {Object[]} entries - 词条列表 [{ word, polarity, weight }]
+     * @returns {string[]} - 去重后的短语
+     */
+    getPhrases(entries) {
+        return [...new Set((entries || []).map(entry => String(entry.word || '').trim()).filter(word => this.isPhrase(word)))];
+    }
+
+    /**
+     * 将词条列表转换为存储格式。词语统一为小写，重复的词以最后一条为准，多词短语被忽略。
+     * 积极词权重为正数、消极词为负数，绝对值限制在 0.1 到 3 之间。
+     * @param {Object[]} entries - 词条列表 [{ word, polarity, weight }]
+     * @returns {Object} - { positive: { word: weight }, negative: { word: weight }, neutral: [word] }
+     */
+    fromEntries(entries) {
+        const byWord = new Map();
+        (entries || []).forEach(entry => {
+            const word = String(entry.word || '').trim().toLowerCase();
+            if (!word || this.isPhrase(word) || !POLARITIES.includes(entry.polarity)) return;
+            byWord.delete(word);
+            byWord.set(word, entry);
+        });
+
+        const lexicon = this.createEmpty();
+        byWord.forEach((entry, word) => {
+            if (entry.polarity === 'neutral') {
+                lexicon.neutral.push(word);
+                return;
+            }
+            const weight = Math.abs(parseFloat(entry.weight)) || DEFAULT_WEIGHT;
+            const clamped = parseFloat(Math.min(MAX_WEIGHT, Math.max(MIN_WEIGHT, weight)).toFixed(2));
+            lexicon[entry.polarity][word] = entry.polarity === 'negative' ? -clamped : clamped;
+        });
+        return lexicon;
+    }
+
+    /**
+     * 将存储格式转换为词条列表，按积极、消极、中性的顺序排列。
+     * @param {Object} lexicon - 存储格式的词典
+     * @returns {Object[]} - 词条列表 [{ word, polarity, weight }]，中性词的 weight 为 0
+     */
+    toEntries(lexicon) {
+        const source = lexicon || this.createEmpty();
+        return [
+            ...Object.entries(source.positive || {}).map(([word, weight]) => ({ word, polarity: 'positive', weight: Math.abs(weight) })),
+            ...Object.entries(source.negative || {}).map(([word, weight]) => ({ word, polarity: 'negative', weight: Math.abs(weight) })),
+            ...(source.neutral || []).map(word => ({ word, polarity: 'neutral', weight: 0 }))
+        ];
+    }
+
+    /**
+     * 校验并规范化词典（例如来自导入文件或同步存储的数据）。
+     * @param {Object} lexicon - 词典
+     * @returns {Object} - 规范化后的词典
+     */
+    sanitize(lexicon) {
+        return this.fromEntries(this.toEntries(lexicon));
+    }
+
+    /**
+     * 统计词典中的词语数量。
+     * @param {Object} lexicon - 词典
+     * @returns {number}
+     */
+    countWords(lexicon) {
+        return this.toEntries(lexicon).length;
+    }
+
+    /**
+     * 从同步存储读取自定义词典。
+     * @returns {Promise<Object>} - 规范化后的词典，未设置时为空词典
+     */
+    async load() {
+        const result = await chrome.storage.sync.get(STORAGE_KEY);
+        return this.sanitize(result[STORAGE_KEY]);
+    }
+
+    /**
+     * 保存自定义词典到同步存储。
+     * @param {Object} lexicon - 词典
+     * @returns {Promise<Object>} - 实际保存的词典
+     */
+    async save(lexicon) {
+        const sanitized = this.sanitize(lexicon);
+        // 同步存储的单项上限按键名和JSON序列化后的值的字节数计算
+        const size = new TextEncoder().encode(STORAGE_KEY + JSON.stringify(sanitized)).length;
+        const limit = chrome.storage.sync.QUOTA_BYTES_PER_ITEM || 8192;
+        if (size > limit) {
+            throw i18n.error('errorLexiconTooLarge', size, limit);
+        }
+        await chrome.storage.sync.set({ [STORAGE_KEY]: sanitized });
+        return sanitized;
+    }
+
+    /**
+     * 判断 chrome.storage.onChanged 的变更是否包含自定义词典。
+     * @param {Object} changes - 变更对象
+     * @param {string} areaName - 存储区域
+     * @returns {Object|null} - 新词典（被删除时为空词典），无关变更返回 null
+     */
+    getChangedLexicon(changes, areaName) {
+        if (areaName !== 'sync' || !changes[STORAGE_KEY]) return null;
+        return this.sanitize(changes[STORAGE_KEY].newValue);
+    }
+
+    /**
+     * 转换为情感分析器可注册的词典格式。
+     * @param {Object} lexicon - 词典
+     * @returns {Object} - 情感分析器词典
+     */
+    toAnalyzerLexicon(lexicon) {
+        const sanitized = this.sanitize(lexicon);
+        return {
+            language: LEXICON_LANGUAGE,
+            positive: sanitized.positive,
+            negative: sanitized.negative,
+            neutral: sanitized.neutral,
+            negators: [],
+            intensifiers: {},
+            phrases: []
+        };
+    }
+
+    /**
+     * 序列化为JSON文本。
+     * @param {Object} lexicon - 词典
+     * @returns {string}
+     */
+    toJSON(lexicon) {
+        return JSON.stringify(this.sanitize(lexicon), null, 2);
+    }
+
+    /**
+     * 解析JSON文本。支持存储格式 { positive, negative, neutral } 和词条数组 [{ word, polarity, weight }]。
+     * @param {string} text - JSON文本
+     * @returns {Object[]} - 词条列表，尚未规范化
+     */
+    parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw i18n.error('errorLexiconInvalidJson', error.message);
+        }
+        if (Array.isArray(data)) {
+            return data;
+        }
+        if (!data || typeof data !== 'object') {
+            throw i18n.error('errorLexiconInvalidContent');
+        }
+        return this.toEntries(data);
+    }
+
+    /**
+     * 序列化为CSV文本（列：word, polarity, weight），带UTF-8 BOM以便Excel正确识别中文。
+     * @param {Object} lexicon - 词典
+     * @returns {string}
+     */
+    toCSV(lexicon) {
+        const escapeCell = (value) => {
+            const text = String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = ['word,polarity,weight'];
+        this.toEntries(lexicon).forEach(entry => {
+            lines.push([entry.word, entry.polarity, entry.weight].map(escapeCell).join(','));
+        });
+        return '\uFEFF' + lines.join('\r\n');
+    }
+
+    /**
+     * 解析CSV文本。每行为 词语,倾向,权重；第一行为表头时会被跳过。
+     * 倾向可以写作 positive/negative/neutral 或 积极/消极/中性；省略时按权重正负判断，权重为0或省略时视为中性。
+     * @param {string} text - CSV文本
+     * @returns {Object[]} - 词条列表，尚未规范化
+     */
+    parseCSV(text) {
+        const rows = this.parseCSVRows(String(text || '').replace(/^\uFEFF/, ''));
+        if (rows.length > 0 && rows[0][0].trim().toLowerCase() === 'word') {
+            rows.shift();
+        }
+
+        return rows.map(([word = '', polarityText = '', weightText = '']) => {
+            const weight = parseFloat(weightText);
+            let polarity = POLARITY_ALIASES[polarityText.trim().toLowerCase()];
+            if (!polarity) {
+                if (weight > 0) polarity = 'positive';
+                else if (weight < 0) polarity = 'negative';
+                else polarity = 'neutral';
+            }
+            return { word, polarity, weight };
+        });
+    }
+
+    /**
+     * 将CSV文本拆分为单元格，支持双引号包裹和转义，忽略空行。
+     * @param {string} text - CSV文本
+     * @returns {string[][]}
+     */
+    parseCSVRows(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        row.push(cell);
+        rows.push(row);
+
+        return rows.filter(cells => cells.some(value => value.trim()));
+    }
+
+    /**
+     * 根据文件名或内容判断格式并解析导入的文件。由 fromEntries 转换为词典前，可用 getPhrases 找出会被忽略的短语。
+     * @param {string} text - 文件内容
+     * @param {string} [filename] - 文件名
+     * @returns {Object[]} - 词条列表，尚未规范化
+     */
+    parseFile(text, filename = '') {
+        const trimmed = String(text || '').replace(/^\uFEFF/, '').trim();
+        if (/\.json$/i.test(filename) || trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            return this.parseJSON(trimmed);
+        }
+        return this.parseCSV(trimmed);
+    }
+}
+
+// 导出单例实例
+const customLexicon = new CustomLexicon();
+export default customLexicon;
@@ -0,0 +1,89 @@
+/**
+ * 情感分析评估语料：独立标注的留出集，词典和规则的调整都没有参考这些样本。
+ * 修改词典或规则时不要为了让这里的样本判对而加词，否则准确率就不再可信；
+ * 发现的误判应改用其他例句验证。
+ * 每条样本标注 language（'zh'、'en' 或 'emoji'，emoji 指主要靠 emoji 或颜文字表达情感的评论）
+ * 和 feature（'basic'、'negation'、'intensifier' 或 'neutral'），evaluate 按这两个维度分别统计准确率。
+ */
+
+export default [
+    // 英文：基本情感
+    { text: 'Fantastic breakdown of the topic, subscribed', label: 'positive', language: 'en', feature: 'basic' },
+    { text: 'Your editing keeps getting better', label: 'positive', language: 'en', feature: 'basic' },
+    { text: 'Thank you, this saved my exam', label: 'positive', language: 'en', feature: 'basic' },
+    { text: 'Beautiful shots, the drone footage is amazing', label: 'positive', language: 'en', feature: 'basic' },
+    { text: 'Such a wholesome channel', label: 'positive', language: 'en', feature: 'basic' },
+    { text: 'The sound is awful in this one', label: 'negative', language: 'en', feature: 'basic' },
+    { text: 'Stop posting sponsored garbage', label: 'negative', language: 'en', feature: 'basic' },
+    { text: 'This advice is wrong and dangerous', label: 'negative', language: 'en', feature: 'basic' },
+    { text: 'Ugh, another boring reaction video', label: 'negative', language: 'en', feature: 'basic' },
+    { text: 'I unsubscribed, the quality dropped a lot', label: 'negative', language: 'en', feature: 'basic' },
+    // 英文：否定
+    { text: 'Not helpful at all', label: 'negative', language: 'en', feature: 'negation' },
+    { text: "I didn't enjoy this one", label: 'negative', language: 'en', feature: 'negation' },
+    { text: "Can't say I liked the ending", label: 'negative', language: 'en', feature: 'negation' },
+    { text: 'Not bad for a first video', label: 'positive', language: 'en', feature: 'negation' },
+    { text: "This recipe never fails, it's delicious", label: 'positive', language: 'en', feature: 'negation' },
+    { text: "It wasn't worth the wait", label: 'negative', language: 'en', feature: 'negation' },
+    // 英文：程度词
+    { text: 'So incredibly useful', label: 'positive', language: 'en', feature: 'intensifier' },
+    { text: 'Very very funny', label: 'positive', language: 'en', feature: 'intensifier' },
+    { text: 'Really annoying music in the background', label: 'negative', language: 'en', feature: 'intensifier' },
+    { text: 'A bit slow but informative', label: 'positive', language: 'en', feature: 'intensifier' },
+    { text: 'Totally useless review', label: 'negative', language: 'en', feature: 'intensifier' },
+    // 英文：中性
+    { text: 'Which lens did you shoot this with?', label: 'neutral', language: 'en', feature: 'neutral' },
+    { text: 'Part 2 is linked in the description', label: 'neutral', language: 'en', feature: 'neutral' },
+    { text: 'Timestamp 4:32 for the recipe', label: 'neutral', language: 'en', feature: 'neutral' },
+    { text: 'Anyone here from the newsletter?', label: 'neutral', language: 'en', feature: 'neutral' },
+    { text: 'The goodwill store near me sells these', label: 'neutral', language: 'en', feature: 'neutral' },
+    { text: 'Uploaded in 4K this time', label: 'neutral', language: 'en', feature: 'neutral' },
+
+    // 中文：基本情感
+    { text: '画面好美，配乐也很舒服', label: 'positive', language: 'zh', feature: 'basic' },
+    { text: '感谢分享，收藏了', label: 'positive', language: 'zh', feature: 'basic' },
+    { text: '这个教程救了我，太实用', label: 'positive', language: 'zh', feature: 'basic' },
+    { text: '博主好有才华', label: 'positive', language: 'zh', feature: 'basic' },
+    { text: '内容很有意思，涨知识了', label: 'positive', language: 'zh', feature: 'basic' },
+    { text: '声音太小听不清，差评', label: 'negative', language: 'zh', feature: 'basic' },
+    { text: '又是广告，取关了', label: 'negative', language: 'zh', feature: 'basic' },
+    { text: '说的全是错的，误导人', label: 'negative', language: 'zh', feature: 'basic' },
+    { text: '节奏拖沓，看得很累', label: 'negative', language: 'zh', feature: 'basic' },
+    { text: '画质糊成一片，难受', label: 'negative', language: 'zh', feature: 'basic' },
+    // 中文：否定
+    { text: '不好看', label: 'negative', language: 'zh', feature: 'negation' },
+    { text: '一点也不实用', label: 'negative', language: 'zh', feature: 'negation' },
+    { text: '没有想象中那么精彩', label: 'negative', language: 'zh', feature: 'negation' },
+    { text: '不算难，挺简单的', label: 'positive', language: 'zh', feature: 'negation' },
+    { text: '并不失望，值得等待', label: 'positive', language: 'zh', feature: 'negation' },
+    { text: '不太喜欢这次的封面', label: 'negative', language: 'zh', feature: 'negation' },
+    // 中文：程度词
+    { text: '非常感动', label: 'positive', language: 'zh', feature: 'intensifier' },
+    { text: '特别有用的技巧', label: 'positive', language: 'zh', feature: 'intensifier' },
+    { text: '十分糟糕的体验', label: 'negative', language: 'zh', feature: 'intensifier' },
+    { text: '有点难懂', label: 'negative', language: 'zh', feature: 'intensifier' },
+    { text: '极其敷衍', label: 'negative', language: 'zh', feature: 'intensifier' },
+    // 中文：中性
+    { text: '请问这首歌叫什么', label: 'neutral', language: 'zh', feature: 'neutral' },
+    { text: '下期什么时候发', label: 'neutral', language: 'zh', feature: 'neutral' },
+    { text: '我是从搜索进来的', label: 'neutral', language: 'zh', feature: 'neutral' },
+    { text: '这个地方在成都吗', label: 'neutral', language: 'zh', feature: 'neutral' },
+    { text: '好几年前就买过这个', label: 'neutral', language: 'zh', feature: 'neutral' },
+    { text: '水杯是哪个牌子的', label: 'neutral', language: 'zh', feature: 'neutral' },
+
+    // emoji和颜文字
+    { text: '❤️❤️', label: 'positive', language: 'emoji', feature: 'basic' },
+    { text: '👏👏👏', label: 'positive', language: 'emoji', feature: 'basic' },
+    { text: '🥰 so cute', label: 'positive', language: 'emoji', feature: 'basic' },
+    { text: '😂😂😂', label: 'positive', language: 'emoji', feature: 'basic' },
+    { text: '学到了 👍', label: 'positive', language: 'emoji', feature: 'basic' },
+    { text: '(^_^)', label: 'positive', language: 'emoji', feature: 'basic' },
+    { text: ':D', label: 'positive', language: 'emoji', feature: 'basic' },
+    { text: '😡😡', label: 'negative', language: 'emoji', feature: 'basic' },
+    { text: '💩', label: 'negative', language: 'emoji', feature: 'basic' },
+    { text: '又延期了 😞', label: 'negative', language: 'emoji', feature: 'basic' },
+    { text: 'they cancelled the series :(', label: 'negative', language: 'emoji', feature: 'basic' },
+    { text: '😒', label: 'negative', language: 'emoji', feature: 'basic' },
+    { text: '📍', label: 'neutral', language: 'emoji', feature: 'neutral' },
+    { text: '👀 first', label: 'neutral', language: 'emoji', feature: 'neutral' }
+];
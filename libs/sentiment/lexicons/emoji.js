@@ -0,0 +1,26 @@
+/**
+ * emoji和颜文字情感词典。分值范围为 -3 到 3，不受否定词和程度词影响。
+ */
+
+export default {
+    language: 'emoji',
+    positive: {
+        '😀': 2, '😃': 2, '😄': 2, '😁': 2, '😆': 2, '😊': 2, '🙂': 1, '😉': 1, '😍': 3, '🥰': 3,
+        '😘': 2, '🤩': 3, '😂': 2, '🤣': 2, '😹': 2, '😎': 2, '🥳': 3, '🤗': 2, '😇': 2,
+        '❤': 3, '🧡': 3, '💛': 3, '💚': 3, '💙': 3, '💜': 3, '🖤': 2, '🤍': 2, '💕': 3, '💖': 3,
+        '💗': 3, '💯': 3, '🔥': 2, '👍': 2, '👏': 2, '🙌': 2, '👌': 2, '💪': 2, '🎉': 2, '✨': 1,
+        '⭐': 1, '🌟': 2, '🏆': 2, '🥇': 2, '🙏': 1,
+        ':)': 1, ':-)': 1, '=)': 1, ';)': 1, ';-)': 1, ':d': 2, ':-d': 2, 'xd': 2, ':p': 1, ':-p': 1,
+        '<3': 3, '^_^': 2, '^^': 1
+    },
+    negative: {
+        '😞': -2, '😔': -2, '😟': -2, '😕': -1, '🙁': -2, '☹': -2, '😣': -2, '😖': -2, '😫': -2,
+        '😩': -2, '😢': -2, '😭': -1, '😤': -2, '😠': -3, '😡': -3, '🤬': -3, '🤮': -3, '🤢': -3,
+        '😒': -2, '🙄': -2, '😑': -1, '😐': -1, '🥱': -2, '💔': -2, '👎': -2, '💩': -3, '🤡': -2,
+        ':(': -2, ':-(': -2, '=(': -2, ":'(": -2, ':/': -1, ':|': -1, '</3': -2, 't_t': -2, 'qaq': -1,
+        '-_-': -1, 'orz': -1
+    },
+    negators: [],
+    intensifiers: {},
+    phrases: []
+};
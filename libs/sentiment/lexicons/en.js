@@ -0,0 +1,47 @@
+/**
+ * 英文情感词典。
+ * 分值范围为 -3 到 3；intensifiers 为对后一个情感词的倍数（小于1表示减弱）；
+ * negators 会反转其后同一分句内三个词以内的情感词。
+ */
+
+export default {
+    language: 'en',
+    positive: {
+        love: 3, loved: 3, loving: 2, lovely: 3, adore: 3,
+        amazing: 3, awesome: 3, incredible: 3, fantastic: 3, excellent: 3, outstanding: 3,
+        brilliant: 3, masterpiece: 3, perfect: 3, phenomenal: 3, superb: 3, wonderful: 3,
+        best: 3, beautiful: 3, gorgeous: 3, legendary: 3, goat: 2,
+        great: 2, good: 2, nice: 2, cool: 2, fun: 2, funny: 2, hilarious: 2, enjoy: 2, enjoyed: 2,
+        like: 1, liked: 2, likes: 1, glad: 2, happy: 2, helpful: 2, useful: 2, informative: 2,
+        interesting: 2, impressive: 2, recommend: 2, recommended: 2, inspiring: 2, satisfying: 2,
+        thanks: 2, thank: 2, appreciate: 2, appreciated: 2, wow: 2, fire: 2, lit: 2, epic: 2,
+        favorite: 2, favourite: 2, clean: 1, clear: 1, solid: 1, fine: 1, pretty: 1, cute: 2,
+        underrated: 1, congrats: 2, congratulations: 2, yay: 2, win: 2, wins: 2,
+        bravo: 2, blessed: 2, smart: 1, genius: 3, wholesome: 2, lol: 1, lmao: 1, perfectly: 3
+    },
+    negative: {
+        hate: -3, hated: -3, terrible: -3, horrible: -3, awful: -3, worst: -3, disgusting: -3,
+        garbage: -3, trash: -3, pathetic: -3, scam: -3, unwatchable: -3,
+        bad: -2, boring: -2, waste: -2, wasted: -2, poor: -2, disappointed: -2, disappointing: -2,
+        dislike: -2, useless: -2, stupid: -2, sucks: -2, fake: -2, clickbait: -2, misleading: -2,
+        annoying: -2, ugly: -2, cringe: -2, cringy: -2, lame: -2, sad: -2, wrong: -2, dumb: -2,
+        overrated: -2, lazy: -2, mess: -2, broken: -2, lies: -2, lie: -2, liar: -2, ripoff: -2,
+        unfortunately: -1, meh: -1, mediocre: -1, confusing: -1, slow: -1, weird: -1, problem: -1,
+        issue: -1, issues: -1, bug: -1, bugs: -1, fail: -2, failed: -2, unsubscribed: -2,
+        angry: -2, upset: -2, worse: -2, hurts: -1, sorry: -1, cheap: -1, noisy: -1, tired: -1,
+        complaint: -1, complaints: -1
+    },
+    negators: [
+        'not', 'no', 'never', 'none', 'nobody', 'nothing', 'neither', 'nor', 'without', 'hardly', 'barely',
+        "don't", 'dont', "doesn't", 'doesnt', "didn't", 'didnt', "isn't", 'isnt', "wasn't", 'wasnt',
+        "aren't", 'arent', "weren't", "can't", 'cant', 'cannot', "couldn't", "won't", 'wont', "wouldn't",
+        "shouldn't", "haven't", "hasn't", "ain't", 'aint'
+    ],
+    intensifiers: {
+        very: 1.5, really: 1.4, so: 1.3, extremely: 1.8, super: 1.5, totally: 1.5, absolutely: 1.6,
+        incredibly: 1.7, truly: 1.4, quite: 1.2, pretty: 1.2, most: 1.5, too: 1.3, highly: 1.5,
+        slightly: 0.6, somewhat: 0.7, kinda: 0.7, little: 0.7
+    },
+    // 含情感词但整体无情感倾向的固定搭配
+    phrases: []
+};
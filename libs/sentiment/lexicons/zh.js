@@ -0,0 +1,39 @@
+/**
+ * 中文情感词典。
+ * 分值范围为 -3 到 3；intensifiers 为对后一个情感词的倍数（小于1表示减弱）；
+ * negators 会反转其后同一分句内三个词以内的情感词。
+ * 所有词语同时作为分词词典使用，因此“不错”“不行”等带否定字的词需要单独收录，
+ * 而“不好看”由否定词“不”和“好看”组合得到，不应收录。
+ */
+
+export default {
+    language: 'zh',
+    positive: {
+        喜欢: 2, 爱: 3, 热爱: 3, 超爱: 3, 好看: 2, 好听: 2, 好玩: 2, 好笑: 2, 好: 1, 不错: 2,
+        精彩: 3, 优秀: 3, 完美: 3, 震撼: 3, 经典: 3, 神作: 3, 牛: 2, 牛逼: 3, 厉害: 2, 棒: 2,
+        赞: 2, 点赞: 2, 支持: 2, 推荐: 2, 感谢: 2, 谢谢: 2, 感动: 2, 有趣: 2, 有用: 2, 实用: 2,
+        漂亮: 2, 帅: 2, 可爱: 2, 温暖: 2, 开心: 2, 快乐: 2, 幸福: 2, 舒服: 2, 满意: 2, 惊艳: 3,
+        学到: 2, 受益: 2, 干货: 2, 用心: 2, 专业: 2, 良心: 2, 绝了: 3, 太强: 3, 强: 2, 佩服: 2,
+        期待: 1, 值得: 2, 清楚: 1, 详细: 1, 真实: 1, 加油: 2, 哈哈: 1, 哈哈哈: 2, 笑死: 2, yyds: 3,
+        高质量: 2, 宝藏: 3, 治愈: 2, 过瘾: 2, 给力: 2, 靠谱: 2
+    },
+    negative: {
+        差: -2, 烂: -3, 讨厌: -2, 难看: -2, 难听: -2, 垃圾: -3, 失望: -2, 无聊: -2, 浪费: -2, 糟糕: -2,
+        坑: -2, 骗: -2, 骗子: -3, 假: -1, 敷衍: -2, 难受: -2, 辣眼睛: -2, 恶心: -3, 尴尬: -1,
+        标题党: -2, 水视频: -2, 很水: -2, 太水: -2, 不行: -2, 不如: -1, 生气: -2, 愤怒: -2, 伤心: -2,
+        难过: -2, 可惜: -1, 遗憾: -1, 后悔: -2, 抄袭: -2, 广告: -1, 恰饭: -1, 拉胯: -2, 拉跨: -2,
+        离谱: -2, 智商税: -2, 翻车: -2, 崩: -2, 弱智: -3, 脑残: -3, 取关: -2, 失败: -2,
+        烦: -2, 啰嗦: -1, 太长: -1, 花里胡哨: -1, 误导: -2, 错误: -1, 毛病: -1, 问题: -1, 卡顿: -1
+    },
+    negators: ['不', '没', '没有', '别', '未', '无', '不是', '并不', '从不', '毫不', '毫无', '不太', '不怎么'],
+    intensifiers: {
+        很: 1.3, 非常: 1.5, 太: 1.5, 超: 1.5, 超级: 1.6, 特别: 1.5, 真: 1.3, 真的: 1.3, 最: 1.6,
+        极其: 1.8, 十分: 1.5, 相当: 1.4, 挺: 1.2, 好好: 1.2, 巨: 1.6, 贼: 1.5,
+        有点: 0.7, 有些: 0.7, 稍微: 0.6, 略: 0.7
+    },
+    // 含情感字但整体无情感倾向的固定搭配，仅用于分词
+    phrases: [
+        '不好意思', '不得不', '不管', '不仅', '不过', '不断', '没想到', '未来', '无论', '别人', '别的',
+        '好像', '好多', '好久', '好几', '爱好', '只好', '正好', '刚好', '问题是'
+    ]
+};
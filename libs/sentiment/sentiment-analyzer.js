@@ -0,0 +1,258 @@
+/**
+ * Sentiment Analyzer
+ * 基于词典的多语言评论情感分析，完全在本地运行。
+ * 先分词（中文按词典切分，英文按单词切分），再按词典打分，并处理否定词、程度词、emoji和颜文字。
+ * 词典按语言注册，可通过 registerLexicon 追加或替换。
+ */
+
+import tokenizer from './tokenizer.js';
+import enLexicon from './lexicons/en.js';
+import zhLexicon from './lexicons/zh.js';
+import emojiLexicon from './lexicons/emoji.js';
+
+// 否定词向前作用的最大词数（不跨越标点）
+const NEGATION_WINDOW = 3;
+
+// 被否定的情感词分值倍数（“不好”比“差”弱）
+const NEGATION_FACTOR = -0.75;
+
+// 总分归一化到 (-1, 1) 的平滑常数：score = total / sqrt(total² + α)
+const NORMALIZATION_ALPHA = 15;
+
+// 判定为积极/消极的归一化分数阈值
+const LABEL_THRESHOLD = 0.05;
+
+const LABELS = ['positive', 'neutral', 'negative'];
+
+const HAN_PATTERN = /\p{Script=Han}/u;
+
+class SentimentAnalyzer {
+    constructor() {
+        this.lexicons = new Map();
+        [enLexicon, zhLexicon, emojiLexicon].forEach(lexicon => this.registerLexicon(lexicon));
+    }
+
+    /**
+     * 注册词典。同一 language 的词典会被替换，之后注册的词典中的词覆盖之前的分值。
+     * @param {Object} lexicon - 词典 { language, positive, negative, neutral, negators, intensifiers, phrases }
+     */
+    registerLexicon(lexicon) {
+        if (!lexicon || !lexicon.language) {
+            throw new Error("词典缺少 language 字段");
+        }
+        this.lexicons.set(lexicon.language, lexicon);
+        this.buildIndex();
+    }
+
+    /**
+     * 移除已注册的词典。
+     * @param {string} language - 词典的 language
+     */
+    unregisterLexicon(language) {
+        if (this.lexicons.delete(language)) {
+            this.buildIndex();
+        }
+    }
+
+    /**
+     * 合并所有词典，生成打分用的索引和中文分词词典。
+     */
+    buildIndex() {
+        this.scores = new Map();
+        this.negators = new Set();
+        this.intensifiers = new Map();
+        const hanWords = new Set();
+
+        this.lexicons.forEach(lexicon => {
+            Object.entries({ ...lexicon.positive, ...lexicon.negative }).forEach(([word, score]) => {
+                this.scores.set(word.toLowerCase(), score);
+            });
+            (lexicon.negators || []).forEach(word => this.negators.add(word.toLowerCase()));
+            Object.entries(lexicon.intensifiers || {}).forEach(([word, multiplier]) => {
+                this.intensifiers.set(word.toLowerCase(), multiplier);
+            });
+            // 中性词取消之前词典中的分值，同时作为分词词语
+            (lexicon.neutral || []).forEach(word => {
+                this.scores.delete(word.toLowerCase());
+                hanWords.add(word.toLowerCase());
+            });
+            (lexicon.phrases || []).forEach(word => hanWords.add(word));
+        });
+
+        [...this.scores.keys(), ...this.negators, ...this.intensifiers.keys()].forEach(word => hanWords.add(word));
+
+        const dictionary = [...hanWords].filter(word => HAN_PATTERN.test(word));
+        this.hanDictionary = {
+            words: new Set(dictionary),
+            maxLength: Math.max(1, ...dictionary.map(word => word.length)),
+            has(word) {
+                return this.words.has(word);
+            }
+        };
+    }
+
+    /**
+     * 判断词语是否带有情感分值。
+     * @param {string} word - 词语
+     * @returns {boolean}
+     */
+    isSentimentWord(word) {
+        return this.scores.has(String(word).toLowerCase());
+    }
+
+    /**
+     * 根据汉字与拉丁字母的数量判断文本主要语言。
+     * @param {string} text - 文本
+     * @returns {string} - 'zh'、'en' 或 'unknown'
+     */
+    detectLanguage(text) {
+        const hanCount = (String(text || '').match(/\p{Script=Han}/gu) || []).length;
+        const latinCount = (String(text || '').match(/\p{Script=Latin}/gu) || []).length;
+        if (hanCount === 0 && latinCount === 0) return 'unknown';
+        // 一个汉字的信息量约相当于一个英文单词，按3个字母折算
+        return hanCount * 3 >= latinCount ? 'zh' : 'en';
+    }
+
+    /**
+     * 计算情感词前的程度词倍数，连续的程度词会叠加（如 "really really"）。
+     * @param {Object[]} tokens - 词元列表
+     * @param {number} index - 情感词位置
+     * @returns {number} - 倍数
+     */
+    getIntensity(tokens, index) {
+        let multiplier = 1;
+        for (let i = index - 1; i >= 0 && this.intensifiers.has(tokens[i].text); i--) {
+            multiplier *= this.intensifiers.get(tokens[i].text);
+        }
+        return multiplier;
+    }
+
+    /**
+     * 判断情感词是否被同一分句内前面的否定词修饰。
+     * @param {Object[]} tokens - 词元列表
+     * @param {number} index - 情感词位置
+     * @returns {boolean}
+     */
+    isNegated(tokens, index) {
+        for (let i = index - 1; i >= Math.max(0, index - NEGATION_WINDOW); i--) {
+            if (tokens[i].type === 'punct') return false;
+            if (this.negators.has(tokens[i].text)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * 分析一段文本的情感。
+     * @param {string} text - 文本（可以包含HTML）
+     * @returns {Object} - { score, label, language, positive, negative, matches }，score 范围为 (-1, 1)
+     */
+    analyze(text) {
+        const tokens = tokenizer.tokenize(text, this.hanDictionary);
+        const matches = [];
+        let positive = 0;
+        let negative = 0;
+
+        tokens.forEach((token, index) => {
+            if (!this.scores.has(token.text)) return;
+
+            // 既是程度词又是情感词（如 "pretty"）时，修饰后面的情感词就不再单独计分
+            const next = tokens[index + 1];
+            if (this.intensifiers.has(token.text) && next && this.scores.has(next.text)) return;
+
+            let score = this.scores.get(token.text);
+            if (token.type === 'latin' || token.type === 'han') {
+                score *= this.getIntensity(tokens, index);
+                if (this.isNegated(tokens, index)) {
+                    score *= NEGATION_FACTOR;
+                }
+            }
+
+            matches.push({ token: token.text, score: parseFloat(score.toFixed(2)) });
+            if (score > 0) {
+                positive += score;
+            } else {
+                negative -= score;
+            }
+        });
+
+        const total = positive - negative;
+        const normalized = total / Math.sqrt(total * total + NORMALIZATION_ALPHA);
+        let label = 'neutral';
+        if (normalized >= LABEL_THRESHOLD) {
+            label = 'positive';
+        } else if (normalized <= -LABEL_THRESHOLD) {
+            label = 'negative';
+        }
+
+        return {
+            score: parseFloat(normalized.toFixed(3)),
+            label,
+            language: this.detectLanguage(tokenizer.normalize(text)),
+            positive: parseFloat(positive.toFixed(2)),
+            negative: parseFloat(negative.toFixed(2)),
+            matches
+        };
+    }
+
+    /**
+     * 用标注语料评估分析器的准确率，并按样本的 language 和 feature 分组统计。
+     * @param {Object[]} corpus - 标注语料 [{ text, label, language, feature }]，见 evaluation-corpus.js
+     * @returns {Object} - { total, correct, accuracy, labels, confusion, languages, features, errors }
+     */
+    evaluate(corpus) {
+        const confusion = {};
+        LABELS.forEach(expected => {
+            confusion[expected] = {};
+            LABELS.forEach(predicted => { confusion[expected][predicted] = 0; });
+        });
+
+        const languages = {};
+        const features = {};
+        const count = (groups, name, isCorrect) => {
+            const group = groups[name] || (groups[name] = { total: 0, correct: 0, accuracy: 0 });
+            group.total++;
+            if (isCorrect) group.correct++;
+            group.accuracy = parseFloat((group.correct / group.total).toFixed(3));
+        };
+
+        const errors = [];
+        corpus.forEach(({ text, label, language = 'unknown', feature = 'basic' }) => {
+            const result = this.analyze(text);
+            const isCorrect = result.label === label;
+            confusion[label][result.label]++;
+            count(languages, language, isCorrect);
+            count(features, feature, isCorrect);
+            if (!isCorrect) {
+                errors.push({ text, language, feature, expected: label, predicted: result.label, score: result.score });
+            }
+        });
+
+        const labels = {};
+        LABELS.forEach(label => {
+            const truePositive = confusion[label][label];
+            const predictedCount = LABELS.reduce((sum, expected) => sum + confusion[expected][label], 0);
+            const support = LABELS.reduce((sum, predicted) => sum + confusion[label][predicted], 0);
+            labels[label] = {
+                precision: predictedCount ? parseFloat((truePositive / predictedCount).toFixed(3)) : 0,
+                recall: support ? parseFloat((truePositive / support).toFixed(3)) : 0,
+                support
+            };
+        });
+
+        const correct = corpus.length - errors.length;
+        return {
+            total: corpus.length,
+            correct,
+            accuracy: corpus.length ? parseFloat((correct / corpus.length).toFixed(3)) : 0,
+            labels,
+            confusion,
+            languages,
+            features,
+            errors
+        };
+    }
+}
+
+// 导出单例实例
+const sentimentAnalyzer = new SentimentAnalyzer();
+export default sentimentAnalyzer;
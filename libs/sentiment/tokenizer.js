@@ -0,0 +1,105 @@
+/**
+ * Tokenizer
+ * 情感分析使用的分词器：英文等拉丁字母文本按单词切分，中文按词典正向最大匹配切分，
+ * 同时识别emoji、颜文字和标点（标点作为否定词作用范围的分句边界）。
+ */
+
+// 常见HTML实体（评论的 textDisplay 可能是HTML格式）
+const HTML_ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': "'",
+    '&nbsp;': ' '
+};
+
+// 颜文字（小写形式），需在单词和标点之前匹配
+const EMOTICONS = [
+    ":'(", ':-)', ':-(', ':-d', ':-p', ';-)', ':)', ':(', ':d', ':p', ';)', ':/', ':|', '=)', '=(',
+    '<3', '</3', 'xd', 't_t', 'qaq', 'orz', '^_^', '^^', '-_-'
+];
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+const TOKEN_PATTERN = new RegExp([
+    `(${EMOTICONS.map(escapeRegExp).join('|')})(?![a-z0-9])`,
+    '(\\p{Extended_Pictographic}(?:\\uFE0F|\\u200D\\p{Extended_Pictographic})*)',
+    '(\\p{Script=Han}+)',
+    "((?:(?!\\p{Script=Han})[\\p{L}\\p{N}])+(?:['’][a-z]+)?)",
+    '([.,!?;:。，！？；：、…\\n]+)'
+].join('|'), 'gu');
+
+class Tokenizer {
+    /**
+     * 将评论的HTML文本转为纯文本：换行标签转为换行，去除其他标签并解码常见实体。
+     * @param {string} text - 原始文本
+     * @returns {string}
+     */
+    toPlainText(text) {
+        return String(text || '')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<[^>]+>/g, ' ')
+            .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, entity => HTML_ENTITIES[entity]);
+    }
+
+    /**
+     * 清理评论文本：转为纯文本、去除链接并转为小写。
+     * @param {string} text - 原始文本
+     * @returns {string}
+     */
+    normalize(text) {
+        return this.toPlainText(text)
+            .replace(/https?:\/\/\S+/g, ' ')
+            .toLowerCase();
+    }
+
+    /**
+     * 按词典正向最大匹配切分一段连续的汉字，词典中没有的字单独成词。
+     * @param {string} text - 连续的汉字
+     * @param {Object} dictionary - { has(word): boolean, maxLength: number }
+     * @returns {string[]} - 词列表
+     */
+    segmentHan(text, dictionary) {
+        const words = [];
+        let position = 0;
+        while (position < text.length) {
+            let length = Math.min(dictionary.maxLength, text.length - position);
+            while (length > 1 && !dictionary.has(text.substr(position, length))) {
+                length--;
+            }
+            words.push(text.substr(position, length));
+            position += length;
+        }
+        return words;
+    }
+
+    /**
+     * 将文本切分为词元。
+     * @param {string} text - 原始文本
+     * @param {Object} hanDictionary - 中文分词词典 { has(word), maxLength }
+     * @returns {Object[]} - 词元列表 [{ text, type }]，type 为 'latin'、'han'、'emoji'、'emoticon' 或 'punct'
+     */
+    tokenize(text, hanDictionary) {
+        const tokens = [];
+        for (const match of this.normalize(text).matchAll(TOKEN_PATTERN)) {
+            const [, emoticon, emoji, han, word, punct] = match;
+            if (emoticon) {
+                tokens.push({ text: emoticon, type: 'emoticon' });
+            } else if (emoji) {
+                tokens.push({ text: emoji.replace(/\uFE0F/g, ''), type: 'emoji' });
+            } else if (han) {
+                this.segmentHan(han, hanDictionary).forEach(segment => tokens.push({ text: segment, type: 'han' }));
+            } else if (word) {
+                tokens.push({ text: word.replace(/’/g, "'"), type: 'latin' });
+            } else if (punct) {
+                tokens.push({ text: punct, type: 'punct' });
+            }
+        }
+        return tokens;
+    }
+}
+
+// 导出单例实例
+const tokenizer = new Tokenizer();
+export default tokenizer;
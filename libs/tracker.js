@@ -0,0 +1,297 @@
+/**
+ * Tracker
+ * 定期重新获取追踪列表中视频和频道的统计数据并保存为时间序列快照，
+ * 用于计算观看量、点赞、评论和订阅数的实际增长速度与加速度。
+ * 定时任务使用 chrome.alarms，Service Worker休眠后也会按时唤醒。
+ */
+
+import database from './database.js';
+import youTubeApiClient from './api-client.js';
+import dataProcessor from './data-processor.js';
+import i18n from './i18n.js';
+
+const STORE_NAME = 'snapshots';
+
+const ALARM_NAME = 'watchlist-refresh';
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+const MIN_INTERVAL_MINUTES = 15;
+
+// 各类型追踪对象保存的统计字段
+const TRACKED_FIELDS = {
+    video: ['viewCount', 'likeCount', 'commentCount'],
+    channel: ['subscriberCount', 'viewCount', 'videoCount']
+};
+
+class Tracker {
+    constructor() {
+        this.intervalMinutes = DEFAULT_INTERVAL_MINUTES;
+        this.refreshPromise = null;
+        this.storageListenerAdded = false;
+    }
+
+    /**
+     * 生成追踪对象的键。
+     * @param {string} type - 'video' 或 'channel'
+     * @param {string} id - 视频ID或频道ID
+     * @returns {string} - 追踪键
+     */
+    getTargetKey(type, id) {
+        return `${type}:${id}`;
+    }
+
+    /**
+     * 初始化：读取刷新间隔并确保定时任务已创建。
+     * @returns {Promise<void>}
+     */
+    async init() {
+        const result = await chrome.storage.sync.get('trackingInterval');
+        await this.setInterval(result.trackingInterval);
+        this.watchSettings();
+    }
+
+    /**
+     * 监听刷新间隔设置的变化。
+     */
+    watchSettings() {
+        if (this.storageListenerAdded) return;
+        this.storageListenerAdded = true;
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'sync' && changes.trackingInterval) {
+                this.setInterval(changes.trackingInterval.newValue).catch(error => {
+                    console.error("Tracker: Failed to reschedule refresh:", error);
+                });
+            }
+        });
+    }
+
+    /**
+     * 设置刷新间隔并重新安排定时任务（间隔未变化时保留现有任务）。
+     * @param {number} minutes - 刷新间隔（分钟）
+     * @returns {Promise<void>}
+     */
+    async setInterval(minutes) {
+        const value = parseInt(minutes, 10);
+        this.intervalMinutes = value > 0 ? Math.max(MIN_INTERVAL_MINUTES, value) : DEFAULT_INTERVAL_MINUTES;
+
+        const existing = await chrome.alarms.get(ALARM_NAME);
+        if (existing && existing.periodInMinutes === this.intervalMinutes) {
+            return;
+        }
+        await chrome.alarms.create(ALARM_NAME, {
+            delayInMinutes: this.intervalMinutes,
+            periodInMinutes: this.intervalMinutes
+        });
+        console.log(`Tracker: Refresh scheduled every ${this.intervalMinutes} minutes`);
+    }
+
+    /**
+     * 判断定时任务是否属于追踪器。
+     * @param {Object} alarm - chrome.alarms 触发的定时任务
+     * @returns {boolean}
+     */
+    isTrackerAlarm(alarm) {
+        return alarm && alarm.name === ALARM_NAME;
+    }
+
+    /**
+     * 获取追踪列表。
+     * @returns {Promise<Object[]>} - [{ type, id, title, addedAt, lastRefreshed }]
+     */
+    async getWatchlist() {
+        const result = await chrome.storage.local.get('watchlist');
+        return result.watchlist || [];
+    }
+
+    /**
+     * 保存追踪列表。
+     * @param {Object[]} watchlist - 追踪列表
+     * @returns {Promise<void>}
+     */
+    async saveWatchlist(watchlist) {
+        await chrome.storage.local.set({ watchlist });
+    }
+
+    /**
+     * 将视频或频道加入追踪列表，并立即保存第一个快照。
+     * @param {string} type - 'video' 或 'channel'
+     * @param {string} id - 视频ID或频道ID
+     * @returns {Promise<Object>} - 追踪项
+     */
+    async addToWatchlist(type, id) {
+        if (!TRACKED_FIELDS[type]) {
+            throw new Error(`Unsupported watchlist type: ${type}`);
+        }
+
+        const watchlist = await this.getWatchlist();
+        const existing = watchlist.find(item => item.type === type && item.id === id);
+        if (existing) {
+            return existing;
+        }
+
+        const items = type === 'video'
+            ? await youTubeApiClient.getVideosByIds([id], { forceRefresh: true })
+            : await youTubeApiClient.getChannelsByIds([id], { forceRefresh: true });
+        if (items.length === 0) {
+            throw i18n.error(type === 'video' ? 'errorVideoNotFound' : 'errorChannelNotFound');
+        }
+
+        const now = Date.now();
+        const entry = {
+            type,
+            id,
+            title: items[0].snippet ? items[0].snippet.title : id,
+            addedAt: now,
+            lastRefreshed: now
+        };
+        await this.saveSnapshot(type, items[0], now);
+
+        // 获取数据期间列表可能已被修改，重新读取后再写入
+        const latest = await this.getWatchlist();
+        latest.push(entry);
+        await this.saveWatchlist(latest);
+        console.log(`Tracker: Added ${type} ${id} to watchlist`);
+        return entry;
+    }
+
+    /**
+     * 从追踪列表移除。已保存的快照默认保留，可继续查看历史趋势。
+     * @param {string} type - 'video' 或 'channel'
+     * @param {string} id - 视频ID或频道ID
+     * @param {Object} [options] - 选项
+     * @param {boolean} [options.deleteHistory] - 是否同时删除快照
+     * @returns {Promise<void>}
+     */
+    async removeFromWatchlist(type, id, { deleteHistory = false } = {}) {
+        const watchlist = await this.getWatchlist();
+        await this.saveWatchlist(watchlist.filter(item => !(item.type === type && item.id === id)));
+
+        if (deleteHistory) {
+            await database.iterate(STORE_NAME, {
+                indexName: 'targetKey',
+                query: this.getTargetKey(type, id),
+                mode: 'readwrite'
+            }, (value, cursor) => {
+                cursor.delete();
+            });
+        }
+        console.log(`Tracker: Removed ${type} ${id} from watchlist`);
+    }
+
+    /**
+     * 保存一个统计快照。
+     * @param {string} type - 'video' 或 'channel'
+     * @param {Object} item - API返回的视频或频道数据
+     * @param {number} timestamp - 快照时间
+     * @returns {Promise<number>} - 新记录的ID
+     */
+    async saveSnapshot(type, item, timestamp) {
+        const stats = {};
+        TRACKED_FIELDS[type].forEach(field => {
+            stats[field] = parseInt(item.statistics[field]) || 0;
+        });
+        return database.put(STORE_NAME, {
+            targetKey: this.getTargetKey(type, item.id),
+            type,
+            targetId: item.id,
+            timestamp,
+            stats
+        });
+    }
+
+    /**
+     * 刷新整个追踪列表。视频和频道分别批量请求（每次最多50个），跳过缓存以获取最新统计。
+     * 同一时间只运行一次刷新。
+     * @returns {Promise<Object>} - { refreshed, failed }
+     */
+    refreshWatchlist() {
+        if (this.refreshPromise) {
+            return this.refreshPromise;
+        }
+
+        this.refreshPromise = (async () => {
+            const watchlist = await this.getWatchlist();
+            const result = { refreshed: 0, failed: 0 };
+            if (watchlist.length === 0) {
+                return result;
+            }
+
+            const now = Date.now();
+            for (const type of Object.keys(TRACKED_FIELDS)) {
+                const ids = watchlist.filter(item => item.type === type).map(item => item.id);
+                if (ids.length === 0) continue;
+
+                try {
+                    const items = type === 'video'
+                        ? await youTubeApiClient.getVideosByIds(ids, { forceRefresh: true })
+                        : await youTubeApiClient.getChannelsByIds(ids, { forceRefresh: true });
+
+                    for (const item of items) {
+                        await this.saveSnapshot(type, item, now);
+                        const entry = watchlist.find(watched => watched.type === type && watched.id === item.id);
+                        entry.lastRefreshed = now;
+                        if (item.snippet) {
+                            entry.title = item.snippet.title;
+                        }
+                    }
+                    result.refreshed += items.length;
+                    result.failed += ids.length - items.length;
+                } catch (error) {
+                    console.error(`Tracker: Failed to refresh ${type} snapshots:`, error);
+                    result.failed += ids.length;
+                }
+            }
+
+            // 只更新刷新期间仍在列表中的项目
+            const latest = await this.getWatchlist();
+            latest.forEach(item => {
+                const refreshed = watchlist.find(watched => watched.type === item.type && watched.id === item.id);
+                if (refreshed) {
+                    item.lastRefreshed = refreshed.lastRefreshed;
+                    item.title = refreshed.title;
+                }
+            });
+            await this.saveWatchlist(latest);
+
+            console.log(`Tracker: Refreshed ${result.refreshed} item(s), ${result.failed} failed`);
+            return result;
+        })().finally(() => {
+            this.refreshPromise = null;
+        });
+
+        return this.refreshPromise;
+    }
+
+    /**
+     * 获取追踪对象的快照历史及增长速度和加速度。
+     * @param {string} type - 'video' 或 'channel'
+     * @param {string} id - 视频ID或频道ID
+     * @param {Object} [options] - 选项
+     * @param {number} [options.from] - 起始时间戳
+     * @returns {Promise<Object>} - { type, id, fields, snapshots, growth }
+     */
+    async getSnapshotHistory(type, id, { from = 0 } = {}) {
+        if (!TRACKED_FIELDS[type]) {
+            throw new Error(`Unsupported watchlist type: ${type}`);
+        }
+
+        const targetKey = this.getTargetKey(type, id);
+        const snapshots = await database.getAll(
+            STORE_NAME,
+            'targetKeyTimestamp',
+            IDBKeyRange.bound([targetKey, from], [targetKey, Infinity])
+        );
+
+        return {
+            type,
+            id,
+            fields: TRACKED_FIELDS[type],
+            snapshots,
+            growth: dataProcessor.calculateGrowthMetrics(snapshots, TRACKED_FIELDS[type])
+        };
+    }
+}
+
+// 导出单例实例
+const tracker = new Tracker();
+export default tracker;
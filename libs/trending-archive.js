@@ -0,0 +1,357 @@
+/**
+ * Trending Archive
+ * 按计划定时保存所选地区和类别的 mostPopular 榜单，记录每个视频随时间变化的排名，
+ * 用于显示排名升降、新上榜视频、在榜时长和最高排名，并按日期回看历史榜单。
+ * 定时任务使用 chrome.alarms，Service Worker休眠后也会按时唤醒。
+ */
+
+import database from './database.js';
+import youTubeApiClient from './api-client.js';
+
+const STORE_NAME = 'trendingCharts';
+
+const ALARM_NAME = 'trending-archive';
+
+// chrome.storage.local 中保存归档榜单列表的键名
+const STORAGE_KEY = 'trendingArchiveCharts';
+
+const DEFAULT_INTERVAL_MINUTES = 360;
+const MIN_INTERVAL_MINUTES = 60;
+
+// 每个榜单归档的视频数量（一页，消耗1单位配额）
+const ARCHIVE_CHART_SIZE = 50;
+
+// 归档记录保留天数，超过后在下次归档时清理
+const RETENTION_DAYS = 90;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class TrendingArchive {
+    constructor() {
+        this.intervalMinutes = DEFAULT_INTERVAL_MINUTES;
+        this.capturePromise = null;
+        this.storageListenerAdded = false;
+    }
+
+    /**
+     * 生成榜单的键。
+     * @param {string} regionCode - 地区代码
+     * @param {string} category - 视频类别ID（空字符串表示所有类别）
+     * @returns {string} - 榜单键，例如 'US:all'
+     */
+    getChartKey(regionCode, category = '') {
+        return `${regionCode}:${category || 'all'}`;
+    }
+
+    /**
+     * 初始化：读取归档间隔并确保定时任务已创建。
+     * @returns {Promise<void>}
+     */
+    async init() {
+        const result = await chrome.storage.sync.get('trendingArchiveInterval');
+        await this.setInterval(result.trendingArchiveInterval);
+        this.watchSettings();
+    }
+
+    /**
+     * 监听归档间隔设置的变化。
+     */
+    watchSettings() {
+        if (this.storageListenerAdded) return;
+        this.storageListenerAdded = true;
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'sync' && changes.trendingArchiveInterval) {
+                this.setInterval(changes.trendingArchiveInterval.newValue).catch(error => {
+                    console.error("Trending Archive: Failed to reschedule capture:", error);
+                });
+            }
+        });
+    }
+
+    /**
+     * 设置归档间隔并重新安排定时任务（间隔未变化时保留现有任务）。
+     * @param {number} minutes - 归档间隔（分钟）
+     * @returns {Promise<void>}
+     */
+    async setInterval(minutes) {
+        const value = parseInt(minutes, 10);
+        this.intervalMinutes = value > 0 ? Math.max(MIN_INTERVAL_MINUTES, value) : DEFAULT_INTERVAL_MINUTES;
+
+        const existing = await chrome.alarms.get(ALARM_NAME);
+        if (existing && existing.periodInMinutes === this.intervalMinutes) {
+            return;
+        }
+        await chrome.alarms.create(ALARM_NAME, {
+            delayInMinutes: this.intervalMinutes,
+            periodInMinutes: this.intervalMinutes
+        });
+        console.log(`Trending Archive: Capture scheduled every ${this.intervalMinutes} minutes`);
+    }
+
+    /**
+     * 判断定时任务是否属于榜单归档。
+     * @param {Object} alarm - chrome.alarms 触发的定时任务
+     * @returns {boolean}
+     */
+    isArchiveAlarm(alarm) {
+        return alarm && alarm.name === ALARM_NAME;
+    }
+
+    /**
+     * 获取定时归档的榜单列表。
+     * @returns {Promise<Object[]>} - [{ regionCode, category, addedAt, lastCaptured }]
+     */
+    async getArchivedCharts() {
+        const result = await chrome.storage.local.get(STORAGE_KEY);
+        return result[STORAGE_KEY] || [];
+    }
+
+    /**
+     * 保存定时归档的榜单列表。
+     * @param {Object[]} charts - 榜单列表
+     * @returns {Promise<void>}
+     */
+    async saveArchivedCharts(charts) {
+        await chrome.storage.local.set({ [STORAGE_KEY]: charts });
+    }
+
+    /**
+     * 将榜单加入定时归档，并立即保存第一份归档。
+     * @param {string} regionCode - 地区代码
+     * @param {string} category - 视频类别ID（空字符串表示所有类别）
+     * @returns {Promise<Object>} - 归档榜单项
+     */
+    async addChart(regionCode, category = '') {
+        if (!regionCode) {
+            throw new Error("Region code is required.");
+        }
+
+        const chartKey = this.getChartKey(regionCode, category);
+        const charts = await this.getArchivedCharts();
+        const existing = charts.find(chart => this.getChartKey(chart.regionCode, chart.category) === chartKey);
+        if (existing) {
+            return existing;
+        }
+
+        const now = Date.now();
+        await this.captureChart(regionCode, category, now);
+        const entry = { regionCode, category: category || '', addedAt: now, lastCaptured: now };
+
+        // 获取数据期间列表可能已被修改，重新读取后再写入
+        const latest = await this.getArchivedCharts();
+        latest.push(entry);
+        await this.saveArchivedCharts(latest);
+        console.log(`Trending Archive: Added chart ${chartKey}`);
+        return entry;
+    }
+
+    /**
+     * 停止归档榜单。已保存的归档保留，直到超过保留天数。
+     * @param {string} regionCode - 地区代码
+     * @param {string} category - 视频类别ID
+     * @returns {Promise<void>}
+     */
+    async removeChart(regionCode, category = '') {
+        const chartKey = this.getChartKey(regionCode, category);
+        const charts = await this.getArchivedCharts();
+        await this.saveArchivedCharts(charts.filter(chart => this.getChartKey(chart.regionCode, chart.category) !== chartKey));
+        console.log(`Trending Archive: Removed chart ${chartKey}`);
+    }
+
+    /**
+     * 获取最新榜单并保存为一份归档，只保存显示和排名计算需要的字段。
+     * @param {string} regionCode - 地区代码
+     * @param {string} category - 视频类别ID
+     * @param {number} timestamp - 归档时间
+     * @returns {Promise<number>} - 新记录的ID
+     */
+    async captureChart(regionCode, category, timestamp) {
+        const videos = await youTubeApiClient.getTrendingVideos(regionCode, category, {
+            maxResults: ARCHIVE_CHART_SIZE,
+            forceRefresh: true
+        });
+        return database.put(STORE_NAME, {
+            chartKey: this.getChartKey(regionCode, category),
+            regionCode,
+            category: category || '',
+            timestamp,
+            entries: videos.map((video, index) => ({
+                videoId: video.id,
+                rank: index + 1,
+                title: video.snippet.title,
+                channelTitle: video.snippet.channelTitle,
+                thumbnailUrl: video.snippet.thumbnails && video.snippet.thumbnails.medium ? video.snippet.thumbnails.medium.url : null,
+                viewCount: parseInt(video.statistics.viewCount) || 0,
+                likeCount: parseInt(video.statistics.likeCount) || 0
+            }))
+        });
+    }
+
+    /**
+     * 归档所有定时归档的榜单，并清理超过保留天数的记录。同一时间只运行一次归档。
+     * @returns {Promise<Object>} - { captured, failed }
+     */
+    captureCharts() {
+        if (this.capturePromise) {
+            return this.capturePromise;
+        }
+
+        this.capturePromise = (async () => {
+            const charts = await this.getArchivedCharts();
+            const result = { captured: 0, failed: 0 };
+            const now = Date.now();
+
+            for (const chart of charts) {
+                try {
+                    await this.captureChart(chart.regionCode, chart.category, now);
+                    chart.lastCaptured = now;
+                    result.captured++;
+                } catch (error) {
+                    console.error(`Trending Archive: Failed to capture ${this.getChartKey(chart.regionCode, chart.category)}:`, error);
+                    result.failed++;
+                }
+            }
+
+            // 只更新归档期间仍在列表中的榜单
+            const latest = await this.getArchivedCharts();
+            latest.forEach(item => {
+                const captured = charts.find(chart => this.getChartKey(chart.regionCode, chart.category) === this.getChartKey(item.regionCode, item.category));
+                if (captured) {
+                    item.lastCaptured = captured.lastCaptured;
+                }
+            });
+            await this.saveArchivedCharts(latest);
+            await this.pruneExpired(now);
+
+            console.log(`Trending Archive: Captured ${result.captured} chart(s), ${result.failed} failed`);
+            return result;
+        })().finally(() => {
+            this.capturePromise = null;
+        });
+
+        return this.capturePromise;
+    }
+
+    /**
+     * 删除超过保留天数的归档记录。
+     * @param {number} now - 当前时间戳
+     * @returns {Promise<void>}
+     */
+    async pruneExpired(now) {
+        await database.iterate(STORE_NAME, {
+            indexName: 'timestamp',
+            query: IDBKeyRange.upperBound(now - RETENTION_DAYS * DAY, true),
+            mode: 'readwrite'
+        }, (value, cursor) => {
+            cursor.delete();
+        });
+    }
+
+    /**
+     * 读取榜单的全部归档，按时间升序排列。
+     * @param {string} regionCode - 地区代码
+     * @param {string} category - 视频类别ID
+     * @returns {Promise<Object[]>} - 归档记录列表
+     */
+    async getSnapshots(regionCode, category = '') {
+        const chartKey = this.getChartKey(regionCode, category);
+        return database.getAll(STORE_NAME, 'chartKeyTimestamp', IDBKeyRange.bound([chartKey, 0], [chartKey, Infinity]));
+    }
+
+    /**
+     * 获取榜单已归档的日期，最新的在前，用于按日期浏览历史榜单。
+     * @param {string} regionCode - 地区代码
+     * @param {string} category - 视频类别ID
+     * @returns {Promise<Object[]>} - [{ id, timestamp, entryCount }]
+     */
+    async getChartDates(regionCode, category = '') {
+        const snapshots = await this.getSnapshots(regionCode, category);
+        return snapshots
+            .map(snapshot => ({ id: snapshot.id, timestamp: snapshot.timestamp, entryCount: snapshot.entries.length }))
+            .reverse();
+    }
+
+    /**
+     * 获取一份归档榜单，每个视频附带相对上一份归档的排名变化、在榜时长和最高排名。
+     * @param {string} regionCode - 地区代码
+     * @param {string} category - 视频类别ID
+     * @param {number} [snapshotId] - 归档记录ID，默认最新一份
+     * @returns {Promise<Object|null>} - { id, regionCode, category, timestamp, previousTimestamp, entries }，没有归档时返回 null
+     */
+    async getChart(regionCode, category = '', snapshotId = null) {
+        const snapshots = await this.getSnapshots(regionCode, category);
+        const index = snapshotId !== null && snapshotId !== undefined
+            ? snapshots.findIndex(snapshot => snapshot.id === Number(snapshotId))
+            : snapshots.length - 1;
+        if (index < 0) {
+            return null;
+        }
+
+        const snapshot = snapshots[index];
+        const history = snapshots.slice(0, index);
+        return {
+            id: snapshot.id,
+            regionCode: snapshot.regionCode,
+            category: snapshot.category,
+            timestamp: snapshot.timestamp,
+            previousTimestamp: history.length > 0 ? history[history.length - 1].timestamp : null,
+            entries: this.annotateEntries(snapshot.entries, snapshot.timestamp, history)
+        };
+    }
+
+    /**
+     * 计算实时榜单相对已归档榜单的排名变化，用于在实时加载的榜单上显示。
+     * @param {string} regionCode - 地区代码
+     * @param {string} category - 视频类别ID
+     * @param {string[]} videoIds - 实时榜单的视频ID，按排名排列
+     * @returns {Promise<Object>} - { previousTimestamp, entries }，没有归档时 previousTimestamp 为 null
+     */
+    async getMovement(regionCode, category, videoIds) {
+        const history = await this.getSnapshots(regionCode, category);
+        const entries = videoIds.map((videoId, index) => ({ videoId, rank: index + 1 }));
+        return {
+            previousTimestamp: history.length > 0 ? history[history.length - 1].timestamp : null,
+            entries: this.annotateEntries(entries, Date.now(), history)
+        };
+    }
+
+    /**
+     * 根据之前的归档为榜单条目计算排名变化。
+     * previousRank 为上一份归档中的排名（未上榜为 null），movement 为上升的名次（下降为负数）；
+     * 有上一份归档且视频不在其中时 isNew 为 true；chartedSince 为本次连续在榜的开始时间；
+     * peakRank 为保留期内的最高排名。
+     * @param {Object[]} entries - 榜单条目，包含 videoId 和 rank
+     * @param {number} timestamp - 榜单时间
+     * @param {Object[]} history - 之前的归档记录，按时间升序
+     * @returns {Object[]} - 附带 previousRank, movement, isNew, chartedSince, peakRank 的条目
+     */
+    annotateEntries(entries, timestamp, history) {
+        const rankMaps = history.map(snapshot => new Map(snapshot.entries.map(entry => [entry.videoId, entry.rank])));
+        const previous = rankMaps.length > 0 ? rankMaps[rankMaps.length - 1] : null;
+
+        return entries.map(entry => {
+            const previousRank = previous && previous.has(entry.videoId) ? previous.get(entry.videoId) : null;
+
+            let chartedSince = timestamp;
+            for (let i = rankMaps.length - 1; i >= 0 && rankMaps[i].has(entry.videoId); i--) {
+                chartedSince = history[i].timestamp;
+            }
+
+            const peakRank = rankMaps.reduce((peak, ranks) =>
+                ranks.has(entry.videoId) ? Math.min(peak, ranks.get(entry.videoId)) : peak, entry.rank);
+
+            return {
+                ...entry,
+                previousRank,
+                movement: previousRank !== null ? previousRank - entry.rank : null,
+                isNew: previous !== null && previousRank === null,
+                chartedSince,
+                peakRank
+            };
+        });
+    }
+}
+
+// 导出单例实例
+const trendingArchive = new TrendingArchive();
+export default trendingArchive;
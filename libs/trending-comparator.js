@@ -0,0 +1,166 @@
+/**
+ * Trending Comparator
+ * 同时获取多个地区的趋势榜单并交叉比较：哪些视频在多个国家同时上榜、各地区独有的视频、
+ * 地区之间的榜单重合度，以及每个地区榜单的类别构成。
+ */
+
+import youTubeApiClient from './api-client.js';
+import i18n from './i18n.js';
+
+const MIN_REGIONS = 2;
+const MAX_REGIONS = 10;
+
+// 每个地区获取的榜单视频数量（一页，消耗1单位配额）
+const REGION_CHART_SIZE = 50;
+
+// 每个地区返回的独有视频数量
+const EXCLUSIVES_PER_REGION = 5;
+
+class TrendingComparator {
+    /**
+     * 比较多个地区的趋势榜单。单个地区获取失败时记录错误（消息引用或错误文字）并继续比较其他地区。
+     * @param {string[]} regionCodes - 地区代码
+     * @param {Object} [options] - 比较选项
+     * @param {string} [options.category] - 视频类别ID，空字符串表示所有类别
+     * @param {number} [options.maxResults] - 每个地区获取的榜单视频数量
+     * @param {Function} [options.onProgress] - 进度回调，参数为 { loaded, total }，按完成的地区数计算
+     * @returns {Promise<Object>} - { regions, sharedVideos, overlap, categories, categoryMix, errors, comparedAt }
+     */
+    async compareRegions(regionCodes, { category = '', maxResults = REGION_CHART_SIZE, onProgress = null } = {}) {
+        const codes = [...new Set((regionCodes || []).map(code => String(code).trim().toUpperCase()).filter(Boolean))];
+        if (codes.length < MIN_REGIONS || codes.length > MAX_REGIONS) {
+            throw i18n.error('errorRegionCount', MIN_REGIONS, MAX_REGIONS);
+        }
+
+        const charts = [];
+        const errors = [];
+        let loaded = 0;
+        for (const regionCode of codes) {
+            try {
+                const videos = await youTubeApiClient.getTrendingVideos(regionCode, category, { maxResults });
+                charts.push({ regionCode, videos });
+            } catch (error) {
+                console.warn("Trending Comparator: Failed to load region:", regionCode, error);
+                errors.push({ regionCode, error: error.ref || error.message });
+            }
+            loaded++;
+            if (onProgress) {
+                onProgress({ loaded, total: codes.length });
+            }
+        }
+
+        if (charts.length < MIN_REGIONS) {
+            const details = errors.map(item => i18n.message('errorItemFailed', item.regionCode, item.error));
+            throw details.length > 0
+                ? i18n.error('errorRegionsInsufficientDetails', MIN_REGIONS, details)
+                : i18n.error('errorRegionsInsufficient', MIN_REGIONS);
+        }
+
+        return {
+            ...this.buildComparison(charts, await this.getCategoryTitles(charts[0].regionCode)),
+            errors,
+            comparedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * 获取类别ID到类别名称的映射。类别列表很少变化并会长期缓存，获取失败时只显示类别ID。
+     * @param {string} regionCode - 地区代码
+     * @returns {Promise<Map<string, string>>}
+     */
+    async getCategoryTitles(regionCode) {
+        try {
+            const categories = await youTubeApiClient.getVideoCategories(regionCode);
+            return new Map(categories.map(item => [item.id, item.title]));
+        } catch (error) {
+            console.warn("Trending Comparator: Failed to load category titles:", error);
+            return new Map();
+        }
+    }
+
+    /**
+     * 根据各地区的榜单计算比较结果。
+     * @param {Object[]} charts - [{ regionCode, videos }]，videos 按排名排列
+     * @param {Map<string, string>} categoryTitles - 类别ID -> 类别名称
+     * @returns {Object} - { regions, sharedVideos, overlap, categories, categoryMix }
+     *   overlap 和 categoryMix 为与 regions / categories 顺序对应的二维数组
+     */
+    buildComparison(charts, categoryTitles) {
+        // 视频ID -> 视频信息及其在各地区的排名
+        const videos = new Map();
+        charts.forEach(({ regionCode, videos: chartVideos }) => {
+            chartVideos.forEach((video, index) => {
+                if (!videos.has(video.id)) {
+                    videos.set(video.id, {
+                        videoId: video.id,
+                        title: video.snippet.title,
+                        channelTitle: video.snippet.channelTitle,
+                        categoryId: video.snippet.categoryId || null,
+                        viewCount: parseInt(video.statistics.viewCount) || 0,
+                        ranks: {}
+                    });
+                }
+                videos.get(video.id).ranks[regionCode] = index + 1;
+            });
+        });
+
+        const regionCount = video => Object.keys(video.ranks).length;
+        const averageRank = video => Object.values(video.ranks).reduce((sum, rank) => sum + rank, 0) / regionCount(video);
+
+        const sharedVideos = Array.from(videos.values())
+            .filter(video => regionCount(video) >= 2)
+            .map(video => ({ ...video, regionCount: regionCount(video), averageRank: parseFloat(averageRank(video).toFixed(1)) }))
+            .sort((a, b) => b.regionCount - a.regionCount || a.averageRank - b.averageRank);
+
+        const regions = charts.map(({ regionCode, videos: chartVideos }) => {
+            const exclusives = chartVideos
+                .map((video, index) => ({ video, rank: index + 1 }))
+                .filter(({ video }) => regionCount(videos.get(video.id)) === 1);
+            return {
+                regionCode,
+                videoCount: chartVideos.length,
+                exclusiveCount: exclusives.length,
+                sharedCount: chartVideos.length - exclusives.length,
+                exclusives: exclusives.slice(0, EXCLUSIVES_PER_REGION).map(({ video, rank }) => ({
+                    videoId: video.id,
+                    title: video.snippet.title,
+                    channelTitle: video.snippet.channelTitle,
+                    rank
+                }))
+            };
+        });
+
+        // 地区两两之间同时上榜的视频数，对角线为该地区的榜单视频数
+        const overlap = charts.map(row => {
+            const rowIds = new Set(row.videos.map(video => video.id));
+            return charts.map(column => column.videos.filter(video => rowIds.has(video.id)).length);
+        });
+
+        // 类别构成：每个类别在各地区榜单中的占比（%），类别按所有地区的总数排序
+        const categoryCounts = charts.map(({ videos: chartVideos }) => {
+            const counts = new Map();
+            chartVideos.forEach(video => {
+                const categoryId = video.snippet.categoryId || 'unknown';
+                counts.set(categoryId, (counts.get(categoryId) || 0) + 1);
+            });
+            return counts;
+        });
+        const totals = new Map();
+        categoryCounts.forEach(counts => counts.forEach((count, categoryId) => {
+            totals.set(categoryId, (totals.get(categoryId) || 0) + count);
+        }));
+        const categories = Array.from(totals.entries())
+            .sort((a, b) => b[1] - a[1])
+            .map(([id]) => ({ id, title: categoryTitles.get(id) || id }));
+        const categoryMix = categories.map(({ id }) => charts.map((chart, index) =>
+            chart.videos.length > 0
+                ? parseFloat(((categoryCounts[index].get(id) || 0) / chart.videos.length * 100).toFixed(1))
+                : 0));
+
+        return { regions, sharedVideos, overlap, categories, categoryMix };
+    }
+}
+
+// 导出单例实例
+const trendingComparator = new TrendingComparator();
+export default trendingComparator;
@@ -0,0 +1,235 @@
+/**
+ * URL Resolver
+ * 将YouTube链接或标识解析为视频ID、播放列表ID或频道ID。
+ * 视频链接（/watch、youtu.be、/shorts/、/live/、/embed/，包括 m.youtube.com）、播放列表链接（/playlist 和带 list 参数的链接）、
+ * 视频ID、播放列表ID、频道ID和 /channel/ 链接在本地解析，不消耗配额；
+ * @handle、/c/ 和 /user/ 链接需要调用 channels.list 的 forHandle 或 forUsername（1单位配额）。
+ */
+
+import youTubeApiClient from './api-client.js';
+import i18n from './i18n.js';
+
+// 频道ID格式：UC + 22位 base64url 字符
+const CHANNEL_ID_PATTERN = /^UC[\w-]{22}$/;
+
+// 视频ID格式：11位 base64url 字符
+const VIDEO_ID_PATTERN = /^[\w-]{11}$/;
+
+// 播放列表ID格式：常见前缀（用户创建的 PL、频道上传列表 UU、OL 专辑等）加 base64url 字符
+const PLAYLIST_ID_PATTERN = /^(PL|UU|OL|FL)[\w-]{10,}$/;
+
+// list 参数中无法通过 playlists.list 获取的自动生成列表：合辑（RD 开头）、稍后观看和赞过的视频
+const AUTO_GENERATED_PLAYLIST_PATTERN = /^(RD[\w-]*|WL|LL)$/;
+
+// 路径中直接包含视频ID的链接，例如 /shorts/ID、/live/ID、/embed/ID
+const VIDEO_PATH_PREFIXES = new Set(['shorts', 'live', 'embed', 'v', 'e']);
+
+// YouTube的 handle 为3到30位字母、数字、下划线、连字符或点，字母和数字可以是任意语言的文字
+const HANDLE_PATTERN = /^@[\p{L}\p{N}._-]{3,30}$/u;
+
+// 频道主页下的子页面，例如 /@name/videos
+const CHANNEL_TABS = new Set(['featured', 'videos', 'shorts', 'streams', 'playlists', 'community', 'about', 'channels', 'search', 'live', 'podcasts', 'releases']);
+
+// 不是频道自定义名称的一级路径
+const RESERVED_PATHS = new Set(['watch', 'shorts', 'live', 'embed', 'playlist', 'results', 'feed', 'channel', 'c', 'user', 'hashtag', 'premium', 'account', 'gaming', 'music']);
+
+const YOUTUBE_HOST_PATTERN = /(^|\.)(youtube\.com|youtube-nocookie\.com)$/i;
+
+const SHORT_LINK_HOST = 'youtu.be';
+
+class UrlResolver {
+    /**
+     * 将输入解析为URL对象。没有协议的输入（例如 youtube.com/@name）会补全为 https。
+     * @param {string} input - 用户输入
+     * @returns {URL|null} - 不是YouTube链接时返回 null
+     */
+    parseYouTubeUrl(input) {
+        const text = String(input || '').trim();
+        if (!/^(https?:\/\/)?([\w-]+\.)*(youtube\.com|youtube-nocookie\.com|youtu\.be)\//i.test(text)) {
+            return null;
+        }
+        try {
+            const url = new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`);
+            const hostname = url.hostname.toLowerCase();
+            return YOUTUBE_HOST_PATTERN.test(hostname) || hostname === SHORT_LINK_HOST ? url : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 从视频链接或视频ID中提取视频ID，不发送网络请求。
+     * @param {string} input - 视频链接或视频ID
+     * @returns {string|null} - 视频ID，不是视频链接时返回 null
+     */
+    parseVideoInput(input) {
+        const text = String(input || '').trim();
+        if (VIDEO_ID_PATTERN.test(text)) {
+            return text;
+        }
+
+        const url = this.parseYouTubeUrl(text);
+        if (!url) return null;
+
+        const [first, second] = url.pathname.split('/').filter(Boolean);
+        let videoId = null;
+        if (url.hostname.toLowerCase() === SHORT_LINK_HOST) {
+            videoId = first;
+        } else if (first === 'watch') {
+            videoId = url.searchParams.get('v');
+        } else if (VIDEO_PATH_PREFIXES.has(first)) {
+            videoId = second;
+        }
+        return videoId && VIDEO_ID_PATTERN.test(videoId) ? videoId : null;
+    }
+
+    /**
+     * 从播放列表链接或播放列表ID中提取播放列表ID，不发送网络请求。
+     * 带 list 参数的视频链接也会返回播放列表ID；自动生成的合辑、稍后观看等列表返回 null。
+     * @param {string} input - 播放列表链接或播放列表ID
+     * @returns {string|null} - 播放列表ID，不是播放列表链接时返回 null
+     */
+    parsePlaylistInput(input) {
+        const text = String(input || '').trim();
+        if (PLAYLIST_ID_PATTERN.test(text)) {
+            return text;
+        }
+
+        const url = this.parseYouTubeUrl(text);
+        if (!url) return null;
+
+        const playlistId = url.searchParams.get('list');
+        return playlistId && /^[\w-]+$/.test(playlistId) && !AUTO_GENERATED_PLAYLIST_PATTERN.test(playlistId)
+            ? playlistId
+            : null;
+    }
+
+    /**
+     * 识别频道输入的类型，不发送网络请求。
+     * 支持频道ID、@handle，以及 /channel/、/@、/c/、/user/ 和 youtube.com/名称 形式的链接。
+     * @param {string} input - 用户输入
+     * @returns {Object|null} - { type: 'id' | 'handle' | 'username' | 'custom', value }，无法识别时返回 null
+     */
+    parseChannelInput(input) {
+        const text = String(input || '').trim();
+        if (!text) return null;
+        if (CHANNEL_ID_PATTERN.test(text)) {
+            return { type: 'id', value: text };
+        }
+        if (HANDLE_PATTERN.test(text)) {
+            return { type: 'handle', value: text };
+        }
+
+        const url = this.parseYouTubeUrl(text);
+        if (!url || url.hostname.toLowerCase() === SHORT_LINK_HOST) return null;
+
+        let segments;
+        try {
+            segments = url.pathname.split('/').filter(Boolean).map(segment => decodeURIComponent(segment));
+        } catch (error) {
+            // 路径中含有无效的百分号编码
+            if (error instanceof URIError) return null;
+            throw error;
+        }
+        const [first, second] = segments;
+        if (!first) return null;
+
+        if (first.startsWith('@')) {
+            return { type: 'handle', value: first };
+        }
+        if (first === 'channel' && second && CHANNEL_ID_PATTERN.test(second)) {
+            return { type: 'id', value: second };
+        }
+        if (first === 'user' && second) {
+            return { type: 'username', value: second };
+        }
+        if (first === 'c' && second) {
+            return { type: 'custom', value: second };
+        }
+        if (!RESERVED_PATHS.has(first) && (!second || CHANNEL_TABS.has(second))) {
+            return { type: 'custom', value: first };
+        }
+        return null;
+    }
+
+    /**
+     * 识别链接或标识指向的是视频、播放列表还是频道，不发送网络请求。
+     * 视频链接优先；在播放列表中播放的视频（watch?v=...&list=...）同时返回 playlistId。
+     * @param {string} input - 链接、视频ID、播放列表ID、频道ID或 @handle
+     * @returns {Object|null} - { type: 'video', videoId, playlistId }、{ type: 'playlist', playlistId }
+     *                          或 { type: 'channel', channel: parseChannelInput 的结果 }
+     */
+    parse(input) {
+        const videoId = this.parseVideoInput(input);
+        const playlistId = this.parsePlaylistInput(input);
+        if (videoId) {
+            return playlistId ? { type: 'video', videoId, playlistId } : { type: 'video', videoId };
+        }
+        if (playlistId) {
+            return { type: 'playlist', playlistId };
+        }
+        const channel = this.parseChannelInput(input);
+        return channel ? { type: 'channel', channel } : null;
+    }
+
+    /**
+     * 将视频输入解析为视频ID。
+     * @param {string} input - 视频链接或视频ID
+     * @returns {string} - 视频ID
+     */
+    resolveVideoId(input) {
+        const videoId = this.parseVideoInput(input);
+        if (!videoId) {
+            throw i18n.error('errorUnrecognizedVideo', input);
+        }
+        return videoId;
+    }
+
+    /**
+     * 将播放列表输入解析为播放列表ID。
+     * @param {string} input - 播放列表链接或播放列表ID
+     * @returns {string} - 播放列表ID
+     */
+    resolvePlaylistId(input) {
+        const playlistId = this.parsePlaylistInput(input);
+        if (!playlistId) {
+            throw i18n.error('errorUnrecognizedPlaylist', input);
+        }
+        return playlistId;
+    }
+
+    /**
+     * 将频道输入解析为频道ID。
+     * 自定义名称（/c/ 链接）没有对应的查询接口，依次按同名的 handle 和旧版用户名查找，
+     * 不使用消耗100单位配额的搜索接口。
+     * @param {string} input - 频道链接、@handle 或频道ID
+     * @returns {Promise<string>} - 频道ID
+     */
+    async resolveChannelId(input) {
+        const parsed = this.parseChannelInput(input);
+        if (!parsed) {
+            throw i18n.error('errorUnrecognizedChannel', input);
+        }
+
+        let channelId = null;
+        if (parsed.type === 'id') {
+            channelId = parsed.value;
+        } else if (parsed.type === 'handle') {
+            channelId = await youTubeApiClient.getChannelIdByHandle(parsed.value);
+        } else if (parsed.type === 'username') {
+            channelId = await youTubeApiClient.getChannelIdByUsername(parsed.value);
+        } else {
+            channelId = await youTubeApiClient.getChannelIdByHandle(parsed.value)
+                || await youTubeApiClient.getChannelIdByUsername(parsed.value);
+        }
+
+        if (!channelId) {
+            throw i18n.error('errorChannelLookupFailed', input);
+        }
+        return channelId;
+    }
+}
+
+// 导出单例实例
+const urlResolver = new UrlResolver();
+export default urlResolver;
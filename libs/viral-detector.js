@@ -0,0 +1,303 @@
+/**
+ * Viral Detector
+ * 爆款视频评分：综合频道离群倍数（观看量相对频道近期视频中位数）、发布以来的观看速度
+ * 和相对所属类别基准的互动率，给出0-100的评分和每项信号的评分说明。
+ */
+
+import youTubeApiClient from './api-client.js';
+import i18n from './i18n.js';
+
+// 各信号在总分中的权重；缺少频道基准时按剩余信号的权重重新归一化
+const SIGNAL_WEIGHTS = {
+    outlier: 0.5,
+    velocity: 0.3,
+    engagement: 0.2
+};
+
+// 各类别的典型互动率（(点赞+评论)/观看量，%），为经验估计值
+const CATEGORY_ENGAGEMENT_BASELINES = {
+    '1': 3.5,   // Film & Animation
+    '2': 3.0,   // Autos & Vehicles
+    '10': 3.0,  // Music
+    '15': 4.5,  // Pets & Animals
+    '17': 2.5,  // Sports
+    '19': 3.5,  // Travel & Events
+    '20': 4.5,  // Gaming
+    '22': 4.0,  // People & Blogs
+    '23': 4.5,  // Comedy
+    '24': 3.5,  // Entertainment
+    '25': 2.0,  // News & Politics
+    '26': 3.5,  // Howto & Style
+    '27': 3.5,  // Education
+    '28': 3.5,  // Science & Technology
+    '29': 3.0   // Nonprofits & Activism
+};
+const DEFAULT_ENGAGEMENT_BASELINE = 3.5;
+
+// 频道基准：取最近上传的视频数量，以及参与计算中位数的最短发布时长（太新的视频观看量还在增长）
+const BASELINE_UPLOADS = 30;
+const MIN_BASELINE_AGE_HOURS = 72;
+const MIN_BASELINE_VIDEOS = 3;
+
+// 评分达到该值且离群倍数不低于 BREAKOUT_MULTIPLE 时判定为爆款
+const BREAKOUT_SCORE = 70;
+const BREAKOUT_MULTIPLE = 2;
+
+// 网格视频标注每批最多的视频数（videos.list 单次请求上限）
+const METRICS_BATCH_SIZE = 50;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+class ViralDetector {
+    /**
+     * 计算中位数。
+     * @param {number[]} values - 数值列表
+     * @returns {number|null} - 中位数，列表为空时返回 null
+     */
+    median(values) {
+        if (values.length === 0) {
+            return null;
+        }
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    }
+
+    /**
+     * 将数值限制在0-100之间。
+     * @param {number} value - 数值
+     * @returns {number}
+     */
+    clampScore(value) {
+        return Math.max(0, Math.min(100, value));
+    }
+
+    /**
+     * 获取类别的互动率基准。
+     * @param {string} categoryId - 视频类别ID
+     * @returns {number} - 互动率（%）
+     */
+    getCategoryBaseline(categoryId) {
+        return CATEGORY_ENGAGEMENT_BASELINES[categoryId] || DEFAULT_ENGAGEMENT_BASELINE;
+    }
+
+    /**
+     * 计算视频发布以来的小时数（至少1小时）。
+     * @param {Object} video - 视频数据对象
+     * @param {number} now - 当前时间戳
+     * @returns {number}
+     */
+    getHoursSincePublished(video, now) {
+        return Math.max(1, (now - new Date(video.snippet.publishedAt).getTime()) / HOUR);
+    }
+
+    /**
+     * 从频道近期视频中计算观看量中位数，排除被评分的视频和发布不足72小时的视频。
+     * @param {Object} video - 被评分的视频
+     * @param {Object[]} uploads - 频道近期上传的视频
+     * @param {number} now - 当前时间戳
+     * @returns {Object} - { median, size }，可用视频不足时 median 为 null
+     */
+    getChannelBaseline(video, uploads, now) {
+        const views = (uploads || [])
+            .filter(upload => upload.id !== video.id && upload.statistics)
+            .filter(upload => this.getHoursSincePublished(upload, now) >= MIN_BASELINE_AGE_HOURS)
+            .map(upload => parseInt(upload.statistics.viewCount) || 0);
+
+        return {
+            median: views.length >= MIN_BASELINE_VIDEOS ? this.median(views) : null,
+            size: views.length
+        };
+    }
+
+    /**
+     * 为视频评分。
+     * 离群倍数：1倍得25分，每翻一倍加25分；观看速度：每小时观看量每增加10倍加20分（10万/小时满分）；
+     * 互动率：达到类别基准得50分，达到两倍满分。
+     * @param {Object} video - 视频数据对象（需包含 snippet 和 statistics）
+     * @param {Object[]} uploads - 频道近期上传的视频，用于计算频道基准
+     * @param {number} [now] - 当前时间戳
+     * @returns {Object} - 评分结果，包含 score、isBreakout、outlierMultiple 和 breakdown
+     */
+    scoreVideo(video, uploads, now = Date.now()) {
+        if (!video || !video.snippet || !video.statistics) {
+            throw new Error("Invalid video data for viral scoring.");
+        }
+
+        const stats = video.statistics;
+        const viewCount = parseInt(stats.viewCount) || 0;
+        const likeCount = parseInt(stats.likeCount) || 0;
+        const commentCount = parseInt(stats.commentCount) || 0;
+        const categoryId = video.snippet.categoryId || null;
+
+        const breakdown = [];
+
+        // 频道离群倍数
+        const baseline = this.getChannelBaseline(video, uploads, now);
+        let outlierMultiple = null;
+        if (baseline.median !== null) {
+            outlierMultiple = viewCount / Math.max(1, baseline.median);
+            breakdown.push({
+                signal: 'outlier',
+                label: i18n.message('viralSignalOutlier'),
+                value: parseFloat(outlierMultiple.toFixed(2)),
+                score: Math.round(this.clampScore(25 + 25 * Math.log2(Math.max(outlierMultiple, 0.01)))),
+                detail: i18n.message('viralDetailOutlier', viewCount, baseline.size, Math.round(baseline.median), outlierMultiple.toFixed(1))
+            });
+        }
+
+        // 发布以来的观看速度
+        const hoursSincePublished = this.getHoursSincePublished(video, now);
+        const viewsPerHour = viewCount / hoursSincePublished;
+        breakdown.push({
+            signal: 'velocity',
+            label: i18n.message('viralSignalVelocity'),
+            value: Math.round(viewsPerHour),
+            score: Math.round(this.clampScore(20 * Math.log10(Math.max(viewsPerHour, 1)))),
+            detail: i18n.message('viralDetailVelocity', Math.round(hoursSincePublished), Math.round(viewsPerHour))
+        });
+
+        // 相对类别基准的互动率
+        const engagementRate = viewCount > 0 ? ((likeCount + commentCount) / viewCount) * 100 : 0;
+        const categoryBaseline = this.getCategoryBaseline(categoryId);
+        const engagementRatio = engagementRate / categoryBaseline;
+        breakdown.push({
+            signal: 'engagement',
+            label: i18n.message('viralSignalEngagement'),
+            value: parseFloat(engagementRate.toFixed(2)),
+            score: Math.round(this.clampScore(50 * engagementRatio)),
+            detail: i18n.message('viralDetailEngagement', engagementRate.toFixed(2), categoryBaseline, engagementRatio.toFixed(1))
+        });
+
+        const totalWeight = breakdown.reduce((sum, item) => sum + SIGNAL_WEIGHTS[item.signal], 0);
+        breakdown.forEach(item => {
+            item.weight = parseFloat((SIGNAL_WEIGHTS[item.signal] / totalWeight).toFixed(2));
+        });
+        const score = Math.round(breakdown.reduce((sum, item) => sum + item.score * SIGNAL_WEIGHTS[item.signal], 0) / totalWeight);
+
+        const isBreakout = score >= BREAKOUT_SCORE && (outlierMultiple === null || outlierMultiple >= BREAKOUT_MULTIPLE);
+
+        return {
+            videoId: video.id,
+            channelId: video.snippet.channelId,
+            title: video.snippet.title,
+            score,
+            isBreakout,
+            outlierMultiple: outlierMultiple !== null ? parseFloat(outlierMultiple.toFixed(2)) : null,
+            channelMedianViews: baseline.median,
+            baselineSize: baseline.size,
+            viewsPerHour: Math.round(viewsPerHour),
+            engagementRate: parseFloat(engagementRate.toFixed(2)),
+            categoryEngagementBaseline: categoryBaseline,
+            breakdown
+        };
+    }
+
+    /**
+     * 获取数据并为单个视频评分。频道近期视频按低优先级请求，配额紧张时只使用缓存。
+     * @param {string} videoId - 视频ID
+     * @returns {Promise<Object>} - 评分结果
+     */
+    async detectViralVideo(videoId) {
+        const video = await youTubeApiClient.getVideoData(videoId);
+        let uploads = [];
+        try {
+            uploads = await youTubeApiClient.getRecentUploads(video.snippet.channelId, BASELINE_UPLOADS, { priority: 'low' });
+        } catch (error) {
+            console.warn("Viral Detector: Channel baseline unavailable, scoring without it:", error);
+        }
+        return this.scoreVideo(video, uploads);
+    }
+
+    /**
+     * 为一组视频评分（例如趋势视频列表）。频道数据批量请求，每个频道的近期视频只请求一次。
+     * @param {string[]} videoIds - 视频ID列表
+     * @returns {Promise<Object[]>} - 评分结果列表，顺序与获取到的视频一致
+     */
+    async scoreVideos(videoIds) {
+        const videos = await youTubeApiClient.getVideosByIds(videoIds);
+        const channelIds = [...new Set(videos.map(video => video.snippet.channelId))];
+
+        const uploadsByChannel = new Map();
+        let channels = [];
+        try {
+            channels = await youTubeApiClient.getChannelsByIds(channelIds, { priority: 'low' });
+        } catch (error) {
+            console.warn("Viral Detector: Failed to fetch channels, scoring without baselines:", error);
+        }
+
+        for (const channel of channels) {
+            try {
+                const uploads = await youTubeApiClient.getPlaylistVideos(
+                    channel.contentDetails.relatedPlaylists.uploads,
+                    BASELINE_UPLOADS,
+                    { priority: 'low' }
+                );
+                uploadsByChannel.set(channel.id, uploads);
+            } catch (error) {
+                console.warn(`Viral Detector: Baseline unavailable for channel ${channel.id}:`, error);
+            }
+        }
+
+        const now = Date.now();
+        return videos.map(video => this.scoreVideo(video, uploadsByChannel.get(video.snippet.channelId) || [], now));
+    }
+
+    /**
+     * 为首页、搜索结果和频道视频列表中的视频计算轻量指标：日均观看量、点赞率和离群倍数。
+     * 与 scoreVideos 不同，离群倍数以频道平均每个视频的观看量（总观看量/视频数）为基准，
+     * 不请求每个频道的近期视频，每批只消耗 videos.list 和 channels.list 各1单位配额。
+     * @param {string[]} videoIds - 视频ID列表，最多50个
+     * @returns {Promise<Object[]>} - 指标列表：{ videoId, viewsPerDay, likeRate, outlierMultiple, isOutlier }，
+     *                                 隐藏点赞数的视频 likeRate 为 null，缺少频道数据时 outlierMultiple 为 null
+     */
+    async getVideoMetrics(videoIds) {
+        const ids = [...new Set(videoIds || [])];
+        if (ids.length === 0) {
+            return [];
+        }
+        if (ids.length > METRICS_BATCH_SIZE) {
+            throw i18n.error('errorViralBatchTooLarge', METRICS_BATCH_SIZE, ids.length);
+        }
+
+        const videos = await youTubeApiClient.getVideosByIds(ids, { priority: 'low' });
+        const channelIds = [...new Set(videos.map(video => video.snippet.channelId))];
+
+        const averageViewsByChannel = new Map();
+        try {
+            const channels = await youTubeApiClient.getChannelsByIds(channelIds, { priority: 'low' });
+            for (const channel of channels) {
+                const videoCount = parseInt(channel.statistics.videoCount) || 0;
+                if (videoCount > 0) {
+                    averageViewsByChannel.set(channel.id, (parseInt(channel.statistics.viewCount) || 0) / videoCount);
+                }
+            }
+        } catch (error) {
+            console.warn("Viral Detector: Failed to fetch channels, returning metrics without outlier multiples:", error);
+        }
+
+        const now = Date.now();
+        return videos.map(video => {
+            const viewCount = parseInt(video.statistics.viewCount) || 0;
+            const days = Math.max(1, (now - new Date(video.snippet.publishedAt).getTime()) / DAY);
+            const averageViews = averageViewsByChannel.get(video.snippet.channelId);
+            const outlierMultiple = averageViews ? viewCount / averageViews : null;
+            const likeRate = video.statistics.likeCount !== undefined && viewCount > 0
+                ? (parseInt(video.statistics.likeCount) || 0) / viewCount * 100
+                : null;
+
+            return {
+                videoId: video.id,
+                viewsPerDay: Math.round(viewCount / days),
+                likeRate: likeRate !== null ? parseFloat(likeRate.toFixed(2)) : null,
+                outlierMultiple: outlierMultiple !== null ? parseFloat(outlierMultiple.toFixed(2)) : null,
+                isOutlier: outlierMultiple !== null && outlierMultiple >= BREAKOUT_MULTIPLE
+            };
+        });
+    }
+}
+
+// 导出单例实例
+const viralDetector = new ViralDetector();
+export default viralDetector;
@@ -1,4 +1,42 @@
 // options/options.js
+import historyStore from '../libs/history-store.js';
+import exportUtils from '../libs/export-utils.js';
+import i18n from '../libs/i18n.js';
+import apiKeyManager from '../libs/key-manager.js';
+import customLexicon from '../libs/sentiment/custom-lexicon.js';
+import sentimentAnalyzer from '../libs/sentiment/sentiment-analyzer.js';
+
+// YouTube Analytics 流量来源类型显示名称的消息名称
+const TRAFFIC_SOURCE_LABEL_KEYS = {
+    YT_SEARCH: 'optionsTrafficSearch',
+    RELATED_VIDEO: 'optionsTrafficRelated',
+    SUBSCRIBER: 'optionsTrafficSubscriber',
+    YT_CHANNEL: 'optionsTrafficChannel',
+    YT_OTHER_PAGE: 'optionsTrafficOtherPage',
+    YT_PLAYLIST_PAGE: 'optionsTrafficPlaylistPage',
+    PLAYLIST: 'optionsTrafficPlaylist',
+    SHORTS: 'optionsTrafficShorts',
+    EXT_URL: 'optionsTrafficExternal',
+    NO_LINK_OTHER: 'optionsTrafficDirect',
+    NO_LINK_EMBEDDED: 'optionsTrafficEmbedded',
+    NOTIFICATION: 'optionsTrafficNotification',
+    END_SCREEN: 'optionsTrafficEndScreen',
+    ANNOTATION: 'optionsTrafficAnnotation',
+    CAMPAIGN_CARD: 'optionsTrafficCampaignCard',
+    ADVERTISING: 'optionsTrafficAdvertising',
+    PROMOTED: 'optionsTrafficPromoted',
+    HASHTAGS: 'optionsTrafficHashtags'
+};
+
+// 情感倾向显示名称的消息名称
+const SENTIMENT_LABEL_KEYS = {
+    positive: 'sentimentLabelPositive',
+    negative: 'sentimentLabelNegative',
+    neutral: 'sentimentLabelNeutral'
+};
+
+const EYE_ICON = `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="lucide lucide-eye"><path d="M2 12s3-7 10-7 10 7 10 7-3 7-10 7-10-7-10-7Z"/><circle cx="12" cy="12" r="3"/></svg>`;
+const EYE_OFF_ICON = `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="lucide lucide-eye-off"><path d="M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-10-7-10-7a18.06 18.06 0 0 1 5.36-5.06M2 2l20 20M15.02 15.02a3.04 3.04 0 0 1-4.24-4.24M7.94 7.94A10.07 10.07 0 0 1 12 4c7 0 10 7 10 7a18.06 18.06 0 0 1-2.07 2.91"/></svg>`;
 
 /**
  * OptionsController类管理扩展选项页面的UI交互、
@@ -7,17 +45,62 @@
 class OptionsController {
     constructor() {
         this.elements = {
-            youtubeApiKeyInput: document.getElementById('youtubeApiKey'),
-            toggleApiKeyVisibilityButton: document.getElementById('toggleApiKeyVisibility'),
-            testConnectionButton: document.getElementById('testConnectionButton'),
+            apiKeyList: document.getElementById('apiKeyList'),
+            addApiKeyButton: document.getElementById('addApiKeyButton'),
+            refreshApiKeyStatusButton: document.getElementById('refreshApiKeyStatusButton'),
             apiKeyStatus: document.getElementById('apiKeyStatus'),
             autoAnalyzeCheckbox: document.getElementById('autoAnalyze'),
+            gridOverlaysCheckbox: document.getElementById('gridOverlays'),
             collectCommentsCheckbox: document.getElementById('collectComments'),
+            trackingIntervalInput: document.getElementById('trackingInterval'),
+            trendingArchiveIntervalInput: document.getElementById('trendingArchiveInterval'),
             cacheTimeInput: document.getElementById('cacheTime'),
+            cacheMaxSizeInput: document.getElementById('cacheMaxSize'),
             clearCacheButton: document.getElementById('clearCacheButton'),
+            refreshCacheStatsButton: document.getElementById('refreshCacheStatsButton'),
+            cacheEntryCount: document.getElementById('cacheEntryCount'),
+            cacheHitRate: document.getElementById('cacheHitRate'),
+            cacheSize: document.getElementById('cacheSize'),
+            cacheDetails: document.getElementById('cacheDetails'),
+            lexiconList: document.getElementById('lexiconList'),
+            addLexiconEntryButton: document.getElementById('addLexiconEntryButton'),
+            importLexiconButton: document.getElementById('importLexiconButton'),
+            exportLexiconJsonButton: document.getElementById('exportLexiconJsonButton'),
+            exportLexiconCsvButton: document.getElementById('exportLexiconCsvButton'),
+            lexiconFileInput: document.getElementById('lexiconFileInput'),
+            lexiconTestInput: document.getElementById('lexiconTestInput'),
+            lexiconTestResult: document.getElementById('lexiconTestResult'),
+            accountStatus: document.getElementById('accountStatus'),
+            signInButton: document.getElementById('signInButton'),
+            signOutButton: document.getElementById('signOutButton'),
+            oauthClientIdInput: document.getElementById('oauthClientId'),
+            oauthRedirectUrl: document.getElementById('oauthRedirectUrl'),
+            analyticsPanel: document.getElementById('analyticsPanel'),
+            analyticsChannelSelect: document.getElementById('analyticsChannelSelect'),
+            analyticsStartDate: document.getElementById('analyticsStartDate'),
+            analyticsEndDate: document.getElementById('analyticsEndDate'),
+            loadAnalyticsButton: document.getElementById('loadAnalyticsButton'),
+            analyticsStatus: document.getElementById('analyticsStatus'),
+            analyticsResult: document.getElementById('analyticsResult'),
+            dailyQuotaBudgetInput: document.getElementById('dailyQuotaBudget'),
+            quotaUsed: document.getElementById('quotaUsed'),
+            quotaRemaining: document.getElementById('quotaRemaining'),
+            quotaResetTime: document.getElementById('quotaResetTime'),
+            quotaDetails: document.getElementById('quotaDetails'),
+            refreshQuotaButton: document.getElementById('refreshQuotaButton'),
             themeSelect: document.getElementById('themeSelect'),
             languageSelect: document.getElementById('languageSelect'),
+            exportFormatSelect: document.getElementById('exportFormatSelect'),
+            tabularExportOptions: document.getElementById('tabularExportOptions'),
+            exportDatasetSelect: document.getElementById('exportDatasetSelect'),
+            exportColumns: document.getElementById('exportColumns'),
+            exportFromDate: document.getElementById('exportFromDate'),
+            exportToDate: document.getElementById('exportToDate'),
             exportDataButton: document.getElementById('exportDataButton'),
+            historyCount: document.getElementById('historyCount'),
+            clearHistoryButton: document.getElementById('clearHistoryButton'),
+            commentCorpusCount: document.getElementById('commentCorpusCount'),
+            clearCommentsButton: document.getElementById('clearCommentsButton'),
             resetSettingsButton: document.getElementById('resetSettingsButton'),
             saveSettingsButton: document.getElementById('saveSettingsButton'),
             notificationDiv: document.getElementById('notification')
@@ -32,6 +115,14 @@ class OptionsController {
     async init() {
         await this.loadSettings();
         this.setupEventListeners();
+        this.renderExportColumns();
+        this.updateHistoryCount();
+        this.updateCommentCorpusCount();
+        this.updateCacheStats();
+        this.updateQuotaStatus();
+        this.updateApiKeyStatus();
+        this.updateAuthStatus();
+        this.updateLanguageNames();
     }
 
     /**
@@ -39,19 +130,33 @@ class OptionsController {
      */
     async loadSettings() {
         try {
+            const apiKeys = await apiKeyManager.loadKeys();
             const settings = await chrome.storage.sync.get([
-                'youtubeApiKey',
                 'autoAnalyze',
+                'gridOverlays',
                 'collectComments',
+                'trackingInterval',
+                'trendingArchiveInterval',
                 'cacheTime',
+                'cacheMaxSize',
+                'dailyQuotaBudget',
+                'oauthClientId',
                 'theme',
                 'language'
             ]);
 
-            this.elements.youtubeApiKeyInput.value = settings.youtubeApiKey || '';
+            this.renderApiKeys(apiKeys);
+            this.renderLexicon(await customLexicon.load());
             this.elements.autoAnalyzeCheckbox.checked = settings.autoAnalyze !== undefined ? settings.autoAnalyze : true; // 默认开启
+            this.elements.gridOverlaysCheckbox.checked = settings.gridOverlays !== undefined ? settings.gridOverlays : true; // 默认开启
             this.elements.collectCommentsCheckbox.checked = settings.collectComments !== undefined ? settings.collectComments : false;
+            this.elements.trackingIntervalInput.value = settings.trackingInterval !== undefined ? settings.trackingInterval : 60; // 默认60分钟
+            this.elements.trendingArchiveIntervalInput.value = settings.trendingArchiveInterval !== undefined ? settings.trendingArchiveInterval : 360; // 默认6小时
             this.elements.cacheTimeInput.value = settings.cacheTime !== undefined ? settings.cacheTime : 1; // 默认缓存1小时
+            this.elements.cacheMaxSizeInput.value = settings.cacheMaxSize !== undefined ? settings.cacheMaxSize : 20; // 默认20MB
+            this.elements.oauthClientIdInput.value = settings.oauthClientId || '';
+            this.elements.oauthRedirectUrl.textContent = chrome.identity.getRedirectURL();
+            this.elements.dailyQuotaBudgetInput.value = settings.dailyQuotaBudget !== undefined ? settings.dailyQuotaBudget : 10000; // 默认10000单位
             this.elements.themeSelect.value = settings.theme || 'light';
             this.elements.languageSelect.value = settings.language || 'zh-CN';
 
@@ -59,7 +164,7 @@ class OptionsController {
             console.log("Options: Settings loaded.");
         } catch (error) {
             console.error("Options: Error loading settings:", error);
-            this.showNotification("加载设置失败。", "error");
+            this.showNotification(i18n.t('optionsLoadSettingsFailed'), "error");
         }
     }
 
@@ -67,28 +172,551 @@ class OptionsController {
      * 设置所有UI元素的事件监听器。
      */
     setupEventListeners() {
-        this.elements.toggleApiKeyVisibilityButton.addEventListener('click', () => this.toggleApiKeyVisibility());
-        this.elements.testConnectionButton.addEventListener('click', () => this.testConnection());
+        this.elements.addApiKeyButton.addEventListener('click', () => this.addApiKeyRow());
+        this.elements.refreshApiKeyStatusButton.addEventListener('click', () => this.updateApiKeyStatus());
+        this.elements.signInButton.addEventListener('click', () => this.signIn());
+        this.elements.signOutButton.addEventListener('click', () => this.signOut());
+        this.elements.loadAnalyticsButton.addEventListener('click', () => this.loadChannelAnalytics());
         this.elements.clearCacheButton.addEventListener('click', () => this.clearCache());
+        this.elements.languageSelect.addEventListener('change', () => this.updateLanguageNames());
+        this.elements.refreshCacheStatsButton.addEventListener('click', () => this.updateCacheStats());
+        this.elements.refreshQuotaButton.addEventListener('click', () => this.updateQuotaStatus());
+        this.elements.addLexiconEntryButton.addEventListener('click', () => this.addLexiconRow());
+        this.elements.importLexiconButton.addEventListener('click', () => this.elements.lexiconFileInput.click());
+        this.elements.lexiconFileInput.addEventListener('change', () => this.importLexicon());
+        this.elements.exportLexiconJsonButton.addEventListener('click', () => this.exportLexicon('json'));
+        this.elements.exportLexiconCsvButton.addEventListener('click', () => this.exportLexicon('csv'));
+        this.elements.lexiconTestInput.addEventListener('input', () => this.updateLexiconTest());
+        this.elements.exportFormatSelect.addEventListener('change', () => this.updateExportOptions());
+        this.elements.exportDatasetSelect.addEventListener('change', () => this.renderExportColumns());
         this.elements.exportDataButton.addEventListener('click', () => this.exportData());
+        this.elements.clearHistoryButton.addEventListener('click', () => this.clearHistory());
+        this.elements.clearCommentsButton.addEventListener('click', () => this.clearComments());
         this.elements.resetSettingsButton.addEventListener('click', () => this.resetSettings());
         this.elements.saveSettingsButton.addEventListener('click', () => this.saveSettings());
     }
 
+    /**
+     * 渲染API密钥列表。没有密钥时显示一个空白行。
+     * @param {Object[]} apiKeys - 密钥列表 [{ id, label, key }]
+     */
+    renderApiKeys(apiKeys) {
+        this.elements.apiKeyList.innerHTML = '';
+        apiKeys.forEach(entry => this.addApiKeyRow(entry));
+        if (apiKeys.length === 0) {
+            this.addApiKeyRow();
+        }
+    }
+
+    /**
+     * 在密钥列表中添加一行。
+     * @param {Object} [entry] - 密钥记录 { id, label, key }
+     */
+    addApiKeyRow(entry = {}) {
+        const row = document.createElement('div');
+        row.className = 'api-key-row';
+        row.dataset.keyId = entry.id || apiKeyManager.createKeyId();
+        row.innerHTML = `
+            <input type="text" class="form-input api-key-label" data-i18n-placeholder="optionsApiKeyLabelPlaceholder">
+            <div class="api-key-input-group">
+                <input type="password" class="form-input api-key-value" data-i18n-placeholder="optionsApiKeyPlaceholder">
+                <button type="button" class="btn btn-icon api-key-toggle" data-i18n-title="optionsShowApiKey">${EYE_ICON}</button>
+            </div>
+            <div class="api-key-actions">
+                <button type="button" class="btn btn-primary api-key-test" data-i18n="optionsTestConnectionButton"></button>
+                <button type="button" class="btn btn-secondary api-key-remove" data-i18n="optionsDeleteButton"></button>
+            </div>
+            <span class="status-message api-key-test-status"></span>
+            <p class="description api-key-usage"></p>
+        `;
+        i18n.localizePage(row);
+
+        const labelInput = row.querySelector('.api-key-label');
+        const keyInput = row.querySelector('.api-key-value');
+        labelInput.value = entry.label || '';
+        keyInput.value = entry.key || '';
+
+        row.querySelector('.api-key-toggle').addEventListener('click', (event) => {
+            this.toggleApiKeyVisibility(keyInput, event.currentTarget);
+        });
+        row.querySelector('.api-key-test').addEventListener('click', (event) => {
+            this.testConnection(keyInput.value.trim(), event.currentTarget, row.querySelector('.api-key-test-status'));
+        });
+        row.querySelector('.api-key-remove').addEventListener('click', () => row.remove());
+
+        this.elements.apiKeyList.appendChild(row);
+    }
+
+    /**
+     * 从密钥列表收集填写了密钥的行。
+     * @returns {Object[]} - 密钥列表 [{ id, label, key }]
+     */
+    collectApiKeys() {
+        return Array.from(this.elements.apiKeyList.querySelectorAll('.api-key-row'))
+            .map((row, index) => ({
+                id: row.dataset.keyId,
+                label: row.querySelector('.api-key-label').value.trim() || i18n.t('optionsDefaultKeyLabel', index + 1),
+                key: row.querySelector('.api-key-value').value.trim()
+            }))
+            .filter(entry => entry.key);
+    }
+
+    /**
+     * 用YouTube提供的本地化名称显示语言选项，名称使用当前选择的语言。
+     * 只显示扩展界面支持的语言；未配置API密钥或请求失败时保留默认名称。
+     */
+    async updateLanguageNames() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_I18N_LANGUAGES',
+                hl: this.elements.languageSelect.value
+            });
+            if (!response || !response.success) {
+                return;
+            }
+            Array.from(this.elements.languageSelect.options).forEach(option => {
+                const language = response.data.find(item => item.id === option.value);
+                if (language) {
+                    option.textContent = language.name;
+                }
+            });
+        } catch (error) {
+            console.error("Options: Error loading language names:", error);
+        }
+    }
+
+    /**
+     * 从background script获取各密钥的状态和今日用量并显示在对应行中。
+     */
+    async updateApiKeyStatus() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_API_KEY_STATUS' });
+            if (!response || !response.success) {
+                throw new Error(i18n.describeError(response));
+            }
+
+            response.data.forEach(status => {
+                const row = this.elements.apiKeyList.querySelector(`.api-key-row[data-key-id="${status.id}"]`);
+                if (!row) return;
+
+                let stateText = i18n.t(status.active ? 'optionsKeyActive' : 'optionsKeyAvailable');
+                if (status.coolingDown) {
+                    const reasonText = i18n.t(status.reason === 'keyInvalid' ? 'optionsKeyInvalid' : 'optionsKeyQuotaExceeded');
+                    stateText = i18n.t('optionsKeyCoolingDown', reasonText, i18n.formatDateTime(status.cooldownUntil));
+                }
+                row.classList.toggle('cooling-down', status.coolingDown);
+                row.querySelector('.api-key-usage').textContent =
+                    i18n.t('optionsKeyUsage', stateText, i18n.formatNumber(status.usage.units), i18n.formatNumber(status.usage.calls));
+            });
+            this.updateStatus('', '', this.elements.apiKeyStatus);
+        } catch (error) {
+            console.error("Options: Error loading API key status:", error);
+            this.updateStatus(i18n.t('optionsKeyStatusFailed', error.message), 'error', this.elements.apiKeyStatus);
+        }
+    }
+
+    /**
+     * 渲染自定义情感词典的词条列表。没有词条时显示一个空白行。
+     * @param {Object} lexicon - 自定义词典 { positive, negative, neutral }
+     */
+    renderLexicon(lexicon) {
+        this.elements.lexiconList.innerHTML = '';
+        const entries = customLexicon.toEntries(lexicon);
+        entries.forEach(entry => this.addLexiconRow(entry));
+        if (entries.length === 0) {
+            this.addLexiconRow();
+        }
+        this.updateLexiconTest();
+    }
+
+    /**
+     * 在词条列表中添加一行。
+     * @param {Object} [entry] - 词条 { word, polarity, weight }
+     */
+    addLexiconRow(entry = {}) {
+        const row = document.createElement('div');
+        row.className = 'lexicon-row';
+        row.innerHTML = `
+            <input type="text" class="form-input lexicon-word" data-i18n-placeholder="optionsLexiconWordPlaceholder">
+            <select class="form-select lexicon-polarity">
+                ${Object.entries(SENTIMENT_LABEL_KEYS).map(([value, key]) => `<option value="${value}" data-i18n="${key}"></option>`).join('')}
+            </select>
+            <input type="number" class="form-input lexicon-weight" min="0.1" max="3" step="0.1" data-i18n-title="optionsLexiconWeightTitle">
+            <button type="button" class="btn btn-secondary lexicon-remove" data-i18n="optionsDeleteButton"></button>
+        `;
+        i18n.localizePage(row);
+
+        const wordInput = row.querySelector('.lexicon-word');
+        const polaritySelect = row.querySelector('.lexicon-polarity');
+        const weightInput = row.querySelector('.lexicon-weight');
+        wordInput.value = entry.word || '';
+        polaritySelect.value = entry.polarity || 'positive';
+        weightInput.value = entry.weight || 1;
+        weightInput.disabled = polaritySelect.value === 'neutral';
+
+        polaritySelect.addEventListener('change', () => {
+            weightInput.disabled = polaritySelect.value === 'neutral';
+            this.updateLexiconTest();
+        });
+        const validateWord = () => {
+            wordInput.setCustomValidity(customLexicon.isPhrase(wordInput.value) ? i18n.t('optionsLexiconPhraseInvalid') : '');
+            wordInput.title = wordInput.validationMessage;
+        };
+        validateWord();
+        wordInput.addEventListener('input', () => {
+            validateWord();
+            this.updateLexiconTest();
+        });
+        weightInput.addEventListener('input', () => this.updateLexiconTest());
+        row.querySelector('.lexicon-remove').addEventListener('click', () => {
+            row.remove();
+            this.updateLexiconTest();
+        });
+
+        this.elements.lexiconList.appendChild(row);
+    }
+
+    /**
+     * 读取词条列表中的所有行。
+     * @returns {Object[]} - 词条列表 [{ word, polarity, weight }]
+     */
+    collectLexiconEntries() {
+        return Array.from(this.elements.lexiconList.querySelectorAll('.lexicon-row'))
+            .map(row => ({
+                word: row.querySelector('.lexicon-word').value,
+                polarity: row.querySelector('.lexicon-polarity').value,
+                weight: row.querySelector('.lexicon-weight').value
+            }));
+    }
+
+    /**
+     * 从词条列表收集自定义词典，忽略未填写词语的行和多词短语。
+     * @returns {Object} - 自定义词典 { positive, negative, neutral }
+     */
+    collectLexicon() {
+        return customLexicon.fromEntries(this.collectLexiconEntries());
+    }
+
+    /**
+     * 从JSON或CSV文件导入词条，替换编辑器中的内容（保存设置后生效）。
+     */
+    async importLexicon() {
+        const file = this.elements.lexiconFileInput.files[0];
+        if (!file) return;
+
+        try {
+            const entries = customLexicon.parseFile(await file.text(), file.name);
+            const phrases = customLexicon.getPhrases(entries);
+            const lexicon = customLexicon.fromEntries(entries);
+            this.renderLexicon(lexicon);
+            if (phrases.length > 0) {
+                this.showNotification(i18n.t('optionsLexiconImportedSkipped', customLexicon.countWords(lexicon), phrases.length, phrases.join(i18n.t('listSeparator'))), "error");
+            } else {
+                this.showNotification(i18n.t('optionsLexiconImported', customLexicon.countWords(lexicon)), "success");
+            }
+        } catch (error) {
+            console.error("Options: Error importing lexicon:", error);
+            this.showNotification(i18n.t('optionsLexiconImportFailed', error.message), "error");
+        } finally {
+            this.elements.lexiconFileInput.value = '';
+        }
+    }
+
+    /**
+     * 导出编辑器中的词条。
+     * @param {string} format - 'json' 或 'csv'
+     */
+    exportLexicon(format) {
+        const lexicon = this.collectLexicon();
+        if (customLexicon.countWords(lexicon) === 0) {
+            this.showNotification(i18n.t('optionsLexiconExportEmpty'), "error");
+            return;
+        }
+
+        const content = format === 'csv' ? customLexicon.toCSV(lexicon) : customLexicon.toJSON(lexicon);
+        const blob = new Blob([content], { type: format === 'csv' ? 'text/csv;charset=utf-8' : 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        chrome.downloads.download({
+            url: url,
+            filename: `youtube_analyzer_lexicon_${Date.now()}.${format}`,
+            saveAs: true
+        }, () => {
+            if (chrome.runtime.lastError) {
+                console.error("Options: Lexicon download failed:", chrome.runtime.lastError);
+                this.showNotification(i18n.t('optionsLexiconExportFailed'), "error");
+            }
+            URL.revokeObjectURL(url);
+        });
+    }
+
+    /**
+     * 按编辑器中的词条分析测试文本并显示结果（未保存的修改也会生效）。
+     */
+    updateLexiconTest() {
+        const text = this.elements.lexiconTestInput.value.trim();
+        if (!text) {
+            this.updateStatus('', '', this.elements.lexiconTestResult);
+            return;
+        }
+
+        sentimentAnalyzer.registerLexicon(customLexicon.toAnalyzerLexicon(this.collectLexicon()));
+        const result = sentimentAnalyzer.analyze(text);
+        const matches = result.matches.map(match => `${match.token} ${match.score > 0 ? '+' : ''}${match.score}`).join(i18n.t('listSeparator'));
+        const type = { positive: 'success', negative: 'error', neutral: '' }[result.label];
+        const label = i18n.t(SENTIMENT_LABEL_KEYS[result.label]);
+        this.updateStatus(
+            matches ? i18n.t('optionsLexiconTestResult', label, result.score, matches) : i18n.t('optionsLexiconTestNoMatch', label, result.score),
+            type,
+            this.elements.lexiconTestResult
+        );
+    }
+
+    /**
+     * 获取Google账号登录状态并更新账号区域。
+     */
+    async updateAuthStatus() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_AUTH_STATUS' });
+            if (!response || !response.success) {
+                throw new Error(i18n.describeError(response));
+            }
+            this.renderAuthStatus(response.data);
+        } catch (error) {
+            console.error("Options: Error loading auth status:", error);
+            this.updateStatus(i18n.t('optionsAuthStatusFailed', error.message), 'error', this.elements.accountStatus);
+        }
+    }
+
+    /**
+     * 根据登录状态更新账号区域和频道选择框。
+     * @param {Object} status - 登录状态 { signedIn, channels }
+     */
+    renderAuthStatus(status) {
+        this.elements.signInButton.hidden = status.signedIn;
+        this.elements.signOutButton.hidden = !status.signedIn;
+        this.elements.analyticsPanel.hidden = !status.signedIn || status.channels.length === 0;
+
+        if (!status.signedIn) {
+            this.updateStatus(i18n.t('optionsSignedOut'), '', this.elements.accountStatus);
+            return;
+        }
+
+        const channelNames = status.channels.map(channel => channel.title).join(i18n.t('listSeparator'));
+        this.updateStatus(
+            status.channels.length > 0 ? i18n.t('optionsSignedInChannels', channelNames) : i18n.t('optionsSignedInNoChannels'),
+            'success',
+            this.elements.accountStatus
+        );
+
+        const select = this.elements.analyticsChannelSelect;
+        select.innerHTML = '';
+        status.channels.forEach(channel => {
+            const option = document.createElement('option');
+            option.value = channel.id;
+            option.textContent = channel.title;
+            select.appendChild(option);
+        });
+
+        if (!this.elements.analyticsEndDate.value) {
+            const end = new Date(Date.now() - 24 * 3600 * 1000);
+            const start = new Date(end.getTime() - 27 * 24 * 3600 * 1000);
+            this.elements.analyticsEndDate.value = end.toISOString().slice(0, 10);
+            this.elements.analyticsStartDate.value = start.toISOString().slice(0, 10);
+        }
+    }
+
+    /**
+     * 登录Google账号。先保存OAuth客户端ID，以便回退登录方式使用。
+     */
+    async signIn() {
+        this.updateStatus(i18n.t('optionsSigningIn'), 'loading', this.elements.accountStatus);
+        this.elements.signInButton.disabled = true;
+        try {
+            await chrome.storage.sync.set({ oauthClientId: this.elements.oauthClientIdInput.value.trim() });
+            const response = await chrome.runtime.sendMessage({ type: 'SIGN_IN' });
+            if (!response || !response.success) {
+                throw new Error(i18n.describeError(response));
+            }
+            this.renderAuthStatus(response.data);
+            this.showNotification(i18n.t('optionsSignInSucceeded'), "success");
+        } catch (error) {
+            console.error("Options: Sign-in error:", error);
+            this.updateStatus(i18n.t('optionsSignInFailed', error.message), 'error', this.elements.accountStatus);
+        } finally {
+            this.elements.signInButton.disabled = false;
+        }
+    }
+
+    /**
+     * 退出Google账号。
+     */
+    async signOut() {
+        try {
+            await chrome.runtime.sendMessage({ type: 'SIGN_OUT' });
+            this.elements.analyticsResult.innerHTML = '';
+            this.renderAuthStatus({ signedIn: false, channels: [] });
+            this.showNotification(i18n.t('optionsSignedOutNotice'), "success");
+        } catch (error) {
+            console.error("Options: Sign-out error:", error);
+            this.showNotification(i18n.t('optionsSignOutFailed'), "error");
+        }
+    }
+
+    /**
+     * 加载所选频道的YouTube Analytics报告。
+     */
+    async loadChannelAnalytics() {
+        this.updateStatus(i18n.t('optionsLoadingAnalytics'), 'loading', this.elements.analyticsStatus);
+        this.elements.loadAnalyticsButton.disabled = true;
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_CHANNEL_ANALYTICS',
+                channelId: this.elements.analyticsChannelSelect.value,
+                startDate: this.elements.analyticsStartDate.value,
+                endDate: this.elements.analyticsEndDate.value
+            });
+            if (!response || !response.success) {
+                throw new Error(i18n.describeError(response));
+            }
+            this.renderChannelAnalytics(response.data);
+            this.updateStatus('', '', this.elements.analyticsStatus);
+        } catch (error) {
+            console.error("Options: Error loading channel analytics:", error);
+            this.updateStatus(i18n.t('optionsAnalyticsFailed', error.message), 'error', this.elements.analyticsStatus);
+        } finally {
+            this.elements.loadAnalyticsButton.disabled = false;
+        }
+    }
+
+    /**
+     * 显示频道分析报告。
+     * @param {Object} report - GET_CHANNEL_ANALYTICS 返回的报告
+     */
+    renderChannelAnalytics(report) {
+        const container = this.elements.analyticsResult;
+        container.innerHTML = '';
+        const totals = report.totals;
+
+        const stats = document.createElement('div');
+        stats.className = 'cache-stats';
+        [
+            [i18n.t('optionsAnalyticsViews'), i18n.formatNumber(totals.views || 0)],
+            [i18n.t('optionsAnalyticsWatchHours'), i18n.formatNumber(totals.watchTimeHours)],
+            [i18n.t('optionsAnalyticsAverageDuration'), this.formatDuration(totals.averageViewDuration || 0)],
+            [i18n.t('optionsAnalyticsNetSubscribers'), `${totals.netSubscribers >= 0 ? '+' : ''}${i18n.formatNumber(totals.netSubscribers)}`]
+        ].forEach(([label, value]) => {
+            const stat = document.createElement('div');
+            stat.className = 'cache-stat';
+            stat.innerHTML = '<span class="cache-stat-label"></span><span class="cache-stat-value"></span>';
+            stat.querySelector('.cache-stat-label').textContent = label;
+            stat.querySelector('.cache-stat-value').textContent = value;
+            stats.appendChild(stat);
+        });
+        container.appendChild(stats);
+
+        const details = document.createElement('p');
+        details.className = 'description';
+        details.textContent = i18n.t('optionsAnalyticsSummary',
+            i18n.formatDate(`${report.startDate}T00:00:00`),
+            i18n.formatDate(`${report.endDate}T00:00:00`),
+            i18n.formatNumber(totals.subscribersGained || 0),
+            i18n.formatNumber(totals.subscribersLost || 0),
+            i18n.formatNumber(totals.averageViewPercentage || 0));
+        container.appendChild(details);
+
+        const views = i18n.t('optionsAnalyticsViews');
+        const watchMinutes = i18n.t('optionsAnalyticsWatchMinutes');
+
+        this.appendAnalyticsTable(container, i18n.t('optionsAnalyticsTrafficSources'), [i18n.t('optionsAnalyticsSource'), views, watchMinutes],
+            report.trafficSources.map(row => [
+                TRAFFIC_SOURCE_LABEL_KEYS[row.insightTrafficSourceType]
+                    ? i18n.t(TRAFFIC_SOURCE_LABEL_KEYS[row.insightTrafficSourceType])
+                    : row.insightTrafficSourceType,
+                i18n.formatNumber(row.views),
+                i18n.formatNumber(row.estimatedMinutesWatched)
+            ]));
+
+        this.appendAnalyticsTable(container, i18n.t('optionsAnalyticsGeography'),
+            [i18n.t('optionsAnalyticsCountry'), views, watchMinutes, i18n.t('optionsAnalyticsAverageDuration')],
+            report.geography.map(row => [
+                row.country,
+                i18n.formatNumber(row.views),
+                i18n.formatNumber(row.estimatedMinutesWatched),
+                this.formatDuration(row.averageViewDuration)
+            ]));
+
+        this.appendAnalyticsTable(container, i18n.t('optionsAnalyticsDemographics'),
+            [i18n.t('optionsAnalyticsAgeGroup'), i18n.t('optionsAnalyticsGender'), i18n.t('optionsAnalyticsViewerShare')],
+            report.demographics.map(row => [
+                row.ageGroup.replace('age', ''),
+                i18n.t(row.gender === 'female' ? 'optionsGenderFemale' : row.gender === 'male' ? 'optionsGenderMale' : 'optionsGenderOther'),
+                `${i18n.formatNumber(row.viewerPercentage)}%`
+            ]));
+    }
+
+    /**
+     * 在容器中添加一个带标题的表格。
+     * @param {HTMLElement} container - 容器
+     * @param {string} title - 标题
+     * @param {string[]} headers - 表头
+     * @param {Array<string[]>} rows - 表格数据
+     */
+    appendAnalyticsTable(container, title, headers, rows) {
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        container.appendChild(heading);
+
+        if (rows.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'description';
+            empty.textContent = i18n.t('optionsAnalyticsNoData');
+            container.appendChild(empty);
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'analytics-table';
+        const headerRow = table.createTHead().insertRow();
+        headers.forEach(header => {
+            const th = document.createElement('th');
+            th.textContent = header;
+            headerRow.appendChild(th);
+        });
+        const body = table.createTBody();
+        rows.forEach(cells => {
+            const row = body.insertRow();
+            cells.forEach(cell => {
+                row.insertCell().textContent = cell;
+            });
+        });
+        container.appendChild(table);
+    }
+
+    /**
+     * 将秒数格式化为 分:秒。
+     * @param {number} seconds - 秒数
+     * @returns {string} - 格式化后的时长
+     */
+    formatDuration(seconds) {
+        const total = Math.round(seconds);
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+
     /**
      * 切换API密钥输入框的可见性（明文/密文）。
+     * @param {HTMLInputElement} input - 密钥输入框
+     * @param {HTMLButtonElement} button - 切换按钮
      */
-    toggleApiKeyVisibility() {
-        const input = this.elements.youtubeApiKeyInput;
-        const button = this.elements.toggleApiKeyVisibilityButton;
+    toggleApiKeyVisibility(input, button) {
         if (input.type === 'password') {
             input.type = 'text';
-            button.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="lucide lucide-eye-off"><path d="M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-10-7-10-7a18.06 18.06 0 0 1 5.36-5.06M2 2l20 20M15.02 15.02a3.04 3.04 0 0 1-4.24-4.24M7.94 7.94A10.07 10.07 0 0 1 12 4c7 0 10 7 10 7a18.06 18.06 0 0 1-2.07 2.91"/></svg>`; // Eye-off icon
-            button.title = '隐藏API密钥';
+            button.innerHTML = EYE_OFF_ICON;
+            button.title = i18n.t('optionsHideApiKey');
         } else {
             input.type = 'password';
-            button.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="lucide lucide-eye"><path d="M2 12s3-7 10-7 10 7 10 7-3 7-10 7-10-7-10-7Z"/><circle cx="12" cy="12" r="3"/></svg>`; // Eye icon
-            button.title = '显示API密钥';
+            button.innerHTML = EYE_ICON;
+            button.title = i18n.t('optionsShowApiKey');
         }
     }
 
@@ -105,16 +733,18 @@ class OptionsController {
 
     /**
      * 测试YouTube Data API连接。
+     * @param {string} apiKey - 要测试的API密钥
+     * @param {HTMLButtonElement} button - 测试按钮
+     * @param {HTMLElement} statusElement - 显示测试结果的元素
      */
-    async testConnection() {
-        const apiKey = this.elements.youtubeApiKeyInput.value.trim();
+    async testConnection(apiKey, button, statusElement) {
         if (!apiKey) {
-            this.updateStatus('请输入API密钥进行测试。', 'error', this.elements.apiKeyStatus);
+            this.updateStatus(i18n.t('optionsEnterApiKey'), 'error', statusElement);
             return;
         }
 
-        this.updateStatus('正在测试连接...', 'loading', this.elements.apiKeyStatus);
-        this.elements.testConnectionButton.disabled = true;
+        this.updateStatus(i18n.t('optionsTestingConnection'), 'loading', statusElement);
+        button.disabled = true;
 
         try {
             // 发送一个简单的API请求来测试密钥的有效性（例如：获取热门视频）
@@ -123,16 +753,16 @@ class OptionsController {
             const data = await response.json();
 
             if (response.ok && !data.error) {
-                this.updateStatus('API密钥有效！连接成功。', 'success', this.elements.apiKeyStatus);
+                this.updateStatus(i18n.t('optionsConnectionOk'), 'success', statusElement);
             } else {
-                const errorMessage = data.error ? data.error.message : '未知错误';
-                this.updateStatus(`API密钥无效或连接失败: ${errorMessage}`, 'error', this.elements.apiKeyStatus);
+                const errorMessage = data.error ? data.error.message : i18n.t('errorUnknown');
+                this.updateStatus(i18n.t('optionsConnectionInvalid', errorMessage), 'error', statusElement);
             }
         } catch (error) {
             console.error("Options: Connection test error:", error);
-            this.updateStatus(`网络错误或无法连接到API: ${error.message}`, 'error', this.elements.apiKeyStatus);
+            this.updateStatus(i18n.t('optionsConnectionError', error.message), 'error', statusElement);
         } finally {
-            this.elements.testConnectionButton.disabled = false;
+            button.disabled = false;
         }
     }
 
@@ -141,23 +771,38 @@ class OptionsController {
      */
     async saveSettings() {
         const settings = {
-            youtubeApiKey: this.elements.youtubeApiKeyInput.value.trim(),
+            youtubeApiKeys: this.collectApiKeys(),
             autoAnalyze: this.elements.autoAnalyzeCheckbox.checked,
+            gridOverlays: this.elements.gridOverlaysCheckbox.checked,
             collectComments: this.elements.collectCommentsCheckbox.checked,
+            trackingInterval: Math.max(15, parseInt(this.elements.trackingIntervalInput.value) || 60),
+            trendingArchiveInterval: Math.max(60, parseInt(this.elements.trendingArchiveIntervalInput.value) || 360),
             cacheTime: parseInt(this.elements.cacheTimeInput.value) || 0, // 确保是数字
+            cacheMaxSize: parseInt(this.elements.cacheMaxSizeInput.value) || 20,
+            dailyQuotaBudget: parseInt(this.elements.dailyQuotaBudgetInput.value) || 10000,
+            oauthClientId: this.elements.oauthClientIdInput.value.trim(),
             theme: this.elements.themeSelect.value,
             language: this.elements.languageSelect.value
         };
 
+        const phrases = customLexicon.getPhrases(this.collectLexiconEntries());
+        if (phrases.length > 0) {
+            this.showNotification(i18n.t('optionsLexiconPhrasesUnsupported', phrases.join(i18n.t('listSeparator'))), "error");
+            return;
+        }
+
         try {
+            await customLexicon.save(this.collectLexicon());
             await chrome.storage.sync.set(settings);
             // 通知background script API密钥已更新，以便它重新加载密钥并清除缓存
-            await chrome.runtime.sendMessage({ type: 'SAVE_API_KEY', apiKey: settings.youtubeApiKey });
-            this.showNotification("设置已保存！", "success");
-            console.log("Options: Settings saved:", settings);
+            await chrome.runtime.sendMessage({ type: 'SAVE_API_KEYS', apiKeys: settings.youtubeApiKeys });
+            this.showNotification(i18n.t('optionsSettingsSaved'), "success");
+            console.log("Options: Settings saved.");
+            this.updateQuotaStatus();
+            this.updateApiKeyStatus();
         } catch (error) {
             console.error("Options: Error saving settings:", error);
-            this.showNotification("保存设置失败。", "error");
+            this.showNotification(i18n.t('optionsSaveFailed', error.message), "error");
         }
     }
 
@@ -168,37 +813,219 @@ class OptionsController {
         // 通知background script清除其内部缓存
         try {
             await chrome.runtime.sendMessage({ type: 'CLEAR_CACHE' });
-            this.showNotification("缓存已清除！", "success");
+            this.showNotification(i18n.t('optionsCacheCleared'), "success");
             console.log("Options: Cache clear request sent.");
         } catch (error) {
             console.error("Options: Error clearing cache:", error);
-            this.showNotification("清除缓存失败。", "error");
+            this.showNotification(i18n.t('optionsClearCacheFailed'), "error");
+        }
+        this.updateCacheStats();
+    }
+
+    /**
+     * 从background script获取缓存统计并显示在缓存检查器中。
+     */
+    async updateCacheStats() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_CACHE_STATS' });
+            if (!response || !response.success) {
+                throw new Error(i18n.describeError(response));
+            }
+
+            const stats = response.data;
+            this.elements.cacheEntryCount.textContent = i18n.formatNumber(stats.entryCount);
+            this.elements.cacheHitRate.textContent = `${i18n.formatNumber(stats.hitRate)}%`;
+            this.elements.cacheSize.textContent = `${this.formatBytes(stats.totalBytes)} / ${this.formatBytes(stats.maxBytes)}`;
+
+            const endpointSummary = Object.entries(stats.byEndpoint)
+                .map(([endpoint, info]) => `${endpoint}: ${i18n.formatNumber(info.count)}`)
+                .join(i18n.t('listSeparator'));
+            this.elements.cacheDetails.textContent = [
+                i18n.t('optionsCacheDetails', ...[stats.hits, stats.staleHits, stats.misses, stats.evictions].map(value => i18n.formatNumber(value))),
+                endpointSummary ? i18n.t('optionsByEndpoint', endpointSummary) : ''
+            ].filter(Boolean).join(' ');
+        } catch (error) {
+            console.error("Options: Error loading cache stats:", error);
+            this.elements.cacheDetails.textContent = i18n.t('optionsCacheStatsFailed', error.message);
+        }
+    }
+
+    /**
+     * 从background script获取今日配额使用情况并显示。
+     */
+    async updateQuotaStatus() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_QUOTA_STATUS' });
+            if (!response || !response.success) {
+                throw new Error(i18n.describeError(response));
+            }
+
+            const quota = response.data;
+            this.elements.quotaUsed.textContent = `${i18n.formatNumber(quota.used)} / ${i18n.formatNumber(quota.budget)}`;
+            this.elements.quotaRemaining.textContent = i18n.formatNumber(quota.remaining);
+            this.elements.quotaResetTime.textContent = i18n.formatDateTime(quota.resetsAt);
+
+            const endpointSummary = Object.entries(quota.byEndpoint)
+                .map(([endpoint, usage]) => i18n.t('optionsQuotaEndpointUsage', endpoint, i18n.formatNumber(usage.units), i18n.formatNumber(usage.calls)))
+                .join(i18n.t('listSeparator'));
+            this.elements.quotaDetails.textContent = [
+                i18n.t('optionsQuotaDetails', i18n.formatDate(`${quota.day}T00:00:00`), i18n.formatNumber(quota.calls), i18n.formatNumber(quota.refused)),
+                quota.lowPriorityLimited ? i18n.t('optionsQuotaLowPriorityPaused') : '',
+                endpointSummary ? i18n.t('optionsByEndpoint', endpointSummary) : ''
+            ].filter(Boolean).join(' ');
+        } catch (error) {
+            console.error("Options: Error loading quota status:", error);
+            this.elements.quotaDetails.textContent = i18n.t('optionsQuotaFailed', error.message);
+        }
+    }
+
+    /**
+     * 将字节数格式化为易读的字符串。
+     * @param {number} bytes - 字节数
+     * @returns {string} - 格式化后的字符串
+     */
+    formatBytes(bytes) {
+        const oneDecimal = { minimumFractionDigits: 1, maximumFractionDigits: 1 };
+        if (bytes >= 1024 * 1024) return `${i18n.formatNumber(bytes / 1024 / 1024, oneDecimal)} MB`;
+        if (bytes >= 1024) return `${i18n.formatNumber(bytes / 1024, oneDecimal)} KB`;
+        return `${i18n.formatNumber(bytes)} B`;
+    }
+
+    /**
+     * 显示本地保存的分析历史记录数量。
+     */
+    async updateHistoryCount() {
+        try {
+            const count = await historyStore.count();
+            this.elements.historyCount.textContent = i18n.t('optionsHistoryCount', i18n.formatNumber(count));
+        } catch (error) {
+            console.error("Options: Error counting history:", error);
+            this.elements.historyCount.textContent = i18n.t('optionsHistoryCountFailed');
         }
     }
 
+    /**
+     * 显示本地评论语料的数量。
+     */
+    async updateCommentCorpusCount() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_COMMENT_HARVESTS' });
+            if (!response || !response.success) {
+                throw new Error(i18n.describeError(response));
+            }
+            const records = Object.values(response.data);
+            const total = records.reduce((sum, record) => sum + record.threads + record.replies, 0);
+            this.elements.commentCorpusCount.textContent = i18n.t('optionsCommentCorpusCount', i18n.formatNumber(records.length), i18n.formatNumber(total));
+        } catch (error) {
+            console.error("Options: Error loading comment corpus stats:", error);
+            this.elements.commentCorpusCount.textContent = i18n.t('optionsCommentCorpusFailed');
+        }
+    }
+
+    /**
+     * 根据导出格式显示或隐藏表格导出选项。
+     */
+    updateExportOptions() {
+        this.elements.tabularExportOptions.hidden = this.elements.exportFormatSelect.value === 'json';
+    }
+
+    /**
+     * 根据所选数据集渲染可导出的列（默认全选）。
+     */
+    renderExportColumns() {
+        const columns = exportUtils.getColumns(this.elements.exportDatasetSelect.value);
+        this.elements.exportColumns.innerHTML = '';
+        columns.forEach(column => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = column.key;
+            checkbox.checked = true;
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(exportUtils.getColumnLabel(column)));
+            this.elements.exportColumns.appendChild(label);
+        });
+    }
+
+    /**
+     * 读取日期范围输入，转换为时间戳（结束日期包含当天）。
+     * @returns {{from: number|null, to: number|null}} - 时间范围
+     */
+    getExportDateRange() {
+        const fromValue = this.elements.exportFromDate.value;
+        const toValue = this.elements.exportToDate.value;
+        return {
+            from: fromValue ? new Date(`${fromValue}T00:00:00`).getTime() : null,
+            to: toValue ? new Date(`${toValue}T23:59:59.999`).getTime() : null
+        };
+    }
+
     /**
      * 导出所有分析过的数据。
-     * TODO: 需要实现数据存储功能（例如使用IndexedDB或Chrome Storage的local存储）
-     * 才能真正导出数据。目前仅为占位功能。
+     * 数据来自本地IndexedDB中保存的分析历史快照，
+     * 支持完整JSON、CSV（带BOM）、JSON Lines和XLSX格式。
      */
     async exportData() {
-        // 假设这里我们会从Chrome Storage或其他本地存储中获取所有分析数据
-        // 例如：const allAnalyzedData = await chrome.storage.local.get('analyzedData');
-
-        // 目前只是一个示例，如果未来有实际数据，需要从storage中获取
-        const dummyData = {
-            message: "此功能将在未来版本中完善，届时将导出所有收集到的分析数据。",
-            example: {
-                videoId: "dummyVideo123",
-                title: "示例视频标题",
-                views: 1234567,
-                comments: 890
-            },
-            timestamp: new Date().toISOString()
-        };
+        const format = this.elements.exportFormatSelect.value;
+        const { from, to } = this.getExportDateRange();
+        if (from !== null && to !== null && from > to) {
+            this.showNotification(i18n.t('optionsExportDateOrder'), "error");
+            return;
+        }
+
+        const dataset = this.elements.exportDatasetSelect.value;
+        const selectedKeys = Array.from(this.elements.exportColumns.querySelectorAll('input:checked'))
+            .map(checkbox => checkbox.value);
+        const columns = exportUtils.getColumns(dataset).filter(column => selectedKeys.includes(column.key));
+        if (format !== 'json' && columns.length === 0) {
+            this.showNotification(i18n.t('optionsExportNoColumns'), "error");
+            return;
+        }
 
-        const filename = `youtube_analyzer_data_${Date.now()}.json`;
-        const blob = new Blob([JSON.stringify(dummyData, null, 2)], { type: 'application/json' });
+        let exportPayload;
+        try {
+            exportPayload = await historyStore.exportHistory({ from, to });
+        } catch (error) {
+            console.error("Options: Error reading history:", error);
+            this.showNotification(i18n.t('optionsExportReadFailed'), "error");
+            return;
+        }
+
+        let content;
+        let mimeType;
+        let rowCount;
+
+        if (format === 'json') {
+            content = JSON.stringify(exportPayload, null, 2);
+            mimeType = 'application/json';
+            rowCount = exportPayload.recordCount;
+        } else {
+            // 分析评估以消息引用保存，表头是消息名称，都按界面语言转换为文字后导出
+            const records = exportPayload.records;
+            const rows = dataset === 'channels'
+                ? exportUtils.buildChannelRows(records)
+                : exportUtils.buildVideoRows(records);
+            rowCount = rows.length;
+
+            if (format === 'csv') {
+                content = exportUtils.toCSV(rows, columns);
+                mimeType = 'text/csv;charset=utf-8';
+            } else if (format === 'jsonl') {
+                content = exportUtils.toJSONL(rows, columns);
+                mimeType = 'application/x-ndjson';
+            } else {
+                content = exportUtils.toXLSX(rows, columns, dataset === 'channels' ? 'Channels' : 'Videos');
+                mimeType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+            }
+        }
+
+        if (rowCount === 0) {
+            this.showNotification(i18n.t('optionsExportEmpty'), "error");
+            return;
+        }
+
+        const filename = `youtube_analyzer_data_${Date.now()}.${format}`;
+        const blob = new Blob([content], { type: mimeType });
         const url = URL.createObjectURL(blob);
 
         // 使用chrome.downloads API下载文件
@@ -209,14 +1036,55 @@ class OptionsController {
         }, (downloadId) => {
             if (chrome.runtime.lastError) {
                 console.error("Options: Download failed:", chrome.runtime.lastError);
-                this.showNotification("导出数据失败。", "error");
+                this.showNotification(i18n.t('optionsExportFailed'), "error");
             } else {
-                this.showNotification("数据导出已开始！", "success");
+                this.showNotification(i18n.t('optionsExportStarted'), "success");
             }
             URL.revokeObjectURL(url); // 释放URL对象
         });
     }
 
+    /**
+     * 清除本地保存的所有分析历史。
+     */
+    async clearHistory() {
+        const isConfirmed = await this.showConfirmationModal(i18n.t('optionsConfirmClearHistory'));
+        if (!isConfirmed) {
+            return;
+        }
+
+        try {
+            await historyStore.clearHistory();
+            this.showNotification(i18n.t('optionsHistoryCleared'), "success");
+        } catch (error) {
+            console.error("Options: Error clearing history:", error);
+            this.showNotification(i18n.t('optionsClearHistoryFailed'), "error");
+        }
+        this.updateHistoryCount();
+    }
+
+    /**
+     * 清除本地保存的所有评论语料。
+     */
+    async clearComments() {
+        const isConfirmed = await this.showConfirmationModal(i18n.t('optionsConfirmClearComments'));
+        if (!isConfirmed) {
+            return;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'DELETE_COMMENT_CORPUS' });
+            if (!response || !response.success) {
+                throw new Error(i18n.describeError(response));
+            }
+            this.showNotification(i18n.t('optionsCommentsCleared'), "success");
+        } catch (error) {
+            console.error("Options: Error clearing comment corpus:", error);
+            this.showNotification(i18n.t('optionsClearCommentsFailed'), "error");
+        }
+        this.updateCommentCorpusCount();
+    }
+
 
     /**
      * 重置所有设置到默认值。
@@ -224,7 +1092,7 @@ class OptionsController {
      */
     async resetSettings() {
         // 使用 confirm 替代 alert/window.confirm
-        const isConfirmed = await this.showConfirmationModal("您确定要重置所有设置吗？这将清除所有API密钥、设置和缓存数据。");
+        const isConfirmed = await this.showConfirmationModal(i18n.t('optionsConfirmReset'));
 
         if (isConfirmed) {
             try {
@@ -235,12 +1103,12 @@ class OptionsController {
                 // 重新加载默认设置到UI
                 await this.loadSettings();
                 // 通知background script API密钥已更新（为空）并清除缓存
-                await chrome.runtime.sendMessage({ type: 'SAVE_API_KEY', apiKey: '' });
-                this.showNotification("所有设置已重置为默认值！", "success");
+                await chrome.runtime.sendMessage({ type: 'SAVE_API_KEYS', apiKeys: [] });
+                this.showNotification(i18n.t('optionsSettingsReset'), "success");
                 console.log("Options: All settings reset.");
             } catch (error) {
                 console.error("Options: Error resetting settings:", error);
-                this.showNotification("重置设置失败。", "error");
+                this.showNotification(i18n.t('optionsResetFailed'), "error");
             }
         }
     }
@@ -312,12 +1180,12 @@ class OptionsController {
             buttonContainer.style.gap = '15px';
 
             const confirmButton = document.createElement('button');
-            confirmButton.textContent = '确定';
+            confirmButton.textContent = i18n.t('optionsConfirmButton');
             confirmButton.className = 'btn btn-danger';
             confirmButton.style.margin = '0'; // Override default btn margin
 
             const cancelButton = document.createElement('button');
-            cancelButton.textContent = '取消';
+            cancelButton.textContent = i18n.t('optionsCancelButton');
             cancelButton.className = 'btn btn-secondary';
             cancelButton.style.margin = '0'; // Override default btn margin
 
@@ -341,5 +1209,8 @@ class OptionsController {
     }
 }
 
-// 实例化OptionsController，启动选项页逻辑
-new OptionsController();
+// 加载界面语言并翻译静态文字后实例化OptionsController，启动选项页逻辑
+i18n.init().then(() => {
+    i18n.localizePage();
+    new OptionsController();
+});
@@ -1,5 +1,9 @@
 // popup/analysis_panel.js
 import contextUtils from '../libs/context-utils.js';
+import i18n from '../libs/i18n.js';
+
+// 播放列表观看衰减最多显示的视频数，更长的列表均匀抽样
+const DROP_OFF_ROWS = 40;
 
 /**
  * AnalysisPanelController 类管理 iframe 内部的 UI 显示逻辑。
@@ -15,7 +19,7 @@ class AnalysisPanelController {
         
         // 首先验证扩展上下文是否有效
         if (!contextUtils.isExtensionContextValid()) {
-            this.displayStatus("扩展上下文无效，请刷新页面或重新加载扩展。", "error");
+            this.displayStatus(i18n.t('panelErrorInvalidContext'), "error");
             console.error("Analysis Panel: Extension context is invalid during initialization.");
             return;
         }
@@ -43,7 +47,7 @@ class AnalysisPanelController {
     setupContextValidation() {
         this.contextValidator = contextUtils.createContextValidator(() => {
             console.warn("Analysis Panel: Extension context became invalid, cleaning up resources.");
-            this.displayStatus("扩展上下文已失效，请刷新页面或重启扩展。", "error");
+            this.displayStatus(i18n.t('panelErrorContextLost'), "error");
             
             // 移除事件监听器，防止产生更多错误
             if (this.messageListener) {
@@ -63,11 +67,11 @@ class AnalysisPanelController {
      * 初始化事件监听器。
      */
     initEventListeners() {
-        // 使用安全的事件监听器添加方法
+        // 使用安全的事件监听器添加方法；界面语言加载完成前收到的消息按顺序等待加载后再处理
         this.messageListener = contextUtils.addSafeEventListener(
             window, 
             'message', 
-            this.handleMessage.bind(this)
+            event => i18n.init().then(() => this.handleMessage(event))
         );
 
         // 关闭按钮的点击事件
@@ -119,21 +123,585 @@ class AnalysisPanelController {
                 case 'ENHANCED_CHANNEL_DATA':
                     this.displayEnhancedChannelData(data);
                     break;
+                case 'ENHANCED_PLAYLIST_DATA':
+                    this.displayEnhancedPlaylistData(data);
+                    break;
+                case 'COMMENT_ANALYSIS_DATA':
+                    this.displayCommentAnalysis(data);
+                    break;
+                case 'COMMENT_ANALYSIS_ERROR':
+                    this.displayCommentAnalysisError(messageContent);
+                    break;
+                case 'INITIAL_RESIZE_REQUEST': // iframe 加载完成后父窗口请求初始高度
+                    this.requestPanelResize();
+                    break;
                 case 'RESIZE_PANEL_ACK': // 新增：父窗口确认调整大小
                     console.log("Analysis Panel: Parent confirmed resize.");
                     break;
                 default:
                     console.warn("Analysis Panel: Unknown message type:", type);
-                    this.displayStatus("未知数据类型。", 'error');
+                    this.displayStatus(i18n.t('panelErrorUnknownType'), 'error');
                     break;
             }
         } catch (e) {
             // 捕获任何可能的错误，防止脚本崩溃
             console.error("Analysis Panel: Critical error in handleMessage:", e);
-            this.displayStatus("处理消息时发生错误。", "error");
+            this.displayStatus(i18n.t('panelErrorHandleMessage'), "error");
             
             // 如果错误是由于上下文无效引起的，执行清理
             if (e.message && (
                 e.message.includes("Extension context invalidated") ||
                 e.message.includes("Cannot read properties of undefined") ||
-                e.message.includes
\ No newline at end of file
+                e.message.includes("Cannot read properties of null")
+            )) {
+                if (this.messageListener) {
+                    this.messageListener.remove();
+                    this.messageListener = null;
+                }
+                if (this.contextValidator) {
+                    clearInterval(this.contextValidator);
+                    this.contextValidator = null;
+                }
+            }
+        }
+    }
+
+    /**
+     * 转义HTML特殊字符，API返回的标题、标签等文本在插入前都需要转义。
+     * @param {string} text - 原始文本
+     * @returns {string} - 转义后的文本
+     */
+    escapeHtml(text) {
+        return String(text === undefined || text === null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * 按界面语言格式化数字。
+     * @param {number|string} value - 数值
+     * @returns {string} - 带千分位的数字
+     */
+    formatNumber(value) {
+        return i18n.formatNumber(parseFloat(value) || 0);
+    }
+
+    /**
+     * 生成统计项HTML。
+     * @param {string} label - 标签
+     * @param {string} value - 显示值
+     * @param {string} [colorClass] - 颜色类名，例如 'value-blue'
+     * @returns {string} - HTML字符串
+     */
+    renderStatsItem(label, value, colorClass = '') {
+        return `
+            <div class="stats-item">
+                <p class="label">${label}</p>
+                <p class="value ${colorClass}">${value}</p>
+            </div>
+        `;
+    }
+
+    /**
+     * 生成建议列表HTML。
+     * @param {Object[]} suggestions - 建议列表（消息引用）
+     * @returns {string} - HTML字符串
+     */
+    renderSuggestions(suggestions) {
+        if (!suggestions || suggestions.length === 0) {
+            return '';
+        }
+        return `<ul class="suggestion-list">${suggestions.map(item => `<li>${this.escapeHtml(i18n.translate(item))}</li>`).join('')}</ul>`;
+    }
+
+    /**
+     * 显示加载或错误状态。
+     * @param {string} message - 状态消息
+     * @param {string} type - 'loading' 或 'error'
+     */
+    displayStatus(message, type) {
+        if (!this.panelContentDiv) return;
+
+        if (type === 'loading') {
+            this.panelContentDiv.innerHTML = `
+                <div class="loading-container loading-message">
+                    <div class="loading-spinner"></div>
+                    <p>${this.escapeHtml(message || i18n.t('panelLoading'))}</p>
+                </div>
+            `;
+        } else {
+            this.panelContentDiv.innerHTML = `<p class="placeholder error-message">${this.escapeHtml(message || i18n.t('panelErrorUnknown'))}</p>`;
+        }
+        this.requestPanelResize();
+    }
+
+    /**
+     * 显示基础视频数据。
+     * @param {Object} data - 视频数据对象
+     */
+    displayVideoData(data) {
+        if (!data || !data.snippet || !data.statistics) {
+            this.displayStatus(i18n.t('panelErrorNoData'), 'error');
+            return;
+        }
+
+        const tags = data.snippet.tags || [];
+        this.panelContentDiv.innerHTML = `
+            <h3>${this.escapeHtml(data.snippet.title)}</h3>
+            <p><strong>${i18n.t('panelChannel')}</strong> ${this.escapeHtml(data.snippet.channelTitle)}</p>
+            <p><strong>${i18n.t('panelPublishedAt')}</strong> ${i18n.formatDate(data.snippet.publishedAt)}</p>
+            <div class="stats-grid">
+                ${this.renderStatsItem(i18n.t('statViews'), this.formatNumber(data.statistics.viewCount), 'value-blue')}
+                ${this.renderStatsItem(i18n.t('statLikes'), this.formatNumber(data.statistics.likeCount), 'value-green')}
+                ${this.renderStatsItem(i18n.t('statComments'), this.formatNumber(data.statistics.commentCount), 'value-orange')}
+            </div>
+            ${tags.length > 0 ? `
+                <div class="tags-container">
+                    <strong>${i18n.t('panelTags')}</strong>
+                    <div class="tags-list">${tags.map(tag => `<span class="tag-item">${this.escapeHtml(tag)}</span>`).join('')}</div>
+                </div>
+            ` : ''}
+        `;
+        this.requestPanelResize();
+    }
+
+    /**
+     * 显示基础频道数据。
+     * @param {Object} data - 频道数据对象
+     */
+    displayChannelData(data) {
+        if (!data || !data.snippet || !data.statistics) {
+            this.displayStatus(i18n.t('panelErrorNoData'), 'error');
+            return;
+        }
+
+        this.panelContentDiv.innerHTML = `
+            <h3>${this.escapeHtml(data.snippet.title)}</h3>
+            <p><strong>${i18n.t('panelCreatedAt')}</strong> ${i18n.formatDate(data.snippet.publishedAt)}</p>
+            <div class="stats-grid">
+                ${this.renderStatsItem(i18n.t('statSubscribers'), this.formatNumber(data.statistics.subscriberCount), 'value-blue')}
+                ${this.renderStatsItem(i18n.t('statTotalViews'), this.formatNumber(data.statistics.viewCount), 'value-green')}
+                ${this.renderStatsItem(i18n.t('statVideoCount'), this.formatNumber(data.statistics.videoCount), 'value-orange')}
+            </div>
+            ${data.snippet.description ? `<p>${this.escapeHtml(data.snippet.description)}</p>` : ''}
+        `;
+        this.requestPanelResize();
+    }
+
+    /**
+     * 渲染选项卡并绑定切换事件。
+     * @param {string} title - 面板标题
+     * @param {Object[]} tabs - 选项卡列表 [{ id, label, html }]
+     */
+    renderTabs(title, tabs) {
+        this.panelContentDiv.innerHTML = `
+            <h3>${this.escapeHtml(title)}</h3>
+            <div class="tab-menu">
+                ${tabs.map((tab, index) => `<button class="tab-button${index === 0 ? ' active' : ''}" data-tab="${tab.id}">${tab.label}</button>`).join('')}
+            </div>
+            ${tabs.map((tab, index) => `<div class="tab-content" data-tab="${tab.id}"${index === 0 ? '' : ' hidden'}>${tab.html}</div>`).join('')}
+        `;
+
+        this.panelContentDiv.querySelectorAll('.tab-button').forEach(button => {
+            button.addEventListener('click', () => {
+                this.panelContentDiv.querySelectorAll('.tab-button').forEach(item => {
+                    item.classList.toggle('active', item === button);
+                });
+                this.panelContentDiv.querySelectorAll('.tab-content').forEach(content => {
+                    content.hidden = content.dataset.tab !== button.dataset.tab;
+                });
+                this.requestPanelResize();
+            });
+        });
+        this.requestPanelResize();
+    }
+
+    /**
+     * 生成爆款评分的HTML，包括离群倍数和每项信号的评分说明。
+     * @param {Object|null} viral - 爆款评分结果
+     * @returns {string} - HTML字符串
+     */
+    renderViralAnalysis(viral) {
+        if (!viral) {
+            return `<p class="placeholder">${i18n.t('panelViralUnavailable')}</p>`;
+        }
+
+        return `
+            <div class="performance-dashboard">
+                <div class="stats-grid">
+                    ${this.renderStatsItem(i18n.t('statViralScore'), `${viral.score}/100`, viral.isBreakout ? 'value-orange' : 'value-blue')}
+                    ${this.renderStatsItem(i18n.t('statOutlierMultiple'), viral.outlierMultiple !== null ? `${viral.outlierMultiple.toFixed(1)}x` : '-', 'value-green')}
+                    ${this.renderStatsItem(i18n.t('statViewsPerHour'), this.formatNumber(viral.viewsPerHour), 'value-blue')}
+                </div>
+                ${viral.isBreakout ? `<p class="breakout-flag">${i18n.t('panelBreakoutFlag')}</p>` : ''}
+                <table class="viral-breakdown">
+                    <thead>
+                        <tr><th>${i18n.t('panelViralSignal')}</th><th>${i18n.t('panelViralScore')}</th><th>${i18n.t('panelViralWeight')}</th><th>${i18n.t('panelViralDetail')}</th></tr>
+                    </thead>
+                    <tbody>
+                        ${viral.breakdown.map(item => `
+                            <tr>
+                                <td>${this.escapeHtml(i18n.translate(item.label))}</td>
+                                <td>${item.score}</td>
+                                <td>${Math.round(item.weight * 100)}%</td>
+                                <td>${this.escapeHtml(i18n.translate(item.detail))}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${viral.outlierMultiple === null ? `<p>${i18n.t('panelViralNoOutlier')}</p>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * 显示完整的视频分析结果（KPI、爆款评分、标签、标题和描述分析）。
+     * @param {Object} analysis - 后台 ANALYZE_VIDEO_DATA 返回的分析结果
+     */
+    displayEnhancedVideoData(analysis) {
+        if (!analysis || !analysis.rawData || !analysis.kpis) {
+            this.displayStatus(i18n.t('panelErrorNoData'), 'error');
+            return;
+        }
+
+        const { rawData, kpis, tagAnalysis, titleAnalysis, descriptionAnalysis } = analysis;
+
+        const overviewHtml = `
+            <div class="performance-dashboard">
+                <div class="stats-grid">
+                    ${this.renderStatsItem(i18n.t('statViews'), this.formatNumber(kpis.viewCount), 'value-blue')}
+                    ${this.renderStatsItem(i18n.t('statLikes'), this.formatNumber(kpis.likeCount), 'value-green')}
+                    ${this.renderStatsItem(i18n.t('statComments'), this.formatNumber(kpis.commentCount), 'value-orange')}
+                    ${this.renderStatsItem(i18n.t('statEngagementRate'), `${kpis.engagementRate}%`, 'value-blue')}
+                    ${this.renderStatsItem(i18n.t('statDailyViews'), this.formatNumber(kpis.dailyViewCount), 'value-green')}
+                    ${this.renderStatsItem(i18n.t('statPerformanceScore'), `${kpis.performanceScore}/100`, 'value-orange')}
+                </div>
+                <p><strong>${i18n.t('panelChannel')}</strong> ${this.escapeHtml(rawData.snippet.channelTitle)} · <strong>${i18n.t('panelPublished')}</strong> ${i18n.t('panelDaysAgo', kpis.daysSincePublished)}</p>
+            </div>
+        `;
+
+        const tagsHtml = tagAnalysis && tagAnalysis.tags && tagAnalysis.tags.length > 0 ? `
+            <div class="tags-container">
+                <p><strong>${i18n.t('panelTagCount')}</strong> ${i18n.t('panelTagCountAssessment', tagAnalysis.tagCount, i18n.translate(tagAnalysis.tagQuantityAssessment))}</p>
+                <div class="tags-list">${tagAnalysis.tags.map(tag => `<span class="tag-item">${this.escapeHtml(tag)}</span>`).join('')}</div>
+                ${tagAnalysis.suggestions && tagAnalysis.suggestions.length > 0 ? `
+                    <h4>${i18n.t('panelSuggestedTags')}</h4>
+                    <div class="tags-list">${tagAnalysis.suggestions.map(tag => `<span class="tag-item">${this.escapeHtml(tag)}</span>`).join('')}</div>
+                ` : ''}
+            </div>
+        ` : `<p class="placeholder">${i18n.t('panelNoTags')}</p>`;
+
+        const contentHtml = `
+            ${titleAnalysis && !titleAnalysis.error ? `
+                <h4>${i18n.t('panelTitleScore', titleAnalysis.titleScore)}</h4>
+                <p>${this.escapeHtml(i18n.translate(titleAnalysis.lengthAssessment))}</p>
+                ${this.renderSuggestions(titleAnalysis.suggestions)}
+            ` : ''}
+            ${descriptionAnalysis ? `
+                <h4>${i18n.t('panelDescriptionScore', descriptionAnalysis.descriptionScore)}</h4>
+                ${descriptionAnalysis.lengthAssessment ? `<p>${this.escapeHtml(i18n.translate(descriptionAnalysis.lengthAssessment))}</p>` : ''}
+                ${this.renderSuggestions(descriptionAnalysis.suggestions)}
+            ` : ''}
+        `;
+
+        this.renderTabs(rawData.snippet.title, [
+            { id: 'overview', label: i18n.t('tabOverview'), html: overviewHtml },
+            { id: 'viral', label: i18n.t('tabViral'), html: this.renderViralAnalysis(analysis.viralAnalysis) },
+            { id: 'tags', label: i18n.t('tabTags'), html: tagsHtml },
+            { id: 'content', label: i18n.t('tabContent'), html: contentHtml },
+            { id: 'comments', label: i18n.t('tabComments'), html: analysis.commentAnalysis
+                ? this.renderCommentAnalysis(analysis.commentAnalysis)
+                : this.renderCommentLoader() }
+        ]);
+        this.bindCommentLoader(rawData.id, rawData.snippet.channelId);
+    }
+
+    /**
+     * 生成按需加载评论分析的提示和按钮。自动分析和关闭评论收集时，分析结果不包含评论。
+     * @returns {string} - HTML字符串
+     */
+    renderCommentLoader() {
+        return `
+            <p class="placeholder">${i18n.t('panelCommentsNotLoaded')}</p>
+            <div class="comment-loader">
+                <button class="load-comments-button" type="button">${i18n.t('panelLoadComments')}</button>
+            </div>
+        `;
+    }
+
+    /**
+     * 为评论选项卡中的加载按钮绑定事件，点击后请求父窗口分析评论。
+     * @param {string} videoId - 视频ID
+     * @param {string} channelId - 视频所属频道，用于判断哪些提问已由作者回答
+     */
+    bindCommentLoader(videoId, channelId) {
+        const button = this.panelContentDiv.querySelector('.load-comments-button');
+        if (!button) return;
+
+        button.addEventListener('click', () => {
+            button.disabled = true;
+            button.textContent = i18n.t('panelLoadingComments');
+            contextUtils.safePostMessage(window.parent, { type: 'LOAD_COMMENT_ANALYSIS', videoId, channelId }, '*');
+        });
+    }
+
+    /**
+     * 用按需加载的评论分析替换评论选项卡的内容。
+     * @param {Object} commentAnalysis - analyzeComments 的结果
+     */
+    displayCommentAnalysis(commentAnalysis) {
+        const tab = this.panelContentDiv.querySelector('.tab-content[data-tab="comments"]');
+        if (!tab) return;
+        tab.innerHTML = this.renderCommentAnalysis(commentAnalysis);
+        this.requestPanelResize();
+    }
+
+    /**
+     * 评论加载失败时显示错误，并恢复加载按钮以便重试。
+     * @param {string} message - 错误信息
+     */
+    displayCommentAnalysisError(message) {
+        const tab = this.panelContentDiv.querySelector('.tab-content[data-tab="comments"]');
+        const button = tab && tab.querySelector('.load-comments-button');
+        if (!button) return;
+
+        tab.querySelector('.placeholder').textContent = i18n.t('panelCommentsFailed', message);
+        button.disabled = false;
+        button.textContent = i18n.t('panelLoadComments');
+        this.requestPanelResize();
+    }
+
+    /**
+     * 生成评论分析的HTML：热门话题和未回答的提问，均附带示例评论。
+     * @param {Object|null} commentAnalysis - analyzeComments 的结果
+     * @returns {string} - HTML字符串
+     */
+    renderCommentAnalysis(commentAnalysis) {
+        if (!commentAnalysis || commentAnalysis.commentCount === 0) {
+            return `<p class="placeholder">${i18n.t('panelNoComments')}</p>`;
+        }
+
+        const renderComment = comment => `
+            <li>
+                <span class="comment-text">${this.escapeHtml(comment.text)}</span>
+                <span class="comment-meta">${this.escapeHtml(comment.author)} · 👍 ${this.formatNumber(comment.likeCount)}</span>
+            </li>
+        `;
+        const { topics, questions } = commentAnalysis;
+
+        const topicsHtml = topics.length > 0 ? topics.map(topic => `
+            <div class="comment-topic">
+                <p>
+                    <strong>${topic.keywords.map(keyword => this.escapeHtml(keyword)).join(' · ')}</strong>
+                    <span class="comment-meta">${i18n.t('panelTopicMeta', topic.commentCount, topic.share)} · 👍 ${this.formatNumber(topic.likeCount)}</span>
+                </p>
+                <ul class="comment-list">${topic.samples.map(renderComment).join('')}</ul>
+            </div>
+        `).join('') : `<p class="placeholder">${i18n.t('panelNoTopics')}</p>`;
+
+        return `
+            <p>${i18n.t('panelCommentBasis', commentAnalysis.commentCount)}</p>
+            <h4>${i18n.t('panelTopTopics')}</h4>
+            ${topicsHtml}
+            <h4>${i18n.t('panelUnansweredQuestions', questions.unansweredCount, questions.total)}</h4>
+            ${questions.items.length > 0
+                ? `<ul class="comment-list">${questions.items.map(renderComment).join('')}</ul>`
+                : `<p class="placeholder">${i18n.t('panelNoUnansweredQuestions')}</p>`}
+        `;
+    }
+
+    /**
+     * 显示完整的频道分析结果。
+     * @param {Object} analysis - 频道分析结果 { rawData, kpis }
+     */
+    displayEnhancedChannelData(analysis) {
+        if (!analysis || !analysis.rawData || !analysis.kpis) {
+            this.displayStatus(i18n.t('panelErrorNoData'), 'error');
+            return;
+        }
+
+        const { rawData, kpis } = analysis;
+        const overviewHtml = `
+            <div class="channel-dashboard">
+                <div class="stats-grid">
+                    ${this.renderStatsItem(i18n.t('statSubscribers'), this.formatNumber(kpis.subscriberCount), 'value-blue')}
+                    ${this.renderStatsItem(i18n.t('statTotalViews'), this.formatNumber(kpis.viewCount), 'value-green')}
+                    ${this.renderStatsItem(i18n.t('statVideoCount'), this.formatNumber(kpis.videoCount), 'value-orange')}
+                    ${this.renderStatsItem(i18n.t('statViewsPerVideo'), this.formatNumber(Math.round(kpis.viewsPerVideo)), 'value-blue')}
+                    ${this.renderStatsItem(i18n.t('statVideosPerMonth'), kpis.videosPerMonth, 'value-green')}
+                    ${this.renderStatsItem(i18n.t('statChannelScore'), `${kpis.channelScore}/100`, 'value-orange')}
+                </div>
+                <p><strong>${i18n.t('panelCreatedOn')}</strong> ${i18n.t('panelCreatedYearsAgo', i18n.formatDate(rawData.snippet.publishedAt), kpis.yearsSinceCreated)}</p>
+            </div>
+        `;
+
+        const tabs = [{ id: 'overview', label: i18n.t('tabOverview'), html: overviewHtml }];
+        if (kpis.uploadStats) {
+            tabs.push({ id: 'uploads', label: i18n.t('tabUploads'), html: this.renderUploadStats(kpis.uploadStats) });
+        }
+        this.renderTabs(rawData.snippet.title, tabs);
+    }
+
+    /**
+     * 生成频道上传统计的HTML：上传频率、观看量分布、表现最好和最差的视频。
+     * @param {Object} uploadStats - calculateChannelKPIs 返回的 uploadStats
+     * @returns {string} - HTML字符串
+     */
+    renderUploadStats(uploadStats) {
+        const maxBucket = Math.max(1, ...uploadStats.viewDistribution.map(bucket => bucket.count));
+        const renderVideoList = videos => `
+            <table class="viral-breakdown">
+                <tbody>
+                    ${videos.map(video => `
+                        <tr>
+                            <td><a href="https://www.youtube.com/watch?v=${encodeURIComponent(video.id)}" target="_blank">${this.escapeHtml(video.title)}</a></td>
+                            <td>${this.formatNumber(video.viewCount)}</td>
+                            <td>${video.viewsVsMedian !== null ? `${video.viewsVsMedian.toFixed(1)}x` : '-'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        return `
+            <div class="channel-dashboard">
+                <div class="stats-grid">
+                    ${this.renderStatsItem(i18n.t('statMedianViews'), this.formatNumber(uploadStats.medianViews), 'value-blue')}
+                    ${this.renderStatsItem(i18n.t('statAverageViews'), this.formatNumber(uploadStats.averageViews), 'value-green')}
+                    ${this.renderStatsItem(i18n.t('statVideosPerMonth'), uploadStats.uploadsPerMonth !== null ? uploadStats.uploadsPerMonth : '-', 'value-orange')}
+                    ${this.renderStatsItem(i18n.t('statMedianUploadInterval'), uploadStats.medianDaysBetweenUploads !== null ? i18n.t('unitDays', uploadStats.medianDaysBetweenUploads) : '-', 'value-blue')}
+                    ${this.renderStatsItem(i18n.t('statSinceLastUpload'), i18n.t('unitDays', uploadStats.daysSinceLastUpload), 'value-green')}
+                    ${this.renderStatsItem(i18n.t('statAnalyzedVideos'), uploadStats.analyzedCount, 'value-orange')}
+                </div>
+                <h4>${i18n.t('panelViewDistribution')}</h4>
+                <div class="view-distribution">
+                    ${uploadStats.viewDistribution.map(bucket => `
+                        <div class="distribution-row">
+                            <span class="distribution-label">${bucket.label}</span>
+                            <span class="distribution-bar" style="width: ${Math.round(bucket.count / maxBucket * 100)}%"></span>
+                            <span class="distribution-count">${bucket.count}</span>
+                        </div>
+                    `).join('')}
+                </div>
+                <h4>${i18n.t('panelBestPerformers')}</h4>
+                ${renderVideoList(uploadStats.bestPerformers)}
+                <h4>${i18n.t('panelWorstPerformers')}</h4>
+                ${renderVideoList(uploadStats.worstPerformers)}
+            </div>
+        `;
+    }
+
+    /**
+     * 显示播放列表分析结果：观看量汇总、按播放顺序的观看衰减和表现最好的视频。
+     * @param {Object} analysis - 后台 ANALYZE_PLAYLIST 返回的分析结果 { rawData, kpis }
+     */
+    displayEnhancedPlaylistData(analysis) {
+        if (!analysis || !analysis.rawData || !analysis.kpis) {
+            this.displayStatus(i18n.t('panelErrorNoData'), 'error');
+            return;
+        }
+
+        const { rawData, kpis } = analysis;
+        const overviewHtml = `
+            <div class="channel-dashboard">
+                <div class="stats-grid">
+                    ${this.renderStatsItem(i18n.t('statTotalViews'), this.formatNumber(kpis.totalViews), 'value-blue')}
+                    ${this.renderStatsItem(i18n.t('statMedianViews'), this.formatNumber(kpis.medianViews), 'value-green')}
+                    ${this.renderStatsItem(i18n.t('statAverageViews'), this.formatNumber(kpis.averageViews), 'value-orange')}
+                    ${this.renderStatsItem(i18n.t('statVideoCount'), this.formatNumber(kpis.itemCount), 'value-blue')}
+                    ${this.renderStatsItem(i18n.t('statEngagementRate'), `${kpis.engagementRate}%`, 'value-green')}
+                    ${this.renderStatsItem(i18n.t('statLastRetention'), kpis.dropOff ? `${kpis.dropOff.lastRetention}%` : '-', 'value-orange')}
+                </div>
+                <p><strong>${i18n.t('panelChannel')}</strong> ${this.escapeHtml(rawData.snippet.channelTitle)}</p>
+                ${kpis.unavailableCount > 0 ? `<p>${i18n.t('panelUnavailableVideos', kpis.unavailableCount)}</p>` : ''}
+            </div>
+        `;
+
+        const tabs = [{ id: 'overview', label: i18n.t('tabOverview'), html: overviewHtml }];
+        if (kpis.dropOff) {
+            tabs.push({ id: 'dropoff', label: i18n.t('tabDropOff'), html: this.renderPlaylistDropOff(kpis.dropOff) });
+        }
+        if (kpis.bestPerformers.length > 0) {
+            tabs.push({
+                id: 'best',
+                label: i18n.t('tabBestPerformers'),
+                html: `
+                    <table class="viral-breakdown">
+                        <thead>
+                            <tr><th>#</th><th>${i18n.t('panelColumnVideo')}</th><th>${i18n.t('statViews')}</th><th>${i18n.t('panelColumnVsMedian')}</th></tr>
+                        </thead>
+                        <tbody>
+                            ${kpis.bestPerformers.map(video => `
+                                <tr>
+                                    <td>${video.position}</td>
+                                    <td><a href="https://www.youtube.com/watch?v=${encodeURIComponent(video.id)}" target="_blank">${this.escapeHtml(video.title)}</a></td>
+                                    <td>${this.formatNumber(video.viewCount)}</td>
+                                    <td>${video.viewsVsMedian !== null ? `${video.viewsVsMedian.toFixed(1)}x` : '-'}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `
+            });
+        }
+        this.renderTabs(rawData.snippet.title, tabs);
+    }
+
+    /**
+     * 生成播放列表观看衰减的HTML：每个视频相对第一个视频的留存率。
+     * @param {Object} dropOff - calculatePlaylistKPIs 返回的 dropOff
+     * @returns {string} - HTML字符串
+     */
+    renderPlaylistDropOff(dropOff) {
+        const { series } = dropOff;
+        const step = Math.max(1, Math.ceil(series.length / DROP_OFF_ROWS));
+        const rows = series.filter((point, index) => index % step === 0 || index === series.length - 1);
+        const maxRetention = Math.max(1, ...rows.map(point => point.retention || 0));
+
+        return `
+            <div class="channel-dashboard">
+                <div class="stats-grid">
+                    ${this.renderStatsItem(i18n.t('statSecondRetention'), `${dropOff.secondRetention}%`, 'value-blue')}
+                    ${this.renderStatsItem(i18n.t('statMedianStepRetention'), dropOff.medianStepRetention !== null ? `${dropOff.medianStepRetention}%` : '-', 'value-green')}
+                    ${this.renderStatsItem(i18n.t('statHalfLife'), dropOff.halfLifePosition !== null ? i18n.t('panelEpisode', dropOff.halfLifePosition) : i18n.t('panelNotHalved'), 'value-orange')}
+                </div>
+                <p>${i18n.t('panelRetentionNote')}${step > 1 ? i18n.t('panelRetentionSampled', step) : ''}</p>
+                <div class="view-distribution">
+                    ${rows.map(point => `
+                        <div class="distribution-row" title="${this.escapeHtml(point.title)}">
+                            <span class="distribution-label">${i18n.t('panelEpisode', point.position)}</span>
+                            <span class="distribution-bar" style="width: ${Math.round((point.retention || 0) / maxRetention * 100)}%"></span>
+                            <span class="distribution-count">${point.retention !== null ? `${point.retention}%` : '-'} · ${this.formatNumber(point.viewCount)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * 请求父窗口关闭面板。
+     */
+    closePanel() {
+        contextUtils.safePostMessage(window.parent, { type: 'CLOSE_PANEL' }, '*');
+    }
+
+    /**
+     * 根据当前内容高度请求父窗口调整 iframe 大小。
+     */
+    requestPanelResize() {
+        const container = document.querySelector('.panel-container');
+        if (!container || !this.panelContentDiv) return;
+
+        // 面板内容高度加上容器的内边距和关闭按钮的空间
+        const height = Math.ceil(this.panelContentDiv.scrollHeight + container.offsetHeight - this.panelContentDiv.clientHeight);
+        contextUtils.safePostMessage(window.parent, { type: 'RESIZE_PANEL', height }, '*');
+    }
+}
+
+// 实例化控制器，界面语言加载后翻译页面中的静态文字
+i18n.init().then(() => i18n.localizePage());
+new AnalysisPanelController();
@@ -1,4 +1,13 @@
 // popup/popup.js
+import urlResolver from '../libs/url-resolver.js';
+import chartUtils from '../libs/chart-utils.js';
+import i18n from '../libs/i18n.js';
+
+// 多地区比较默认选中的地区
+const DEFAULT_COMPARE_REGIONS = ['US', 'GB', 'JP', 'IN', 'DE'];
+
+// 多地区比较中显示的同时上榜视频数量
+const SHARED_VIDEOS_SHOWN = 10;
 
 /**
  * PopupController类管理Popup页面的UI交互和与background script的通信。
@@ -11,12 +20,38 @@ class PopupController {
             currentVideoData: document.getElementById('currentVideoData'),
             regionSelect: document.getElementById('regionSelect'),
             categorySelect: document.getElementById('categorySelect'),
+            trendingCountSelect: document.getElementById('trendingCountSelect'),
             loadTrendingVideosButton: document.getElementById('loadTrendingVideosButton'),
+            trendingStatus: document.getElementById('trendingStatus'),
             trendingVideosList: document.getElementById('trendingVideosList'),
-            openOptionsButton: document.getElementById('openOptionsButton')
+            trendingDateSelect: document.getElementById('trendingDateSelect'),
+            archiveChartButton: document.getElementById('archiveChartButton'),
+            scoreViralButton: document.getElementById('scoreViralButton'),
+            toggleRegionCompareButton: document.getElementById('toggleRegionCompareButton'),
+            regionComparePanel: document.getElementById('regionComparePanel'),
+            regionChecklist: document.getElementById('regionChecklist'),
+            compareRegionsButton: document.getElementById('compareRegionsButton'),
+            regionCompareStatus: document.getElementById('regionCompareStatus'),
+            regionCompareResults: document.getElementById('regionCompareResults'),
+            openOptionsButton: document.getElementById('openOptionsButton'),
+            openTrendsButton: document.getElementById('openTrendsButton'),
+            openCompareButton: document.getElementById('openCompareButton'),
+            openKeywordsButton: document.getElementById('openKeywordsButton'),
+            quotaStatus: document.getElementById('quotaStatus'),
+            quotaBarFill: document.getElementById('quotaBarFill')
         };
+        this.trendingProgressId = null; // 当前趋势视频请求的进度ID
+        this.harvestProgressId = null; // 当前评论收集请求的进度ID
+        this.isChartArchived = false; // 当前选择的榜单是否在定时归档
+        this.regions = null; // API返回的地区列表，名称按语言设置本地化
+        this.regionCompareProgressId = null; // 当前多地区比较请求的进度ID
+        this.scorableVideoIds = []; // 当前实时榜单中可以计算爆款评分的视频ID
         this.initEventListeners(); // 初始化事件监听器
         this.checkAPIKeyStatus(); // 检查API密钥设置状态
+        this.updateQuotaStatus(); // 显示今日配额使用情况
+        this.loadRegions(); // 从API加载地区列表
+        this.loadCategories(); // 从API加载默认地区的类别
+        this.refreshArchiveControls(); // 加载当前榜单的归档日期
     }
 
     /**
@@ -25,7 +60,39 @@ class PopupController {
     initEventListeners() {
         this.elements.analyzeCurrentVideoButton.addEventListener('click', () => this.analyzeCurrentVideo());
         this.elements.loadTrendingVideosButton.addEventListener('click', () => this.loadTrendingVideos());
+        this.elements.regionSelect.addEventListener('change', () => this.handleRegionChange());
+        this.elements.categorySelect.addEventListener('change', () => this.refreshArchiveControls());
+        this.elements.trendingDateSelect.addEventListener('change', () => this.loadTrendingVideos());
+        this.elements.archiveChartButton.addEventListener('click', () => this.toggleChartArchive());
+        this.elements.scoreViralButton.addEventListener('click', () => this.scoreTrendingVideos());
+        this.elements.toggleRegionCompareButton.addEventListener('click', () => this.toggleRegionCompare());
+        this.elements.compareRegionsButton.addEventListener('click', () => this.compareRegions());
         this.elements.openOptionsButton.addEventListener('click', () => this.openOptionsPage());
+        this.elements.openTrendsButton.addEventListener('click', () => this.openTrendsPage());
+        this.elements.openCompareButton.addEventListener('click', () => this.openComparePage());
+        this.elements.openKeywordsButton.addEventListener('click', () => this.openKeywordsPage());
+        chrome.runtime.onMessage.addListener(message => this.handleProgressMessage(message));
+    }
+
+    /**
+     * 显示后台分页加载的进度。
+     * @param {object} message - 后台发送的 PAGINATION_PROGRESS 消息
+     */
+    handleProgressMessage(message) {
+        if (!message || message.type !== 'PAGINATION_PROGRESS' || !message.progressId) {
+            return;
+        }
+        if (message.progressId === this.trendingProgressId) {
+            const total = message.limit || message.totalResults;
+            this.updateStatus(total ? i18n.t('popupTrendingProgressTotal', message.loaded, total) : i18n.t('popupTrendingProgress', message.loaded), 'loading', this.elements.trendingStatus);
+        } else if (message.progressId === this.regionCompareProgressId) {
+            this.updateStatus(i18n.t('popupRegionCompareProgress', message.loaded, message.total), 'loading', this.elements.regionCompareStatus);
+        } else if (message.progressId === this.harvestProgressId) {
+            const status = this.elements.currentVideoData.querySelector('#harvestCommentsStatus');
+            if (status) {
+                this.updateStatus(i18n.t('popupHarvestProgress', message.threads, message.replies), 'loading', status);
+            }
+        }
     }
 
     /**
@@ -36,36 +103,37 @@ class PopupController {
             // 使用防御性编程，确保storage API调用成功
             let result;
             try {
-                result = await chrome.storage.sync.get('youtubeApiKey');
+                result = await chrome.storage.sync.get(['youtubeApiKeys', 'youtubeApiKey']);
                 // 确保result是一个有效对象
                 if (!result) {
-                    throw new Error("无法访问存储API");
+                    throw new Error(i18n.t('popupErrorStorageUnavailable'));
                 }
             } catch (storageError) {
                 console.error("Storage access error:", storageError);
-                this.updateStatus('访问存储API时发生错误，请重试。', 'error', this.elements.currentVideoStatus);
-                this.updateStatus('访问存储API时发生错误，请重试。', 'error', this.elements.trendingVideosList);
+                this.updateStatus(i18n.t('popupErrorStorage'), 'error', this.elements.currentVideoStatus);
+                this.updateStatus(i18n.t('popupErrorStorage'), 'error', this.elements.trendingStatus);
                 this.elements.analyzeCurrentVideoButton.disabled = true;
                 this.elements.loadTrendingVideosButton.disabled = true;
                 return;
             }
             
-            const apiKey = result.youtubeApiKey;
-            if (!apiKey) {
-                this.updateStatus('请在设置中输入您的YouTube API密钥。', 'error', this.elements.currentVideoStatus);
-                this.updateStatus('请在设置中输入您的YouTube API密钥。', 'error', this.elements.trendingVideosList);
+            // 兼容尚未迁移到密钥列表的旧设置
+            const hasApiKey = (Array.isArray(result.youtubeApiKeys) && result.youtubeApiKeys.length > 0) || !!result.youtubeApiKey;
+            if (!hasApiKey) {
+                this.updateStatus(i18n.t('popupErrorNoApiKey'), 'error', this.elements.currentVideoStatus);
+                this.updateStatus(i18n.t('popupErrorNoApiKey'), 'error', this.elements.trendingStatus);
                 this.elements.analyzeCurrentVideoButton.disabled = true;
                 this.elements.loadTrendingVideosButton.disabled = true;
             } else {
                 this.elements.analyzeCurrentVideoButton.disabled = false;
                 this.elements.loadTrendingVideosButton.disabled = false;
                 this.updateStatus('', 'success', this.elements.currentVideoStatus); // 清除提示
-                this.updateStatus('', 'success', this.elements.trendingVideosList); // 清除提示
+                this.updateStatus('', 'success', this.elements.trendingStatus); // 清除提示
             }
         } catch (error) {
             console.error("Error checking API key status:", error);
-            this.updateStatus('检查API密钥时发生错误。', 'error', this.elements.currentVideoStatus);
-            this.updateStatus('检查API密钥时发生错误。', 'error', this.elements.trendingVideosList);
+            this.updateStatus(i18n.t('popupErrorCheckApiKey'), 'error', this.elements.currentVideoStatus);
+            this.updateStatus(i18n.t('popupErrorCheckApiKey'), 'error', this.elements.trendingStatus);
         }
     }
 
@@ -80,6 +148,30 @@ class PopupController {
         targetElement.className = `status-message ${type}-message`;
     }
 
+    /**
+     * 获取并显示今日API配额使用情况。
+     */
+    async updateQuotaStatus() {
+        try {
+            const response = await this.sendMessageWithRetry({ type: 'GET_QUOTA_STATUS' });
+            if (!response || !response.success) {
+                throw new Error(i18n.describeError(response));
+            }
+
+            const quota = response.data;
+            const resetTime = new Date(quota.resetsAt).toLocaleTimeString(i18n.language, { hour: '2-digit', minute: '2-digit' });
+            this.elements.quotaStatus.textContent = i18n.t('popupQuotaStatus', quota.used, quota.budget, resetTime);
+            this.elements.quotaStatus.title = quota.lowPriorityLimited
+                ? i18n.t('popupQuotaLimited')
+                : i18n.t('popupQuotaRemaining', quota.remaining);
+            this.elements.quotaBarFill.style.width = `${quota.percentUsed}%`;
+            this.elements.quotaBarFill.className = `quota-bar-fill${quota.lowPriorityLimited ? ' quota-bar-warning' : ''}`;
+        } catch (error) {
+            console.warn("Error loading quota status:", error);
+            this.elements.quotaStatus.textContent = i18n.t('popupQuotaUnavailable');
+        }
+    }
+
     /**
      * 重试发送消息到后台脚本，处理"接收端不存在"错误
      * @param {Object} message - 要发送的消息对象
@@ -102,7 +194,7 @@ class PopupController {
                 
                 // 检查扩展上下文是否有效
                 if (!chrome || !chrome.runtime) {
-                    throw new Error("扩展上下文无效，请重新加载扩展");
+                    throw new Error(i18n.t('popupErrorInvalidContext'));
                 }
                 
                 const response = await chrome.runtime.sendMessage(messageWithTimestamp);
@@ -110,7 +202,7 @@ class PopupController {
                 
                 // 如果响应是undefined，可能是后台脚本没有正确响应
                 if (response === undefined) {
-                    throw new Error("未收到后台响应，可能是服务未准备好");
+                    throw new Error(i18n.t('popupErrorNoResponse'));
                 }
                 
                 return response;
@@ -141,28 +233,20 @@ class PopupController {
     }
 
     /**
-     * 分析当前活动标签页的YouTube视频数据。
+     * 分析当前活动标签页的YouTube视频（包括Shorts和直播）、频道或播放列表数据。
      */
     async analyzeCurrentVideo() {
-        this.updateStatus('正在获取视频数据...', 'loading', this.elements.currentVideoStatus);
+        this.updateStatus(i18n.t('popupFetchingData'), 'loading', this.elements.currentVideoStatus);
         this.elements.analyzeCurrentVideoButton.disabled = true;
-        this.elements.currentVideoData.innerHTML = `<p class="placeholder">正在加载...</p>`;
+        this.elements.currentVideoData.innerHTML = `<p class="placeholder">${i18n.t('popupLoading')}</p>`;
 
         try {
             // 获取当前活动标签页
             const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-            if (!tab || !tab.url || !tab.url.startsWith('https://www.youtube.com/watch')) { // 已更正
-                this.updateStatus('当前不是YouTube视频页面。', 'error', this.elements.currentVideoStatus);
-                this.elements.currentVideoData.innerHTML = `<p class="placeholder">请在YouTube视频页面上使用此功能。</p>`;
-                return;
-            }
-
-            const urlParams = new URLSearchParams(new URL(tab.url).search);
-            const videoId = urlParams.get('v');
-
-            if (!videoId) {
-                this.updateStatus('无法获取视频ID。', 'error', this.elements.currentVideoStatus);
-                this.elements.currentVideoData.innerHTML = `<p class="placeholder">无法识别视频ID。</p>`;
+            const target = tab && tab.url ? urlResolver.parse(tab.url) : null;
+            if (!target) {
+                this.updateStatus(i18n.t('popupErrorNotYouTubePage'), 'error', this.elements.currentVideoStatus);
+                this.elements.currentVideoData.innerHTML = `<p class="placeholder">${i18n.t('popupUseOnYouTubePage')}</p>`;
                 return;
             }
 
@@ -170,16 +254,22 @@ class PopupController {
             let response;
             try {
                 // 使用重试机制向background script发送消息请求视频数据
-                this.updateStatus('正在连接到后台服务...', 'loading', this.elements.currentVideoStatus);
+                this.updateStatus(i18n.t('popupConnecting'), 'loading', this.elements.currentVideoStatus);
                 
-                response = await this.sendMessageWithRetry({
-                    type: 'GET_VIDEO_DATA',
-                    videoId: videoId
-                });
+                // 频道的 @handle 和自定义链接由后台解析为频道ID
+                let request;
+                if (target.type === 'video') {
+                    request = { type: 'GET_VIDEO_DATA', videoId: target.videoId };
+                } else if (target.type === 'playlist') {
+                    request = { type: 'GET_PLAYLIST_DATA', playlistId: target.playlistId };
+                } else {
+                    request = { type: 'GET_CHANNEL_DATA', channelId: tab.url };
+                }
+                response = await this.sendMessageWithRetry(request);
                 
                 // 检查response是否为undefined
                 if (response === undefined) {
-                    throw new Error("未收到后台服务响应，请确保扩展正常运行");
+                    throw new Error(i18n.t('popupErrorNoServiceResponse'));
                 }
             } catch (messageError) {
                 console.error("Message sending error:", messageError);
@@ -188,28 +278,35 @@ class PopupController {
                 // 提供更友好的错误消息，特别是针对连接问题
                 let errorMessage = messageError.message;
                 if (messageError.message.includes("Receiving end does not exist")) {
-                    errorMessage = "无法连接到后台服务，请尝试重新加载扩展或刷新页面";
+                    errorMessage = i18n.t('popupErrorServiceUnreachable');
                 }
                 
-                this.updateStatus(`通信错误: ${errorMessage}`, 'error', this.elements.currentVideoStatus);
+                this.updateStatus(i18n.t('errorCommunication', errorMessage), 'error', this.elements.currentVideoStatus);
                 return;
             }
 
             // 安全地检查response属性
-            if (response && response.success) {
+            if (response && response.success && target.type === 'channel') {
+                this.displayChannelData(response.data);
+                this.updateStatus(i18n.t('popupChannelDataLoaded'), 'success', this.elements.currentVideoStatus);
+            } else if (response && response.success && target.type === 'playlist') {
+                this.displayPlaylistData(response.data);
+                this.updateStatus(i18n.t('popupPlaylistDataLoaded'), 'success', this.elements.currentVideoStatus);
+            } else if (response && response.success) {
                 this.displayVideoData(response.data);
-                this.updateStatus('视频数据加载成功！', 'success', this.elements.currentVideoStatus);
+                this.updateStatus(i18n.t('popupVideoDataLoaded'), 'success', this.elements.currentVideoStatus);
             } else {
                 this.displayVideoData(null); // 清空数据
-                const errorMsg = response && response.error ? response.error : '未知错误';
-                this.updateStatus(`错误: ${errorMsg}`, 'error', this.elements.currentVideoStatus);
+                const errorMsg = i18n.describeError(response);
+                this.updateStatus(i18n.t('errorGeneric', errorMsg), 'error', this.elements.currentVideoStatus);
             }
         } catch (error) {
             console.error("Error analyzing current video:", error);
             this.displayVideoData(null); // 清空数据
-            this.updateStatus(`通信错误: ${error.message}`, 'error', this.elements.currentVideoStatus);
+            this.updateStatus(i18n.t('errorCommunication', error.message), 'error', this.elements.currentVideoStatus);
         } finally {
             this.elements.analyzeCurrentVideoButton.disabled = false;
+            this.updateQuotaStatus();
         }
     }
 
@@ -220,22 +317,22 @@ class PopupController {
     displayVideoData(data) {
         const videoDataContainer = this.elements.currentVideoData;
         if (!data || !data.snippet || !data.statistics) {
-            videoDataContainer.innerHTML = `<p class="placeholder">无数据或数据格式不正确。</p>`;
+            videoDataContainer.innerHTML = `<p class="placeholder">${i18n.t('popupErrorNoData')}</p>`;
             return;
         }
 
         const title = data.snippet.title;
         const channelTitle = data.snippet.channelTitle;
-        const publishedAt = new Date(data.snippet.publishedAt).toLocaleDateString();
-        const viewCount = parseInt(data.statistics.viewCount || 0).toLocaleString();
-        const likeCount = parseInt(data.statistics.likeCount || 0).toLocaleString();
-        const commentCount = parseInt(data.statistics.commentCount || 0).toLocaleString();
+        const publishedAt = i18n.formatDate(data.snippet.publishedAt);
+        const viewCount = i18n.formatNumber(parseInt(data.statistics.viewCount || 0));
+        const likeCount = i18n.formatNumber(parseInt(data.statistics.likeCount || 0));
+        const commentCount = i18n.formatNumber(parseInt(data.statistics.commentCount || 0));
 
         let tagsHtml = '';
         if (data.snippet.tags && data.snippet.tags.length > 0) {
             tagsHtml = `
                 <div style="margin-top: 10px;">
-                    <strong>标签:</strong>
+                    <strong>${i18n.t('panelTags')}</strong>
                     <div style="display: flex; flex-wrap: wrap; gap: 5px; margin-top: 5px;">
                         ${data.snippet.tags.map(tag => `<span style="background-color: #e0e0e0; padding: 3px 6px; border-radius: 3px; font-size: 11px;">${tag}</span>`).join('')}
                     </div>
@@ -245,53 +342,207 @@ class PopupController {
 
         videoDataContainer.innerHTML = `
             <h3>${title}</h3>
-            <p><strong>频道:</strong> ${channelTitle}</p>
-            <p><strong>发布日期:</strong> ${publishedAt}</p>
+            <p><strong>${i18n.t('panelChannel')}</strong> ${channelTitle}</p>
+            <p><strong>${i18n.t('panelPublishedAt')}</strong> ${publishedAt}</p>
             <div style="display: flex; justify-content: space-around; margin: 10px 0; padding: 8px; background-color: #f0f0f0; border-radius: 5px;">
                 <div style="text-align: center;">
-                    <p style="font-size: 12px; margin: 0;">观看量</p>
+                    <p style="font-size: 12px; margin: 0;">${i18n.t('statViews')}</p>
                     <p style="font-weight: bold; font-size: 15px; color: #065fd4;">${viewCount}</p>
                 </div>
                 <div style="text-align: center;">
-                    <p style="font-size: 12px; margin: 0;">点赞数</p>
+                    <p style="font-size: 12px; margin: 0;">${i18n.t('statLikes')}</p>
                     <p style="font-weight: bold; font-size: 15px; color: #27ae60;">${likeCount}</p>
                 </div>
                 <div style="text-align: center;">
-                    <p style="font-size: 12px; margin: 0;">评论数</p>
+                    <p style="font-size: 12px; margin: 0;">${i18n.t('statComments')}</p>
                     <p style="font-weight: bold; font-size: 15px; color: #f39c12;">${commentCount}</p>
                 </div>
             </div>
             ${tagsHtml}
+            <div class="flex-row" style="margin-top: 10px;">
+                <button id="trackVideoButton" class="btn btn-secondary">${i18n.t('popupTrackButton')}</button>
+                <span id="trackVideoStatus" class="status-message"></span>
+            </div>
+            <div class="flex-row">
+                <button id="harvestCommentsButton" class="btn btn-secondary">${i18n.t('popupHarvestButton')}</button>
+                <span id="harvestCommentsStatus" class="status-message"></span>
+            </div>
+        `;
+        videoDataContainer.querySelector('#trackVideoButton').addEventListener('click', () => this.trackTarget('video', data.id));
+        videoDataContainer.querySelector('#harvestCommentsButton').addEventListener('click', () => this.harvestComments(data.id));
+    }
+
+    /**
+     * 收集视频的全部评论和回复，保存到本地供后续分析使用。需要在设置中开启“收集评论”。
+     * @param {string} videoId - 视频ID
+     */
+    async harvestComments(videoId) {
+        const button = this.elements.currentVideoData.querySelector('#harvestCommentsButton');
+        const status = this.elements.currentVideoData.querySelector('#harvestCommentsStatus');
+        button.disabled = true;
+        this.harvestProgressId = `harvest-${Date.now()}`;
+        this.updateStatus(i18n.t('popupHarvesting'), 'loading', status);
+        try {
+            const response = await this.sendMessageWithRetry({
+                type: 'HARVEST_COMMENTS',
+                videoId: videoId,
+                progressId: this.harvestProgressId
+            });
+            if (response && response.success) {
+                const result = response.data;
+                const message = i18n.t('popupHarvested', result.threads, result.replies);
+                this.updateStatus(result.complete ? message : i18n.t('popupHarvestIncomplete', message, i18n.translate(result.error)), result.complete ? 'success' : 'error', status);
+            } else {
+                const errorMsg = i18n.describeError(response);
+                this.updateStatus(i18n.t('popupHarvestFailed', errorMsg), 'error', status);
+            }
+        } catch (error) {
+            console.error("Error harvesting comments:", error);
+            this.updateStatus(i18n.t('errorCommunication', error.message), 'error', status);
+        } finally {
+            this.harvestProgressId = null;
+            button.disabled = false;
+            this.updateQuotaStatus();
+        }
+    }
+
+    /**
+     * 在Popup中显示频道数据。
+     * @param {object} data - 频道数据对象
+     */
+    displayChannelData(data) {
+        const container = this.elements.currentVideoData;
+        if (!data || !data.snippet || !data.statistics) {
+            container.innerHTML = `<p class="placeholder">${i18n.t('popupErrorNoData')}</p>`;
+            return;
+        }
+
+        const stats = data.statistics;
+        const subscriberCount = stats.hiddenSubscriberCount ? i18n.t('popupSubscribersHidden') : i18n.formatNumber(parseInt(stats.subscriberCount || 0));
+        container.innerHTML = `
+            <h3></h3>
+            <p><strong>${i18n.t('panelCreatedAt')}</strong> ${i18n.formatDate(data.snippet.publishedAt)}</p>
+            <div style="display: flex; justify-content: space-around; margin: 10px 0; padding: 8px; background-color: #f0f0f0; border-radius: 5px;">
+                <div style="text-align: center;">
+                    <p style="font-size: 12px; margin: 0;">${i18n.t('statSubscribers')}</p>
+                    <p style="font-weight: bold; font-size: 15px; color: #065fd4;">${subscriberCount}</p>
+                </div>
+                <div style="text-align: center;">
+                    <p style="font-size: 12px; margin: 0;">${i18n.t('statTotalViews')}</p>
+                    <p style="font-weight: bold; font-size: 15px; color: #27ae60;">${i18n.formatNumber(parseInt(stats.viewCount || 0))}</p>
+                </div>
+                <div style="text-align: center;">
+                    <p style="font-size: 12px; margin: 0;">${i18n.t('statVideoCount')}</p>
+                    <p style="font-weight: bold; font-size: 15px; color: #f39c12;">${i18n.formatNumber(parseInt(stats.videoCount || 0))}</p>
+                </div>
+            </div>
+            <div class="flex-row" style="margin-top: 10px;">
+                <button id="trackVideoButton" class="btn btn-secondary">${i18n.t('popupTrackButton')}</button>
+                <span id="trackVideoStatus" class="status-message"></span>
+            </div>
+        `;
+        container.querySelector('h3').textContent = data.snippet.title;
+        container.querySelector('#trackVideoButton').addEventListener('click', () => this.trackTarget('channel', data.id));
+    }
+
+    /**
+     * 在Popup中显示播放列表数据。
+     * @param {object} data - 播放列表数据 { playlist, videos }
+     */
+    displayPlaylistData(data) {
+        const container = this.elements.currentVideoData;
+        if (!data || !data.playlist || !data.playlist.snippet || !Array.isArray(data.videos)) {
+            container.innerHTML = `<p class="placeholder">${i18n.t('popupErrorNoData')}</p>`;
+            return;
+        }
+
+        // 只加载了第一页视频，完整的播放列表分析在页面面板中进行
+        const { playlist, videos } = data;
+        const firstPageViews = videos.reduce((sum, video) => sum + (parseInt(video.statistics.viewCount) || 0), 0);
+        container.innerHTML = `
+            <h3></h3>
+            <p><strong>${i18n.t('panelChannel')}</strong> <span class="playlist-channel"></span></p>
+            <div style="display: flex; justify-content: space-around; margin: 10px 0; padding: 8px; background-color: #f0f0f0; border-radius: 5px;">
+                <div style="text-align: center;">
+                    <p style="font-size: 12px; margin: 0;">${i18n.t('statVideoCount')}</p>
+                    <p style="font-weight: bold; font-size: 15px; color: #065fd4;">${i18n.formatNumber(parseInt(playlist.contentDetails.itemCount || 0))}</p>
+                </div>
+                <div style="text-align: center;">
+                    <p style="font-size: 12px; margin: 0;">${i18n.t('popupFirstPageViews', videos.length)}</p>
+                    <p style="font-weight: bold; font-size: 15px; color: #27ae60;">${i18n.formatNumber(firstPageViews)}</p>
+                </div>
+                <div style="text-align: center;">
+                    <p style="font-size: 12px; margin: 0;">${i18n.t('popupLoadedVideos')}</p>
+                    <p style="font-weight: bold; font-size: 15px; color: #f39c12;">${i18n.formatNumber(videos.length)}</p>
+                </div>
+            </div>
+            <p style="font-size: 12px; color: #606060;">${i18n.t('popupPlaylistHint')}</p>
         `;
+        container.querySelector('h3').textContent = playlist.snippet.title;
+        container.querySelector('.playlist-channel').textContent = playlist.snippet.channelTitle;
     }
 
     /**
-     * 加载YouTube趋势视频列表。
+     * 将视频或频道加入追踪列表，定期记录其统计数据的变化。
+     * @param {string} type - 'video' 或 'channel'
+     * @param {string} id - 视频ID或频道ID
+     */
+    async trackTarget(type, id) {
+        const button = this.elements.currentVideoData.querySelector('#trackVideoButton');
+        const status = this.elements.currentVideoData.querySelector('#trackVideoStatus');
+        button.disabled = true;
+        this.updateStatus(i18n.t('popupTracking'), 'loading', status);
+        try {
+            const response = await this.sendMessageWithRetry({ type: 'WATCHLIST_ADD', targetType: type, targetId: id });
+            if (response && response.success) {
+                this.updateStatus(i18n.t('popupTracked'), 'success', status);
+            } else {
+                const errorMsg = i18n.describeError(response);
+                this.updateStatus(i18n.t('popupTrackFailed', errorMsg), 'error', status);
+                button.disabled = false;
+            }
+        } catch (error) {
+            console.error("Error adding to watchlist:", error);
+            this.updateStatus(i18n.t('errorCommunication', error.message), 'error', status);
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * 加载YouTube趋势视频列表。选择了归档日期时显示该日期的归档榜单。
      */
     async loadTrendingVideos() {
-        this.updateStatus('正在加载趋势视频...', 'loading', this.elements.trendingVideosList);
+        if (this.elements.trendingDateSelect.value) {
+            return this.loadArchivedChart();
+        }
+
+        this.updateStatus(i18n.t('popupLoadingTrending'), 'loading', this.elements.trendingStatus);
         this.elements.loadTrendingVideosButton.disabled = true;
-        this.elements.trendingVideosList.innerHTML = `<p class="placeholder">正在加载...</p>`;
+        this.elements.trendingVideosList.innerHTML = `<p class="placeholder">${i18n.t('popupLoading')}</p>`;
 
         const regionCode = this.elements.regionSelect.value;
         const category = this.elements.categorySelect.value;
+        const maxResults = parseInt(this.elements.trendingCountSelect.value, 10);
+        this.trendingProgressId = `trending-${Date.now()}`;
 
         try {
             // 使用防御性编程处理消息发送和响应
             let response;
             try {
-                this.updateStatus('正在连接到后台服务...', 'loading', this.elements.trendingVideosList);
+                this.updateStatus(i18n.t('popupConnecting'), 'loading', this.elements.trendingStatus);
                 
                 // 使用重试机制向background script发送消息请求趋势视频
                 response = await this.sendMessageWithRetry({
                     type: 'GET_TRENDING_VIDEOS',
                     regionCode: regionCode,
-                    category: category
+                    category: category,
+                    maxResults: maxResults,
+                    progressId: this.trendingProgressId
                 });
                 
                 // 检查response是否为undefined
                 if (response === undefined) {
-                    throw new Error("未收到后台服务响应，请确保扩展正常运行");
+                    throw new Error(i18n.t('popupErrorNoServiceResponse'));
                 }
             } catch (messageError) {
                 console.error("Message sending error:", messageError);
@@ -300,28 +551,33 @@ class PopupController {
                 // 提供更友好的错误消息，特别是针对连接问题
                 let errorMessage = messageError.message;
                 if (messageError.message.includes("Receiving end does not exist")) {
-                    errorMessage = "无法连接到后台服务，请尝试重新加载扩展或刷新页面";
+                    errorMessage = i18n.t('popupErrorServiceUnreachable');
                 }
                 
-                this.updateStatus(`通信错误: ${errorMessage}`, 'error', this.elements.trendingVideosList);
+                this.updateStatus(i18n.t('errorCommunication', errorMessage), 'error', this.elements.trendingStatus);
                 return;
             }
 
             // 安全地检查response属性
             if (response && response.success && response.data && response.data.length > 0) {
                 this.displayTrendingVideos(response.data);
-                this.updateStatus('趋势视频加载成功！', 'success', this.elements.trendingVideosList);
+                this.updateStatus(i18n.t('popupTrendingLoaded', response.data.length), 'success', this.elements.trendingStatus);
+                this.showChartMovement(regionCode, category, response.data);
+                this.scorableVideoIds = response.data.map(video => video.id);
+                this.elements.scoreViralButton.disabled = false;
             } else {
                 this.displayTrendingVideos([]); // 清空列表
-                const errorMsg = response && response.error ? response.error : '未知错误或没有可用数据';
-                this.updateStatus(`没有找到趋势视频或: ${errorMsg}`, 'error', this.elements.trendingVideosList);
+                const errorMsg = response && response.error ? i18n.describeError(response) : i18n.t('popupErrorNoTrendingData');
+                this.updateStatus(i18n.t('popupNoTrendingVideos', errorMsg), 'error', this.elements.trendingStatus);
             }
         } catch (error) {
             console.error("Error loading trending videos:", error);
             this.displayTrendingVideos([]); // 清空列表
-            this.updateStatus(`通信错误: ${error.message}`, 'error', this.elements.trendingVideosList);
+            this.updateStatus(i18n.t('errorCommunication', error.message), 'error', this.elements.trendingStatus);
         } finally {
+            this.trendingProgressId = null;
             this.elements.loadTrendingVideosButton.disabled = false;
+            this.updateQuotaStatus();
         }
     }
 
@@ -331,8 +587,11 @@ class PopupController {
      */
     displayTrendingVideos(videos) {
         const trendingVideosList = this.elements.trendingVideosList;
+        // 爆款评分只对实时榜单开放，加载成功后再启用
+        this.scorableVideoIds = [];
+        this.elements.scoreViralButton.disabled = true;
         if (!videos || videos.length === 0) {
-            trendingVideosList.innerHTML = `<p class="placeholder">没有找到趋势视频。</p>`;
+            trendingVideosList.innerHTML = `<p class="placeholder">${i18n.t('popupNoTrendingVideosFound')}</p>`;
             return;
         }
 
@@ -345,11 +604,12 @@ class PopupController {
             const title = video.snippet.title;
             const channelTitle = video.snippet.channelTitle;
             const thumbnailUrl = video.snippet.thumbnails.medium ? video.snippet.thumbnails.medium.url : 'https://placehold.co/120x67/cccccc/ffffff?text=NoImg'; // 缩略图
-            const viewCount = parseInt(video.statistics.viewCount || 0).toLocaleString();
-            const likeCount = parseInt(video.statistics.likeCount || 0).toLocaleString();
+            const viewCount = i18n.formatNumber(parseInt(video.statistics.viewCount || 0));
+            const likeCount = i18n.formatNumber(parseInt(video.statistics.likeCount || 0));
 
             const videoItem = document.createElement('div');
             videoItem.className = 'video-item';
+            videoItem.dataset.videoId = videoId;
             videoItem.innerHTML = `
                 <a href="https://www.youtube.com/watch?v=${videoId}" target="_blank" title="${title}"> <img src="${thumbnailUrl}" alt="${title}">
                 </a>
@@ -357,20 +617,480 @@ class PopupController {
                     <h3>
                         <a href="https://www.youtube.com/watch?v=${videoId}" target="_blank">${title}</a> </h3>
                     <p>${channelTitle}</p>
-                    <p class="stats">观看量: ${viewCount} | 点赞数: ${likeCount}</p>
+                    <p class="stats">${i18n.t('popupTrendingStats', viewCount, likeCount)} <span class="outlier-badge"></span></p>
                 </div>
             `;
             trendingVideosList.appendChild(videoItem);
         });
     }
 
+    /**
+     * 切换地区后重新加载该地区可用的类别，再更新归档控件。
+     */
+    async handleRegionChange() {
+        await this.loadCategories();
+        this.refreshArchiveControls();
+    }
+
+    /**
+     * 从API获取YouTube支持的地区列表，填充地区下拉框和多地区比较的复选框。
+     * 加载失败时保留默认地区。
+     */
+    async loadRegions() {
+        const checklist = this.elements.regionChecklist;
+        try {
+            const response = await this.sendMessageWithRetry({ type: 'GET_I18N_REGIONS' });
+            if (!response || !response.success) {
+                const errorMsg = i18n.describeError(response);
+                checklist.innerHTML = `<p class="placeholder">${i18n.t('popupErrorLoadRegions', errorMsg)}</p>`;
+                return;
+            }
+
+            this.regions = response.data.sort((a, b) => a.name.localeCompare(b.name, i18n.language));
+            const select = this.elements.regionSelect;
+            const selected = select.value;
+            select.innerHTML = '';
+            checklist.innerHTML = '';
+            this.regions.forEach(region => {
+                const option = document.createElement('option');
+                option.value = region.id;
+                option.textContent = region.name;
+                select.appendChild(option);
+
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = region.id;
+                checkbox.checked = DEFAULT_COMPARE_REGIONS.includes(region.id);
+                label.append(checkbox, `${region.name} (${region.id})`);
+                checklist.appendChild(label);
+            });
+            if (this.regions.some(region => region.id === selected)) {
+                select.value = selected;
+            } else if (this.regions.length > 0) {
+                select.value = this.regions[0].id;
+                this.handleRegionChange();
+            }
+        } catch (error) {
+            console.error("Error loading region list:", error);
+            checklist.innerHTML = `<p class="placeholder">${i18n.t('popupErrorLoadRegions', error.message)}</p>`;
+        }
+    }
+
+    /**
+     * 从API获取所选地区的视频类别，只提供可分配给视频的类别（其余类别在趋势榜单中没有结果）。
+     * 之前选择的类别在新地区不可用时回到所有类别。
+     */
+    async loadCategories() {
+        const select = this.elements.categorySelect;
+        try {
+            const response = await this.sendMessageWithRetry({
+                type: 'GET_VIDEO_CATEGORIES',
+                regionCode: this.elements.regionSelect.value
+            });
+            if (!response || !response.success) {
+                console.warn("Failed to load video categories:", response && response.error);
+                return;
+            }
+
+            const selected = select.value;
+            select.innerHTML = `<option value="">${i18n.t('popupAllCategories')}</option>`;
+            response.data.filter(category => category.assignable).forEach(category => {
+                const option = document.createElement('option');
+                option.value = category.id;
+                option.textContent = category.title;
+                select.appendChild(option);
+            });
+            select.value = Array.from(select.options).some(option => option.value === selected) ? selected : '';
+        } catch (error) {
+            console.error("Error loading video categories:", error);
+        }
+    }
+
+    /**
+     * 加载当前选择的地区和类别已归档的日期，并更新定时归档按钮的状态。
+     */
+    async refreshArchiveControls() {
+        const regionCode = this.elements.regionSelect.value;
+        const category = this.elements.categorySelect.value;
+        const select = this.elements.trendingDateSelect;
+
+        try {
+            const [datesResponse, chartsResponse] = await Promise.all([
+                this.sendMessageWithRetry({ type: 'GET_TRENDING_CHART_DATES', regionCode, category }),
+                this.sendMessageWithRetry({ type: 'GET_ARCHIVED_CHARTS' })
+            ]);
+
+            select.innerHTML = `<option value="">${i18n.t('popupLiveChart')}</option>`;
+            if (datesResponse && datesResponse.success) {
+                datesResponse.data.forEach(date => {
+                    const option = document.createElement('option');
+                    option.value = date.id;
+                    option.textContent = i18n.formatDateTime(date.timestamp);
+                    select.appendChild(option);
+                });
+            }
+            if (chartsResponse && chartsResponse.success) {
+                this.isChartArchived = chartsResponse.data.some(chart => chart.regionCode === regionCode && (chart.category || '') === category);
+                this.elements.archiveChartButton.textContent = i18n.t(this.isChartArchived ? 'popupStopArchive' : 'popupArchiveChart');
+            }
+        } catch (error) {
+            console.error("Error loading chart archive:", error);
+        }
+    }
+
+    /**
+     * 开始或停止定时归档当前选择的榜单。开始时立即保存第一份归档。
+     */
+    async toggleChartArchive() {
+        const regionCode = this.elements.regionSelect.value;
+        const category = this.elements.categorySelect.value;
+        const archived = this.isChartArchived;
+        this.elements.archiveChartButton.disabled = true;
+        this.updateStatus(i18n.t(archived ? 'popupStoppingArchive' : 'popupArchiving'), 'loading', this.elements.trendingStatus);
+
+        try {
+            const response = await this.sendMessageWithRetry({
+                type: archived ? 'ARCHIVE_CHART_REMOVE' : 'ARCHIVE_CHART_ADD',
+                regionCode,
+                category
+            });
+            if (response && response.success) {
+                this.updateStatus(i18n.t(archived ? 'popupArchiveStopped' : 'popupArchiveStarted'), 'success', this.elements.trendingStatus);
+                await this.refreshArchiveControls();
+            } else {
+                const errorMsg = i18n.describeError(response);
+                this.updateStatus(i18n.t('errorGeneric', errorMsg), 'error', this.elements.trendingStatus);
+            }
+        } catch (error) {
+            console.error("Error toggling chart archive:", error);
+            this.updateStatus(i18n.t('errorCommunication', error.message), 'error', this.elements.trendingStatus);
+        } finally {
+            this.elements.archiveChartButton.disabled = false;
+            this.updateQuotaStatus();
+        }
+    }
+
+    /**
+     * 显示所选日期的归档榜单及其排名变化。
+     */
+    async loadArchivedChart() {
+        this.updateStatus(i18n.t('popupLoadingArchivedChart'), 'loading', this.elements.trendingStatus);
+        this.elements.loadTrendingVideosButton.disabled = true;
+        this.elements.trendingVideosList.innerHTML = `<p class="placeholder">${i18n.t('popupLoading')}</p>`;
+
+        try {
+            const response = await this.sendMessageWithRetry({
+                type: 'GET_TRENDING_CHART',
+                regionCode: this.elements.regionSelect.value,
+                category: this.elements.categorySelect.value,
+                snapshotId: parseInt(this.elements.trendingDateSelect.value, 10)
+            });
+            if (!response || !response.success || !response.data) {
+                this.displayTrendingVideos([]);
+                const errorMsg = response && response.error ? i18n.describeError(response) : i18n.t('popupErrorArchiveMissing');
+                this.updateStatus(i18n.t('errorGeneric', errorMsg), 'error', this.elements.trendingStatus);
+                return;
+            }
+
+            // 归档只保存了显示需要的字段，转换为与实时榜单相同的结构后复用列表渲染
+            const chart = response.data;
+            this.displayTrendingVideos(chart.entries.map(entry => ({
+                id: entry.videoId,
+                snippet: {
+                    title: entry.title,
+                    channelTitle: entry.channelTitle,
+                    thumbnails: entry.thumbnailUrl ? { medium: { url: entry.thumbnailUrl } } : {}
+                },
+                statistics: { viewCount: entry.viewCount, likeCount: entry.likeCount }
+            })));
+            this.renderChartMovement(chart.entries, chart.timestamp);
+            this.updateStatus(chart.previousTimestamp
+                ? i18n.t('popupArchivedChartMovement', i18n.formatDateTime(chart.timestamp), i18n.formatDateTime(chart.previousTimestamp))
+                : i18n.t('popupArchivedChartFirst', i18n.formatDateTime(chart.timestamp)), 'success', this.elements.trendingStatus);
+        } catch (error) {
+            console.error("Error loading archived chart:", error);
+            this.displayTrendingVideos([]);
+            this.updateStatus(i18n.t('errorCommunication', error.message), 'error', this.elements.trendingStatus);
+        } finally {
+            this.elements.loadTrendingVideosButton.disabled = false;
+        }
+    }
+
+    /**
+     * 在实时榜单上显示相对最近一份归档的排名变化。榜单没有归档时不显示。
+     * @param {string} regionCode - 地区代码
+     * @param {string} category - 视频类别ID
+     * @param {object[]} videos - 趋势视频数组
+     */
+    async showChartMovement(regionCode, category, videos) {
+        try {
+            const response = await this.sendMessageWithRetry({
+                type: 'GET_TRENDING_MOVEMENT',
+                regionCode,
+                category,
+                videoIds: videos.map(video => video.id)
+            });
+            if (response && response.success && response.data.previousTimestamp !== null) {
+                this.renderChartMovement(response.data.entries, Date.now());
+            }
+        } catch (error) {
+            console.error("Error loading chart movement:", error);
+        }
+    }
+
+    /**
+     * 在榜单列表中显示排名升降箭头、新上榜标记、在榜时长和最高排名。
+     * @param {object[]} entries - 带排名变化的榜单条目
+     * @param {number} timestamp - 榜单时间，用于计算在榜时长
+     */
+    renderChartMovement(entries, timestamp) {
+        entries.forEach(entry => {
+            const videoItem = this.elements.trendingVideosList.querySelector(`.video-item[data-video-id="${entry.videoId}"]`);
+            if (!videoItem) return;
+
+            const movement = document.createElement('span');
+            movement.className = 'chart-movement';
+            if (entry.isNew) {
+                movement.textContent = 'NEW';
+                movement.classList.add('new');
+                movement.title = i18n.t('popupChartNew');
+            } else if (entry.movement > 0) {
+                movement.textContent = `▲${entry.movement}`;
+                movement.classList.add('up');
+                movement.title = i18n.t('popupChartUp', entry.previousRank);
+            } else if (entry.movement < 0) {
+                movement.textContent = `▼${-entry.movement}`;
+                movement.classList.add('down');
+                movement.title = i18n.t('popupChartDown', entry.previousRank);
+            } else if (entry.movement === 0) {
+                movement.textContent = '—';
+                movement.title = i18n.t('popupChartSame');
+            }
+            videoItem.querySelector('.stats').prepend(movement);
+
+            const history = document.createElement('p');
+            history.className = 'chart-history';
+            const onChart = entry.chartedSince < timestamp ? i18n.t('popupChartOnChart', this.formatChartDuration(timestamp - entry.chartedSince)) : i18n.t('popupChartFirstTime');
+            history.textContent = i18n.t('popupChartHistory', entry.rank, entry.peakRank, onChart);
+            videoItem.querySelector('.video-item-details').appendChild(history);
+        });
+    }
+
+    /**
+     * 格式化在榜时长。
+     * @param {number} ms - 毫秒数
+     * @returns {string} - 例如 "5 小时"、"3 天"
+     */
+    formatChartDuration(ms) {
+        const hours = Math.floor(ms / (60 * 60 * 1000));
+        if (hours < 1) {
+            return i18n.t('unitLessThanHour');
+        }
+        return hours < 24 ? i18n.t('unitHours', hours) : i18n.t('unitDays', Math.floor(hours / 24));
+    }
+
+    /**
+     * 显示或隐藏多地区比较面板。地区列表之前加载失败时重新加载。
+     */
+    toggleRegionCompare() {
+        const panel = this.elements.regionComparePanel;
+        panel.hidden = !panel.hidden;
+        if (!panel.hidden && !this.regions) {
+            this.loadRegions();
+        }
+    }
+
+    /**
+     * 比较选中地区的趋势榜单。
+     */
+    async compareRegions() {
+        const regionCodes = Array.from(this.elements.regionChecklist.querySelectorAll('input:checked'))
+            .map(checkbox => checkbox.value);
+        if (regionCodes.length < 2 || regionCodes.length > 10) {
+            this.updateStatus(i18n.t('popupErrorRegionCount', 2, 10), 'error', this.elements.regionCompareStatus);
+            return;
+        }
+
+        this.updateStatus(i18n.t('popupLoadingRegionCharts'), 'loading', this.elements.regionCompareStatus);
+        this.elements.compareRegionsButton.disabled = true;
+        this.elements.regionCompareResults.innerHTML = '';
+        this.regionCompareProgressId = `region-compare-${Date.now()}`;
+
+        try {
+            const response = await this.sendMessageWithRetry({
+                type: 'COMPARE_TRENDING_REGIONS',
+                regionCodes,
+                category: this.elements.categorySelect.value,
+                progressId: this.regionCompareProgressId
+            });
+            if (response && response.success) {
+                this.displayRegionComparison(response.data);
+                this.updateStatus(i18n.t('popupRegionsCompared', response.data.regions.length), 'success', this.elements.regionCompareStatus);
+            } else {
+                const errorMsg = i18n.describeError(response);
+                this.updateStatus(i18n.t('errorGeneric', errorMsg), 'error', this.elements.regionCompareStatus);
+            }
+        } catch (error) {
+            console.error("Error comparing regions:", error);
+            this.updateStatus(i18n.t('errorCommunication', error.message), 'error', this.elements.regionCompareStatus);
+        } finally {
+            this.regionCompareProgressId = null;
+            this.elements.compareRegionsButton.disabled = false;
+            this.updateQuotaStatus();
+        }
+    }
+
+    /**
+     * 显示多地区比较结果：地区重合度和类别构成热力表、多国同时上榜的视频和各地区独有的视频。
+     * @param {object} result - COMPARE_TRENDING_REGIONS 返回的比较结果
+     */
+    displayRegionComparison(result) {
+        const container = this.elements.regionCompareResults;
+        container.innerHTML = '';
+        const regionCodes = result.regions.map(region => region.regionCode);
+        const regionName = code => {
+            const region = this.regions && this.regions.find(item => item.id === code);
+            return region ? region.name : code;
+        };
+        const addText = (tagName, text) => {
+            const element = document.createElement(tagName);
+            element.textContent = text;
+            container.appendChild(element);
+            return element;
+        };
+
+        if (result.errors.length > 0) {
+            addText('p', i18n.t('popupRegionErrors', result.errors.map(item => i18n.t('popupRegionError', regionName(item.regionCode), i18n.translate(item.error))).join(i18n.t('listSeparator'))));
+        }
+
+        addText('h4', i18n.t('popupOverlapTitle'));
+        addText('p', i18n.t('popupOverlapNote'));
+        chartUtils.createHeatTable({
+            rowLabels: regionCodes.map(regionName),
+            columnLabels: regionCodes,
+            data: result.overlap
+        }, container);
+
+        addText('h4', i18n.t('popupCategoryMixTitle'));
+        addText('p', i18n.t('popupCategoryMixNote'));
+        chartUtils.createHeatTable({
+            rowLabels: result.categories.map(category => category.title),
+            columnLabels: regionCodes,
+            data: result.categoryMix,
+            color: '#34A853',
+            formatValue: value => value > 0 ? `${Math.round(value)}%` : ''
+        }, container);
+
+        addText('h4', i18n.t('popupSharedVideosTitle', result.sharedVideos.length));
+        if (result.sharedVideos.length === 0) {
+            addText('p', i18n.t('popupNoSharedVideos'));
+        } else {
+            const list = document.createElement('ol');
+            result.sharedVideos.slice(0, SHARED_VIDEOS_SHOWN).forEach(video => {
+                const item = document.createElement('li');
+                const link = document.createElement('a');
+                link.href = `https://www.youtube.com/watch?v=${video.videoId}`;
+                link.target = '_blank';
+                link.textContent = video.title;
+                const ranks = document.createElement('span');
+                ranks.className = 'region-ranks';
+                ranks.textContent = `${video.channelTitle} · ${i18n.t('popupSharedVideoRanks', video.regionCount, Object.entries(video.ranks).map(([code, rank]) => `${code} #${rank}`).join(' '))}`;
+                item.append(link, ranks);
+                list.appendChild(item);
+            });
+            container.appendChild(list);
+        }
+
+        addText('h4', i18n.t('popupExclusivesTitle'));
+        result.regions.forEach(region => {
+            addText('p', i18n.t('popupRegionExclusives', regionName(region.regionCode), region.exclusiveCount, region.videoCount));
+            if (region.exclusives.length === 0) return;
+            const list = document.createElement('ol');
+            region.exclusives.forEach(video => {
+                const item = document.createElement('li');
+                item.value = video.rank;
+                const link = document.createElement('a');
+                link.href = `https://www.youtube.com/watch?v=${video.videoId}`;
+                link.target = '_blank';
+                link.textContent = video.title;
+                item.appendChild(link);
+                list.appendChild(item);
+            });
+            container.appendChild(list);
+        });
+    }
+
+    /**
+     * 用户点击“爆款评分”后为当前榜单评分，并在列表中显示每个视频相对其频道近期视频中位数的离群倍数。
+     * 每个频道的基准都要读取近期视频，配额消耗随频道数增长，因此不在加载榜单时自动评分，且只为排名前50的视频评分。
+     * 评分失败时不影响已显示的列表。
+     */
+    async scoreTrendingVideos() {
+        const videoIds = this.scorableVideoIds.slice(0, 50);
+        if (videoIds.length === 0) return;
+
+        this.elements.scoreViralButton.disabled = true;
+        this.updateStatus(i18n.t('popupScoringViral'), 'loading', this.elements.trendingStatus);
+        try {
+            const response = await this.sendMessageWithRetry({ type: 'SCORE_VIRAL_VIDEOS', videoIds });
+            if (!response || !response.success) {
+                const errorMsg = i18n.describeError(response);
+                this.updateStatus(i18n.t('errorGeneric', errorMsg), 'error', this.elements.trendingStatus);
+                return;
+            }
+
+            response.data.forEach(result => {
+                const videoItem = this.elements.trendingVideosList.querySelector(`.video-item[data-video-id="${result.videoId}"]`);
+                if (!videoItem || result.outlierMultiple === null) return;
+
+                const badge = videoItem.querySelector('.outlier-badge');
+                badge.textContent = `${result.outlierMultiple.toFixed(1)}x`;
+                badge.title = i18n.t('popupViralBadge', result.score, result.breakdown.map(item => i18n.translate(item.detail)).join(i18n.t('listSeparator')));
+                badge.classList.toggle('breakout', result.isBreakout);
+            });
+            const breakouts = response.data.filter(result => result.isBreakout).length;
+            this.updateStatus(i18n.t('popupViralScored', response.data.length, breakouts), 'success', this.elements.trendingStatus);
+        } catch (error) {
+            console.error("Error scoring trending videos:", error);
+            this.updateStatus(i18n.t('errorCommunication', error.message), 'error', this.elements.trendingStatus);
+        } finally {
+            this.elements.scoreViralButton.disabled = this.scorableVideoIds.length === 0;
+            this.updateQuotaStatus();
+        }
+    }
+
     /**
      * 打开扩展的选项页面。
      */
     openOptionsPage() {
         chrome.runtime.openOptionsPage();
     }
+
+    /**
+     * 在新标签页中打开趋势追踪页面。
+     */
+    openTrendsPage() {
+        chrome.tabs.create({ url: chrome.runtime.getURL('trends/trends.html') });
+    }
+
+    /**
+     * 在新标签页中打开频道比较页面。
+     */
+    openComparePage() {
+        chrome.tabs.create({ url: chrome.runtime.getURL('compare/compare.html') });
+    }
+
+    /**
+     * 在新标签页中打开关键词研究页面。
+     */
+    openKeywordsPage() {
+        chrome.tabs.create({ url: chrome.runtime.getURL('keywords/keywords.html') });
+    }
 }
 
-// 实例化PopupController，启动Popup逻辑
-new PopupController();
\ No newline at end of file
+// 加载界面语言并翻译静态文字后实例化PopupController，启动Popup逻辑
+i18n.init().then(() => {
+    i18n.localizePage();
+    new PopupController();
+});
\ No newline at end of file
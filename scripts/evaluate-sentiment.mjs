@@ -0,0 +1,43 @@
+// scripts/evaluate-sentiment.mjs
+// Measures the sentiment analyzer against the held-out corpus in libs/sentiment/evaluation-corpus.js.
+// Runs locally without the browser: node scripts/evaluate-sentiment.mjs [--errors]
+// Exits with 1 when any language falls below MIN_ACCURACY, so lexicon or rule changes that hurt accuracy show up.
+
+import sentimentAnalyzer from '../libs/sentiment/sentiment-analyzer.js';
+import evaluationCorpus from '../libs/sentiment/evaluation-corpus.js';
+
+// Lowest accepted accuracy for each language group
+const MIN_ACCURACY = 0.7;
+
+const formatPercent = value => `${(value * 100).toFixed(1)}%`;
+
+const printGroups = (title, groups) => {
+  console.log(`\n${title}`);
+  Object.entries(groups).forEach(([name, group]) => {
+    console.log(`  ${name.padEnd(12)} ${formatPercent(group.accuracy).padStart(6)}  (${group.correct}/${group.total})`);
+  });
+};
+
+const result = sentimentAnalyzer.evaluate(evaluationCorpus);
+
+console.log(`Overall accuracy: ${formatPercent(result.accuracy)} (${result.correct}/${result.total})`);
+printGroups('By language', result.languages);
+printGroups('By feature', result.features);
+
+console.log('\nBy label');
+Object.entries(result.labels).forEach(([label, stats]) => {
+  console.log(`  ${label.padEnd(12)} precision ${formatPercent(stats.precision)}, recall ${formatPercent(stats.recall)} (${stats.support} samples)`);
+});
+
+if (process.argv.includes('--errors') && result.errors.length > 0) {
+  console.log('\nMisclassified');
+  result.errors.forEach(error => {
+    console.log(`  [${error.language}/${error.feature}] expected ${error.expected}, got ${error.predicted} (${error.score}): ${error.text}`);
+  });
+}
+
+const failing = Object.entries(result.languages).filter(([, group]) => group.accuracy < MIN_ACCURACY);
+if (failing.length > 0) {
+  console.error(`\nBelow ${formatPercent(MIN_ACCURACY)}: ${failing.map(([name]) => name).join(', ')}`);
+  process.exitCode = 1;
+}
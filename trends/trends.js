@@ -0,0 +1,418 @@
+// trends/trends.js
+import chartUtils from '../libs/chart-utils.js';
+import i18n from '../libs/i18n.js';
+
+// 各统计字段显示名称的消息名称
+const FIELD_LABEL_KEYS = {
+    viewCount: 'statViews',
+    likeCount: 'statLikes',
+    commentCount: 'statComments',
+    subscriberCount: 'statSubscribers',
+    videoCount: 'statVideoCount'
+};
+
+// 各类型的主要指标
+const PRIMARY_FIELDS = {
+    video: 'viewCount',
+    channel: 'subscriberCount'
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * TrendsController类管理趋势追踪页面：追踪列表的增删和刷新，以及单个视频或频道的趋势图表。
+ */
+class TrendsController {
+    constructor() {
+        this.elements = {
+            targetTypeSelect: document.getElementById('targetTypeSelect'),
+            targetIdInput: document.getElementById('targetIdInput'),
+            addTargetButton: document.getElementById('addTargetButton'),
+            refreshWatchlistButton: document.getElementById('refreshWatchlistButton'),
+            watchlistStatus: document.getElementById('watchlistStatus'),
+            watchlist: document.getElementById('watchlist'),
+            trendSection: document.getElementById('trendSection'),
+            trendTitle: document.getElementById('trendTitle'),
+            rangeSelect: document.getElementById('rangeSelect'),
+            trendSummary: document.getElementById('trendSummary'),
+            trendStatus: document.getElementById('trendStatus'),
+            trendCharts: document.getElementById('trendCharts'),
+            snapshotTable: document.getElementById('snapshotTable')
+        };
+        this.watchlist = [];
+        this.selected = null; // { type, id }
+
+        this.init();
+    }
+
+    /**
+     * 初始化：绑定事件、加载追踪列表，并打开URL参数指定的对象。
+     */
+    async init() {
+        this.elements.addTargetButton.addEventListener('click', () => this.addTarget());
+        this.elements.refreshWatchlistButton.addEventListener('click', () => this.refreshWatchlist());
+        this.elements.rangeSelect.addEventListener('change', () => this.loadTrend());
+
+        await this.loadWatchlist();
+
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('id')) {
+            this.selectTarget(params.get('type') || 'video', params.get('id'));
+        } else if (this.watchlist.length > 0) {
+            this.selectTarget(this.watchlist[0].type, this.watchlist[0].id);
+        }
+    }
+
+    /**
+     * 发送消息到后台脚本，失败时抛出错误。
+     * @param {Object} message - 消息对象
+     * @returns {Promise<any>} - 响应数据
+     */
+    async sendMessage(message) {
+        const response = await chrome.runtime.sendMessage(message);
+        if (!response || !response.success) {
+            throw new Error(i18n.describeError(response));
+        }
+        return response.data;
+    }
+
+    /**
+     * 更新状态消息显示。
+     * @param {string} message - 要显示的消息
+     * @param {string} type - 消息类型 ('loading', 'success', 'error')
+     * @param {HTMLElement} targetElement - 要更新的DOM元素
+     */
+    updateStatus(message, type, targetElement) {
+        targetElement.textContent = message;
+        targetElement.className = `status-message ${type}-message`;
+    }
+
+    /**
+     * 加载并显示追踪列表。
+     */
+    async loadWatchlist() {
+        try {
+            this.watchlist = await this.sendMessage({ type: 'GET_WATCHLIST' });
+            this.renderWatchlist();
+        } catch (error) {
+            console.error("Trends: Error loading watchlist:", error);
+            this.updateStatus(i18n.t('trendsLoadWatchlistFailed', error.message), 'error', this.elements.watchlistStatus);
+        }
+    }
+
+    /**
+     * 显示追踪列表。
+     */
+    renderWatchlist() {
+        const container = this.elements.watchlist;
+        container.innerHTML = '';
+        if (this.watchlist.length === 0) {
+            container.innerHTML = '<p class="placeholder" data-i18n="trendsWatchlistEmpty"></p>';
+            i18n.localizePage(container);
+            return;
+        }
+
+        this.watchlist.forEach(item => {
+            const row = document.createElement('div');
+            row.className = 'watchlist-item';
+            if (this.selected && this.selected.type === item.type && this.selected.id === item.id) {
+                row.classList.add('selected');
+            }
+            row.innerHTML = `
+                <div class="watchlist-item-info">
+                    <div class="watchlist-item-title"></div>
+                    <div class="watchlist-item-meta"></div>
+                </div>
+                <button class="btn btn-secondary btn-small" data-action="view" data-i18n="trendsViewButton"></button>
+                <button class="btn btn-secondary btn-small" data-action="remove" data-i18n="trendsRemoveButton"></button>
+            `;
+            i18n.localizePage(row);
+            row.querySelector('.watchlist-item-title').textContent = item.title;
+            row.querySelector('.watchlist-item-meta').textContent =
+                i18n.t('trendsItemMeta',
+                    i18n.t(item.type === 'video' ? 'trendsTypeVideo' : 'trendsTypeChannel'),
+                    item.id,
+                    i18n.formatDateTime(item.lastRefreshed));
+            row.querySelector('[data-action="view"]').addEventListener('click', () => this.selectTarget(item.type, item.id));
+            row.querySelector('[data-action="remove"]').addEventListener('click', () => this.removeTarget(item));
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * 将输入的视频或频道加入追踪列表。
+     */
+    async addTarget() {
+        const type = this.elements.targetTypeSelect.value;
+        const id = this.elements.targetIdInput.value.trim();
+        if (!id) {
+            this.updateStatus(i18n.t('trendsEnterTarget'), 'error', this.elements.watchlistStatus);
+            return;
+        }
+
+        this.updateStatus(i18n.t('trendsAdding'), 'loading', this.elements.watchlistStatus);
+        this.elements.addTargetButton.disabled = true;
+        try {
+            const entry = await this.sendMessage({ type: 'WATCHLIST_ADD', targetType: type, targetId: id });
+            this.elements.targetIdInput.value = '';
+            this.updateStatus(i18n.t('trendsAdded'), 'success', this.elements.watchlistStatus);
+            await this.loadWatchlist();
+            this.selectTarget(type, entry.id);
+        } catch (error) {
+            console.error("Trends: Error adding to watchlist:", error);
+            this.updateStatus(i18n.t('trendsAddFailed', error.message), 'error', this.elements.watchlistStatus);
+        } finally {
+            this.elements.addTargetButton.disabled = false;
+        }
+    }
+
+    /**
+     * 从追踪列表移除，已保存的快照保留。
+     * @param {Object} item - 追踪项
+     */
+    async removeTarget(item) {
+        try {
+            await this.sendMessage({ type: 'WATCHLIST_REMOVE', targetType: item.type, targetId: item.id });
+            await this.loadWatchlist();
+        } catch (error) {
+            console.error("Trends: Error removing from watchlist:", error);
+            this.updateStatus(i18n.t('trendsRemoveFailed', error.message), 'error', this.elements.watchlistStatus);
+        }
+    }
+
+    /**
+     * 立即刷新整个追踪列表。
+     */
+    async refreshWatchlist() {
+        this.updateStatus(i18n.t('trendsRefreshing'), 'loading', this.elements.watchlistStatus);
+        this.elements.refreshWatchlistButton.disabled = true;
+        try {
+            const result = await this.sendMessage({ type: 'REFRESH_WATCHLIST' });
+            this.updateStatus(
+                result.failed > 0
+                    ? i18n.t('trendsRefreshedPartial', result.refreshed, result.failed)
+                    : i18n.t('trendsRefreshed', result.refreshed),
+                'success',
+                this.elements.watchlistStatus
+            );
+            await this.loadWatchlist();
+            this.loadTrend();
+        } catch (error) {
+            console.error("Trends: Error refreshing watchlist:", error);
+            this.updateStatus(i18n.t('trendsRefreshFailed', error.message), 'error', this.elements.watchlistStatus);
+        } finally {
+            this.elements.refreshWatchlistButton.disabled = false;
+        }
+    }
+
+    /**
+     * 选中一个追踪对象并显示其趋势。
+     * @param {string} type - 'video' 或 'channel'
+     * @param {string} id - 视频ID或频道ID
+     */
+    selectTarget(type, id) {
+        this.selected = { type, id };
+        const item = this.watchlist.find(watched => watched.type === type && watched.id === id);
+        this.elements.trendTitle.textContent = item ? item.title : id;
+        this.elements.trendSection.hidden = false;
+        this.renderWatchlist();
+        this.loadTrend();
+    }
+
+    /**
+     * 加载选中对象的快照历史并绘制图表。
+     */
+    async loadTrend() {
+        if (!this.selected) return;
+
+        const rangeDays = parseInt(this.elements.rangeSelect.value, 10);
+        this.updateStatus(i18n.t('trendsLoading'), 'loading', this.elements.trendStatus);
+        try {
+            const history = await this.sendMessage({
+                type: 'GET_SNAPSHOT_HISTORY',
+                targetType: this.selected.type,
+                targetId: this.selected.id,
+                from: rangeDays > 0 ? Date.now() - rangeDays * DAY : 0
+            });
+            this.renderTrend(history);
+        } catch (error) {
+            console.error("Trends: Error loading snapshot history:", error);
+            this.updateStatus(i18n.t('trendsLoadFailed', error.message), 'error', this.elements.trendStatus);
+        }
+    }
+
+    /**
+     * 显示趋势摘要、图表和快照表格。
+     * @param {Object} history - GET_SNAPSHOT_HISTORY 返回的数据
+     */
+    renderTrend(history) {
+        const { fields, growth } = history;
+        const points = growth.points;
+        const primaryField = PRIMARY_FIELDS[history.type];
+        const primaryLabel = this.getFieldLabel(primaryField);
+
+        this.elements.trendSummary.innerHTML = '';
+        this.elements.trendCharts.innerHTML = '';
+        this.elements.snapshotTable.innerHTML = '';
+
+        if (points.length === 0) {
+            this.updateStatus(i18n.t('trendsNoSnapshots'), 'error', this.elements.trendStatus);
+            return;
+        }
+
+        this.renderSummary(fields, growth.latest);
+
+        if (points.length < 2) {
+            this.updateStatus(i18n.t('trendsNeedTwoSnapshots'), 'loading', this.elements.trendStatus);
+            this.renderSnapshotTable(fields, points);
+            return;
+        }
+        this.updateStatus('', '', this.elements.trendStatus);
+
+        const labels = points.map(point => this.formatTime(point.timestamp));
+        chartUtils.createLineChart({
+            title: i18n.t('trendsChartTotal', primaryLabel),
+            labels,
+            datasets: [{ label: primaryLabel, data: points.map(point => point.values[primaryField]) }],
+            width: 720,
+            height: 320,
+            showPoints: points.length <= 60,
+            valueFormatter: value => this.formatCompact(value)
+        }, this.elements.trendCharts);
+
+        const velocityPoints = points.filter(point => point.velocity);
+        if (velocityPoints.length >= 2) {
+            chartUtils.createLineChart({
+                title: i18n.t('trendsChartVelocity', primaryLabel),
+                labels: velocityPoints.map(point => this.formatTime(point.timestamp)),
+                datasets: [{ label: i18n.t('trendsPerHour', primaryLabel), data: velocityPoints.map(point => Math.max(0, point.velocity[primaryField])) }],
+                width: 720,
+                height: 320,
+                showPoints: velocityPoints.length <= 60,
+                valueFormatter: value => this.formatCompact(value)
+            }, this.elements.trendCharts);
+        }
+
+        const secondaryFields = fields.filter(field => field !== primaryField);
+        chartUtils.createLineChart({
+            title: i18n.t('trendsChartOther'),
+            labels,
+            datasets: secondaryFields.map(field => ({ label: this.getFieldLabel(field), data: points.map(point => point.values[field]) })),
+            width: 720,
+            height: 320,
+            showPoints: points.length <= 60,
+            valueFormatter: value => this.formatCompact(value)
+        }, this.elements.trendCharts);
+
+        this.renderSnapshotTable(fields, points);
+    }
+
+    /**
+     * 显示每个指标的当前值、最新增速和加速度。
+     * @param {string[]} fields - 统计字段
+     * @param {Object} latest - 最新的增长数据
+     */
+    renderSummary(fields, latest) {
+        fields.forEach(field => {
+            const tile = document.createElement('div');
+            tile.className = 'stat-tile';
+            tile.innerHTML = `
+                <span class="stat-tile-label"></span>
+                <span class="stat-tile-value"></span>
+                <span class="stat-tile-detail"></span>
+                <span class="stat-tile-detail"></span>
+            `;
+            const [velocityEl, accelerationEl] = tile.querySelectorAll('.stat-tile-detail');
+            tile.querySelector('.stat-tile-label').textContent = this.getFieldLabel(field);
+            tile.querySelector('.stat-tile-value').textContent = i18n.formatNumber(latest.values[field]);
+            velocityEl.textContent = latest.velocity
+                ? i18n.t('trendsVelocity', this.formatSigned(latest.velocity[field]), this.formatSigned(latest.velocity[field] * 24))
+                : i18n.t('trendsVelocityUnknown');
+            accelerationEl.textContent = latest.acceleration
+                ? i18n.t('trendsAcceleration', this.formatSigned(latest.acceleration[field]))
+                : i18n.t('trendsAccelerationUnknown');
+            this.elements.trendSummary.appendChild(tile);
+        });
+    }
+
+    /**
+     * 显示快照明细表格（最新的在前）。
+     * @param {string[]} fields - 统计字段
+     * @param {Object[]} points - 增长数据点
+     */
+    renderSnapshotTable(fields, points) {
+        const table = document.createElement('table');
+        table.className = 'snapshot-table';
+        const headerRow = table.createTHead().insertRow();
+        [
+            i18n.t('trendsColumnTime'),
+            ...fields.map(field => this.getFieldLabel(field)),
+            ...fields.map(field => i18n.t('trendsPerHour', this.getFieldLabel(field)))
+        ].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            headerRow.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        points.slice().reverse().forEach(point => {
+            const row = body.insertRow();
+            row.insertCell().textContent = i18n.formatDateTime(point.timestamp);
+            fields.forEach(field => {
+                row.insertCell().textContent = i18n.formatNumber(point.values[field]);
+            });
+            fields.forEach(field => {
+                row.insertCell().textContent = point.velocity ? this.formatSigned(point.velocity[field]) : '-';
+            });
+        });
+        this.elements.snapshotTable.appendChild(table);
+    }
+
+    /**
+     * 获取统计字段的显示名称。
+     * @param {string} field - 统计字段
+     * @returns {string}
+     */
+    getFieldLabel(field) {
+        return i18n.t(FIELD_LABEL_KEYS[field]);
+    }
+
+    /**
+     * 将时间戳格式化为图表标签。
+     * @param {number} timestamp - 时间戳
+     * @returns {string} - 例如 '06-01 14:00'
+     */
+    formatTime(timestamp) {
+        const date = new Date(timestamp);
+        const pad = value => String(value).padStart(2, '0');
+        return `${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    /**
+     * 将数值格式化为紧凑形式，用于图表刻度。
+     * @param {number} value - 数值
+     * @returns {string} - 例如 '1.2M'
+     */
+    formatCompact(value) {
+        const abs = Math.abs(value);
+        if (abs >= 1000000) return `${(value / 1000000).toFixed(1)}M`;
+        if (abs >= 1000) return `${(value / 1000).toFixed(1)}K`;
+        return `${Math.round(value)}`;
+    }
+
+    /**
+     * 格式化带符号的数值。
+     * @param {number} value - 数值
+     * @returns {string} - 例如 '+1,234.5'
+     */
+    formatSigned(value) {
+        const rounded = Math.round(value * 10) / 10;
+        return `${rounded > 0 ? '+' : ''}${i18n.formatNumber(rounded)}`;
+    }
+}
+
+// 加载界面语言并翻译静态文字后实例化TrendsController，启动趋势页面逻辑
+i18n.init().then(() => {
+    i18n.localizePage();
+    new TrendsController();
+});